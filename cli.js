@@ -1,10 +1,12 @@
 #!/usr/bin/env node
 
-import { readFileSync, existsSync, statSync } from 'fs';
+import { readFileSync, existsSync, statSync, writeFileSync, openSync, readSync, closeSync } from 'fs';
 import { createReadStream } from 'fs';
-import { basename, extname } from 'path';
+import { basename, extname, resolve } from 'path';
+import { homedir } from 'os';
 import { createInterface } from 'readline';
 import { promisify } from 'util';
+import { Readable } from 'stream';
 import { config } from 'dotenv';
 import { LoadingIndicator, ProgressBar, AnimatedText } from './src/ui-helpers.js';
 import { JobManager } from './src/job-manager.js';
@@ -156,12 +158,14 @@ const cliLogger = new UnifiedLogger('CLI', UnifiedLogger.levels.INFO);
 // Configuration
 const DEFAULT_BASE_URL = process.env.LOCAL_URL || 'http://localhost:8787';
 const PRODUCTION_URL = process.env.PRODUCTION_URL || 'https://your-worker-name.your-subdomain.workers.dev';
+const API_KEY = process.env.GROQ_WHISPER_API_KEY || null; // Bearer token for the Worker API
 
 
 
 class GroqWhisperCLI {
   constructor() {
     this.baseUrl = DEFAULT_BASE_URL;
+    this.apiKey = API_KEY;
     this.rl = createInterface({
       input: process.stdin,
       output: process.stdout
@@ -175,6 +179,21 @@ class GroqWhisperCLI {
     });
   }
 
+  /**
+   * Ask whether to transcribe, translate to English, or both
+   */
+  async askTask() {
+    const choice = await this.question('Output language:\n1. Original language (transcribe)\n2. English (translate)\n3. Original + English\nChoose (1-3, default 1): ');
+    return { '2': 'translate', '3': 'both' }[choice.trim()] || 'transcribe';
+  }
+
+  /**
+   * Add the API key to request headers when one is configured
+   */
+  authHeaders(headers = {}) {
+    return this.apiKey ? { ...headers, 'Authorization': `Bearer ${this.apiKey}` } : headers;
+  }
+
   async sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -488,6 +507,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
     console.log(`📊 Size: ${this.formatBytes(fileSize)}`);
     console.log(`🎯 Processing tier: ${fileSize <= 15 * 1024 * 1024 ? 'Standard' : fileSize <= 100 * 1024 * 1024 ? 'Advanced' : 'Enterprise'}`);
     const useLLM = await this.question('\nEnable LLM correction for better quality? (y/N): ');
+    const task = await this.askTask();
     const webhookUrl = await this.question('Webhook URL (optional, press Enter to skip): ');
 
     // Check connectivity before proceeding
@@ -495,59 +515,166 @@ Video: MP4, MPEG, WEBM (audio track extracted)
       return;
     }
 
-    const loader = new LoadingIndicator();
-    
     try {
-      // Start upload animation
-      loader.start('🚀 Preparing upload...', 'wave', '\x1b[33m');
-      await this.sleep(500);
-      
-      // Create FormData equivalent
-      const fileBuffer = readFileSync(filePath);
-      const formData = new FormData();
-      
-      const blob = new Blob([fileBuffer], { 
-        type: this.getContentType(extname(filename)) 
-      });
-      
-      formData.append('file', blob, filename);
-      formData.append('use_llm', useLLM.toLowerCase().startsWith('y') ? 'true' : 'false');
+      const metadata = {
+        filename,
+        filetype: this.getContentType(extname(filename)),
+        use_llm: useLLM.toLowerCase().startsWith('y') ? 'true' : 'false',
+        task
+      };
       
       if (webhookUrl.trim()) {
-        formData.append('webhook_url', webhookUrl.trim());
+        metadata.webhook_url = webhookUrl.trim();
       }
 
-      loader.stop();
-      loader.start('📤 Uploading file to server...', 'dots', '\x1b[36m');
+      // Resumable upload: a dropped connection or a restarted CLI picks up where it stopped
+      const jobId = await this.resumableUpload(filePath, metadata);
+
+      console.log('✅ Upload successful!');
+      console.log(`📋 Job ID: ${jobId}`);
+      console.log(`📁 Filename: ${filename}`);
+      console.log(`📊 File size: ${this.formatBytes(fileSize)}`);
+      console.log(`⚙️  Processing method: ${fileSize > 15 * 1024 * 1024 ? 'chunked' : 'direct'}`);
 
-      const response = await fetch(`${this.baseUrl}/upload`, {
+      // Monitor progress
+      await this.jobManager.monitorJob(jobId, true);
+
+    } catch (error) {
+      console.log(`\n❌ Error: ${error.message}`);
+    }
+  }
+
+  // ==========================================================================
+  // RESUMABLE UPLOADS (tus 1.0, see /tus on the server)
+  // ==========================================================================
+
+  /**
+   * Upload a file through /tus and return its job ID. Unfinished uploads are
+   * remembered in ~/.groq-whisper-uploads.json by path, size and mtime, so
+   * running the same upload again resumes it.
+   */
+  async resumableUpload(filePath, metadata) {
+    const stats = statSync(filePath);
+    const fingerprint = `${this.baseUrl}|${resolve(filePath)}|${stats.size}|${stats.mtimeMs}`;
+    const uploads = this.readResumableUploads();
+    const tusHeaders = (headers = {}) => this.authHeaders({ 'Tus-Resumable': '1.0.0', ...headers });
+
+    let uploadUrl = uploads[fingerprint] || null;
+    let offset = 0;
+
+    if (uploadUrl) {
+      const head = await fetch(uploadUrl, { method: 'HEAD', headers: tusHeaders() }).catch(() => null);
+      if (head?.ok) {
+        offset = Number(head.headers.get('Upload-Offset'));
+        console.log(`🔁 Resuming earlier upload at ${this.formatBytes(offset)} of ${this.formatBytes(stats.size)}`);
+      } else {
+        uploadUrl = null; // Expired or gone, start over
+      }
+    }
+
+    if (!uploadUrl) {
+      const response = await fetch(`${this.baseUrl}/tus`, {
         method: 'POST',
-        body: formData
+        headers: tusHeaders({
+          'Upload-Length': String(stats.size),
+          'Upload-Metadata': Object.entries(metadata)
+            .map(([key, value]) => `${key} ${Buffer.from(String(value)).toString('base64')}`)
+            .join(',')
+        })
       });
+      if (response.status !== 201) {
+        throw new Error(`Upload failed: ${(await response.text()) || response.status}`);
+      }
+      uploadUrl = new URL(response.headers.get('Location'), this.baseUrl).href;
+      uploads[fingerprint] = uploadUrl;
+      this.writeResumableUploads(uploads);
+    }
 
-      const result = await response.json();
-      loader.stop();
+    const chunkSize = 8 * 1024 * 1024;
+    const maxRetries = 5;
+    let retries = 0;
+    const fd = openSync(filePath, 'r');
 
-      if (!response.ok) {
-        console.log(`❌ Upload failed: ${result.error || 'Unknown error'}`);
-        return;
+    try {
+      while (offset < stats.size) {
+        process.stdout.write(`\r📤 Uploading ${Math.floor((offset / stats.size) * 100)}% (${this.formatBytes(offset)} / ${this.formatBytes(stats.size)})   `);
+
+        const chunk = Buffer.alloc(Math.min(chunkSize, stats.size - offset));
+        readSync(fd, chunk, 0, chunk.length, offset);
+
+        try {
+          const response = await fetch(uploadUrl, {
+            method: 'PATCH',
+            headers: tusHeaders({
+              'Content-Type': 'application/offset+octet-stream',
+              'Upload-Offset': String(offset)
+            }),
+            body: chunk
+          });
+
+          if (response.status === 204) {
+            offset = Number(response.headers.get('Upload-Offset'));
+            retries = 0;
+            continue;
+          }
+          if (response.status === 404 || response.status === 410) {
+            delete uploads[fingerprint];
+            this.writeResumableUploads(uploads);
+            throw Object.assign(new Error('Upload expired on the server, please start again'), { fatal: true });
+          }
+          if (response.status < 500 && response.status !== 409) {
+            throw Object.assign(new Error(`Upload failed: ${(await response.text()) || response.status}`), { fatal: true });
+          }
+        } catch (error) {
+          if (error.fatal) throw error;
+        }
+
+        // Connection trouble: wait, then ask the server how much it kept
+        if (++retries > maxRetries) {
+          throw new Error('Upload interrupted too many times - run it again to resume');
+        }
+        const delay = 1000 * 2 ** (retries - 1);
+        process.stdout.write(`\n⚠️  Upload interrupted, retrying in ${delay / 1000}s (${retries}/${maxRetries})\n`);
+        await this.sleep(delay);
+
+        const head = await fetch(uploadUrl, { method: 'HEAD', headers: tusHeaders() }).catch(() => null);
+        if (head?.ok) {
+          offset = Number(head.headers.get('Upload-Offset'));
+        }
       }
+    } finally {
+      closeSync(fd);
+    }
 
-      console.log('✅ Upload successful!');
-      console.log(`📋 Job ID: ${result.job_id}`);
-      console.log(`📁 Filename: ${result.filename}`);
-      console.log(`📊 File size: ${this.formatBytes(result.file_size)}`);
-      console.log(`⚙️  Processing method: ${result.processing_method}`);
+    process.stdout.write(`\r📤 Uploading 100% (${this.formatBytes(stats.size)} / ${this.formatBytes(stats.size)})   \n`);
 
-      // Monitor progress
-      await this.jobManager.monitorJob(result.job_id, true);
+    delete uploads[fingerprint];
+    this.writeResumableUploads(uploads);
+
+    // The upload ID is the job ID
+    return uploadUrl.split('/tus/')[1];
+  }
 
+  readResumableUploads() {
+    try {
+      return JSON.parse(readFileSync(this.resumableUploadsFile, 'utf8'));
     } catch (error) {
-      loader.stop();
-      console.log(`❌ Error: ${error.message}`);
+      return {};
+    }
+  }
+
+  writeResumableUploads(uploads) {
+    try {
+      writeFileSync(this.resumableUploadsFile, JSON.stringify(uploads, null, 2));
+    } catch (error) {
+      // Resuming after a restart is a convenience; the upload itself still works
     }
   }
 
+  get resumableUploadsFile() {
+    return resolve(homedir(), '.groq-whisper-uploads.json');
+  }
+
   async urlUpload() {
     console.log(`\n🌐 URL Upload\n`);
     
@@ -559,6 +686,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
 
     const filename = await this.question('Custom filename (optional, press Enter to auto-detect): ');
     const useLLM = await this.question('\nEnable LLM correction for better quality? (y/N): ');
+    const task = await this.askTask();
     const webhookUrl = await this.question('Webhook URL (optional, press Enter to skip): ');
 
     // Check connectivity before proceeding
@@ -572,6 +700,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
       const payload = {
         url: url.trim(),
         use_llm: useLLM.toLowerCase().startsWith('y'),
+        task,
       };
 
       if (filename.trim()) {
@@ -591,7 +720,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
 
       const response = await fetch(`${this.baseUrl}/upload-url`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify(payload)
       });
 
@@ -677,6 +806,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
     console.log(`📊 Size: ${this.formatBytes(fileSize)}`);
 
     const useLLM = await this.question('\nEnable LLM correction for better quality? (y/N): ');
+    const task = await this.askTask();
     const webhookUrl = await this.question('Webhook URL (optional, press Enter to skip): ');
 
     // Check connectivity before proceeding
@@ -694,6 +824,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
         filename,
         size: fileSize,
         use_llm: useLLM.toLowerCase().startsWith('y'),
+        task,
       };
 
       if (webhookUrl.trim()) {
@@ -702,7 +833,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
 
       const presignResponse = await fetch(`${this.baseUrl}/get-presigned-url`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify(payload)
       });
 
@@ -743,7 +874,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
       
       const startResponse = await fetch(`${this.baseUrl}/start`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ job_id: presignResult.job_id })
       });
 
@@ -826,6 +957,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
       const mode = await this.question('LLM mode:\n1. Per-chunk (real-time, faster)\n2. Post-process (full context, slower)\nChoose (1-2, default 1): ');
       llmMode = mode.trim() === '2' ? 'post_process' : 'per_chunk';
     }
+    const task = await this.askTask();
     
     const finalChunkSize = parseFloat(chunkSizeMB.trim()) || 0.25;
     const enableLLM = useLLM.toLowerCase().startsWith('y');
@@ -833,6 +965,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
     console.log(`\n⚙️  Settings:`);
     console.log(`   • Chunk size: ${finalChunkSize}MB`);
     console.log(`   • LLM correction: ${enableLLM ? 'Enabled' : 'Disabled'}`);
+    console.log(`   • Output: ${{ transcribe: 'Original language', translate: 'English', both: 'Original + English' }[task]}`);
     if (enableLLM) {
       console.log(`   • LLM mode: ${llmMode === 'per_chunk' ? 'Per-chunk (real-time)' : 'Post-process (full context)'}`);
     }
@@ -846,33 +979,35 @@ Video: MP4, MPEG, WEBM (audio track extracted)
     try {
       console.log('🚀 Starting streaming transcription...\n');
       
-      let requestBody, headers;
+      let requestBody, headers, endpoint = '/stream';
       
       if (audioSource.type === 'file') {
-        // File upload using FormData
-        const fileBuffer = readFileSync(audioSource.filePath);
-        const formData = new FormData();
-        
-        const blob = new Blob([fileBuffer], { 
-          type: this.getContentType(extname(audioSource.filename)) 
+        // Raw file body streamed from disk, so the first chunks are transcribed
+        // while the rest of the file is still uploading
+        const params = new URLSearchParams({
+          filename: audioSource.filename,
+          chunk_size_mb: finalChunkSize.toString(),
+          use_llm: enableLLM.toString(),
+          task
         });
-        
-        formData.append('file', blob, audioSource.filename);
-        formData.append('chunk_size_mb', finalChunkSize.toString());
-        formData.append('use_llm', enableLLM.toString());
         if (enableLLM) {
-          formData.append('llm_mode', llmMode);
+          params.set('llm_mode', llmMode);
         }
         
-        requestBody = formData;
-        headers = {}; // Let fetch set Content-Type for FormData
+        endpoint = `/stream?${params}`;
+        requestBody = Readable.toWeb(createReadStream(audioSource.filePath));
+        headers = {
+          'Content-Type': this.getContentType(extname(audioSource.filename)),
+          'Content-Length': statSync(audioSource.filePath).size.toString()
+        };
         
       } else {
         // URL upload using JSON
         const jsonPayload = {
           url: audioSource.url,
           chunk_size_mb: finalChunkSize,
-          use_llm: enableLLM
+          use_llm: enableLLM,
+          task
         };
         
         if (enableLLM) {
@@ -883,10 +1018,11 @@ Video: MP4, MPEG, WEBM (audio track extracted)
         headers = { 'Content-Type': 'application/json' };
       }
       
-      const response = await fetch(`${this.baseUrl}/stream`, {
+      const response = await fetch(`${this.baseUrl}${endpoint}`, {
         method: 'POST',
-        headers,
-        body: requestBody
+        headers: this.authHeaders(headers),
+        body: requestBody,
+        duplex: 'half' // Required by fetch for a streamed request body
       });
       
       if (!response.ok) {
@@ -1037,16 +1173,18 @@ Video: MP4, MPEG, WEBM (audio track extracted)
       case 'status':
         console.log(`📋 ${data.message}`);
         console.log(`   • File: ${data.filename}`);
-        console.log(`   • Size: ${this.formatBytes(data.total_size)}`);
-        console.log(`   • Estimated chunks: ${data.estimated_chunks}\n`);
+        console.log(`   • Size: ${data.total_size ? this.formatBytes(data.total_size) : 'unknown'}`);
+        console.log(`   • Estimated chunks: ${data.estimated_chunks ?? 'unknown'}\n`);
         break;
         
       case 'chunk_info':
-        console.log(`🧩 Ready to process ${data.total_chunks} chunks (${data.chunk_size_mb}MB each)\n`);
+        console.log(data.total_chunks
+          ? `🧩 Ready to process ~${data.total_chunks} chunks (${data.chunk_size_mb}MB each)\n`
+          : `🧩 Chunking as the audio arrives (${data.chunk_size_mb}MB each)\n`);
         break;
         
              case 'chunk_start':
-         process.stdout.write(`\n🔄 Chunk ${data.chunk_index + 1} (${data.progress}%) - transcribing...`);
+         process.stdout.write(`\n🔄 Chunk ${data.chunk_index + 1}${data.progress != null ? ` (${data.progress}%)` : ''} - transcribing...`);
          break;
          
        case 'delta':
@@ -1065,7 +1203,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
          break;
          
        case 'chunk_done':
-         process.stdout.write(` ✅ (${data.progress}%)\n`);
+         process.stdout.write(data.progress != null ? ` ✅ (${data.progress}%)\n` : ' ✅\n');
          break;
         
       case 'chunk_error':
@@ -1107,6 +1245,11 @@ Video: MP4, MPEG, WEBM (audio track extracted)
            console.log(`📝 Final transcript:`);
            console.log(`"${data.final_transcript}"`);
          }
+         
+         if (data.translated_transcript) {
+           console.log(`\n🌐 English translation:`);
+           console.log(`"${data.translated_transcript}"`);
+         }
          break;
         
       case 'error':
@@ -1157,6 +1300,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
       const mode = await this.question('LLM mode:\n1. Per-chunk (real-time, faster)\n2. Post-process (full context, slower)\nChoose (1-2, default 1): ');
       llmMode = mode.trim() === '2' ? 'post_process' : 'per_chunk';
     }
+    const task = await this.askTask();
     
     const finalChunkSize = Math.max(1, Math.min(100, parseFloat(chunkSizeMB.trim()) || 5));
     const enableLLM = useLLM.toLowerCase().startsWith('y');
@@ -1165,6 +1309,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
     console.log(`\n⚙️  Settings:`);
     console.log(`   • Chunk size: ${finalChunkSize}MB`);
     console.log(`   • LLM correction: ${enableLLM ? 'Enabled' : 'Disabled'}`);
+    console.log(`   • Output: ${{ transcribe: 'Original language', translate: 'English', both: 'Original + English' }[task]}`);
     if (enableLLM) {
       console.log(`   • LLM mode: ${llmMode === 'per_chunk' ? 'Per-chunk (real-time)' : 'Post-process (full context)'}`);
     }
@@ -1182,13 +1327,14 @@ Video: MP4, MPEG, WEBM (audio track extracted)
       // Step 1: Initialize chunked upload session
       const initResponse = await fetch(`${this.baseUrl}/chunked-upload-stream`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           filename,
           total_size: fileSize,
           chunk_size_mb: finalChunkSize,
           use_llm: enableLLM,
           llm_mode: llmMode,
+          task,
           max_concurrent_uploads: maxConcurrentUploads
         })
       });
@@ -1224,18 +1370,10 @@ Video: MP4, MPEG, WEBM (audio track extracted)
 
   async handleChunkedStream(streamUrl, parentJobId) {
     try {
-      const response = await fetch(`${this.baseUrl}${streamUrl}`, {
-        method: 'GET',
-        headers: { 'Accept': 'text/event-stream' }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Stream failed: ${response.status}`);
-      }
-      
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
+      let lastEventId = null; // Sent back as Last-Event-ID so a reconnect replays what was missed
+      let reconnects = 0;
+      const maxReconnects = 5;
+      let finished = false;
       let fullTranscript = '';
       let lastPartialTranscript = '';
       const startTime = Date.now();
@@ -1243,96 +1381,133 @@ Video: MP4, MPEG, WEBM (audio track extracted)
       let completedChunks = 0;
       let totalChunks = 0;
       
-      console.log('📡 Real-time stream connected!\n');
-      
-      try {
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) {
-            console.log('\n🔚 Stream ended');
+      while (!finished) {
+        try {
+          const response = await fetch(`${this.baseUrl}${streamUrl}`, {
+            method: 'GET',
+            headers: this.authHeaders({
+              'Accept': 'text/event-stream',
+              ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {})
+            })
+          });
+        
+          // Nothing left to replay
+          if (response.status === 204) {
             break;
           }
+          if (!response.ok) {
+            throw new Error(`Stream failed: ${response.status}`);
+          }
+        
+          const reader = response.body.getReader();
+          const decoder = new TextDecoder();
+          let buffer = '';
+        
+          console.log(lastEventId ? `\n📡 Stream resumed after event ${lastEventId}\n` : '📡 Real-time stream connected!\n');
+        
+          while (true) {
+            const { done, value } = await reader.read();
+          
+            if (done) {
+              break;
+            }
           
-          const chunk = decoder.decode(value, { stream: true });
-          buffer += chunk;
+            const chunk = decoder.decode(value, { stream: true });
+            buffer += chunk;
           
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
           
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              try {
-                const data = JSON.parse(line.slice(6));
-                await this.handleChunkedStreamEvent(data, {
-                  fullTranscript,
-                  lastPartialTranscript,
-                  startTime,
-                  firstResultTime,
-                  completedChunks,
-                  totalChunks,
-                  parentJobId
-                });
+            for (const line of lines) {
+              if (line.startsWith('id: ')) {
+                lastEventId = line.slice(4).trim();
+              } else if (line.startsWith('data: ')) {
+                try {
+                  const data = JSON.parse(line.slice(6));
+                  await this.handleChunkedStreamEvent(data, {
+                    fullTranscript,
+                    lastPartialTranscript,
+                    startTime,
+                    firstResultTime,
+                    completedChunks,
+                    totalChunks,
+                    parentJobId
+                  });
                 
-                // Update context variables
-                if (data.type === 'initialized') {
-                  totalChunks = data.total_chunks;
-                }
-                if (data.type === 'chunk_complete') {
-                  completedChunks++;
-                  if (!firstResultTime) {
-                    firstResultTime = Date.now();
-                    const timeToFirst = ((firstResultTime - startTime) / 1000).toFixed(1);
-                    console.log(`\n⚡ First result in ${timeToFirst}s! (${((completedChunks / totalChunks) * 100).toFixed(1)}% complete)\n`);
+                  // Update context variables
+                  if (data.type === 'initialized') {
+                    totalChunks = data.total_chunks;
+                  }
+                  if (data.type === 'chunk_complete') {
+                    completedChunks++;
+                    if (!firstResultTime) {
+                      firstResultTime = Date.now();
+                      const timeToFirst = ((firstResultTime - startTime) / 1000).toFixed(1);
+                      console.log(`\n⚡ First result in ${timeToFirst}s! (${((completedChunks / totalChunks) * 100).toFixed(1)}% complete)\n`);
+                    }
+                  }
+                  if (data.type === 'partial_transcript') {
+                    lastPartialTranscript = data.partial_transcript;
+                  }
+                  if (data.type === 'final_result') {
+                    fullTranscript = data.final_transcript;
+                  }
+                  if (data.type === 'final_result' || data.type === 'job_terminated') {
+                    finished = true;
                   }
-                }
-                if (data.type === 'partial_transcript') {
-                  lastPartialTranscript = data.partial_transcript;
-                }
-                if (data.type === 'final_result') {
-                  fullTranscript = data.final_transcript;
-                }
                 
-              } catch (parseError) {
-                continue; // Skip invalid JSON
+                } catch (parseError) {
+                  continue; // Skip invalid JSON
+                }
               }
             }
           }
+        } catch (streamError) {
+          console.log(`\n❌ Stream error: ${streamError.message}`);
         }
         
-        // Show final summary
-        if (fullTranscript) {
-          const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-          const timeToFirst = firstResultTime ? ((firstResultTime - startTime) / 1000).toFixed(1) : 'N/A';
-          
-          console.log(`\n📊 Final Summary:`);
-          console.log(`   • Total time: ${totalTime}s`);
-          console.log(`   • Time to first result: ${timeToFirst}s`);
-          console.log(`   • Transcript length: ${fullTranscript.length} characters`);
-          console.log(`   • Chunks processed: ${completedChunks}/${totalChunks}\n`);
-          
-          // Ask to save transcript
-          try {
-            const save = await this.question('Save transcript to file? (Y/n): ');
-            if (save.trim() === '' || save.toLowerCase().startsWith('y')) {
-              const outputFilename = await this.question('Enter filename (default: chunked_transcript.txt): ');
-              const outputFile = outputFilename.trim() || 'chunked_transcript.txt';
-              
-              const fs = await import('fs');
-              fs.writeFileSync(outputFile, fullTranscript);
-              console.log(`✅ Transcript saved to: ${outputFile}`);
-            }
-          } catch (readlineError) {
-            // Auto-save if readline is closed
-            console.log(`💾 Auto-saving transcript...`);
-            const fs = await import('fs');
-            fs.writeFileSync('chunked_transcript.txt', fullTranscript);
-            console.log(`✅ Transcript auto-saved to: chunked_transcript.txt`);
+        if (!finished) {
+          if (reconnects >= maxReconnects) {
+            console.log('\n❌ Stream lost, giving up. Check the job with /chunked-upload-status.');
+            break;
           }
+          reconnects++;
+          console.log(`\n🔄 Stream dropped, reconnecting (${reconnects}/${maxReconnects})...`);
+          await new Promise(resolve => setTimeout(resolve, 2000));
         }
+      }
+      
+      console.log('\n🔚 Stream ended');
+      
+      // Show final summary
+      if (fullTranscript) {
+        const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+        const timeToFirst = firstResultTime ? ((firstResultTime - startTime) / 1000).toFixed(1) : 'N/A';
         
-      } catch (streamError) {
-        console.log(`❌ Stream error: ${streamError.message}`);
+        console.log(`\n📊 Final Summary:`);
+        console.log(`   • Total time: ${totalTime}s`);
+        console.log(`   • Time to first result: ${timeToFirst}s`);
+        console.log(`   • Transcript length: ${fullTranscript.length} characters`);
+        console.log(`   • Chunks processed: ${completedChunks}/${totalChunks}\n`);
+        
+        // Ask to save transcript
+        try {
+          const save = await this.question('Save transcript to file? (Y/n): ');
+          if (save.trim() === '' || save.toLowerCase().startsWith('y')) {
+            const outputFilename = await this.question('Enter filename (default: chunked_transcript.txt): ');
+            const outputFile = outputFilename.trim() || 'chunked_transcript.txt';
+            
+            const fs = await import('fs');
+            fs.writeFileSync(outputFile, fullTranscript);
+            console.log(`✅ Transcript saved to: ${outputFile}`);
+          }
+        } catch (readlineError) {
+          // Auto-save if readline is closed
+          console.log(`💾 Auto-saving transcript...`);
+          const fs = await import('fs');
+          fs.writeFileSync('chunked_transcript.txt', fullTranscript);
+          console.log(`✅ Transcript auto-saved to: chunked_transcript.txt`);
+        }
       }
       
     } catch (error) {
@@ -1413,6 +1588,10 @@ Video: MP4, MPEG, WEBM (audio track extracted)
         }
         console.log(`\n📝 Final transcript:`);
         console.log(`"${data.final_transcript}"\n`);
+        if (data.translated_transcript) {
+          console.log(`🌐 English translation:`);
+          console.log(`"${data.translated_transcript}"\n`);
+        }
         break;
         
       case 'job_terminated':
@@ -1496,7 +1675,7 @@ Video: MP4, MPEG, WEBM (audio track extracted)
           // Notify upload completion
           const completeResponse = await fetch(`${this.baseUrl}/chunk-upload-complete`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: this.authHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({
               parent_job_id: parentJobId,
               chunk_index: urlInfo.chunk_index,
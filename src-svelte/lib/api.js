@@ -2,6 +2,47 @@ import { jobs, API_BASE, chunkedProgress, chunkedUploadedChunks, updateChunkSlot
 import { webLogger } from './logger.js';
 import { get } from 'svelte/store';
 
+const API_KEY_STORAGE_KEY = 'groq_whisper_api_key';
+
+export function getApiKey() {
+  return localStorage.getItem(API_KEY_STORAGE_KEY);
+}
+
+export function setApiKey(apiKey) {
+  if (apiKey) {
+    localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+}
+
+/**
+ * fetch() for Worker API routes - sends the stored API key and asks for one
+ * (then retries once) when the Worker answers 401
+ */
+export async function apiFetch(path, options = {}) {
+  const send = () => {
+    const headers = new Headers(options.headers || {});
+    const apiKey = getApiKey();
+    if (apiKey) {
+      headers.set('Authorization', `Bearer ${apiKey}`);
+    }
+    return fetch(API_BASE + path, { ...options, headers });
+  };
+
+  let response = await send();
+
+  if (response.status === 401) {
+    const enteredKey = window.prompt('This server requires an API key. Enter your API key:');
+    if (enteredKey && enteredKey.trim()) {
+      setApiKey(enteredKey.trim());
+      response = await send();
+    }
+  }
+
+  return response;
+}
+
 /**
  * Determine if a local job should be kept when it doesn't exist on the server
  */
@@ -39,7 +80,7 @@ export async function fetchJobs() {
     const currentJobs = get(jobs);
     console.log('Jobs before fetch:', currentJobs.length, currentJobs.map(j => ({ id: j.job_id.slice(0, 8) + '...', method: j.processing_method })));
     
-    const response = await fetch(API_BASE + '/jobs');
+    const response = await apiFetch('/jobs');
     if (response.ok) {
       const data = await response.json();
       const serverJobs = data.jobs || [];
@@ -118,29 +159,26 @@ export async function fetchJobs() {
   }
 }
 
-export async function uploadFile(file, useLLM = false, webhookUrl = null, model = 'whisper-large-v3', chunkSizeMB = 10, debugSaveChunks = false) {
-  const formData = new FormData();
-  formData.append('file', file);
-  formData.append('use_llm', useLLM);
-  formData.append('model', model);
-  formData.append('chunk_size_mb', chunkSizeMB.toString());
-  formData.append('debug_save_chunks', debugSaveChunks.toString());
-  
-  if (webhookUrl) {
-    formData.append('webhook_url', webhookUrl);
+export async function uploadFile(file, useLLM = false, webhookUrl = null, model = 'whisper-large-v3', chunkSizeMB = 10, debugSaveChunks = false, task = 'transcribe', wordTimestamps = false, priority = 'normal', onProgress = null) {
+  const metadata = {
+    filename: file.name,
+    filetype: file.type || 'audio/*',
+    use_llm: String(useLLM),
+    model,
+    task,
+    priority,
+    chunk_size_mb: chunkSizeMB.toString(),
+    debug_save_chunks: debugSaveChunks.toString()
+  };
+  if (wordTimestamps) {
+    metadata.timestamp_granularities = 'word';
   }
-  
-  const response = await fetch(API_BASE + '/upload', {
-    method: 'POST',
-    body: formData
-  });
-  
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(error);
+  if (webhookUrl) {
+    metadata.webhook_url = webhookUrl;
   }
   
-  const result = await response.json();
+  const jobId = await uploadResumable(file, metadata, onProgress);
+  const result = { job_id: jobId, filename: file.name, file_size: file.size };
   await fetchJobs(); // Refresh the jobs list immediately
   
   // For direct uploads, set up more frequent polling to catch completion faster
@@ -186,8 +224,103 @@ export async function uploadFile(file, useLLM = false, webhookUrl = null, model
   return result;
 }
 
-export async function uploadFromUrl(url, useLLM = false, webhookUrl = null, model = 'whisper-large-v3', chunkSizeMB = 10, debugSaveChunks = false) {
-  const response = await fetch(API_BASE + '/upload-url', {
+// ============================================================================
+// RESUMABLE UPLOADS (tus 1.0, see /tus on the server)
+// ============================================================================
+
+const TUS_CHUNK_SIZE = 8 * 1024 * 1024;
+const TUS_MAX_RETRIES = 5;
+const TUS_UPLOADS_STORAGE_KEY = 'groq_whisper_tus_uploads';
+
+/**
+ * Upload a file through /tus and return its job ID. Dropped connections are
+ * retried from the server's offset, and unfinished uploads are remembered by
+ * name, size and modification time, so picking the same file again after a
+ * reload resumes it.
+ */
+async function uploadResumable(file, metadata, onProgress = null) {
+  const fingerprint = `${file.name}|${file.size}|${file.lastModified}`;
+  const uploads = JSON.parse(localStorage.getItem(TUS_UPLOADS_STORAGE_KEY) || '{}');
+  const saveUploads = () => localStorage.setItem(TUS_UPLOADS_STORAGE_KEY, JSON.stringify(uploads));
+  const tusHeaders = (headers = {}) => ({ 'Tus-Resumable': '1.0.0', ...headers });
+  const getServerOffset = async uploadPath => {
+    const response = await apiFetch(uploadPath, { method: 'HEAD', headers: tusHeaders() }).catch(() => null);
+    return response?.ok ? Number(response.headers.get('Upload-Offset')) : null;
+  };
+
+  let uploadPath = uploads[fingerprint] || null;
+  let offset = uploadPath ? await getServerOffset(uploadPath) : null;
+
+  if (offset === null) {
+    const response = await apiFetch('/tus', {
+      method: 'POST',
+      headers: tusHeaders({
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': Object.entries(metadata)
+          .map(([key, value]) => `${key} ${btoa(String.fromCharCode(...new TextEncoder().encode(value)))}`)
+          .join(',')
+      })
+    });
+    if (response.status !== 201) {
+      throw new Error(await response.text() || `Upload failed (${response.status})`);
+    }
+    uploadPath = new URL(response.headers.get('Location'), window.location.href).pathname;
+    uploads[fingerprint] = uploadPath;
+    saveUploads();
+    offset = 0;
+  } else {
+    webLogger.upload('Resuming upload', { filename: file.name, offset, size: file.size });
+  }
+
+  let retries = 0;
+  while (offset < file.size) {
+    if (onProgress) onProgress(offset, file.size);
+
+    try {
+      const response = await apiFetch(uploadPath, {
+        method: 'PATCH',
+        headers: tusHeaders({
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(offset)
+        }),
+        body: file.slice(offset, offset + TUS_CHUNK_SIZE)
+      });
+
+      if (response.status === 204) {
+        offset = Number(response.headers.get('Upload-Offset'));
+        retries = 0;
+        continue;
+      }
+      if (response.status === 404 || response.status === 410) {
+        delete uploads[fingerprint];
+        saveUploads();
+        throw Object.assign(new Error('Upload expired on the server, please try again'), { fatal: true });
+      }
+      if (response.status < 500 && response.status !== 409) {
+        throw Object.assign(new Error(await response.text() || `Upload failed (${response.status})`), { fatal: true });
+      }
+    } catch (error) {
+      if (error.fatal) throw error;
+    }
+
+    // Connection trouble: wait, then ask the server how much it kept
+    if (++retries > TUS_MAX_RETRIES) {
+      throw new Error('Upload interrupted - select the file again to resume');
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (retries - 1)));
+    offset = (await getServerOffset(uploadPath)) ?? offset;
+  }
+
+  if (onProgress) onProgress(file.size, file.size);
+  delete uploads[fingerprint];
+  saveUploads();
+
+  // The upload ID is the job ID
+  return uploadPath.split('/tus/')[1];
+}
+
+export async function uploadFromUrl(url, useLLM = false, webhookUrl = null, model = 'whisper-large-v3', chunkSizeMB = 10, debugSaveChunks = false, task = 'transcribe', wordTimestamps = false, priority = 'normal') {
+  const response = await apiFetch('/upload-url', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ 
@@ -195,6 +328,9 @@ export async function uploadFromUrl(url, useLLM = false, webhookUrl = null, mode
       use_llm: useLLM, 
       webhook_url: webhookUrl,
       model,
+      task,
+      priority,
+      ...(wordTimestamps ? { timestamp_granularities: ['word'] } : {}),
       chunk_size_mb: chunkSizeMB,
       debug_save_chunks: debugSaveChunks
     })
@@ -271,7 +407,7 @@ export async function deleteJob(jobId) {
     
     // Also try to delete from server (completed streaming jobs are saved to KV)
     // Don't await this - let it happen in background and don't fail if it errors
-    fetch(API_BASE + '/delete-job', {
+    apiFetch('/delete-job', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -294,7 +430,7 @@ export async function deleteJob(jobId) {
   }
   
   // Handle server-stored jobs
-  const response = await fetch(API_BASE + '/delete-job', {
+  const response = await apiFetch('/delete-job', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
@@ -316,6 +452,56 @@ export async function deleteJob(jobId) {
   }
 }
 
+/**
+ * Pin a finished job so retention never removes it, or unpin it
+ */
+export async function setJobPinned(jobId, pinned) {
+  const response = await apiFetch(`/jobs/${jobId}/pin`, { method: pinned ? 'POST' : 'DELETE' });
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(result.message || result.error || 'Pin failed');
+  }
+  
+  jobs.update(list => list.map(j => j.job_id === jobId ? { ...j, pinned: result.pinned } : j));
+  webLogger.info('pin', pinned ? 'Pinned job' : 'Unpinned job', { job_id: jobId });
+  return result;
+}
+
+/**
+ * Messages the processing queue gave up on (admin API key required)
+ */
+export async function fetchDeadLetters() {
+  const response = await apiFetch('/admin/dead-letters');
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(result.message || result.error || 'Could not load dead letters');
+  }
+  
+  return result.dead_letters || [];
+}
+
+/**
+ * Queue dead-lettered messages again - the given ids, or all of them when ids is null
+ */
+export async function replayDeadLetters(ids = null) {
+  const response = await apiFetch('/admin/dead-letters/replay', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(ids ? { ids } : { all: true })
+  });
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(result.failed?.[0]?.error || result.message || result.error || 'Replay failed');
+  }
+  
+  webLogger.info('dead_letters', `Replayed ${result.replayed.length} dead-lettered messages`, { failed: result.failed.length });
+  await fetchJobs();
+  return result;
+}
+
 export async function deleteAllJobs() {
   const currentJobs = get(jobs);
   
@@ -338,7 +524,7 @@ export async function deleteAllJobs() {
     
     // Try to delete streaming jobs from server (don't await, fire and forget)
     streamingJobs.forEach(job => {
-      fetch(API_BASE + '/delete-job', {
+      apiFetch('/delete-job', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ job_id: job.job_id })
@@ -357,7 +543,7 @@ export async function deleteAllJobs() {
     
     // Delete server jobs in parallel for better performance
     const deletePromises = serverJobs.map(job => 
-      fetch(API_BASE + '/delete-job', {
+      apiFetch('/delete-job', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ job_id: job.job_id })
@@ -392,7 +578,7 @@ export async function copyTranscript(jobId) {
   if (job.processing_method === 'streaming') {
     transcriptText = job.final_transcript || job.corrected_transcript || job.raw_transcript || 'No transcript available';
   } else {
-    const response = await fetch(API_BASE + '/result?job_id=' + jobId);
+    const response = await apiFetch('/result?job_id=' + jobId);
     if (response.ok) {
       const data = await response.json();
       transcriptText = data.final || 'No transcript available';
@@ -418,7 +604,7 @@ export async function copyJobJson(jobId) {
   // For non-streaming jobs, fetch full data from server
   if (job.processing_method !== 'streaming') {
     try {
-      const response = await fetch(API_BASE + '/result?job_id=' + jobId);
+      const response = await apiFetch('/result?job_id=' + jobId);
       if (response.ok) {
         const transcriptData = await response.json();
         fullJobData.transcript_data = transcriptData;
@@ -435,7 +621,7 @@ export async function copyJobJson(jobId) {
 
 export async function saveStreamingJob(job) {
   try {
-    const response = await fetch(API_BASE + '/save-streaming-job', {
+    const response = await apiFetch('/save-streaming-job', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -503,7 +689,7 @@ export async function initializeChunkedUpload(options) {
       formData.append('llm_mode', llmMode);
     }
 
-    const response = await fetch(API_BASE + '/chunked-upload-stream', {
+    const response = await apiFetch('/chunked-upload-stream', {
       method: 'POST',
       body: formData // Send as FormData to trigger new server-side chunking mode
     });
@@ -538,7 +724,7 @@ export async function initializeChunkedUpload(options) {
       payload.llm_mode = llmMode;
     }
 
-    const response = await fetch(API_BASE + '/chunked-upload-stream', {
+    const response = await apiFetch('/chunked-upload-stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload)
@@ -683,7 +869,7 @@ export async function uploadChunksInParallel(file, uploadUrls, parentJobId, maxC
       formData.append('chunk_index', urlInfo.chunk_index.toString());
       formData.append('expected_size', urlInfo.expected_size.toString());
       
-      const uploadResponse = await fetch(API_BASE + urlInfo.upload_url, {
+      const uploadResponse = await apiFetch(urlInfo.upload_url, {
         method: 'POST',
         body: formData
       });
@@ -748,13 +934,26 @@ export async function uploadChunksInParallel(file, uploadUrls, parentJobId, maxC
   return finalResults;
 }
 
+/**
+ * URL of a job's original audio for an <audio> element, which can't send
+ * headers either
+ */
+export function getAudioUrl(jobId) {
+  const apiKey = getApiKey();
+  const query = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : '';
+  return `${API_BASE}/audio?job_id=${encodeURIComponent(jobId)}${query}`;
+}
+
 export async function createChunkedStreamEventSource(parentJobId) {
-  const eventSource = new EventSource(`${API_BASE}/chunked-stream/${parentJobId}`);
+  // EventSource can't send headers, so the key goes in the query string
+  const apiKey = getApiKey();
+  const query = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+  const eventSource = new EventSource(`${API_BASE}/chunked-stream/${parentJobId}${query}`);
   return eventSource;
 }
 
 export async function retryChunkUpload(parentJobId, chunkIndex) {
-  const response = await fetch(API_BASE + '/chunked-upload-retry', {
+  const response = await apiFetch('/chunked-upload-retry', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
@@ -772,7 +971,7 @@ export async function retryChunkUpload(parentJobId, chunkIndex) {
 }
 
 export async function cancelChunkedUpload(parentJobId) {
-  const response = await fetch(API_BASE + '/chunked-upload-cancel', {
+  const response = await apiFetch('/chunked-upload-cancel', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
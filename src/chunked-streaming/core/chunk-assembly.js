@@ -1,5 +1,6 @@
-import { applyLLMCorrection } from '../../core/streaming.js';
+import { applyLLMCorrection, resolveChunkStartTime, offsetSegments } from '../../core/streaming.js';
 import { processingLogger } from '../../core/logger.js';
+import { labelSpeakers, formatSpeakerTranscript } from '../../core/diarization.js';
 
 /**
  * Chunk Assembly Logic for Chunked Upload Streaming
@@ -45,6 +46,20 @@ export class ChunkAssembler {
     // Assemble corrected transcript (if per-chunk LLM was used)
     const correctedTranscript = this.assembleCorrectedTranscript(validChunks, use_llm, llm_mode);
 
+    // English side of task 'both' jobs
+    const translatedTranscript = parentJob.task === 'both'
+      ? this.assembleTranslatedTranscript(validChunks)
+      : null;
+
+    // Place chunks on the audio timeline so segment timestamps are absolute,
+    // keeping one copy of anything two overlapping chunks both heard
+    let chunkTimeline = this.trimOverlaps(this.assembleTimeline(validChunks));
+
+    let speakerTranscript = null;
+    if (parentJob.diarize) {
+      ({ chunk_timeline: chunkTimeline, speaker_transcript: speakerTranscript } = this.assembleSpeakerTranscript(chunkTimeline));
+    }
+
     let finalTranscript = rawTranscript;
 
     // Apply post-processing LLM correction if requested
@@ -104,7 +119,11 @@ export class ChunkAssembler {
       successful_chunks: validChunks.length,
       failed_chunks: transcripts.length - validChunks.length,
       assembly_method: this.getAssemblyMethod(validChunks),
-      processing_stats: this.calculateProcessingStats(validChunks)
+      processing_stats: this.calculateProcessingStats(validChunks),
+      segments: chunkTimeline.flatMap(entry => entry.segments),
+      chunk_timeline: chunkTimeline,
+      translated_transcript: translatedTranscript,
+      speaker_transcript: speakerTranscript
     };
 
     if (streamController) {
@@ -166,8 +185,74 @@ export class ChunkAssembler {
       return '[All audio chunks were skipped - likely file contains only metadata/headers]';
     }
     
-    // Use intelligent merging to handle overlaps
-    return this.intelligentMerge(chunksWithText.map(chunk => chunk.raw_text || chunk.text));
+    const timeline = this.trimOverlaps(this.assembleTimeline(chunksWithText));
+    return this.joinTexts(chunksWithText.map((chunk, i) => this.getTimelineText(chunk, timeline[i], 'segments', chunk.raw_text || chunk.text)));
+  }
+
+  /**
+   * Assemble the English transcript of a task 'both' job the same way
+   */
+  assembleTranslatedTranscript(validChunks) {
+    const chunksWithText = validChunks.filter(chunk => !chunk.is_skipped && chunk.translated_text);
+    const timeline = this.trimOverlaps(this.assembleTimeline(chunksWithText));
+    return this.joinTexts(chunksWithText.map((chunk, i) => this.getTimelineText(chunk, timeline[i], 'translated_segments', chunk.translated_text)));
+  }
+
+  /**
+   * Work out each chunk's start time (seconds) and shift its segments to absolute times.
+   * Chunks cut server-side carry a measured start time; client-sliced chunks are
+   * estimated from their byte ranges and the durations Whisper reported.
+   */
+  assembleTimeline(validChunks) {
+    const timeline = [];
+    let lastTimedChunk = null;
+
+    for (const chunk of validChunks) {
+      let startTime;
+      if (chunk.byte_range || typeof chunk.start === 'number') {
+        const [byteStart = 0, byteEnd = 0] = chunk.byte_range || [];
+        startTime = resolveChunkStartTime({ start: byteStart, end: byteEnd, startTime: chunk.start }, lastTimedChunk);
+      } else {
+        startTime = lastTimedChunk ? lastTimedChunk.startTime + lastTimedChunk.duration : 0;
+      }
+
+      // Skipped chunks report no duration, so they can't anchor later estimates
+      if (chunk.duration > 0) {
+        lastTimedChunk = {
+          start: chunk.byte_range?.[0] ?? 0,
+          end: chunk.byte_range?.[1] ?? 0,
+          startTime,
+          duration: chunk.duration
+        };
+      }
+
+      timeline.push({
+        chunk_index: chunk.chunk_index,
+        start: startTime,
+        duration: chunk.duration || 0,
+        segments: offsetSegments(chunk.segments, startTime),
+        ...(chunk.translated_segments ? { translated_segments: offsetSegments(chunk.translated_segments, startTime) } : {}),
+        ...(chunk.corrected_segments ? { corrected_segments: offsetSegments(chunk.corrected_segments, startTime) } : {}),
+        ...(chunk.words ? { words: offsetSegments(chunk.words, startTime) } : {}),
+        ...(chunk.speaker_turns ? { speaker_turns: chunk.speaker_turns } : {})
+      });
+    }
+
+    return timeline;
+  }
+
+  /**
+   * Map each chunk's local speakers onto job-wide "Speaker N" labels and
+   * render the labelled transcript. Expects timeline entries (absolute
+   * segments, chunk-relative speaker_turns) in chunk order.
+   */
+  assembleSpeakerTranscript(chunkTimeline) {
+    const labelled = labelSpeakers(chunkTimeline);
+
+    return {
+      chunk_timeline: labelled,
+      speaker_transcript: formatSpeakerTranscript(labelled.flatMap(entry => entry.segments))
+    };
   }
 
   /**
@@ -183,61 +268,68 @@ export class ChunkAssembler {
       return '[All audio chunks were skipped - no LLM correction applied]';
     }
     
-    const correctedTexts = chunksWithText.map(chunk => chunk.corrected_text || chunk.text);
-    return this.intelligentMerge(correctedTexts);
+    // Chunks corrected segment by segment are trimmed like the raw segments.
+    // Corrected text without segments can't be cut by time, so a chunk whose
+    // overlap was trimmed uses its trimmed raw text instead
+    const timeline = this.trimOverlaps(this.assembleTimeline(chunksWithText));
+    return this.joinTexts(chunksWithText.map((chunk, i) => {
+      if (chunk.corrected_segments?.length) {
+        return this.getTimelineText(chunk, timeline[i], 'corrected_segments', chunk.corrected_text);
+      }
+      const trimmed = timeline[i].segments.length < (chunk.segments?.length || 0);
+      return trimmed ? this.getTimelineText(chunk, timeline[i], 'segments', chunk.text) : (chunk.corrected_text || chunk.text);
+    }));
   }
 
   /**
-   * Intelligent merge that handles overlaps and transitions between chunks
+   * Drop what neighbouring chunks both transcribed. Chunks cut with an audio
+   * overlap share a stretch of time; each keeps the segments whose midpoint
+   * falls on its side of the middle of that stretch. Expects timeline entries
+   * (absolute segments, start, duration) in chunk order; chunks that don't
+   * overlap are left as they are.
    */
-  intelligentMerge(textArray) {
-    if (textArray.length === 0) return '';
-    if (textArray.length === 1) return textArray[0] || '';
-    
-    let merged = textArray[0] || '';
-    
-    for (let i = 1; i < textArray.length; i++) {
-      const currentText = textArray[i] || '';
-      if (!currentText) continue;
-      
-      // Try to find overlap between end of merged and start of current
-      const overlap = this.findOverlap(merged, currentText);
-      
-      if (overlap.length > 0) {
-        // Remove overlap from current text and merge
-        const remainingText = currentText.substring(overlap.length);
-        merged += (remainingText ? ' ' + remainingText : '');
-      } else {
-        // No overlap found, just join with space
-        merged += ' ' + currentText;
-      }
-    }
-    
-    // Clean up extra spaces
-    return merged.replace(/\s+/g, ' ').trim();
+  trimOverlaps(timeline) {
+    return timeline.map((entry, i) => {
+      const from = i > 0 ? this.getSeam(timeline[i - 1], entry) : null;
+      const to = i < timeline.length - 1 ? this.getSeam(entry, timeline[i + 1]) : null;
+      const side = item => {
+        const middle = ((item.start || 0) + (item.end || 0)) / 2;
+        if (from !== null && middle < from) return 'head';
+        if (to !== null && middle >= to) return 'tail';
+        return 'keep';
+      };
+      return {
+        ...entry,
+        segments: (entry.segments || []).filter(segment => side(segment) === 'keep'),
+        ...(entry.translated_segments ? { translated_segments: entry.translated_segments.filter(segment => side(segment) === 'keep') } : {}),
+        ...(entry.corrected_segments ? { corrected_segments: entry.corrected_segments.filter(segment => side(segment) === 'keep') } : {}),
+        ...(entry.words ? { words: entry.words.filter(word => side(word) === 'keep') } : {})
+      };
+    });
   }
 
   /**
-   * Find overlap between end of first text and start of second text
+   * Middle of the audio two consecutive chunks share, or null if they don't
    */
-  findOverlap(text1, text2) {
-    const words1 = text1.split(' ');
-    const words2 = text2.split(' ');
-    
-    // Look for overlap of 1-5 words
-    const maxOverlap = Math.min(5, words1.length, words2.length);
-    
-    for (let overlapLength = maxOverlap; overlapLength >= 1; overlapLength--) {
-      const endWords = words1.slice(-overlapLength).join(' ');
-      const startWords = words2.slice(0, overlapLength).join(' ');
-      
-      // Case-insensitive comparison
-      if (endWords.toLowerCase() === startWords.toLowerCase()) {
-        return words2.slice(0, overlapLength).join(' ');
-      }
-    }
-    
-    return '';
+  getSeam(previous, next) {
+    const previousEnd = previous.start + (previous.duration || 0);
+    return next.start < previousEnd ? (next.start + previousEnd) / 2 : null;
+  }
+
+  /**
+   * Text of a chunk rebuilt from the segments its trimmed timeline entry kept.
+   * Chunks transcribed without segments can't be trimmed and keep their full text.
+   */
+  getTimelineText(chunk, entry, field, fallbackText) {
+    if (!chunk[field]?.length) return fallbackText || '';
+    return entry[field].map(segment => (segment.text || '').trim()).join(' ');
+  }
+
+  /**
+   * Join chunk texts with single spaces
+   */
+  joinTexts(texts) {
+    return texts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
   }
 
   /**
@@ -344,7 +436,7 @@ export class ChunkAssembler {
       }
     }
     
-    return hasGaps ? 'intelligent_merge_with_gaps' : 'intelligent_merge_sequential';
+    return hasGaps ? 'timestamp_merge_with_gaps' : 'timestamp_merge_sequential';
   }
 
   /**
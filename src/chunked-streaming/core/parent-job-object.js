@@ -0,0 +1,949 @@
+import { apiLogger } from '../../core/logger.js';
+import { Semaphore } from '../../core/semaphore.js';
+import { ChunkAssembler } from './chunk-assembly.js';
+import { putJobRecord, removeActiveJob } from '../../core/job-index.js';
+
+// ============================================================================
+// PARENT JOB DURABLE OBJECT - the single writer for a chunked upload's state
+// ============================================================================
+
+/**
+ * Every chunk of a chunked upload reports back to the same parent job, and
+ * doing that as KV get -> mutate -> put from several Workers at once loses
+ * updates. One ParentJobObject per parent job owns the record instead:
+ *
+ * - operations run one at a time against the object's storage
+ * - every change is written through to KV, so routes that only read jobs
+ *   (/jobs, /status, /result, auth checks) keep working unchanged
+ * - it is the job's event channel: chunk results and the final outcome are
+ *   published to SSE subscribers as they happen, and kept in an event log so
+ *   a reconnecting client can resume from its Last-Event-ID
+ *
+ * ParentJobManager is the only caller. It reaches the object through the
+ * PARENT_JOBS binding, which is required. Tests bind
+ * createLocalParentJobNamespace() instead - an in-memory stand-in with the
+ * same idFromName()/get()/fetch() surface.
+ */
+
+
+// Large values are stored apart from the job record to stay under the storage
+// value size limit: arrays one entry per key, transcripts in pieces. An entry
+// too big for one key (a long chunk's words) is stored as JSON in pieces too.
+const ENTRY_FIELDS = ['transcripts', 'groq_traces', 'segments'];
+const TEXT_FIELDS = ['final_transcript', 'raw_transcript', 'corrected_transcript', 'translated_transcript', 'speaker_transcript'];
+const TEXT_PIECE_LENGTH = 32 * 1024; // Characters, so at most 64KB as UTF-16
+
+// What records saved before segments and transcripts moved out kept apart
+const LEGACY_SPLIT_FIELDS = ['transcripts', 'groq_traces'];
+
+// Storage accepts at most 128 keys per put/delete
+const STORAGE_BATCH_SIZE = 128;
+
+const TERMINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Event log keys sort in publish order
+const EVENT_KEY_PREFIX = 'events:';
+const eventKey = id => `${EVENT_KEY_PREFIX}${String(id).padStart(10, '0')}`;
+
+// Operations callable through fetch(), see ParentJobManager
+const OPERATIONS = new Set([
+  'createParentJob',
+  'getParentJob',
+  'updateParentJob',
+  'addSubJob',
+  'updateChunkUploaded',
+  'updateChunkCompleted',
+  'updateChunkFailed',
+  'checkAndStartAssembly',
+  'completeParentJob',
+  'recordCompletedChunk',
+  'reopenChunk',
+  'deleteParentJob'
+]);
+
+export class ParentJobObject {
+  constructor(state, env) {
+    this.storage = state.storage;
+    this.env = env;
+    this.job = null; // Loaded on first use, then kept in memory
+    this.job_id = null;
+    this.storedValues = new Map(); // storage key -> JSON last written, so saves only rewrite what changed
+    this.lock = new Semaphore(1);
+    this.subscribers = new Set();
+    this.lastEventId = null; // Id of the newest logged event, loaded with the job
+    this.lastStatus = null; // Status as of the last save, to spot terminal transitions
+    this.lastAssembledIndex = -1; // Last chunk included in a pushed partial_transcript
+  }
+
+  /**
+   * POST /<operation> { job_id, args }   -> { result } or { error }
+   * GET  /subscribe?job_id=uuid&after=n  -> SSE stream of this job's events,
+   *                                         replaying logged events after id n
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+    const operation = url.pathname.slice(1);
+
+    if (operation === 'subscribe' && request.method === 'GET') {
+      const release = await this.lock.acquire();
+      try {
+        return await this.subscribe(url.searchParams.get('job_id'), url.searchParams.get('after'));
+      } finally {
+        release();
+      }
+    }
+
+    if (!OPERATIONS.has(operation) || request.method !== 'POST') {
+      return jsonResponse({ error: `Unknown parent job operation: ${operation}` }, 404);
+    }
+
+    const { job_id, args = [] } = await request.json();
+
+    // Each operation sees the result of the one before it
+    const release = await this.lock.acquire();
+    try {
+      const result = await this[operation](job_id, ...args);
+      return jsonResponse({ result: result ?? null });
+    } catch (error) {
+      return jsonResponse({ error: error.message }, error.status || 500);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Storage outlives KV's TTL unless it is cleared too. Fires when the KV
+   * record expires; pinned jobs have no alarm.
+   */
+  async alarm() {
+    await this.storage.deleteAll();
+    this.reset();
+  }
+
+  // ==========================================================================
+  // OPERATIONS
+  // ==========================================================================
+
+  async createParentJob(job_id, parentJob) {
+    this.job_id = job_id;
+    this.job = parentJob;
+    this.lastEventId = 0;
+    this.lastStatus = parentJob.status;
+    await this.save();
+    return this.job;
+  }
+
+  async getParentJob(job_id) {
+    return await this.load(job_id);
+  }
+
+  async updateParentJob(job_id, updates) {
+    const parentJob = await this.load(job_id);
+    Object.assign(parentJob, updates);
+    await this.save();
+    return parentJob;
+  }
+
+  async addSubJob(job_id, sub_job_id, chunk_index) {
+    const parentJob = await this.load(job_id);
+
+    // Ensure the sub_jobs array has enough slots
+    while (parentJob.sub_jobs.length <= chunk_index) {
+      parentJob.sub_jobs.push(null);
+    }
+
+    // Store the sub_job_id at the correct chunk index position
+    parentJob.sub_jobs[chunk_index] = sub_job_id;
+    await this.save();
+
+    apiLogger.debug('Added sub-job to parent', {
+      parent_job_id: job_id,
+      sub_job_id,
+      chunk_index,
+      total_sub_jobs: parentJob.sub_jobs.filter(id => id !== null).length
+    });
+
+    return parentJob;
+  }
+
+  async updateChunkUploaded(job_id, chunk_index) {
+    const parentJob = await this.load(job_id);
+
+    // Ensure we have the uploaded_chunk_flags array (for backward compatibility)
+    if (!parentJob.uploaded_chunk_flags) {
+      parentJob.uploaded_chunk_flags = new Array(parentJob.total_chunks).fill(false);
+    }
+
+    // Mark this specific chunk as uploaded
+    if (chunk_index >= 0 && chunk_index < parentJob.uploaded_chunk_flags.length) {
+      parentJob.uploaded_chunk_flags[chunk_index] = true;
+    }
+
+    // Calculate accurate upload count and progress
+    const actualUploadedCount = parentJob.uploaded_chunk_flags.filter(uploaded => uploaded).length;
+    parentJob.uploaded_chunks = actualUploadedCount;
+    parentJob.upload_progress = Math.round((actualUploadedCount / parentJob.total_chunks) * 100);
+
+    // Transition to processing if not already
+    if (parentJob.status === 'uploading' && parentJob.uploaded_chunks > 0) {
+      parentJob.status = 'processing';
+      parentJob.processing_started_at = new Date().toISOString();
+    }
+
+    await this.save();
+
+    apiLogger.info('upload', `Chunk ${chunk_index} uploaded`, {
+      parent_job_id: job_id,
+      chunk_index,
+      uploaded_chunks: actualUploadedCount,
+      total_chunks: parentJob.total_chunks,
+      upload_progress: parentJob.upload_progress
+    });
+
+    return parentJob;
+  }
+
+  async updateChunkCompleted(job_id, chunk_index, chunk_result) {
+    const parentJob = await this.load(job_id);
+
+    // Ensure we have the completed_chunk_flags array (for backward compatibility)
+    if (!parentJob.completed_chunk_flags) {
+      parentJob.completed_chunk_flags = new Array(parentJob.total_chunks).fill(false);
+    }
+
+    // A retried chunk only replaces its result, it is never counted twice
+    if (parentJob.completed_chunk_flags[chunk_index]) {
+      apiLogger.info('chunk', `Chunk ${chunk_index} already counted, updating result only`, {
+        parent_job_id: job_id,
+        chunk_index,
+        current_completed_count: parentJob.completed_chunks
+      });
+
+      setEntry(parentJob.transcripts, chunk_index, chunk_result);
+      await this.save();
+      return parentJob;
+    }
+
+    // Check if chunk has valid text or is intentionally skipped
+    const hasValidText = chunk_result && chunk_result.text && chunk_result.text.trim().length > 0;
+    const isSkipped = chunk_result && chunk_result.skipped === true;
+
+    // An earlier failed attempt stops counting once a retry gets a result
+    clearChunkFailure(parentJob, chunk_index);
+
+    if (hasValidText || isSkipped) {
+      parentJob.completed_chunks++;
+      parentJob.completed_chunk_flags[chunk_index] = true;
+
+      if (isSkipped) {
+        apiLogger.info('chunk', `Chunk ${chunk_index + 1}/${parentJob.total_chunks} skipped (${chunk_result.skip_reason || 'Unknown reason'})`, {
+          parent_job_id: job_id,
+          chunk_index,
+          progress: parentJob.progress,
+          transcript_length: 0,
+          has_valid_text: false,
+          is_skipped: true,
+          skip_reason: chunk_result.skip_reason
+        });
+      }
+    } else {
+      // Chunk processed but produced no text and wasn't intentionally skipped - count as failed
+      parentJob.failed_chunks++;
+      parentJob.completed_chunk_flags[chunk_index] = true; // Mark as counted to prevent retry double-counting
+    }
+
+    // Calculate success rate after updating counters
+    const totalProcessed = parentJob.completed_chunks + parentJob.failed_chunks;
+    if (totalProcessed > 0) {
+      parentJob.success_rate = Math.round((parentJob.completed_chunks / totalProcessed) * 100);
+    }
+
+    parentJob.processing_progress = Math.round((parentJob.completed_chunks / parentJob.total_chunks) * 100);
+    parentJob.progress = Math.round((parentJob.processing_progress + parentJob.upload_progress) / 2);
+
+    // Track first completion
+    if (!parentJob.first_chunk_completed_at) {
+      parentJob.first_chunk_completed_at = new Date().toISOString();
+    }
+
+    // Failed chunks are kept, marked for assembly
+    setEntry(parentJob.transcripts, chunk_index, hasValidText || isSkipped ? chunk_result : {
+      ...chunk_result,
+      failed: true,
+      error: 'No transcribed text produced',
+      chunk_index
+    });
+
+    if (chunk_result.segments) {
+      parentJob.total_segments += chunk_result.segments.length;
+    }
+
+    await this.save();
+
+    // Skipped chunks were logged above
+    if (!isSkipped) {
+      apiLogger.info('chunk', `Chunk ${chunk_index + 1}/${parentJob.total_chunks} ${hasValidText ? 'completed' : 'processed (no text)'}`, {
+        parent_job_id: job_id,
+        chunk_index,
+        progress: parentJob.progress,
+        transcript_length: chunk_result?.text?.length || 0,
+        has_valid_text: hasValidText,
+        total_completed: parentJob.completed_chunks,
+        total_failed: parentJob.failed_chunks
+      });
+    }
+
+    await this.publishChunkResult(chunk_index);
+    return parentJob;
+  }
+
+  async updateChunkFailed(job_id, chunk_index, error_message) {
+    const parentJob = await this.load(job_id);
+
+    // A chunk that already has a result keeps it
+    if (parentJob.completed_chunk_flags?.[chunk_index]) {
+      return parentJob;
+    }
+
+    // Every failed attempt reports here, but the chunk only counts once
+    if (!parentJob.transcripts[chunk_index]?.failed) {
+      parentJob.failed_chunks++;
+    }
+    parentJob.success_rate = Math.round(((parentJob.completed_chunks) / (parentJob.completed_chunks + parentJob.failed_chunks)) * 100);
+
+    setEntry(parentJob.transcripts, chunk_index, {
+      error: error_message,
+      failed: true,
+      chunk_index
+    });
+
+    await this.save();
+
+    apiLogger.error(`Chunk ${chunk_index + 1} failed`, new Error(error_message), {
+      parent_job_id: job_id,
+      chunk_index,
+      failed_chunks: parentJob.failed_chunks
+    });
+
+    await this.publishChunkResult(chunk_index);
+    return parentJob;
+  }
+
+  /**
+   * Move to 'assembling' once every chunk is accounted for. Only the first
+   * caller gets true, so exactly one Worker assembles the job.
+   */
+  async checkAndStartAssembly(job_id) {
+    const parentJob = await this.load(job_id);
+
+    const totalProcessed = parentJob.completed_chunks + parentJob.failed_chunks;
+    const isComplete = totalProcessed >= parentJob.total_chunks;
+
+    if (!isComplete || parentJob.status === 'assembling' || parentJob.status === 'done') {
+      return false;
+    }
+
+    parentJob.status = 'assembling';
+    parentJob.assembly_started_at = new Date().toISOString();
+    await this.save();
+
+    apiLogger.info('assembly', 'Starting final assembly of chunked upload', {
+      parent_job_id: job_id,
+      completed_chunks: parentJob.completed_chunks,
+      failed_chunks: parentJob.failed_chunks,
+      success_rate: parentJob.success_rate
+    });
+
+    return true;
+  }
+
+  async completeParentJob(job_id, assembledResults) {
+    const parentJob = await this.load(job_id);
+
+    parentJob.status = 'done';
+    parentJob.completed_at = new Date().toISOString();
+    parentJob.progress = 100;
+
+    // Store assembled results
+    parentJob.final_transcript = assembledResults.final_transcript;
+    parentJob.raw_transcript = assembledResults.raw_transcript;
+    parentJob.corrected_transcript = assembledResults.corrected_transcript;
+
+    parentJob.segments = assembledResults.segments || [];
+    if (assembledResults.translated_transcript != null) {
+      parentJob.translated_transcript = assembledResults.translated_transcript;
+    }
+    if (assembledResults.speaker_transcript != null) {
+      parentJob.speaker_transcript = assembledResults.speaker_transcript;
+    }
+
+    // Chunk results keep chunk-relative timestamps until assembly places them
+    for (const entry of assembledResults.chunk_timeline || []) {
+      const chunk = parentJob.transcripts[entry.chunk_index];
+      if (chunk) {
+        parentJob.transcripts[entry.chunk_index] = {
+          ...chunk,
+          start: entry.start,
+          segments: entry.segments,
+          ...(entry.translated_segments ? { translated_segments: entry.translated_segments } : {}),
+          ...(entry.corrected_segments ? { corrected_segments: entry.corrected_segments } : {}),
+          ...(entry.words ? { words: entry.words } : {}),
+          ...(entry.speaker_turns ? { speaker_turns: entry.speaker_turns } : {})
+        };
+      }
+    }
+
+    // Calculate final success rate (successful chunks with actual text)
+    const totalProcessed = parentJob.completed_chunks + parentJob.failed_chunks;
+    parentJob.success_rate = totalProcessed > 0
+      ? Math.round((parentJob.completed_chunks / totalProcessed) * 100)
+      : 0;
+
+    await this.save();
+
+    apiLogger.complete('Chunked upload streaming job completed', {
+      parent_job_id: job_id,
+      filename: parentJob.filename,
+      total_chunks: parentJob.total_chunks,
+      completed_chunks: parentJob.completed_chunks,
+      failed_chunks: parentJob.failed_chunks,
+      success_rate: parentJob.success_rate,
+      transcript_length: assembledResults.final_transcript?.length || 0,
+      assembly_successful_chunks: assembledResults.successful_chunks,
+      assembly_failed_chunks: assembledResults.failed_chunks
+    });
+
+    return parentJob;
+  }
+
+  /**
+   * The bookkeeping half of ParentJobManager.processCompletedChunk
+   * @returns {{ parentJob: Object, already_completed: boolean }}
+   */
+  async recordCompletedChunk(job_id, chunk_result) {
+    const parentJob = await this.load(job_id);
+    const chunk_index = chunk_result.chunk_index;
+
+    // Ensure we have the completed_chunk_flags array (for backward compatibility)
+    if (!parentJob.completed_chunk_flags) {
+      parentJob.completed_chunk_flags = new Array(parentJob.total_chunks).fill(false);
+    }
+
+    if (parentJob.completed_chunk_flags[chunk_index]) {
+      return { parentJob, already_completed: true };
+    }
+
+    clearChunkFailure(parentJob, chunk_index);
+    parentJob.completed_chunk_flags[chunk_index] = true;
+    parentJob.completed_chunks++;
+
+    // The raw provider response goes to groq_traces only, rather than doubling the entry
+    const { groq_response, ...result } = chunk_result;
+    setEntry(parentJob.transcripts, chunk_index, {
+      ...result,
+      completed_at: new Date().toISOString(),
+      model: chunk_result.model || parentJob.model || 'whisper-large-v3'
+    });
+
+    if (groq_response) {
+      parentJob.groq_traces.push({
+        chunk_index,
+        timestamp: new Date().toISOString(),
+        response: groq_response
+      });
+    }
+
+    parentJob.processing_progress = Math.round((parentJob.completed_chunks / parentJob.total_chunks) * 100);
+    parentJob.progress = Math.round((parentJob.upload_progress + parentJob.processing_progress) / 2);
+
+    await this.save();
+    await this.publishChunkResult(chunk_index);
+    return { parentJob, already_completed: false };
+  }
+
+  /**
+   * Give a failed chunk another go (a replayed dead letter): it stops counting
+   * as failed, and a job that was already assembled without it goes back to
+   * processing so it is assembled again once the chunk finishes
+   */
+  async reopenChunk(job_id, chunk_index) {
+    const parentJob = await this.load(job_id);
+    if (!parentJob.transcripts[chunk_index]?.failed) {
+      return parentJob;
+    }
+
+    clearChunkFailure(parentJob, chunk_index);
+    if (parentJob.completed_chunk_flags) {
+      parentJob.completed_chunk_flags[chunk_index] = false;
+    }
+    parentJob.transcripts[chunk_index] = null;
+
+    const totalProcessed = parentJob.completed_chunks + parentJob.failed_chunks;
+    parentJob.success_rate = totalProcessed > 0 ? Math.round((parentJob.completed_chunks / totalProcessed) * 100) : 0;
+
+    if (parentJob.status === 'done' || parentJob.status === 'failed') {
+      parentJob.status = 'processing';
+      parentJob.completed_at = null;
+      parentJob.error = null;
+    }
+    parentJob.processing_progress = Math.round((parentJob.completed_chunks / parentJob.total_chunks) * 100);
+    parentJob.progress = Math.round((parentJob.processing_progress + parentJob.upload_progress) / 2);
+
+    await this.save();
+
+    apiLogger.info('chunk', `Chunk ${chunk_index + 1} reopened for another attempt`, {
+      parent_job_id: job_id,
+      chunk_index,
+      status: parentJob.status,
+      failed_chunks: parentJob.failed_chunks
+    });
+
+    return parentJob;
+  }
+
+  async deleteParentJob(job_id) {
+    await this.storage.deleteAll();
+    await this.env.GROQ_JOBS_KV.delete(job_id);
+    await removeActiveJob(this.env, job_id);
+    this.reset();
+    return true;
+  }
+
+  // ==========================================================================
+  // STORAGE
+  // ==========================================================================
+
+  async load(job_id) {
+    if (this.job) return this.job;
+
+    this.job_id = job_id;
+    const stored = await this.storage.get('job');
+
+    if (stored) {
+      this.storedValues.set('job', JSON.stringify(stored));
+      this.lastEventId = (await this.storage.get('last_event_id')) || 0;
+      this.lastStatus = stored.status;
+      const splitFields = stored.split_fields || LEGACY_SPLIT_FIELDS;
+      delete stored.split_fields;
+      for (const field of splitFields) {
+        const entries = await this.storage.list({ prefix: `${field}:` });
+        const values = [];
+        const pieces = []; // Entries stored as JSON pieces, by index
+        for (const [key, value] of entries) {
+          const [index, piece] = key.slice(field.length + 1).split(':').map(Number);
+          if (piece === undefined) {
+            values[index] = value;
+          } else {
+            pieces[index] = pieces[index] || [];
+            pieces[index][piece] = value;
+          }
+          this.storedValues.set(key, JSON.stringify(value));
+        }
+        pieces.forEach((json, index) => {
+          values[index] = JSON.parse(json.join(''));
+        });
+        stored[field] = TEXT_FIELDS.includes(field)
+          ? values.join('')
+          : Array.from(values, entry => entry ?? null);
+      }
+      this.job = stored;
+      return this.job;
+    }
+
+    // Jobs created before parent jobs moved here only exist in KV
+    const jobData = await this.env.GROQ_JOBS_KV.get(job_id);
+    if (!jobData) {
+      const error = new Error(`Parent job ${job_id} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    this.job = JSON.parse(jobData);
+    this.lastEventId = 0;
+    this.lastStatus = this.job.status;
+    return this.job;
+  }
+
+  reset() {
+    this.job = null;
+    this.storedValues.clear();
+    this.lastEventId = null;
+    this.lastStatus = null;
+    this.lastAssembledIndex = -1;
+    this.closeSubscribers();
+  }
+
+  /**
+   * Persist the record (only the keys that changed), mirror it to KV and tell
+   * subscribers. Reaching a final status publishes the job's last event.
+   */
+  async save() {
+    const values = new Map();
+    const { ...meta } = this.job;
+    meta.split_fields = [];
+    for (const field of ENTRY_FIELDS) {
+      if (!Array.isArray(this.job[field])) continue;
+      delete meta[field];
+      meta.split_fields.push(field);
+      this.job[field].forEach((entry, index) => {
+        if (entry == null) return;
+        const json = JSON.stringify(entry);
+        if (json.length <= TEXT_PIECE_LENGTH) {
+          values.set(`${field}:${index}`, entry);
+          return;
+        }
+        for (let piece = 0; piece * TEXT_PIECE_LENGTH < json.length; piece++) {
+          values.set(`${field}:${index}:${piece}`, json.slice(piece * TEXT_PIECE_LENGTH, (piece + 1) * TEXT_PIECE_LENGTH));
+        }
+      });
+    }
+    for (const field of TEXT_FIELDS) {
+      if (typeof this.job[field] !== 'string') continue;
+      delete meta[field];
+      meta.split_fields.push(field);
+      // An empty transcript is still one piece, so it loads as '' rather than missing
+      for (let index = 0; index === 0 || index * TEXT_PIECE_LENGTH < this.job[field].length; index++) {
+        values.set(`${field}:${index}`, this.job[field].slice(index * TEXT_PIECE_LENGTH, (index + 1) * TEXT_PIECE_LENGTH));
+      }
+    }
+    values.set('job', meta);
+
+    const changed = [];
+    const written = new Map();
+    for (const [key, value] of values) {
+      const json = JSON.stringify(value);
+      written.set(key, json);
+      if (this.storedValues.get(key) !== json) changed.push([key, value]);
+    }
+    const removed = [...this.storedValues.keys()].filter(key => !written.has(key));
+
+    for (let i = 0; i < changed.length; i += STORAGE_BATCH_SIZE) {
+      await this.storage.put(Object.fromEntries(changed.slice(i, i + STORAGE_BATCH_SIZE)));
+    }
+    for (let i = 0; i < removed.length; i += STORAGE_BATCH_SIZE) {
+      await this.storage.delete(removed.slice(i, i + STORAGE_BATCH_SIZE));
+    }
+    this.storedValues = written;
+
+    const putOptions = await putJobRecord(this.env, this.job_id, this.job);
+    if (putOptions.expirationTtl) {
+      await this.storage.setAlarm(Date.now() + putOptions.expirationTtl * 1000);
+    } else {
+      await this.storage.deleteAlarm();
+    }
+
+    this.push(encodeEvent('progress_update', getProgressSnapshot(this.job)));
+
+    const reachedFinalStatus = TERMINAL_STATUSES.includes(this.job.status) && this.job.status !== this.lastStatus;
+    this.lastStatus = this.job.status;
+    if (reachedFinalStatus) {
+      await this.publish(...getFinalEvent(this.job));
+      this.closeSubscribers();
+    }
+  }
+
+  // ==========================================================================
+  // EVENTS
+  // ==========================================================================
+
+  /**
+   * Log an event and send it to every subscriber. Logged events carry an SSE
+   * id, which is what clients resume from.
+   */
+  async publish(type, data) {
+    const id = this.lastEventId + 1;
+    const event = { type, timestamp: new Date().toISOString(), parent_job_id: this.job_id, ...data };
+
+    await this.storage.put({ [eventKey(id)]: event, last_event_id: id });
+    this.lastEventId = id;
+
+    this.push(encodeLoggedEvent(id, event));
+  }
+
+  /**
+   * chunk_complete or chunk_failed for a chunk that just got its result,
+   * then the longer partial transcript if the chunk extended it
+   */
+  async publishChunkResult(chunk_index) {
+    const chunk = this.job.transcripts[chunk_index];
+
+    if (chunk && chunk.failed) {
+      await this.publish('chunk_failed', { chunk_index, error: chunk.error });
+    } else if (chunk && chunk.text) {
+      await this.publish('chunk_complete', {
+        chunk_index,
+        text: chunk.text,
+        raw_text: chunk.raw_text || chunk.text,
+        corrected_text: chunk.corrected_text,
+        llm_applied: chunk.llm_applied || false,
+        processing_time: chunk.processing_time || 0
+      });
+    }
+
+    const partialTranscript = getPartialTranscriptEvent(this.job, this.lastAssembledIndex);
+    if (partialTranscript) {
+      this.lastAssembledIndex = partialTranscript.last_assembled_index;
+      this.push(encodeEvent('partial_transcript', partialTranscript));
+    }
+  }
+
+  /**
+   * The job's event stream: current progress and partial transcript, every
+   * logged event after `after`, then live events until the job finishes.
+   * 204 when the job is finished and the caller has already seen everything,
+   * which tells EventSource not to reconnect.
+   */
+  async subscribe(job_id, after = null) {
+    let parentJob;
+    try {
+      parentJob = await this.load(job_id);
+    } catch (error) {
+      return jsonResponse({ error: error.message }, error.status || 500);
+    }
+
+    const lastSeenId = Math.max(0, Number.parseInt(after, 10) || 0);
+    const finished = TERMINAL_STATUSES.includes(parentJob.status);
+    if (finished && after != null && lastSeenId >= this.lastEventId) {
+      return new Response(null, { status: 204 });
+    }
+
+    const missed = await this.storage.list({ prefix: EVENT_KEY_PREFIX, start: eventKey(lastSeenId + 1) });
+    const partialTranscript = getPartialTranscriptEvent(parentJob);
+
+    let subscriber;
+    const stream = new ReadableStream({
+      start: controller => {
+        subscriber = controller;
+        controller.enqueue(encodeEvent('progress_update', getProgressSnapshot(parentJob)));
+        if (partialTranscript) {
+          controller.enqueue(encodeEvent('partial_transcript', partialTranscript));
+        }
+        for (const [key, event] of missed) {
+          controller.enqueue(encodeLoggedEvent(Number(key.slice(EVENT_KEY_PREFIX.length)), event));
+        }
+
+        if (finished) {
+          controller.close();
+        } else {
+          this.subscribers.add(controller);
+        }
+      },
+      cancel: () => {
+        this.subscribers.delete(subscriber);
+      }
+    });
+
+    return new Response(stream, {
+      headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+    });
+  }
+
+  push(encodedEvent) {
+    for (const controller of this.subscribers) {
+      try {
+        controller.enqueue(encodedEvent);
+      } catch (error) {
+        this.subscribers.delete(controller);
+      }
+    }
+  }
+
+  closeSubscribers() {
+    for (const controller of this.subscribers) {
+      try {
+        controller.close();
+      } catch (error) {
+        // Already closed by the reader
+      }
+    }
+    this.subscribers.clear();
+  }
+}
+
+/**
+ * The progress fields chunked-stream clients render
+ */
+export function getProgressSnapshot(parentJob) {
+  return {
+    parent_job_id: parentJob.job_id,
+    status: parentJob.status,
+    progress: parentJob.progress,
+    upload_progress: parentJob.upload_progress,
+    processing_progress: parentJob.processing_progress,
+    uploaded_chunks: parentJob.uploaded_chunks,
+    completed_chunks: parentJob.completed_chunks,
+    failed_chunks: parentJob.failed_chunks,
+    success_rate: parentJob.success_rate || 0
+  };
+}
+
+/**
+ * final_result for a finished job, job_terminated for a failed or cancelled one
+ */
+function getFinalEvent(parentJob) {
+  if (parentJob.status !== 'done') {
+    return ['job_terminated', {
+      status: parentJob.status,
+      reason: parentJob.error || parentJob.cancellation_reason || 'Unknown',
+      partial_results: parentJob.transcripts ? {
+        completed_chunks: parentJob.completed_chunks,
+        partial_transcript: new ChunkAssembler().getStreamingAssembly(parentJob.transcripts).partialTranscript
+      } : null
+    }];
+  }
+
+  return ['final_result', {
+    status: 'completed',
+    final_transcript: parentJob.final_transcript,
+    raw_transcript: parentJob.raw_transcript,
+    corrected_transcript: parentJob.corrected_transcript,
+    translated_transcript: parentJob.translated_transcript ?? null,
+    total_chunks: parentJob.total_chunks,
+    successful_chunks: parentJob.completed_chunks,
+    failed_chunks: parentJob.failed_chunks,
+    success_rate: parentJob.success_rate,
+    processing_method: parentJob.processing_method,
+    total_segments: parentJob.total_segments,
+    completion_time: parentJob.completed_at,
+    processing_stats: {
+      total_processing_time: new Date(parentJob.completed_at).getTime() - new Date(parentJob.processing_started_at).getTime(),
+      chunks_processed: parentJob.completed_chunks,
+      chunks_failed: parentJob.failed_chunks
+    }
+  }];
+}
+
+/**
+ * The transcript of the chunks finished so far from the start of the file,
+ * or null when nothing past lastAssembledIndex has been added
+ */
+function getPartialTranscriptEvent(parentJob, lastAssembledIndex = -1) {
+  if (!parentJob.transcripts || parentJob.transcripts.length === 0) return null;
+
+  const assembly = new ChunkAssembler().getStreamingAssembly(parentJob.transcripts, lastAssembledIndex);
+  if (!assembly.hasNewContent || assembly.lastIndex === lastAssembledIndex) return null;
+
+  return {
+    parent_job_id: parentJob.job_id,
+    partial_transcript: assembly.partialTranscript,
+    available_chunks: assembly.availableChunks,
+    total_chunks: assembly.totalChunks,
+    last_assembled_index: assembly.lastIndex
+  };
+}
+
+function encodeEvent(type, data) {
+  const event = { type, timestamp: new Date().toISOString(), ...data };
+  return new TextEncoder().encode(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+function encodeLoggedEvent(id, event) {
+  return new TextEncoder().encode(`id: ${id}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Stop counting a chunk's earlier failure in failed_chunks
+ */
+function clearChunkFailure(parentJob, chunk_index) {
+  if (parentJob.transcripts[chunk_index]?.failed && parentJob.failed_chunks > 0) {
+    parentJob.failed_chunks--;
+  }
+}
+
+function setEntry(entries, index, value) {
+  while (entries.length <= index) {
+    entries.push(null);
+  }
+  entries[index] = value;
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// ============================================================================
+// LOCAL STAND-IN
+// ============================================================================
+
+/**
+ * The PARENT_JOBS binding. A per-isolate stand-in would let two Workers
+ * update the same parent job at once, so a deployment without it fails here.
+ */
+export function getParentJobNamespace(env) {
+  if (env.PARENT_JOBS) return env.PARENT_JOBS;
+
+  const error = new Error('PARENT_JOBS Durable Object binding is not configured - chunked uploads need it, see wrangler.toml.example');
+  error.status = 500;
+  throw error;
+}
+
+/**
+ * A Durable Object namespace that lives in this isolate's memory: same
+ * idFromName()/get()/stub.fetch() calls, one ParentJobObject per name, backed
+ * by MemoryStorage. Tests bind it as PARENT_JOBS.
+ */
+export function createLocalParentJobNamespace(env) {
+  const objects = new Map();
+
+  return {
+    idFromName: name => ({ name, toString: () => name }),
+    get: id => {
+      if (!objects.has(id.name)) {
+        objects.set(id.name, new ParentJobObject({ storage: new MemoryStorage() }, env));
+      }
+      const object = objects.get(id.name);
+      return {
+        fetch: (input, init) => object.fetch(new Request(input, init))
+      };
+    }
+  };
+}
+
+/**
+ * The subset of Durable Object storage ParentJobObject uses. Values are
+ * cloned on the way in and out, like the real thing.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.data = new Map();
+    this.alarm = null;
+  }
+
+  async get(key) {
+    return this.data.has(key) ? structuredClone(this.data.get(key)) : undefined;
+  }
+
+  async put(keyOrEntries, value) {
+    const entries = typeof keyOrEntries === 'string' ? { [keyOrEntries]: value } : keyOrEntries;
+    for (const [key, entry] of Object.entries(entries)) {
+      this.data.set(key, structuredClone(entry));
+    }
+  }
+
+  async delete(keys) {
+    for (const key of Array.isArray(keys) ? keys : [keys]) {
+      this.data.delete(key);
+    }
+  }
+
+  async deleteAll() {
+    this.data.clear();
+    this.alarm = null;
+  }
+
+  async list({ prefix = '', start = '' } = {}) {
+    const keys = [...this.data.keys()].filter(key => key.startsWith(prefix) && key >= start).sort();
+    return new Map(keys.map(key => [key, structuredClone(this.data.get(key))]));
+  }
+
+  async setAlarm(time) {
+    this.alarm = time;
+  }
+
+  async deleteAlarm() {
+    this.alarm = null;
+  }
+}
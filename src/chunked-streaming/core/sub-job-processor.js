@@ -2,6 +2,10 @@ import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } fro
 import { transcribeChunk, applyPerChunkLLMCorrection } from '../../core/streaming.js';
 import { processingLogger, formatBytes, withExponentialRetry } from '../../core/logger.js';
 import { withTranscriptionLimits, withLLMLimits } from '../../core/rate-limiter.js';
+import { diarizeChunk } from '../../core/diarization.js';
+import { buildChunkPrompt } from '../../core/transcription-providers.js';
+import { putSubJobRecord, deleteSubJobRecord } from '../../core/job-index.js';
+import { DEFAULT_PRIORITY } from '../../core/priority.js';
 
 /**
  * Sub-job Processor for individual chunks in chunked upload streaming
@@ -33,6 +37,13 @@ export class SubJobProcessor {
     parent_job_id,
     chunk_index,
     chunk_range,
+    start_time = null,
+    diarize = false,
+    provider = null,
+    task = 'transcribe',
+    priority = DEFAULT_PRIORITY,
+    owner = null,
+    transcription_options = {},
     filename,
     size
   }) {
@@ -45,6 +56,13 @@ export class SubJobProcessor {
       type: 'chunk_sub_job',
       chunk_index,
       chunk_range, // [start_byte, end_byte]
+      start_time, // Seconds into the original audio, when the chunker measured it
+      diarize,
+      provider,
+      task,
+      priority, // The parent's, so its chunks wait in the same line
+      owner,
+      transcription_options,
       
       status: 'pending', // pending -> uploaded -> processing -> done/failed
       filename: `${filename}.chunk.${chunk_index}`,
@@ -72,7 +90,7 @@ export class SubJobProcessor {
       max_retries: 3
     };
 
-    await this.kv.put(sub_job_id, JSON.stringify(subJob), { expirationTtl: 86400 });
+    await putSubJobRecord(this.env, sub_job_id, subJob);
     
     processingLogger.info('create', `Created sub-job for chunk ${chunk_index}`, {
       sub_job_id,
@@ -101,7 +119,7 @@ export class SubJobProcessor {
   async updateSubJob(sub_job_id, updates) {
     const subJob = await this.getSubJob(sub_job_id);
     const updatedSubJob = { ...subJob, ...updates };
-    await this.kv.put(sub_job_id, JSON.stringify(updatedSubJob), { expirationTtl: 86400 });
+    await putSubJobRecord(this.env, sub_job_id, updatedSubJob);
     return updatedSubJob;
   }
 
@@ -218,7 +236,7 @@ export class SubJobProcessor {
 
       // Transcribe the chunk with retry logic and enhanced logging
       const ext = this.getExtension(subJob.original_filename);
-      const transcript = await this.transcribeWithRetryAndDiagnostics(audioBuffer, ext, this.env.GROQ_API_KEY, subJob, model);
+      const transcript = await this.transcribeWithRetryAndDiagnostics(audioBuffer, ext, subJob, model);
 
       // Enhanced logging for chunk 0 results
       if (isChunk0) {
@@ -234,12 +252,19 @@ export class SubJobProcessor {
 
       // Apply LLM correction if enabled
       let correctedText = transcript.text;
+      let correctedSegments = null;
       let llmApplied = false;
 
       if (use_llm && llm_mode === 'per_chunk' && transcript.text) {
         try {
-          const { applyPerChunkLLMCorrection } = await import('../../core/streaming.js');
-          correctedText = await applyPerChunkLLMCorrection(transcript.text, this.env.GROQ_API_KEY);
+          const { applyPerChunkLLMCorrection, correctChunkSegments } = await import('../../core/streaming.js');
+          // Segment by segment where Whisper gave segments, so assembly can
+          // trim the audio this chunk shares with its neighbours by time
+          if (transcript.segments?.length) {
+            ({ text: correctedText, segments: correctedSegments } = await correctChunkSegments(transcript.segments, this.env.GROQ_API_KEY));
+          } else {
+            correctedText = await applyPerChunkLLMCorrection(transcript.text, this.env.GROQ_API_KEY);
+          }
           llmApplied = true;
         } catch (llmError) {
           processingLogger.warn('LLM correction failed, using raw transcript', llmError);
@@ -247,6 +272,15 @@ export class SubJobProcessor {
         }
       }
 
+      // Speaker turns stay chunk-local here; ChunkAssembler maps them onto job-wide speakers
+      const speakerTurns = subJob.diarize
+        ? await diarizeChunk(this.env, audioBuffer, {
+            filename: subJob.original_filename,
+            segments: transcript.segments || [],
+            chunk_index: subJob.chunk_index
+          })
+        : null;
+
       // Calculate processing time
       const processingTime = Date.now() - processingStartTime;
 
@@ -255,10 +289,17 @@ export class SubJobProcessor {
         text: transcript.text || '',
         raw_text: transcript.text || '',
         corrected_text: llmApplied ? correctedText : null,
-        segments: transcript.segments || [],
-        start: subJob.chunk_range[0],
-        end: subJob.chunk_range[1],
+        ...(correctedSegments ? { corrected_segments: correctedSegments } : {}),
+        segments: transcript.segments || [], // Relative to this chunk, ChunkAssembler shifts them
+        ...(transcript.words ? { words: transcript.words } : {}),
+        start: subJob.start_time ?? null, // Seconds, null until assembly places the chunk
+        byte_range: subJob.chunk_range,
         duration: transcript.duration || 0,
+        ...(transcript.translation ? {
+          translated_text: transcript.translation.text,
+          translated_segments: transcript.translation.segments || []
+        } : {}),
+        ...(speakerTurns ? { speaker_turns: speakerTurns } : {}),
         chunk_index: subJob.chunk_index,
         processing_time: processingTime,
         llm_applied: llmApplied,
@@ -321,11 +362,11 @@ export class SubJobProcessor {
   /**
    * Enhanced version with diagnostics for chunk 0
    */
-  async transcribeWithRetryAndDiagnostics(audioBuffer, ext, apiKey, subJob, model = 'whisper-large-v3') {
+  async transcribeWithRetryAndDiagnostics(audioBuffer, ext, subJob, model = 'whisper-large-v3') {
     const isChunk0 = subJob.chunk_index === 0;
     
     try {
-      return await this.transcribeWithRetry(audioBuffer, ext, apiKey, subJob, model);
+      return await this.transcribeWithRetry(audioBuffer, ext, subJob, model);
     } catch (error) {
       if (isChunk0) {
         // For chunk 0, run comprehensive diagnostics before giving up
@@ -350,7 +391,7 @@ export class SubJobProcessor {
           processingLogger.info('chunk0', 'Attempting format fallback for chunk 0');
           try {
             // Try with a different extension or minimal processing
-            const fallbackResult = await this.transcribeWithFallback(audioBuffer, ext, apiKey, model);
+            const fallbackResult = await this.transcribeWithFallback(audioBuffer, ext, subJob, model);
             processingLogger.info('chunk0', 'Fallback transcription succeeded for chunk 0', {
               transcript_length: fallbackResult.text?.length || 0,
               model
@@ -369,7 +410,7 @@ export class SubJobProcessor {
   /**
    * Transcribe with automatic retry logic using centralized retry utility
    */
-  async transcribeWithRetry(audioBuffer, ext, apiKey, subJob, model = 'whisper-large-v3', maxRetries = 5) {
+  async transcribeWithRetry(audioBuffer, ext, subJob, model = 'whisper-large-v3', maxRetries = 5) {
     const isChunk0 = subJob.chunk_index === 0;
     
     // Apply smart preprocessing for chunk 0 and problematic chunks
@@ -385,6 +426,9 @@ export class SubJobProcessor {
       });
     }
     
+    const transcriptionOptions = subJob.transcription_options || {};
+    const previousText = await this.getPreviousChunkText(subJob);
+
     const result = await withExponentialRetry(async () => {
       if (isChunk0) {
         processingLogger.info('chunk0', 'Attempting chunk 0 transcription', {
@@ -394,7 +438,15 @@ export class SubJobProcessor {
       }
       
       const { transcribeChunk } = await import('../../core/streaming.js');
-      const transcriptionResult = await transcribeChunk(preprocessedBuffer, ext, apiKey, model);
+      const transcriptionResult = await transcribeChunk(preprocessedBuffer, ext, this.env, {
+        model,
+        provider: subJob.provider,
+        task: subJob.task,
+        priority: subJob.priority,
+        owner: subJob.owner,
+        ...transcriptionOptions,
+        prompt: buildChunkPrompt(transcriptionOptions.prompt, previousText)
+      });
       
       if (isChunk0) {
         processingLogger.info('chunk0', 'Chunk 0 transcription successful', {
@@ -417,6 +469,26 @@ export class SubJobProcessor {
     return result;
   }
 
+  /**
+   * Text of the chunk before this one, when it has already finished. Chunks run
+   * in parallel, so a chunk whose predecessor is still in flight goes without.
+   */
+  async getPreviousChunkText(subJob) {
+    if (!subJob.chunk_index) return '';
+
+    try {
+      const parentJob = JSON.parse(await this.kv.get(subJob.parent_job_id) || 'null');
+      return parentJob?.transcripts?.[subJob.chunk_index - 1]?.text || '';
+    } catch (error) {
+      processingLogger.warn('Could not read previous chunk text for prompt', {
+        parent_job_id: subJob.parent_job_id,
+        chunk_index: subJob.chunk_index,
+        error: error.message
+      });
+      return '';
+    }
+  }
+
   /**
    * Extract specific details from Groq API errors
    */
@@ -764,8 +836,8 @@ export class SubJobProcessor {
       raw_text: '',
       corrected_text: null,
       segments: [],
-      start: subJob.chunk_range[0],
-      end: subJob.chunk_range[1],
+      start: subJob.start_time ?? null,
+      byte_range: subJob.chunk_range,
       duration: 0,
       chunk_index: subJob.chunk_index,
       processing_time: 0,
@@ -879,7 +951,7 @@ export class SubJobProcessor {
       }
       
       // Delete sub-job from KV
-      await this.kv.delete(sub_job_id);
+      await deleteSubJobRecord(this.env, sub_job_id);
       
       processingLogger.info('cleanup', `Cleaned up sub-job`, {
         sub_job_id,
@@ -939,4 +1011,4 @@ export class SubJobProcessor {
     return (retryCount >= 5 && hasNoAudioError && errorType !== 'rate_limit' && errorType !== 'network_timeout') ||
            (retryCount >= 3 && isSmallChunk);
   }
-} 
\ No newline at end of file
+} 
@@ -4,6 +4,7 @@ import { apiLogger, formatBytes } from '../../core/logger.js';
 import { ParentJobManager } from './parent-job-manager.js';
 import { SubJobProcessor } from './sub-job-processor.js';
 import { withJobSpawnLimits, withChunkProcessingLimits } from '../../core/rate-limiter.js';
+import { getJobPriority, getProcessingQueue } from '../../core/priority.js';
 
 /**
  * Upload Coordinator for Chunked Upload Streaming
@@ -39,7 +40,11 @@ export class UploadCoordinator {
     use_llm = false,
     llm_mode = 'per_chunk',
     webhook_url = null,
-    max_concurrent_uploads = 3
+    max_concurrent_uploads = 3,
+    provider = null,
+    task = 'transcribe',
+    diarize = false,
+    transcription_options = {}
   }) {
     try {
       // Validate input parameters
@@ -52,6 +57,10 @@ export class UploadCoordinator {
         chunk_size_mb,
         use_llm,
         llm_mode,
+        provider,
+        task,
+        diarize,
+        transcription_options,
         webhook_url
       });
 
@@ -60,7 +69,12 @@ export class UploadCoordinator {
       const uploadUrls = await this.generateUploadUrls(parentJob.job_id, filename, chunkPlan);
 
       // Create sub-jobs for each chunk
-      const subJobs = await this.createSubJobs(parentJob.job_id, filename, chunkPlan);
+      const subJobs = await this.createSubJobs(parentJob.job_id, filename, chunkPlan, {
+        provider,
+        task,
+        diarize,
+        transcription_options
+      });
 
       apiLogger.info('init', 'Initialized chunked upload streaming', {
         parent_job_id: parentJob.job_id,
@@ -173,9 +187,10 @@ export class UploadCoordinator {
   }
 
   /**
-   * Create sub-jobs for all chunks
+   * Create sub-jobs for all chunks. `settings` (provider, task, diarize,
+   * transcription_options) are copied onto every sub-job.
    */
-  async createSubJobs(parent_job_id, filename, chunkPlan) {
+  async createSubJobs(parent_job_id, filename, chunkPlan, settings = {}) {
     return await withJobSpawnLimits(async () => {
       const subJobs = [];
       const subJobIds = [];
@@ -186,6 +201,7 @@ export class UploadCoordinator {
           parent_job_id,
           chunk_index: chunk.chunk_index,
           chunk_range: [chunk.start, chunk.end],
+          ...settings,
           filename,
           size: chunk.size
         });
@@ -200,9 +216,7 @@ export class UploadCoordinator {
       }
 
       // Now atomically update parent job with all sub-job IDs at once
-      const parentJob = await this.parentJobManager.getParentJob(parent_job_id);
-      parentJob.sub_jobs = subJobIds;
-      await this.parentJobManager.kv.put(parent_job_id, JSON.stringify(parentJob), { expirationTtl: 86400 });
+      await this.parentJobManager.updateParentJob(parent_job_id, { sub_jobs: subJobIds });
 
       apiLogger.info('create', 'Created and linked all sub-jobs atomically', {
         parent_job_id,
@@ -275,7 +289,7 @@ export class UploadCoordinator {
       
       if (this.env.CHUNK_PROCESSING_QUEUE) {
         try {
-          await this.env.CHUNK_PROCESSING_QUEUE.send({ 
+          await getProcessingQueue(this.env, getJobPriority(parentJob), { chunk: true }).send({ 
             parent_job_id, 
             sub_job_id,
             chunk_index,
@@ -330,7 +344,8 @@ export class UploadCoordinator {
         processing_method: processingMethod,
         parent_job_id,
         sub_job_id,
-        chunk_index
+        chunk_index,
+        priority: getJobPriority(parentJob)
       };
 
     } catch (error) {
@@ -670,7 +685,7 @@ export class UploadCoordinator {
       
       if (this.env.CHUNK_PROCESSING_QUEUE) {
         try {
-          await this.env.CHUNK_PROCESSING_QUEUE.send({ 
+          await getProcessingQueue(this.env, getJobPriority(parentJob), { chunk: true }).send({ 
             parent_job_id, 
             sub_job_id,
             chunk_index,
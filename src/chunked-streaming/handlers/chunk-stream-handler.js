@@ -1,5 +1,4 @@
 import { ParentJobManager } from '../core/parent-job-manager.js';
-import { ChunkAssembler } from '../core/chunk-assembly.js';
 import { streamLogger } from '../../core/logger.js';
 
 /**
@@ -16,7 +15,6 @@ export async function handleChunkedStream(request, env, parent_job_id) {
   try {
     // Validate parent job exists
     const parentJobManager = new ParentJobManager(env);
-    const chunkAssembler = new ChunkAssembler(env);
     
     let parentJob;
     try {
@@ -32,24 +30,34 @@ export async function handleChunkedStream(request, env, parent_job_id) {
       });
     }
 
-    streamLogger.info('stream', 'Starting chunked upload stream', {
+    // EventSource sends Last-Event-ID when it reconnects; other clients can use the query string
+    const lastEventId = request.headers.get('Last-Event-ID') || new URL(request.url).searchParams.get('last_event_id');
+    const subscription = await parentJobManager.subscribe(parent_job_id, lastEventId);
+
+    // Finished and nothing missed - 204 stops EventSource from reconnecting
+    if (!subscription) {
+      return new Response(null, { status: 204, headers: { 'Access-Control-Allow-Origin': '*' } });
+    }
+
+    streamLogger.info('stream', lastEventId ? 'Resuming chunked upload stream' : 'Starting chunked upload stream', {
       parent_job_id,
       filename: parentJob.filename,
       total_chunks: parentJob.total_chunks,
-      status: parentJob.status
+      status: parentJob.status,
+      last_event_id: lastEventId
     });
 
     // Create SSE stream
+    const reader = subscription.getReader();
     const stream = new ReadableStream({
       async start(controller) {
         try {
           await streamChunkedUploadUpdates(
             parent_job_id,
             parentJob,
-            controller,
-            env,
-            parentJobManager,
-            chunkAssembler
+            lastEventId,
+            reader,
+            controller
           );
         } catch (error) {
           const errorData = createStreamChunk('error', { 
@@ -60,6 +68,10 @@ export async function handleChunkedStream(request, env, parent_job_id) {
         } finally {
           controller.close();
         }
+      },
+      cancel() {
+        // Client went away - ends the read loop below
+        reader.cancel().catch(() => {});
       }
     });
 
@@ -71,7 +83,7 @@ export async function handleChunkedStream(request, env, parent_job_id) {
         'X-Accel-Buffering': 'no',
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
+        'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID'
       }
     });
 
@@ -89,239 +101,86 @@ export async function handleChunkedStream(request, env, parent_job_id) {
 }
 
 /**
- * Stream updates for chunked upload progress
+ * Stream updates for chunked upload progress. Events are pushed by the parent
+ * job's object as chunks finish; this only relays them, keeps the connection
+ * alive and gives up after maxStreamDuration.
  */
 async function streamChunkedUploadUpdates(
   parent_job_id, 
-  initialParentJob, 
-  controller, 
-  env, 
-  parentJobManager,
-  chunkAssembler
+  parentJob, 
+  lastEventId, 
+  reader, 
+  controller
 ) {
-  let parentJob = initialParentJob;
-  let lastAssembledIndex = -1;
-  const maxPollingDuration = 30 * 60 * 1000; // 30 minutes
-  const pollingInterval = 2000; // 2 seconds
-  
+  const maxStreamDuration = 30 * 60 * 1000; // 30 minutes
+  const heartbeatInterval = 15000; // 15 seconds
+  const encoder = new TextEncoder();
   const startTime = Date.now();
+  let timedOut = false;
 
-  // Send initial status
-  controller.enqueue(new TextEncoder().encode(
-    createStreamChunk('initialized', {
-      parent_job_id,
-      filename: parentJob.filename,
-      status: parentJob.status,
-      total_chunks: parentJob.total_chunks,
-      uploaded_chunks: parentJob.uploaded_chunks,
-      completed_chunks: parentJob.completed_chunks,
-      processing_options: {
-        use_llm: parentJob.use_llm,
-        llm_mode: parentJob.llm_mode,
-        chunk_size_mb: parentJob.chunk_size_mb
-      },
-      estimated_completion: parentJob.estimated_completion || null
-    })
-  ));
-
-  // Main polling loop
-  while (Date.now() - startTime < maxPollingDuration) {
-    try {
-      // Get updated parent job status
-      const updatedJob = await parentJobManager.getParentJob(parent_job_id);
-      const hasUpdates = JSON.stringify(updatedJob) !== JSON.stringify(parentJob);
-      
-      if (hasUpdates) {
-        parentJob = updatedJob;
-        
-        // Send progress update
-        controller.enqueue(new TextEncoder().encode(
-          createStreamChunk('progress_update', {
-            parent_job_id,
-            status: parentJob.status,
-            progress: parentJob.progress,
-            upload_progress: parentJob.upload_progress,
-            processing_progress: parentJob.processing_progress,
-            uploaded_chunks: parentJob.uploaded_chunks,
-            completed_chunks: parentJob.completed_chunks,
-            failed_chunks: parentJob.failed_chunks,
-            success_rate: parentJob.success_rate || 0
-          })
-        ));
-
-        // Check for new completed chunks to stream partial results
-        if (parentJob.transcripts && parentJob.transcripts.length > 0) {
-          const streamingAssembly = chunkAssembler.getStreamingAssembly(
-            parentJob.transcripts, 
-            lastAssembledIndex
-          );
-
-          if (streamingAssembly.hasNewContent) {
-            controller.enqueue(new TextEncoder().encode(
-              createStreamChunk('partial_transcript', {
-                parent_job_id,
-                partial_transcript: streamingAssembly.partialTranscript,
-                available_chunks: streamingAssembly.availableChunks,
-                total_chunks: streamingAssembly.totalChunks,
-                last_assembled_index: streamingAssembly.lastIndex
-              })
-            ));
-            
-            lastAssembledIndex = streamingAssembly.lastIndex;
-          }
-        }
-
-        // Stream individual chunk completions - handle out-of-order completion
-        if (parentJob.transcripts && parentJob.transcripts.length > 0) {
-          let hasNewlyStreamedChunks = false;
-          
-          for (let i = 0; i < parentJob.transcripts.length; i++) {
-            const chunk = parentJob.transcripts[i];
-            
-            // Check if this chunk is newly completed and hasn't been streamed yet
-            if (chunk && !chunk.streamed && !chunk.failed && chunk.text) {
-              controller.enqueue(new TextEncoder().encode(
-                createStreamChunk('chunk_complete', {
-                  parent_job_id,
-                  chunk_index: i,
-                  text: chunk.text,
-                  raw_text: chunk.raw_text || chunk.text,
-                  corrected_text: chunk.corrected_text,
-                  llm_applied: chunk.llm_applied || false,
-                  processing_time: chunk.processing_time || 0
-                })
-              ));
-              
-              // Mark as streamed to avoid duplicate events
-              chunk.streamed = true;
-              parentJob.transcripts[i] = chunk;
-              hasNewlyStreamedChunks = true;
-              
-            } else if (chunk && !chunk.streamed && chunk.failed) {
-              controller.enqueue(new TextEncoder().encode(
-                createStreamChunk('chunk_failed', {
-                  parent_job_id,
-                  chunk_index: i,
-                  error: chunk.error
-                })
-              ));
-              
-              // Mark as streamed to avoid duplicate events
-              chunk.streamed = true;
-              parentJob.transcripts[i] = chunk;
-              hasNewlyStreamedChunks = true;
-            }
-          }
-          
-          // Save parent job if we marked any chunks as streamed
-          if (hasNewlyStreamedChunks) {
-            await parentJobManager.updateParentJob(parent_job_id, parentJob);
-          }
-        }
-      }
-
-      // Check if job is complete
-      if (parentJob.status === 'done') {
-        // Send final assembly results
-        const assembledResults = {
-          final_transcript: parentJob.final_transcript,
-          raw_transcript: parentJob.raw_transcript,
-          corrected_transcript: parentJob.corrected_transcript,
-          total_chunks: parentJob.total_chunks,
-          successful_chunks: parentJob.completed_chunks,
-          failed_chunks: parentJob.failed_chunks,
-          success_rate: parentJob.success_rate,
-          processing_method: parentJob.processing_method,
-          total_segments: parentJob.total_segments
-        };
-
-        controller.enqueue(new TextEncoder().encode(
-          createStreamChunk('final_result', {
-            parent_job_id,
-            status: 'completed',
-            ...assembledResults,
-            completion_time: parentJob.completed_at,
-            processing_stats: {
-              total_processing_time: Date.now() - new Date(parentJob.processing_started_at).getTime(),
-              chunks_processed: parentJob.completed_chunks,
-              chunks_failed: parentJob.failed_chunks
-            }
-          })
-        ));
-
-        streamLogger.complete('Chunked upload stream completed', {
-          parent_job_id,
-          filename: parentJob.filename,
-          total_chunks: parentJob.total_chunks,
-          successful_chunks: parentJob.completed_chunks,
-          final_transcript_length: parentJob.final_transcript?.length || 0
-        });
-
-        break; // Exit polling loop
-      }
-
-      // Check if job failed or was cancelled
-      if (parentJob.status === 'failed' || parentJob.status === 'cancelled') {
-        controller.enqueue(new TextEncoder().encode(
-          createStreamChunk('job_terminated', {
-            parent_job_id,
-            status: parentJob.status,
-            reason: parentJob.error || parentJob.cancellation_reason || 'Unknown',
-            partial_results: parentJob.transcripts ? {
-              completed_chunks: parentJob.completed_chunks,
-              partial_transcript: chunkAssembler.getStreamingAssembly(parentJob.transcripts).partialTranscript
-            } : null
-          })
-        ));
-
-        streamLogger.info('stream', `Chunked upload stream terminated: ${parentJob.status}`, {
-          parent_job_id,
-          reason: parentJob.error || parentJob.cancellation_reason
-        });
-
-        break; // Exit polling loop
-      }
-
-      // Send heartbeat to keep connection alive
-      controller.enqueue(new TextEncoder().encode('\n'));
-      
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollingInterval));
+  // A reconnecting client already has the session details
+  if (!lastEventId) {
+    controller.enqueue(encoder.encode(
+      createStreamChunk('initialized', {
+        parent_job_id,
+        filename: parentJob.filename,
+        status: parentJob.status,
+        total_chunks: parentJob.total_chunks,
+        uploaded_chunks: parentJob.uploaded_chunks,
+        completed_chunks: parentJob.completed_chunks,
+        processing_options: {
+          use_llm: parentJob.use_llm,
+          llm_mode: parentJob.llm_mode,
+          chunk_size_mb: parentJob.chunk_size_mb
+        },
+        estimated_completion: parentJob.estimated_completion || null
+      })
+    ));
+  }
 
-    } catch (error) {
-      streamLogger.error('Error in chunked stream polling', error, { parent_job_id });
-      
-      controller.enqueue(new TextEncoder().encode(
-        createStreamChunk('stream_error', {
-          parent_job_id,
-          error: error.message,
-          recoverable: true
-        })
-      ));
+  // SSE comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => {
+    controller.enqueue(encoder.encode(': heartbeat\n\n'));
+  }, heartbeatInterval);
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    reader.cancel().catch(() => {});
+  }, maxStreamDuration);
 
-      // Continue polling despite errors
-      await new Promise(resolve => setTimeout(resolve, pollingInterval));
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      controller.enqueue(value);
     }
+  } finally {
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
   }
 
-  // Send timeout warning if we reached max duration
-  if (Date.now() - startTime >= maxPollingDuration) {
-    controller.enqueue(new TextEncoder().encode(
+  if (timedOut) {
+    controller.enqueue(encoder.encode(
       createStreamChunk('stream_timeout', {
         parent_job_id,
-        message: 'Stream timeout reached. Job may still be processing.',
-        duration_minutes: maxPollingDuration / 60000,
-        current_status: parentJob.status,
+        message: 'Stream timeout reached. Job may still be processing. Reconnect with Last-Event-ID to resume.',
+        duration_minutes: maxStreamDuration / 60000,
         suggestion: 'Use /chunked-upload-status endpoint to check final results'
       })
     ));
 
     streamLogger.warn('Chunked upload stream timeout', {
       parent_job_id,
-      duration_minutes: maxPollingDuration / 60000,
-      current_status: parentJob.status
+      duration_minutes: maxStreamDuration / 60000
     });
+    return;
   }
+
+  streamLogger.complete('Chunked upload stream completed', {
+    parent_job_id,
+    filename: parentJob.filename,
+    total_chunks: parentJob.total_chunks,
+    duration_seconds: Math.round((Date.now() - startTime) / 1000)
+  });
 }
 
 /**
@@ -340,7 +199,7 @@ export async function handleChunkedStreamOptions(request) {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID',
       'Access-Control-Max-Age': '86400'
     }
   });
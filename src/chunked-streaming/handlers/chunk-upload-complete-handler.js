@@ -4,6 +4,7 @@ import { SubJobProcessor } from '../core/sub-job-processor.js';
 import { ChunkAssembler } from '../core/chunk-assembly.js';
 import { apiLogger, processingLogger } from '../../core/logger.js';
 import { withChunkProcessingLimits } from '../../core/rate-limiter.js';
+import { getProcessingQueue } from '../../core/priority.js';
 
 /**
  * Handler for /chunk-upload-complete endpoint
@@ -196,7 +197,7 @@ export async function handleBatchChunkUploadComplete(request, env) {
 
         // Queue for processing
         if (env.CHUNK_PROCESSING_QUEUE) {
-          await env.CHUNK_PROCESSING_QUEUE.send({
+          await getProcessingQueue(env, result.priority, { chunk: true }).send({
             parent_job_id,
             sub_job_id: result.sub_job_id,
             chunk_index: chunk.chunk_index,
@@ -268,7 +269,8 @@ export async function processChunkUpload(parent_job_id, sub_job_id, chunk_index,
         sub_job_id,
         null, // No stream controller for queue processing
         parentJob.use_llm,
-        parentJob.llm_mode
+        parentJob.llm_mode,
+        parentJob.model || 'whisper-large-v3'
       );
     }, {
       parent_job_id,
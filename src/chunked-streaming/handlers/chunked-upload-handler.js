@@ -1,7 +1,12 @@
 import { UploadCoordinator } from '../core/upload-coordinator.js';
 import { apiLogger, processingLogger, formatBytes } from '../../core/logger.js';
 import { withJobSpawnLimits } from '../../core/rate-limiter.js';
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { resolveProviderName, readTranscriptionOptions } from '../../core/transcription-providers.js';
+import { getUploadSettingsError } from '../../core/upload-settings.js';
+import { readRetentionOptions } from '../../core/retention.js';
+import { createAudioAwareChunks, readChunkingOptions } from '../../core/audio-chunking.js';
+import { DEFAULT_PRIORITY } from '../../core/priority.js';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 
 /**
  * Handler for /chunked-upload-stream endpoint
@@ -16,16 +21,17 @@ import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client
  *   -H "Content-Type: application/json" \
  *   -d '{"filename": "audio.mp3", "total_size": 50000000, "chunk_size_mb": 10, "use_llm": true, "model": "whisper-large-v3"}'
  */
-export async function handleChunkedUploadStream(request, env) {
+export async function handleChunkedUploadStream(request, env, auth = null) {
   try {
     const contentType = request.headers.get('content-type') || '';
     
     // NEW: Support full file upload mode for audio-aware chunking
     if (contentType.includes('multipart/form-data')) {
-      return await handleFullFileChunkedUpload(request, env);
+      return await handleFullFileChunkedUpload(request, env, auth);
     }
     
     // EXISTING: JSON mode for traditional client-side chunking
+    const body = await request.json();
     const { 
       filename, 
       total_size, 
@@ -33,10 +39,16 @@ export async function handleChunkedUploadStream(request, env) {
       use_llm = false, 
       llm_mode = 'per_chunk',
       model = 'whisper-large-v3',
+      provider = null,
+      task = 'transcribe',
+      priority = DEFAULT_PRIORITY,
       webhook_url = null,
       url = null, // For URL-based uploads
-      debug_save_chunks = false // New debug option to save chunks to temp folder
-    } = await request.json();
+      debug_save_chunks = false, // New debug option to save chunks to temp folder
+      diarize = false
+    } = body;
+    const optionsResult = readTranscriptionOptions(body);
+    const retentionResult = readRetentionOptions(body);
 
     if (!filename) {
       return new Response(JSON.stringify({ 
@@ -47,6 +59,11 @@ export async function handleChunkedUploadStream(request, env) {
       });
     }
 
+    const settingsError = getUploadSettingsError(env, { diarize, provider, model, task, priority, auth, optionsResult, retentionResult });
+    if (settingsError) {
+      return settingsError;
+    }
+
     // For URL uploads, we need to fetch the file size first
     let finalTotalSize = total_size;
     if (url && !total_size) {
@@ -83,8 +100,15 @@ export async function handleChunkedUploadStream(request, env) {
       use_llm,
       llm_mode,
       model,
+      provider: resolveProviderName(env, provider),
+      task,
+      priority,
+      transcription_options: optionsResult.options,
+      retention: retentionResult.options,
       webhook_url,
-      debug_save_chunks
+      debug_save_chunks,
+      diarize,
+      owner: auth?.key_id ?? null
     });
 
     // Calculate chunk information
@@ -106,6 +130,12 @@ export async function handleChunkedUploadStream(request, env) {
           parent_job_id: parentJob.job_id,
           chunk_index: i,
           chunk_range: [start, end],
+          diarize,
+          provider: parentJob.provider,
+          task,
+          priority: parentJob.priority,
+          owner: parentJob.owner,
+          transcription_options: parentJob.transcription_options,
           size: chunk_size,
           filename
         });
@@ -179,7 +209,7 @@ export async function handleChunkedUploadStream(request, env) {
  * NEW: Handle full file upload with server-side audio-aware chunking
  * This avoids the client-side binary splitting problem that creates invalid audio chunks
  */
-async function handleFullFileChunkedUpload(request, env) {
+async function handleFullFileChunkedUpload(request, env, auth = null) {
   try {
     const formData = await request.formData();
     const file = formData.get('file');
@@ -187,8 +217,14 @@ async function handleFullFileChunkedUpload(request, env) {
     const use_llm = formData.get('use_llm') === 'true';
     const llm_mode = formData.get('llm_mode') || 'per_chunk';
     const model = formData.get('model') || 'whisper-large-v3';
+    const provider = formData.get('provider') || null;
+    const task = formData.get('task') || 'transcribe';
+    const priority = formData.get('priority') || DEFAULT_PRIORITY;
+    const optionsResult = readTranscriptionOptions(formData);
+    const retentionResult = readRetentionOptions(formData);
     const webhook_url = formData.get('webhook_url') || null;
     const debug_save_chunks = formData.get('debug_save_chunks') === 'true';
+    const diarize = formData.get('diarize') === 'true';
     
     if (!file || !file.name) {
       return new Response(JSON.stringify({ 
@@ -199,6 +235,11 @@ async function handleFullFileChunkedUpload(request, env) {
       });
     }
 
+    const settingsError = getUploadSettingsError(env, { diarize, provider, model, task, priority, auth, optionsResult, retentionResult });
+    if (settingsError) {
+      return settingsError;
+    }
+
     const filename = file.name;
     const fileData = await file.arrayBuffer();
     const fileSize = fileData.byteLength;
@@ -212,13 +253,14 @@ async function handleFullFileChunkedUpload(request, env) {
       debug_save_chunks
     });
 
-    // Create a temporary job ID for the full file
-    const temp_job_id = crypto.randomUUID();
+    // The parent job's ID, picked up front so the full file can live under it
+    const job_id = crypto.randomUUID();
     
-    // Store full file temporarily in R2
+    // Keep the full file in R2: the chunks cut from it overlap and some carry
+    // their own headers, so /audio plays this copy instead of the chunks
     const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
     const s3Client = createS3Client(env);
-    const fullFileKey = `temp/${temp_job_id}/${filename}`;
+    const fullFileKey = `uploads/${job_id}/${filename}`;
     
     const putCmd = new PutObjectCommand({
       Bucket: bucketName,
@@ -238,9 +280,8 @@ async function handleFullFileChunkedUpload(request, env) {
     await s3Client.send(putCmd);
     
     // Create audio-aware chunks from the file data
-    const { createAudioAwareChunks } = await import('../../index.js');
     const chunkSize = chunk_size_mb * 1024 * 1024;
-    const chunks = createAudioAwareChunks(new Uint8Array(fileData), chunkSize, filename);
+    const chunks = createAudioAwareChunks(new Uint8Array(fileData), chunkSize, filename, readChunkingOptions(env));
     
     processingLogger.info('audio_chunking', 'Created audio-aware chunks', {
       filename,
@@ -255,14 +296,23 @@ async function handleFullFileChunkedUpload(request, env) {
     const parentJobManager = new ParentJobManager(env);
     
     const parentJob = await parentJobManager.createParentJob({
+      job_id,
       filename,
       total_size: fileSize,
       chunk_size_mb,
       use_llm,
       llm_mode,
       model,
+      provider: resolveProviderName(env, provider),
+      task,
+      priority,
+      transcription_options: optionsResult.options,
+      retention: retentionResult.options,
       webhook_url,
-      debug_save_chunks
+      debug_save_chunks,
+      diarize,
+      owner: auth?.key_id ?? null,
+      key: fullFileKey
     });
 
     // Create sub-jobs and store chunks in R2
@@ -295,6 +345,13 @@ async function handleFullFileChunkedUpload(request, env) {
         parent_job_id: parentJob.job_id,
         chunk_index: i,
         chunk_range: [chunk.start, chunk.end],
+        start_time: chunk.startTime ?? null,
+        diarize,
+        provider: parentJob.provider,
+        task,
+        priority: parentJob.priority,
+        owner: parentJob.owner,
+        transcription_options: parentJob.transcription_options,
         filename,
         size: chunk.data.length
       });
@@ -305,17 +362,6 @@ async function handleFullFileChunkedUpload(request, env) {
       sub_jobs.push(sub_job);
     }
     
-    // Clean up temporary full file
-    try {
-      const deleteCmd = new DeleteObjectCommand({
-        Bucket: bucketName,
-        Key: fullFileKey
-      });
-      await s3Client.send(deleteCmd);
-    } catch (cleanupError) {
-      processingLogger.warn('Failed to cleanup temporary file', cleanupError);
-    }
-
     processingLogger.complete('Full file chunked upload completed', {
       parent_job_id: parentJob.job_id,
       filename,
@@ -1,8 +1,11 @@
+import { DEFAULT_RETENTION } from '../core/retention.js';
+
 // Core components
 export { ParentJobManager } from './core/parent-job-manager.js';
 export { SubJobProcessor } from './core/sub-job-processor.js';
 export { ChunkAssembler } from './core/chunk-assembly.js';
 export { UploadCoordinator } from './core/upload-coordinator.js';
+export { ParentJobObject } from './core/parent-job-object.js';
 
 // HTTP handlers
 export { 
@@ -212,11 +215,8 @@ export const CHUNKED_UPLOAD_CONFIG = {
   MAX_CHUNK_RETRIES: 3,
   RETRY_DELAY_BASE: 1000, // 1 second base delay (exponential backoff)
   
-  // Assembly settings
-  OVERLAP_DETECTION: true,
-  MAX_OVERLAP_WORDS: 5,
-  
-  // Cleanup
-  TEMP_FILE_TTL: 86400, // 24 hours for temporary chunk files
-  COMPLETED_JOB_TTL: 7 * 86400 // 7 days for completed job data
+  // Cleanup - defaults only, AUDIO_RETENTION_HOURS and TRANSCRIPT_RETENTION_DAYS
+  // override them (see core/retention.js)
+  TEMP_FILE_TTL: DEFAULT_RETENTION.audio_hours * 3600, // Chunk files, counted from when the job finished
+  COMPLETED_JOB_TTL: DEFAULT_RETENTION.transcript_days * 86400 // Completed job data
 }; 
\ No newline at end of file
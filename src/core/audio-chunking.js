@@ -0,0 +1,1194 @@
+import { processingLogger } from './logger.js';
+import { createMP4ContainerChunks } from './mp4-container.js';
+import { DEFAULT_VAD_OPTIONS, readVadOptions, snapWAVCut, snapMP3Cut } from './vad.js';
+
+// ============================================================================
+// AUDIO CHUNKING - container parsers and chunkers that cut playable chunks
+// ============================================================================
+
+/**
+ * DataView over exactly the bytes of a Uint8Array (subarrays included) or an ArrayBuffer
+ */
+function viewOf(buffer) {
+  return ArrayBuffer.isView(buffer)
+    ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    : new DataView(buffer);
+}
+
+/**
+ * Create intelligent chunks with minimal overlap
+ */
+function createChunks(buffer, chunkSize) {
+  const chunks = [];
+  const overlapSize = Math.floor(chunkSize * 0.05); // 5% overlap
+  
+  for (let start = 0; start < buffer.length; start += chunkSize - overlapSize) {
+    const end = Math.min(start + chunkSize, buffer.length);
+    const chunkData = buffer.slice(start, end);
+    
+    chunks.push({
+      start,
+      end,
+      data: chunkData,
+      hasOverlap: start > 0
+    });
+    
+    if (end >= buffer.length) break;
+  }
+  
+  return chunks;
+}
+
+export const DEFAULT_CHUNKING_OPTIONS = {
+  overlap_seconds: 2,       // Audio each WAV/MP3 chunk shares with the next; ChunkAssembler trims the repeats
+  vad: DEFAULT_VAD_OPTIONS
+};
+
+/**
+ * Chunking settings from the environment (CHUNK_OVERLAP_SECONDS, VAD_WINDOW_SECONDS)
+ */
+export function readChunkingOptions(env = {}) {
+  const overlapSeconds = parseFloat(env.CHUNK_OVERLAP_SECONDS);
+  return {
+    overlap_seconds: Number.isFinite(overlapSeconds) && overlapSeconds >= 0 ? overlapSeconds : DEFAULT_CHUNKING_OPTIONS.overlap_seconds,
+    vad: readVadOptions(env)
+  };
+}
+
+/**
+ * Audio-aware chunking that creates playable chunks with proper headers
+ * CRITICAL: Each chunk must be a valid, independently playable audio file
+ * for the Groq API to accept it.
+ * WAV and MP3 cuts are moved into nearby silence (see core/vad.js) so words
+ * aren't split across chunks, and neighbours overlap by options.overlap_seconds.
+ */
+export function createAudioAwareChunks(buffer, chunkSize, filename = '', options = DEFAULT_CHUNKING_OPTIONS) {
+  const ext = filename.split('.').pop()?.toLowerCase() || '';
+  
+  try {
+    switch (ext) {
+      case 'wav':
+        return createWAVChunks(buffer, chunkSize, options);
+      case 'mp3':
+        return createMP3Chunks(buffer, chunkSize, options);
+      case 'mp4':
+      case 'm4a':
+        return createMP4Chunks(buffer, chunkSize);
+      case 'flac':
+        return createFLACChunks(buffer, chunkSize);
+      case 'ogg':
+      case 'oga':
+      case 'opus':
+        return createOGGChunks(buffer, chunkSize);
+      default:
+        // For unknown formats, try to detect and fall back gracefully
+        processingLogger.warn(`Unknown audio format: ${ext}, using simple chunking (may cause API errors)`);
+        return createChunks(buffer, chunkSize);
+    }
+  } catch (error) {
+    processingLogger.error(`Audio-aware chunking failed for ${ext}:`, error);
+    processingLogger.warn('Falling back to simple chunking (may cause API errors)');
+    return createChunks(buffer, chunkSize);
+  }
+}
+
+/**
+ * Build a byte offset -> seconds lookup for the original file, so chunks cut on
+ * raw byte boundaries can still be placed on the audio timeline.
+ * Returns null for formats where the time can't be derived from the bytes alone.
+ */
+export function createAudioTimeline(buffer, filename = '') {
+  const ext = filename.split('.').pop()?.toLowerCase() || '';
+  
+  try {
+    if (ext === 'wav') {
+      const wavHeader = parseWAVHeader(buffer);
+      if (!wavHeader) return null;
+      
+      return (byteOffset) => Math.max(0, byteOffset - wavHeader.dataStart) / wavHeader.byteRate;
+    }
+    
+    if (ext === 'mp3') {
+      const framePositions = findMP3FramePositions(buffer);
+      if (framePositions.length === 0) return null;
+      
+      const frameTimes = getMP3FrameTimes(buffer, framePositions);
+      
+      return (byteOffset) => {
+        // Binary search for the last frame starting at or before the offset
+        let low = 0;
+        let high = framePositions.length - 1;
+        if (byteOffset < framePositions[0]) return 0;
+        
+        while (low < high) {
+          const mid = Math.ceil((low + high) / 2);
+          if (framePositions[mid] <= byteOffset) {
+            low = mid;
+          } else {
+            high = mid - 1;
+          }
+        }
+        
+        return frameTimes[low];
+      };
+    }
+  } catch (error) {
+    processingLogger.warn(`Could not build audio timeline for ${ext}`, { error: error.message });
+  }
+  
+  return null;
+}
+
+// Formats whose chunks can't be cut until the header at the front has arrived
+const HEADER_FORMATS = ['wav', 'flac', 'ogg', 'oga', 'opus'];
+
+/**
+ * Incremental version of the chunkers above for audio that is still arriving.
+ * push() takes the next bytes and returns any chunks that can no longer change;
+ * flush() returns the rest once the input has ended.
+ *
+ * WAV, MP3, FLAC and Ogg are cut the way createAudioAwareChunks cuts them:
+ * their headers are read once and every window after that starts on a sample,
+ * frame or page boundary. MP4 needs its moov, which usually sits at the end of
+ * the file, so it is cut with createTinyChunks, as /stream always did.
+ */
+export function createStreamingChunker(filename, chunkSize, options = DEFAULT_CHUNKING_OPTIONS) {
+  const ext = filename.split('.').pop()?.toLowerCase() || '';
+  // Room for the frame that ends the current chunk, plus the silence search
+  // past it (capped at a quarter of a chunk, with headroom for VBR MP3)
+  const lookahead = 64 * 1024 + (options.vad.window_seconds ? Math.ceil(chunkSize / 2) : 0);
+  // FLAC metadata can carry embedded cover art
+  const maxHeaderBytes = (ext === 'flac' ? 16 : 1) * 1024 * 1024;
+
+  let pending = new Uint8Array(0);
+  let header = HEADER_FORMATS.includes(ext) ? null : new Uint8Array(0);
+  let chunkWindow = ext === 'mp3' ? data => createMP3Chunks(data, chunkSize, options) : data => createTinyChunks(data, chunkSize);
+  let consumedBytes = 0;
+  let consumedTime = 0;
+  let startGranule = 0;
+
+  // The FLAC and Ogg chunkers count offsets from the start of their buffer,
+  // so take the header back off to make them relative to `pending`
+  const afterHeader = chunks => chunks.map(chunk => ({
+    ...chunk,
+    start: Math.max(0, chunk.start - header.length),
+    end: chunk.end - header.length
+  }));
+
+  // Every chunk needs the header (WAV fmt block, FLAC STREAMINFO, Ogg codec
+  // header pages), so hold bytes back until all of it is here
+  const readHeader = () => {
+    if (ext === 'wav') {
+      const wavHeader = parseWAVHeader(pending);
+      if (wavHeader) {
+        header = pending.slice(0, wavHeader.dataStart);
+        pending = pending.slice(wavHeader.dataStart);
+        chunkWindow = data => createWAVChunks(concatBytes(header, data), chunkSize, options);
+      }
+    } else if (ext === 'flac') {
+      const flacHeader = parseFLACHeader(pending);
+      if (flacHeader) {
+        // Later windows carry just STREAMINFO; the other metadata blocks are
+        // tags and pictures nobody transcribes
+        header = createFLACChunkWithHeader(new Uint8Array(0), flacHeader.streamInfo, 0);
+        pending = pending.slice(flacHeader.audioStart);
+        chunkWindow = data => afterHeader(createFLACChunks(concatBytes(header, data), chunkSize));
+      }
+    } else {
+      // The header pages are complete once a page after them has arrived
+      const pages = parseOggPages(pending);
+      const headerPageCount = pages.length > 0 ? countOggHeaderPages(pending, pages) : 0;
+      if (headerPageCount > 0 && headerPageCount < pages.length) {
+        const audioStart = pages[headerPageCount].offset;
+        header = pending.slice(0, audioStart);
+        pending = pending.slice(audioStart);
+        chunkWindow = data => afterHeader(createOGGChunks(concatBytes(header, data), chunkSize, startGranule));
+      }
+    }
+
+    if (!header && pending.length > maxHeaderBytes) {
+      processingLogger.warn(`No ${ext.toUpperCase()} header found in the first ${maxHeaderBytes / 1024 / 1024}MB, streaming raw chunks`);
+      header = new Uint8Array(0);
+    }
+  };
+
+  // Window offsets (after the header) are relative to `pending`
+  const place = (chunk) => ({
+    ...chunk,
+    start: consumedBytes + chunk.start,
+    end: consumedBytes + chunk.end,
+    ...(typeof chunk.startTime === 'number' ? { startTime: consumedTime + chunk.startTime } : {})
+  });
+
+  return {
+    push(bytes) {
+      pending = concatBytes(pending, bytes);
+      if (!header) readHeader();
+      if (!header) return [];
+
+      const ready = [];
+      while (pending.length >= chunkSize + lookahead) {
+        const chunks = chunkWindow(pending);
+        if (chunks.length < 2) break;
+
+        // The next chunk's start already accounts for the overlap
+        const next = chunks[1];
+        ready.push(place(chunks[0]));
+        pending = pending.slice(next.start);
+        consumedBytes += next.start;
+        consumedTime += next.startTime || 0;
+        // Ogg chunks are timed from granule positions, counted from where the window starts
+        startGranule = next.startGranule ?? 0;
+      }
+      return ready;
+    },
+
+    flush() {
+      if (!header) header = new Uint8Array(0);
+      if (pending.length === 0) return [];
+
+      const chunks = chunkWindow(pending).map(place);
+      pending = new Uint8Array(0);
+      return chunks;
+    }
+  };
+}
+
+/**
+ * Create WAV chunks with proper headers for playable debug files
+ * Each cut lands in the nearest silence within options.vad.window_seconds
+ */
+export function createWAVChunks(buffer, chunkSize, options = DEFAULT_CHUNKING_OPTIONS) {
+  const chunks = [];
+  
+  // Parse WAV header
+  const wavHeader = parseWAVHeader(buffer);
+  if (!wavHeader) {
+    // Not a valid WAV, fall back to simple chunking
+    return createChunks(buffer, chunkSize);
+  }
+  
+  const { headerSize, dataStart, audioFormat, channels, sampleRate, bitsPerSample, byteRate } = wavHeader;
+  
+  // Calculate bytes per sample to align chunks on sample boundaries
+  const bytesPerSample = (bitsPerSample / 8) * channels;
+  const alignedChunkSize = Math.floor(chunkSize / bytesPerSample) * bytesPerSample;
+  // Tiny streaming chunks can't give up seconds of audio to the overlap or
+  // the silence search, so both are capped at a quarter of a chunk
+  const overlapSize = Math.min(options.overlap_seconds * byteRate, alignedChunkSize / 4);
+  const alignedOverlapSize = Math.floor(overlapSize / bytesPerSample) * bytesPerSample;
+  const vad = { ...options.vad, window_seconds: Math.min(options.vad.window_seconds, alignedChunkSize / byteRate / 4) };
+  
+  let start = dataStart;
+  while (start < buffer.length) {
+    let end = Math.min(start + alignedChunkSize, buffer.length);
+    if (end < buffer.length) {
+      end = snapWAVCut(buffer, wavHeader, end, start + alignedOverlapSize, buffer.length, vad);
+    }
+    const audioData = buffer.slice(start, end);
+    const audioDataSize = audioData.length;
+    
+    // Create new WAV chunk with proper header
+    const chunkWithHeader = createWAVChunkWithHeader(
+      audioData, 
+      audioFormat, 
+      channels, 
+      sampleRate, 
+      bitsPerSample
+    );
+    
+    chunks.push({
+      start: start - dataStart, // Relative to audio data start
+      end: end - dataStart,
+      data: chunkWithHeader,
+      hasOverlap: start > dataStart,
+      audioDataSize,
+      isPlayable: true,
+      startTime: (start - dataStart) / byteRate, // Seconds into the original audio
+      duration: audioDataSize / byteRate
+    });
+    
+    if (end >= buffer.length) break;
+    start = end - alignedOverlapSize;
+  }
+  
+  return chunks;
+}
+
+/**
+ * Parse WAV file header to extract format information
+ */
+export function parseWAVHeader(buffer) {
+  try {
+    const view = viewOf(buffer);
+    
+    // Check RIFF header
+    const riff = new TextDecoder().decode(buffer.slice(0, 4));
+    if (riff !== 'RIFF') return null;
+    
+    // Check WAVE format
+    const wave = new TextDecoder().decode(buffer.slice(8, 12));
+    if (wave !== 'WAVE') return null;
+    
+    // Find fmt chunk
+    let offset = 12;
+    while (offset < buffer.length - 8) {
+      const chunkId = new TextDecoder().decode(buffer.slice(offset, offset + 4));
+      const chunkSize = view.getUint32(offset + 4, true);
+      
+      if (chunkId === 'fmt ') {
+        const audioFormat = view.getUint16(offset + 8, true);
+        const channels = view.getUint16(offset + 10, true);
+        const sampleRate = view.getUint32(offset + 12, true);
+        const bitsPerSample = view.getUint16(offset + 22, true);
+        const byteRate = view.getUint32(offset + 16, true) || sampleRate * channels * (bitsPerSample / 8);
+        
+        // Find data chunk
+        let dataOffset = offset + 8 + chunkSize;
+        while (dataOffset < buffer.length - 8) {
+          const dataChunkId = new TextDecoder().decode(buffer.slice(dataOffset, dataOffset + 4));
+          if (dataChunkId === 'data') {
+            return {
+              headerSize: dataOffset + 8,
+              dataStart: dataOffset + 8,
+              audioFormat,
+              channels,
+              sampleRate,
+              bitsPerSample,
+              byteRate
+            };
+          }
+          const dataChunkSize = view.getUint32(dataOffset + 4, true);
+          dataOffset += 8 + dataChunkSize;
+        }
+        break;
+      }
+      
+      offset += 8 + chunkSize;
+    }
+    
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a complete WAV file with header for a chunk of audio data
+ */
+function createWAVChunkWithHeader(audioData, audioFormat, channels, sampleRate, bitsPerSample) {
+  const dataSize = audioData.length;
+  const fileSize = 36 + dataSize;
+  const byteRate = sampleRate * channels * (bitsPerSample / 8);
+  const blockAlign = channels * (bitsPerSample / 8);
+  
+  // Create header buffer
+  const header = new ArrayBuffer(44);
+  const view = new DataView(header);
+  const headerBytes = new Uint8Array(header);
+  
+  // RIFF header
+  headerBytes.set(new TextEncoder().encode('RIFF'), 0);
+  view.setUint32(4, fileSize, true);
+  headerBytes.set(new TextEncoder().encode('WAVE'), 8);
+  
+  // fmt chunk
+  headerBytes.set(new TextEncoder().encode('fmt '), 12);
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, audioFormat, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, byteRate, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  
+  // data chunk
+  headerBytes.set(new TextEncoder().encode('data'), 36);
+  view.setUint32(40, dataSize, true);
+  
+  // Combine header and audio data
+  const result = new Uint8Array(44 + dataSize);
+  result.set(headerBytes, 0);
+  result.set(audioData, 44);
+  
+  return result;
+}
+
+/**
+ * Create MP3 chunks aligned to frame boundaries for API compatibility
+ * Each cut lands in the nearest silence within options.vad.window_seconds
+ */
+export function createMP3Chunks(buffer, chunkSize, options = DEFAULT_CHUNKING_OPTIONS) {
+  const chunks = [];
+  const framePositions = findMP3FramePositions(buffer);
+  
+  if (framePositions.length === 0) {
+    processingLogger.warn('No MP3 frames found, falling back to simple chunking');
+    return createChunks(buffer, chunkSize);
+  }
+  
+  const frameTimes = getMP3FrameTimes(buffer, framePositions);
+  
+  let frameIndex = 0;
+  while (frameIndex < framePositions.length) {
+    const startPos = framePositions[frameIndex];
+    let endFrameIndex = frameIndex;
+    let currentSize = 0;
+    
+    // Find the end frame that doesn't exceed chunk size
+    while (endFrameIndex < framePositions.length - 1) {
+      const nextFrameStart = framePositions[endFrameIndex + 1];
+      const sizeWithNextFrame = nextFrameStart - startPos;
+      
+      if (sizeWithNextFrame > chunkSize) break;
+      
+      endFrameIndex++;
+      currentSize = sizeWithNextFrame;
+    }
+    
+    // Ensure we have at least one frame
+    if (endFrameIndex === frameIndex && frameIndex < framePositions.length - 1) {
+      endFrameIndex = frameIndex + 1;
+      currentSize = framePositions[endFrameIndex] - startPos;
+    } else if (endFrameIndex === frameIndex) {
+      // Last frame
+      currentSize = buffer.length - startPos;
+    }
+    
+    // Same caps as WAV: overlap and silence search take at most a quarter of the chunk
+    const chunkDuration = frameTimes[endFrameIndex + 1] - frameTimes[frameIndex];
+    const frameDuration = chunkDuration / (endFrameIndex - frameIndex + 1);
+    if (endFrameIndex < framePositions.length - 1) {
+      const vad = { ...options.vad, window_seconds: Math.min(options.vad.window_seconds, chunkDuration / 4) };
+      endFrameIndex = snapMP3Cut(buffer, framePositions, endFrameIndex + 1, frameIndex, framePositions.length - 1, frameDuration, vad) - 1;
+    }
+    
+    const endPos = endFrameIndex < framePositions.length - 1 ? 
+      framePositions[endFrameIndex + 1] : buffer.length;
+    
+    const chunkData = buffer.slice(startPos, endPos);
+    
+    chunks.push({
+      start: startPos,
+      end: endPos,
+      data: chunkData,
+      hasOverlap: frameIndex > 0,
+      isPlayable: true,
+      frameCount: endFrameIndex - frameIndex + 1,
+      startTime: frameTimes[frameIndex],
+      duration: frameTimes[endFrameIndex + 1] - frameTimes[frameIndex]
+    });
+    
+    // Move to next chunk, stepping back options.overlap_seconds worth of frames
+    const overlapFrames = frameDuration > 0
+      ? Math.min(Math.round(options.overlap_seconds / frameDuration), Math.floor((endFrameIndex - frameIndex + 1) / 4))
+      : 0;
+    frameIndex = Math.max(frameIndex + 1, endFrameIndex + 1 - overlapFrames);
+    
+    if (endPos >= buffer.length) break;
+  }
+  
+  return chunks;
+}
+
+/**
+ * Find MP3 frame positions by looking for sync words
+ */
+export function findMP3FramePositions(buffer) {
+  const positions = [];
+  const view = viewOf(buffer);
+  
+  for (let i = 0; i < buffer.length - 4; i++) {
+    // Look for MP3 sync word: 0xFF followed by 0xE0-0xFF (first 11 bits set)
+    if (buffer[i] === 0xFF && (buffer[i + 1] & 0xE0) === 0xE0) {
+      // Validate it's a real frame header
+      const frameInfo = parseMP3FrameHeader(view, i);
+      if (frameInfo && frameInfo.frameSize > 0) {
+        positions.push(i);
+        // Skip to next potential frame
+        i += frameInfo.frameSize - 1;
+      }
+    }
+  }
+  
+  return positions;
+}
+
+/**
+ * Running start time of every MP3 frame (plus the end of the last one), in seconds
+ */
+export function getMP3FrameTimes(buffer, framePositions) {
+  const view = viewOf(buffer);
+  const frameTimes = [0];
+  
+  for (const position of framePositions) {
+    const frameInfo = parseMP3FrameHeader(view, position);
+    frameTimes.push(frameTimes[frameTimes.length - 1] + (frameInfo?.duration || 0));
+  }
+  
+  return frameTimes;
+}
+
+/**
+ * Parse MP3 frame header to get frame size
+ */
+export function parseMP3FrameHeader(view, offset) {
+  try {
+    if (offset + 4 > view.byteLength) return null;
+    
+    const header = view.getUint32(offset, false); // Big endian
+    
+    // Check sync word (first 11 bits)
+    if ((header >>> 21) !== 0x7FF) return null;
+    
+    // Extract fields
+    const version = (header >>> 19) & 0x3;
+    const layer = (header >>> 17) & 0x3;
+    const bitrateIndex = (header >>> 12) & 0xF;
+    const samplingRateIndex = (header >>> 10) & 0x3;
+    const padding = (header >>> 9) & 0x1;
+    
+    // Skip invalid combinations
+    if (version === 1 || layer === 0 || bitrateIndex === 0 || bitrateIndex === 15 || samplingRateIndex === 3) {
+      return null;
+    }
+    
+    // Bitrate table (simplified for common cases)
+    const bitrates = {
+      // MPEG1 Layer III
+      '3-1': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 0],
+      // MPEG2 Layer III  
+      '2-1': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160, 0]
+    };
+    
+    // Sample rates
+    const sampleRates = {
+      3: [44100, 48000, 32000], // MPEG1
+      2: [22050, 24000, 16000], // MPEG2
+      0: [11025, 12000, 8000]   // MPEG2.5
+    };
+    
+    const versionKey = version === 3 ? 3 : 2;
+    // Table keys use the raw layer bits (01 = Layer III)
+    const bitrateKey = `${versionKey}-${layer}`;
+    
+    const bitrate = bitrates[bitrateKey]?.[bitrateIndex];
+    const sampleRate = sampleRates[version === 0 ? 0 : versionKey]?.[samplingRateIndex];
+    
+    if (!bitrate || !sampleRate) return null;
+    
+    // Calculate frame size
+    const samplesPerFrame = version === 3 ? 1152 : 576; // MPEG1 vs MPEG2
+    const frameSize = Math.floor((samplesPerFrame * bitrate * 1000 / 8) / sampleRate) + padding;
+    
+    return { frameSize, bitrate, sampleRate, samplesPerFrame, duration: samplesPerFrame / sampleRate };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create MP4/M4A chunks from the audio track's sample tables
+ * Each chunk is rebuilt as a standalone MP4 (ftyp + moov + mdat) holding a
+ * contiguous run of samples, so it can be decoded without the original moov
+ */
+function createMP4Chunks(buffer, chunkSize) {
+  const chunks = createMP4ContainerChunks(buffer, chunkSize);
+  
+  if (!chunks) {
+    processingLogger.warn('No usable audio sample table found in MP4/M4A (fragmented or video-only file?), falling back to simple chunking');
+    return createChunks(buffer, chunkSize);
+  }
+  
+  return chunks;
+}
+
+/**
+ * Create FLAC chunks aligned to frame boundaries
+ * Every chunk gets its own fLaC marker and a STREAMINFO block counting just
+ * its samples, so it can be decoded independently (same idea as
+ * createWAVChunkWithHeader). The first chunk's span still starts at 0, over
+ * the metadata blocks its header replaces.
+ */
+export function createFLACChunks(buffer, chunkSize) {
+  const chunks = [];
+  const flacHeader = parseFLACHeader(buffer);
+  
+  if (!flacHeader) {
+    processingLogger.warn('No FLAC STREAMINFO found, falling back to simple chunking');
+    return createChunks(buffer, chunkSize);
+  }
+  
+  const frames = findFLACFrames(buffer, flacHeader);
+  
+  if (frames.length === 0) {
+    processingLogger.warn('No FLAC frames found, falling back to simple chunking');
+    return createChunks(buffer, chunkSize);
+  }
+  
+  // Running sample position of every frame, for chunk start times
+  const frameSamples = [0];
+  for (const frame of frames) {
+    frameSamples.push(frameSamples[frameSamples.length - 1] + frame.blockSize);
+  }
+  
+  let frameIndex = 0;
+  while (frameIndex < frames.length) {
+    const startPos = frameIndex === 0 ? 0 : frames[frameIndex].offset;
+    let endFrameIndex = frameIndex;
+    
+    // Find the end frame that doesn't exceed chunk size
+    while (endFrameIndex < frames.length - 1) {
+      const sizeWithNextFrame = frames[endFrameIndex + 2] 
+        ? frames[endFrameIndex + 2].offset - startPos 
+        : buffer.length - startPos;
+      
+      if (sizeWithNextFrame > chunkSize) break;
+      
+      endFrameIndex++;
+    }
+    
+    const endPos = endFrameIndex < frames.length - 1 ? 
+      frames[endFrameIndex + 1].offset : buffer.length;
+    
+    const audioData = buffer.slice(frames[frameIndex].offset, endPos);
+    let sampleCount = 0;
+    for (let i = frameIndex; i <= endFrameIndex; i++) {
+      sampleCount += frames[i].blockSize;
+    }
+    
+    chunks.push({
+      start: startPos,
+      end: endPos,
+      data: createFLACChunkWithHeader(audioData, flacHeader.streamInfo, sampleCount),
+      hasOverlap: frameIndex > 0,
+      audioDataSize: audioData.length,
+      isPlayable: true,
+      frameCount: endFrameIndex - frameIndex + 1,
+      sampleCount,
+      startTime: frameSamples[frameIndex] / flacHeader.sampleRate,
+      duration: sampleCount / flacHeader.sampleRate
+    });
+    
+    if (endPos >= buffer.length) break;
+    
+    // Move to next chunk with overlap (2% of this chunk's frames)
+    const overlapFrames = Math.max(1, Math.floor((endFrameIndex - frameIndex + 1) * 0.02));
+    frameIndex = Math.max(frameIndex + 1, endFrameIndex + 1 - overlapFrames);
+  }
+  
+  return chunks;
+}
+
+/**
+ * Parse the fLaC marker and metadata blocks to find STREAMINFO and the first audio frame
+ */
+export function parseFLACHeader(buffer) {
+  try {
+    let offset = 0;
+    
+    // Skip an ID3v2 tag if one was prepended to the stream
+    if (buffer.length >= 10 && buffer[0] === 0x49 && buffer[1] === 0x44 && buffer[2] === 0x33) {
+      const tagSize = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) |
+                      ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+      offset = 10 + tagSize;
+    }
+    
+    const marker = new TextDecoder().decode(buffer.slice(offset, offset + 4));
+    if (marker !== 'fLaC') return null;
+    offset += 4;
+    
+    let streamInfo = null;
+    let isLast = false;
+    
+    while (!isLast && offset + 4 <= buffer.length) {
+      isLast = (buffer[offset] & 0x80) !== 0;
+      const blockType = buffer[offset] & 0x7F;
+      const blockLength = (buffer[offset + 1] << 16) | (buffer[offset + 2] << 8) | buffer[offset + 3];
+      
+      // STREAMINFO is always block type 0 and exactly 34 bytes
+      if (blockType === 0 && blockLength === 34) {
+        streamInfo = buffer.slice(offset + 4, offset + 4 + 34);
+      }
+      
+      offset += 4 + blockLength;
+    }
+    
+    // Stopping short of the last metadata block means the buffer ends inside the header
+    if (!isLast || offset > buffer.length) return null;
+    if (!streamInfo || streamInfo.length !== 34) return null;
+    
+    const minFrameSize = (streamInfo[4] << 16) | (streamInfo[5] << 8) | streamInfo[6];
+    const sampleRate = (streamInfo[10] << 12) | (streamInfo[11] << 4) | (streamInfo[12] >> 4);
+    const channels = ((streamInfo[12] >> 1) & 0x07) + 1;
+    const bitsPerSample = (((streamInfo[12] & 0x01) << 4) | (streamInfo[13] >> 4)) + 1;
+    
+    return {
+      streamInfo,
+      audioStart: offset,
+      minFrameSize,
+      sampleRate,
+      channels,
+      bitsPerSample
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find FLAC frame positions by looking for sync codes with a valid header CRC-8
+ */
+function findFLACFrames(buffer, flacHeader) {
+  const frames = [];
+  let firstFrame = null;
+  
+  for (let i = flacHeader.audioStart; i < buffer.length - 6; i++) {
+    // Frame sync: 14 bits set to 11111111111110, followed by a reserved 0 bit
+    if (buffer[i] !== 0xFF || (buffer[i + 1] & 0xFE) !== 0xF8) continue;
+    
+    const frameInfo = parseFLACFrameHeader(buffer, i);
+    if (!frameInfo) continue;
+    
+    // Stream parameters never change between frames, which filters out false syncs in audio data
+    if (firstFrame && (
+      frameInfo.blockingStrategy !== firstFrame.blockingStrategy ||
+      frameInfo.sampleRateCode !== firstFrame.sampleRateCode ||
+      frameInfo.channelAssignment !== firstFrame.channelAssignment ||
+      frameInfo.sampleSizeCode !== firstFrame.sampleSizeCode
+    )) {
+      continue;
+    }
+    
+    firstFrame = firstFrame || frameInfo;
+    frames.push({ offset: i, blockSize: frameInfo.blockSize });
+    
+    // Skip ahead by the smallest frame size the encoder reported
+    i += Math.max(frameInfo.headerSize, flacHeader.minFrameSize) - 1;
+  }
+  
+  return frames;
+}
+
+/**
+ * Parse a FLAC frame header and validate its CRC-8
+ */
+function parseFLACFrameHeader(buffer, offset) {
+  const blockingStrategy = buffer[offset + 1] & 0x01;
+  const blockSizeCode = buffer[offset + 2] >> 4;
+  const sampleRateCode = buffer[offset + 2] & 0x0F;
+  const channelAssignment = buffer[offset + 3] >> 4;
+  const sampleSizeCode = (buffer[offset + 3] >> 1) & 0x07;
+  
+  // Skip reserved/invalid combinations
+  if (blockSizeCode === 0 || sampleRateCode === 15 || channelAssignment > 10 ||
+      sampleSizeCode === 3 || (buffer[offset + 3] & 0x01) !== 0) {
+    return null;
+  }
+  
+  // UTF-8 style coded frame/sample number
+  let pos = offset + 4;
+  const first = buffer[pos];
+  let extraBytes;
+  if ((first & 0x80) === 0) extraBytes = 0;
+  else if ((first & 0xE0) === 0xC0) extraBytes = 1;
+  else if ((first & 0xF0) === 0xE0) extraBytes = 2;
+  else if ((first & 0xF8) === 0xF0) extraBytes = 3;
+  else if ((first & 0xFC) === 0xF8) extraBytes = 4;
+  else if ((first & 0xFE) === 0xFC) extraBytes = 5;
+  else if (first === 0xFE) extraBytes = 6;
+  else return null;
+  
+  pos++;
+  for (let i = 0; i < extraBytes; i++, pos++) {
+    if (pos >= buffer.length || (buffer[pos] & 0xC0) !== 0x80) return null;
+  }
+  
+  // Block size in samples
+  let blockSize;
+  if (blockSizeCode === 1) {
+    blockSize = 192;
+  } else if (blockSizeCode <= 5) {
+    blockSize = 576 << (blockSizeCode - 2);
+  } else if (blockSizeCode === 6) {
+    blockSize = buffer[pos] + 1;
+    pos += 1;
+  } else if (blockSizeCode === 7) {
+    blockSize = ((buffer[pos] << 8) | buffer[pos + 1]) + 1;
+    pos += 2;
+  } else {
+    blockSize = 256 << (blockSizeCode - 8);
+  }
+  
+  // Uncommon sample rates are stored at the end of the header
+  if (sampleRateCode === 12) {
+    pos += 1;
+  } else if (sampleRateCode === 13 || sampleRateCode === 14) {
+    pos += 2;
+  }
+  
+  if (pos >= buffer.length) return null;
+  
+  // CRC-8 (polynomial 0x07) covers every header byte up to the CRC itself
+  let crc = 0;
+  for (let i = offset; i < pos; i++) {
+    crc ^= buffer[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+  }
+  if (crc !== buffer[pos]) return null;
+  
+  return {
+    blockingStrategy,
+    blockSize,
+    sampleRateCode,
+    channelAssignment,
+    sampleSizeCode,
+    headerSize: pos - offset + 1
+  };
+}
+
+/**
+ * Create a complete FLAC file with fLaC marker and STREAMINFO for a run of frames
+ */
+function createFLACChunkWithHeader(audioData, streamInfo, sampleCount) {
+  const header = new Uint8Array(4 + 4 + 34);
+  
+  // fLaC marker
+  header.set(new TextEncoder().encode('fLaC'), 0);
+  
+  // Metadata block header: last-block flag set, type 0 (STREAMINFO), length 34
+  header[4] = 0x80;
+  header[5] = 0;
+  header[6] = 0;
+  header[7] = 34;
+  
+  // Copy STREAMINFO but rewrite total samples (36 bits) for this chunk and clear the MD5,
+  // which only matches the full original stream
+  const info = new Uint8Array(streamInfo);
+  info[13] = (info[13] & 0xF0) | (Math.floor(sampleCount / 0x100000000) & 0x0F);
+  info[14] = (sampleCount >>> 24) & 0xFF;
+  info[15] = (sampleCount >>> 16) & 0xFF;
+  info[16] = (sampleCount >>> 8) & 0xFF;
+  info[17] = sampleCount & 0xFF;
+  info.fill(0, 18, 34);
+  header.set(info, 8);
+  
+  // Combine header and frames
+  const result = new Uint8Array(header.length + audioData.length);
+  result.set(header, 0);
+  result.set(audioData, header.length);
+  
+  return result;
+}
+
+/**
+ * Create OGG (Opus/Vorbis) chunks split on page boundaries
+ * The identification and comment header pages are repeated at the start of
+ * every chunk so each one decodes on its own. Chunks are timed from granule
+ * positions, counted from `startGranule` (where the first audio page starts,
+ * for a buffer cut from further into a stream).
+ */
+export function createOGGChunks(buffer, chunkSize, startGranule = 0) {
+  const chunks = [];
+  const pages = parseOggPages(buffer);
+  
+  if (pages.length === 0) {
+    processingLogger.warn('No Ogg pages found, falling back to simple chunking');
+    return createChunks(buffer, chunkSize);
+  }
+  
+  if (pages.filter(page => page.isBOS).length > 1) {
+    processingLogger.warn('Multiplexed Ogg streams not supported, falling back to simple chunking');
+    return createChunks(buffer, chunkSize);
+  }
+  
+  const headerPageCount = countOggHeaderPages(buffer, pages);
+  const headerPages = pages.slice(0, headerPageCount);
+  const audioPages = pages.slice(headerPageCount);
+  
+  if (audioPages.length === 0) {
+    processingLogger.warn('Ogg file has no audio pages, falling back to simple chunking');
+    return createChunks(buffer, chunkSize);
+  }
+  
+  const headerSize = headerPages.reduce((sum, page) => sum + page.size, 0);
+  const audioChunkSize = Math.max(chunkSize - headerSize, 1);
+  const timing = readOggTiming(buffer, pages[0]);
+  
+  // A page's granule position counts the samples up to the end of its last
+  // finished packet, so a chunk starts at the last granule before its first page
+  const granuleBefore = index => {
+    for (let i = index - 1; i >= 0; i--) {
+      if (audioPages[i].granule !== null) return audioPages[i].granule;
+    }
+    return startGranule;
+  };
+  const granuleTime = granule => (Math.max(0, granule - timing.preSkip) - Math.max(0, startGranule - timing.preSkip)) / timing.sampleRate;
+  
+  // A page with the continuation flag opens with the rest of a packet from the
+  // page before it, so a chunk that starts there hands the decoder half a packet.
+  // Every chunk starts on a page that begins a fresh packet.
+  const startsPacket = index => index >= audioPages.length || !audioPages[index].isContinuation;
+  
+  let pageIndex = 0;
+  while (pageIndex < audioPages.length && !startsPacket(pageIndex)) {
+    pageIndex++;
+  }
+  
+  while (pageIndex < audioPages.length) {
+    const startPage = audioPages[pageIndex];
+    let endPageIndex = pageIndex;
+    
+    // Find the end page that doesn't exceed chunk size
+    while (endPageIndex < audioPages.length - 1) {
+      const nextPage = audioPages[endPageIndex + 1];
+      const sizeWithNextPage = nextPage.offset + nextPage.size - startPage.offset;
+      
+      if (sizeWithNextPage > audioChunkSize) break;
+      
+      endPageIndex++;
+    }
+    
+    // End right before a page that starts a fresh packet, so the next chunk can
+    // start there: back off if there is such a page in this chunk, otherwise run
+    // on until the packet that spans the boundary has finished
+    let cleanEnd = endPageIndex;
+    while (cleanEnd >= pageIndex && !startsPacket(cleanEnd + 1)) {
+      cleanEnd--;
+    }
+    if (cleanEnd >= pageIndex) {
+      endPageIndex = cleanEnd;
+    } else {
+      while (!startsPacket(endPageIndex + 1)) {
+        endPageIndex++;
+      }
+    }
+    
+    const endPage = audioPages[endPageIndex];
+    const chunkPages = [...headerPages, ...audioPages.slice(pageIndex, endPageIndex + 1)];
+    
+    chunks.push({
+      start: startPage.offset,
+      end: endPage.offset + endPage.size,
+      data: createOggChunkFromPages(buffer, chunkPages),
+      hasOverlap: pageIndex > 0,
+      audioDataSize: endPage.offset + endPage.size - startPage.offset,
+      isPlayable: true,
+      pageCount: endPageIndex - pageIndex + 1,
+      startGranule: granuleBefore(pageIndex),
+      ...(timing ? {
+        startTime: granuleTime(granuleBefore(pageIndex)),
+        duration: granuleTime(granuleBefore(endPageIndex + 1)) - granuleTime(granuleBefore(pageIndex))
+      } : {})
+    });
+    
+    if (endPageIndex >= audioPages.length - 1) break;
+    
+    // Move to next chunk with overlap (2% of this chunk's pages). If no page in
+    // the overlap starts a packet, the page after this chunk does (see above)
+    const overlapPages = Math.max(1, Math.floor((endPageIndex - pageIndex + 1) * 0.02));
+    let nextIndex = Math.max(pageIndex + 1, endPageIndex + 1 - overlapPages);
+    while (!startsPacket(nextIndex)) {
+      nextIndex++;
+    }
+    pageIndex = nextIndex;
+  }
+  
+  return chunks;
+}
+
+/**
+ * Find Ogg pages by looking for the OggS capture pattern
+ */
+export function parseOggPages(buffer) {
+  const pages = [];
+  let offset = 0;
+  
+  while (offset + 27 <= buffer.length) {
+    // Capture pattern "OggS" followed by stream structure version 0
+    if (buffer[offset] !== 0x4F || buffer[offset + 1] !== 0x67 || buffer[offset + 2] !== 0x67 ||
+        buffer[offset + 3] !== 0x53 || buffer[offset + 4] !== 0) {
+      offset++;
+      continue;
+    }
+    
+    const headerType = buffer[offset + 5];
+    const segmentCount = buffer[offset + 26];
+    if (offset + 27 + segmentCount > buffer.length) break;
+    
+    let bodySize = 0;
+    let packetsCompleted = 0;
+    for (let i = 0; i < segmentCount; i++) {
+      const lacingValue = buffer[offset + 27 + i];
+      bodySize += lacingValue;
+      // A lacing value below 255 terminates a packet
+      if (lacingValue < 255) packetsCompleted++;
+    }
+    
+    const size = 27 + segmentCount + bodySize;
+    if (offset + size > buffer.length) break;
+    
+    let granuleIsZero = true;
+    let granuleIsUnset = true;
+    for (let i = 6; i < 14; i++) {
+      if (buffer[offset + i] !== 0) granuleIsZero = false;
+      if (buffer[offset + i] !== 0xFF) granuleIsUnset = false;
+    }
+    // -1 marks a page on which no packet finishes
+    const granule = granuleIsUnset ? null : readUint32LE(buffer, offset + 6) + readUint32LE(buffer, offset + 10) * 2 ** 32;
+    
+    pages.push({
+      offset,
+      size,
+      bodyOffset: offset + 27 + segmentCount,
+      isContinuation: (headerType & 0x01) !== 0,
+      isBOS: (headerType & 0x02) !== 0,
+      isEOS: (headerType & 0x04) !== 0,
+      granuleIsZero,
+      granule,
+      packetsCompleted
+    });
+    
+    offset += size;
+  }
+  
+  return pages;
+}
+
+/**
+ * Count the leading pages that carry codec header packets
+ * (Opus: OpusHead + OpusTags, Vorbis: identification + comment + setup)
+ */
+function countOggHeaderPages(buffer, pages) {
+  const firstBody = buffer.slice(pages[0].bodyOffset, pages[0].bodyOffset + 8);
+  const signature = new TextDecoder().decode(firstBody);
+  
+  let headerPackets = null;
+  if (signature === 'OpusHead') {
+    headerPackets = 2;
+  } else if (firstBody[0] === 0x01 && signature.slice(1, 7) === 'vorbis') {
+    headerPackets = 3;
+  }
+  
+  if (headerPackets) {
+    let packets = 0;
+    for (let i = 0; i < pages.length; i++) {
+      packets += pages[i].packetsCompleted;
+      if (packets >= headerPackets) return i + 1;
+    }
+    return pages.length;
+  }
+  
+  // Unknown codec: header pages are the leading pages with a zero granule position
+  let count = 0;
+  while (count < pages.length && (pages[count].isBOS || pages[count].granuleIsZero)) {
+    count++;
+  }
+  return Math.max(count, 1);
+}
+
+/**
+ * Sample rate and pre-skip that turn granule positions into seconds, read from
+ * the identification header (Opus granules always count at 48kHz). Null for
+ * codecs we don't know.
+ */
+function readOggTiming(buffer, firstPage) {
+  const body = buffer.subarray(firstPage.bodyOffset, firstPage.offset + firstPage.size);
+  const signature = new TextDecoder().decode(body.subarray(0, 8));
+  
+  if (signature === 'OpusHead' && body.length >= 12) {
+    return { sampleRate: 48000, preSkip: body[10] | (body[11] << 8) };
+  }
+  if (body[0] === 0x01 && signature.slice(1, 7) === 'vorbis' && body.length >= 16) {
+    const sampleRate = readUint32LE(body, 12);
+    return sampleRate ? { sampleRate, preSkip: 0 } : null;
+  }
+  return null;
+}
+
+function readUint32LE(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)) + bytes[offset + 3] * 0x1000000;
+}
+
+/**
+ * Concatenate Ogg pages into a new stream, renumbering page sequence numbers
+ * and recomputing each page CRC so decoders don't report holes
+ */
+function createOggChunkFromPages(buffer, pages) {
+  const totalSize = pages.reduce((sum, page) => sum + page.size, 0);
+  const result = new Uint8Array(totalSize);
+  const view = new DataView(result.buffer);
+  
+  let offset = 0;
+  pages.forEach((page, sequence) => {
+    result.set(buffer.subarray(page.offset, page.offset + page.size), offset);
+    
+    // Only the final page of each chunk carries the EOS flag
+    if (sequence === pages.length - 1) {
+      result[offset + 5] |= 0x04;
+    } else {
+      result[offset + 5] &= ~0x04;
+    }
+    
+    view.setUint32(offset + 18, sequence, true);
+    view.setUint32(offset + 22, 0, true);
+    view.setUint32(offset + 22, oggCRC32(result.subarray(offset, offset + page.size)), true);
+    
+    offset += page.size;
+  });
+  
+  return result;
+}
+
+/**
+ * Ogg page checksum (CRC-32, polynomial 0x04C11DB7, no reflection)
+ */
+let oggCRCTable = null;
+function oggCRC32(bytes) {
+  if (!oggCRCTable) {
+    oggCRCTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let bit = 0; bit < 8; bit++) {
+        r = r & 0x80000000 ? (r << 1) ^ 0x04C11DB7 : r << 1;
+      }
+      oggCRCTable[i] = r >>> 0;
+    }
+  }
+  
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ oggCRCTable[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+  }
+  return crc;
+}
+
+export function createTinyChunks(buffer, chunkSize) {
+  const chunks = [];
+  const minOverlap = Math.min(1024 * 50, Math.floor(chunkSize * 0.02)); // 50KB or 2% overlap
+  
+  for (let start = 0; start < buffer.length; start += chunkSize - minOverlap) {
+    const end = Math.min(start + chunkSize, buffer.length);
+    const chunkData = buffer.slice(start, end);
+    
+    chunks.push({
+      start,
+      end,
+      data: chunkData,
+      size: chunkData.length
+    });
+    
+    if (end >= buffer.length) break;
+  }
+  
+  return chunks;
+}
+
+export function concatBytes(a, b) {
+  const joined = new Uint8Array(a.byteLength + b.byteLength);
+  joined.set(a, 0);
+  joined.set(b, a.byteLength);
+  return joined;
+}
@@ -0,0 +1,162 @@
+import { apiLogger } from './logger.js';
+
+// ============================================================================
+// API KEY AUTHENTICATION - Bearer tokens checked against keys stored in KV
+// ============================================================================
+
+/**
+ * Keys are stored in GROQ_JOBS_KV as `apikey_<sha256 of token>` so a leaked KV
+ * dump doesn't leak usable tokens. The first 16 hex chars of the hash are the
+ * key_id, which is what jobs record as their `owner`.
+ *
+ * ADMIN_API_KEY (a Worker secret) is always accepted and can see every job.
+ * AUTH_DISABLED=true skips auth entirely, for local development only.
+ */
+
+const API_KEY_PREFIX = 'apikey_';
+const ADMIN_KEY_ID = 'admin';
+
+/**
+ * Resolve the caller's API key
+ * @returns {Promise<{auth: Object}|{response: Response}>}
+ */
+export async function authenticateRequest(request, env) {
+  if (env.AUTH_DISABLED === 'true') {
+    return { auth: { key_id: null, name: 'anonymous', is_admin: true } };
+  }
+
+  const token = getRequestToken(request);
+  if (!token) {
+    return { response: authErrorResponse('Missing API key', 'Send an Authorization: Bearer <api_key> header', 401) };
+  }
+
+  const hash = await hashApiKey(token);
+
+  if (env.ADMIN_API_KEY && digestsEqual(hash, await hashApiKey(env.ADMIN_API_KEY))) {
+    return { auth: { key_id: ADMIN_KEY_ID, name: 'admin', is_admin: true } };
+  }
+
+  const record = JSON.parse(await env.GROQ_JOBS_KV.get(API_KEY_PREFIX + hash) || 'null');
+
+  if (!record || record.revoked_at) {
+    apiLogger.warn('Rejected request with unknown or revoked API key', {
+      path: new URL(request.url).pathname
+    });
+    return { response: authErrorResponse('Invalid API key', 'The API key is unknown or has been revoked', 401) };
+  }
+
+  return { auth: { key_id: record.key_id, name: record.name, is_admin: record.is_admin === true, interactive: record.interactive === true } };
+}
+
+/**
+ * Whether the authenticated key may see a job. Jobs created before auth was
+ * enabled have no owner and are only visible to admins.
+ */
+export function canAccessJob(auth, job) {
+  if (!auth || !job) return false;
+  return auth.is_admin || (job.owner != null && job.owner === auth.key_id);
+}
+
+/**
+ * Create a new API key. The plain token is only ever returned here.
+ */
+export async function createApiKey(env, { name, is_admin = false, interactive = false }) {
+  const randomBytes = crypto.getRandomValues(new Uint8Array(32));
+  const api_key = 'gwx_' + Array.from(randomBytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  const hash = await hashApiKey(api_key);
+
+  const record = {
+    key_id: hash.slice(0, 16),
+    name: name || 'unnamed',
+    is_admin: is_admin === true,
+    interactive: interactive === true, // May send uploads at interactive priority
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  };
+
+  // API keys don't expire with the 24h job TTL
+  await env.GROQ_JOBS_KV.put(API_KEY_PREFIX + hash, JSON.stringify(record));
+
+  apiLogger.info('create', 'Created API key', { key_id: record.key_id, name: record.name, is_admin: record.is_admin, interactive: record.interactive });
+
+  return { api_key, ...record };
+}
+
+/**
+ * List API key records (never the tokens themselves)
+ */
+export async function listApiKeys(env) {
+  const listResult = await env.GROQ_JOBS_KV.list({ prefix: API_KEY_PREFIX });
+  const keys = [];
+
+  for (const key of listResult.keys) {
+    const record = JSON.parse(await env.GROQ_JOBS_KV.get(key.name) || 'null');
+    if (record) keys.push(record);
+  }
+
+  return keys.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Revoke an API key by its key_id
+ */
+export async function revokeApiKey(env, key_id) {
+  if (!key_id) return null;
+
+  // key_id is the hash prefix, so a prefix listing finds the stored record
+  const listResult = await env.GROQ_JOBS_KV.list({ prefix: API_KEY_PREFIX + key_id });
+  const entry = listResult.keys[0];
+  if (!entry) return null;
+
+  const record = JSON.parse(await env.GROQ_JOBS_KV.get(entry.name));
+  record.revoked_at = new Date().toISOString();
+  await env.GROQ_JOBS_KV.put(entry.name, JSON.stringify(record));
+
+  apiLogger.info('delete', 'Revoked API key', { key_id, name: record.name });
+
+  return record;
+}
+
+export async function hashApiKey(apiKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two hex digests in constant time, so response timing doesn't reveal
+ * how much of the admin key a guess got right
+ */
+function digestsEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Read the bearer token. EventSource can't set headers, so GET requests may
+ * pass it as ?api_key= instead.
+ */
+function getRequestToken(request) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+
+  if (request.method === 'GET') {
+    return new URL(request.url).searchParams.get('api_key');
+  }
+
+  return null;
+}
+
+export function authErrorResponse(error, message, status) {
+  return new Response(JSON.stringify({ error, message }), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {})
+    }
+  });
+}
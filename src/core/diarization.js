@@ -0,0 +1,348 @@
+import { processingLogger } from './logger.js';
+
+// ============================================================================
+// SPEAKER DIARIZATION - who spoke when, attached to Whisper segments
+// ============================================================================
+
+/**
+ * A diarizer takes one chunk of audio and returns speaker turns relative to
+ * that chunk: [{ start, end, speaker, embedding? }]. Speaker names only have
+ * to be consistent within the chunk; labelSpeakers() maps them onto
+ * job-wide "Speaker N" labels.
+ *
+ * DIARIZATION_PROVIDER picks the implementation:
+ *   http - POSTs the audio to DIARIZATION_URL (e.g. a pyannote service)
+ *   mock - local, deterministic turns derived from Whisper's pauses; for tests
+ */
+const DIARIZATION_PROVIDERS = {
+  http: createHttpDiarizer,
+  mock: createMockDiarizer
+};
+
+const EMBEDDING_MATCH_THRESHOLD = 0.75; // Cosine similarity for "same voice"
+const MIN_OVERLAP_MATCH_SECONDS = 0.5;  // Shared audio needed to match speakers across chunks
+const MOCK_TURN_GAP = 1.0;              // Pause (seconds) at which the mock switches speaker
+
+/**
+ * Get the configured diarizer, or null when diarization isn't set up
+ */
+export function getDiarizer(env) {
+  const provider = env.DIARIZATION_PROVIDER || (env.DIARIZATION_URL ? 'http' : null);
+  if (!provider) return null;
+
+  const factory = DIARIZATION_PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Unknown diarization provider: ${provider}`);
+  }
+
+  return factory(env);
+}
+
+/**
+ * Why diarize=true can't be honoured on this deployment, or null if it can
+ */
+export function getDiarizationConfigError(env) {
+  try {
+    return getDiarizer(env) ? null : 'Set DIARIZATION_PROVIDER or DIARIZATION_URL to use diarize';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Run the diarizer over one chunk. Failures, including a misconfigured
+ * provider, are logged and yield no turns so the transcript itself still completes.
+ */
+export async function diarizeChunk(env, audioData, { filename, segments = [], chunk_index = 0 } = {}) {
+  let diarizer = null;
+
+  try {
+    diarizer = getDiarizer(env);
+    if (!diarizer) return [];
+
+    const turns = await diarizer.diarize(audioData, { filename, segments });
+    return normalizeTurns(turns);
+  } catch (error) {
+    processingLogger.warn('Diarization failed, continuing without speaker labels', {
+      provider: diarizer?.name || env.DIARIZATION_PROVIDER || null,
+      chunk_index,
+      error: error.message
+    });
+    return [];
+  }
+}
+
+/**
+ * Give every segment a job-wide speaker label.
+ *
+ * chunks: [{ start, segments, speaker_turns }] in order, where `start` is the
+ * chunk's offset in seconds, segments are already absolute and speaker_turns
+ * are relative to the chunk. Local speakers are matched to earlier ones by the
+ * audio the chunks share (server-side chunks overlap slightly) and otherwise by
+ * voice embedding, so client-sliced chunks stay consistent when the provider
+ * returns embeddings.
+ *
+ * Returns the chunks with labelled segments and absolute, labelled turns.
+ */
+export function labelSpeakers(chunks) {
+  const speakers = []; // { label, embedding, weight }
+  let previousTurns = [];
+
+  return chunks.map(chunk => {
+    const offset = chunk.start || 0;
+    const turns = (chunk.speaker_turns || []).map(turn => ({
+      ...turn,
+      start: turn.start + offset,
+      end: turn.end + offset
+    }));
+
+    const mapping = matchLocalSpeakers(turns, previousTurns, speakers);
+    const labelledTurns = turns.map(({ embedding, ...turn }) => ({ ...turn, speaker: mapping.get(turn.speaker) }));
+
+    if (labelledTurns.length > 0) {
+      previousTurns = labelledTurns;
+    }
+
+    return {
+      ...chunk,
+      segments: (chunk.segments || []).map(segment => {
+        const speaker = findSpeakerForSegment(segment, labelledTurns);
+        return speaker ? { ...segment, speaker } : segment;
+      }),
+      speaker_turns: labelledTurns
+    };
+  });
+}
+
+/**
+ * Render labelled segments as "Speaker 1: ..." paragraphs, one per turn
+ */
+export function formatSpeakerTranscript(segments) {
+  const lines = [];
+  let current = null;
+  let lastEnd = -Infinity;
+
+  const ordered = segments
+    .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+    .sort((a, b) => a.start - b.start);
+
+  for (const segment of ordered) {
+    // Overlapping chunks transcribe their shared audio twice
+    if ((segment.start + segment.end) / 2 < lastEnd) continue;
+    lastEnd = segment.end;
+
+    const speaker = segment.speaker || 'Unknown speaker';
+    if (current && current.speaker === speaker) {
+      current.text += ` ${segment.text.trim()}`;
+    } else {
+      current = { speaker, text: segment.text.trim() };
+      lines.push(current);
+    }
+  }
+
+  return lines.map(line => `${line.speaker}: ${line.text}`).join('\n\n');
+}
+
+function matchLocalSpeakers(turns, previousTurns, speakers) {
+  const mapping = new Map();
+  const claimed = new Set();
+
+  for (const local of uniqueSpeakers(turns)) {
+    const localTurns = turns.filter(turn => turn.speaker === local);
+    const embedding = averageEmbedding(localTurns);
+
+    let label = bestOverlapMatch(localTurns, previousTurns, claimed);
+
+    if (!label && embedding) {
+      let bestScore = EMBEDDING_MATCH_THRESHOLD;
+      for (const speaker of speakers) {
+        if (claimed.has(speaker.label) || !speaker.embedding) continue;
+        const score = cosineSimilarity(embedding, speaker.embedding);
+        if (score >= bestScore) {
+          bestScore = score;
+          label = speaker.label;
+        }
+      }
+    }
+
+    let speaker = speakers.find(s => s.label === label);
+    if (!speaker) {
+      speaker = { label: `Speaker ${speakers.length + 1}`, embedding: null, weight: 0 };
+      speakers.push(speaker);
+    }
+
+    if (embedding) {
+      speaker.embedding = blendEmbedding(speaker.embedding, speaker.weight, embedding, localTurns.length);
+      speaker.weight += localTurns.length;
+    }
+
+    claimed.add(speaker.label);
+    mapping.set(local, speaker.label);
+  }
+
+  return mapping;
+}
+
+function bestOverlapMatch(localTurns, previousTurns, claimed) {
+  const shared = new Map();
+
+  for (const turn of localTurns) {
+    for (const previous of previousTurns) {
+      const overlap = Math.min(turn.end, previous.end) - Math.max(turn.start, previous.start);
+      if (overlap > 0 && !claimed.has(previous.speaker)) {
+        shared.set(previous.speaker, (shared.get(previous.speaker) || 0) + overlap);
+      }
+    }
+  }
+
+  let best = null;
+  let bestSeconds = MIN_OVERLAP_MATCH_SECONDS;
+  for (const [label, seconds] of shared) {
+    if (seconds >= bestSeconds) {
+      best = label;
+      bestSeconds = seconds;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * The speaker whose turns cover most of the segment, or the nearest turn
+ * when the segment falls in a gap
+ */
+function findSpeakerForSegment(segment, turns) {
+  if (turns.length === 0) return null;
+
+  const coverage = new Map();
+  for (const turn of turns) {
+    const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+    if (overlap > 0) {
+      coverage.set(turn.speaker, (coverage.get(turn.speaker) || 0) + overlap);
+    }
+  }
+
+  if (coverage.size > 0) {
+    return [...coverage.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  const midpoint = (segment.start + segment.end) / 2;
+  const distance = turn => Math.max(turn.start - midpoint, midpoint - turn.end, 0);
+  return turns.reduce((nearest, turn) => (distance(turn) < distance(nearest) ? turn : nearest)).speaker;
+}
+
+function normalizeTurns(turns) {
+  if (!Array.isArray(turns)) return [];
+
+  return turns
+    .filter(turn => turn && Number.isFinite(Number(turn.start)) && Number.isFinite(Number(turn.end)) && turn.speaker != null)
+    .map(turn => ({
+      start: Number(turn.start),
+      end: Math.max(Number(turn.end), Number(turn.start)),
+      speaker: String(turn.speaker),
+      ...(Array.isArray(turn.embedding) ? { embedding: turn.embedding.map(Number) } : {})
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+function uniqueSpeakers(turns) {
+  return [...new Set(turns.map(turn => turn.speaker))];
+}
+
+function averageEmbedding(turns) {
+  const embeddings = turns.map(turn => turn.embedding).filter(Boolean);
+  if (embeddings.length === 0) return null;
+
+  const sum = new Array(embeddings[0].length).fill(0);
+  for (const embedding of embeddings) {
+    embedding.forEach((value, i) => { sum[i] += value; });
+  }
+  return sum.map(value => value / embeddings.length);
+}
+
+function blendEmbedding(existing, existingWeight, incoming, incomingWeight) {
+  if (!existing || existing.length !== incoming.length) return incoming;
+  const total = existingWeight + incomingWeight;
+  return existing.map((value, i) => (value * existingWeight + incoming[i] * incomingWeight) / total);
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Remote diarization service. Expects multipart `file` in and
+ * { turns: [{ start, end, speaker, embedding? }] } out.
+ */
+function createHttpDiarizer(env) {
+  if (!env.DIARIZATION_URL) {
+    throw new Error('DIARIZATION_URL is required for the http diarization provider');
+  }
+
+  return {
+    name: 'http',
+    async diarize(audioData, { filename }) {
+      const formData = new FormData();
+      formData.append('file', new Blob([audioData]), filename || 'audio');
+
+      const response = await fetch(env.DIARIZATION_URL, {
+        method: 'POST',
+        headers: env.DIARIZATION_API_KEY ? { 'Authorization': `Bearer ${env.DIARIZATION_API_KEY}` } : {},
+        body: formData
+      });
+
+      if (!response.ok) {
+        throw new Error(`Diarization service error: ${response.status} - ${await response.text()}`);
+      }
+
+      const result = await response.json();
+      return result.turns || result.segments || [];
+    }
+  };
+}
+
+/**
+ * Local stand-in that never looks at the audio: it alternates between two
+ * speakers whenever Whisper's segments pause for MOCK_TURN_GAP seconds or
+ * more, and tags them with fixed embeddings so cross-chunk matching works.
+ */
+function createMockDiarizer() {
+  return {
+    name: 'mock',
+    async diarize(audioData, { segments = [] }) {
+      const voices = [
+        { speaker: 'A', embedding: [1, 0] },
+        { speaker: 'B', embedding: [0, 1] }
+      ];
+      const turns = [];
+      let voice = 0;
+
+      for (const segment of segments) {
+        const previous = turns[turns.length - 1];
+        if (previous && segment.start - previous.end >= MOCK_TURN_GAP) {
+          voice = 1 - voice;
+        }
+
+        if (previous && previous.speaker === voices[voice].speaker) {
+          previous.end = segment.end;
+        } else {
+          turns.push({ start: segment.start, end: segment.end, ...voices[voice] });
+        }
+      }
+
+      return turns;
+    }
+  };
+}
@@ -0,0 +1,94 @@
+import { getJobPutOptions, isJobFinished, ACTIVE_JOB_TTL } from './retention.js';
+
+// ============================================================================
+// ACTIVE JOB INDEX - unfinished jobs, listed without reading the whole namespace
+// ============================================================================
+
+// Every unfinished job record has an empty key next to it under this prefix,
+// carrying the record's metadata (status and write time). The stuck job
+// reaper lists the prefix instead of the whole KV namespace, which is mostly
+// finished jobs, API keys and debug records. Records written before the index
+// existed are unfinished ones, so they expire within a day (ACTIVE_JOB_TTL).
+const ACTIVE_JOB_PREFIX = 'active_';
+
+/**
+ * Write a job record and keep its index entry in step: there while the job
+ * is unfinished, gone once it is done, failed or cancelled
+ * @returns {Promise<Object>} The put options used, expiry included
+ */
+export async function putJobRecord(env, job_id, job) {
+  const putOptions = getJobPutOptions(job, env);
+  await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), putOptions);
+
+  if (isJobFinished(job)) {
+    await env.GROQ_JOBS_KV.delete(ACTIVE_JOB_PREFIX + job_id);
+  } else {
+    await env.GROQ_JOBS_KV.put(ACTIVE_JOB_PREFIX + job_id, '', putOptions);
+  }
+  return putOptions;
+}
+
+/**
+ * Every indexed job as { job_id, metadata }, a KV list page at a time
+ */
+export async function* listActiveJobs(env) {
+  let cursor = null;
+  while (true) {
+    const list = await env.GROQ_JOBS_KV.list({ prefix: ACTIVE_JOB_PREFIX, ...(cursor ? { cursor } : {}) });
+    for (const key of list.keys) {
+      yield { job_id: key.name.slice(ACTIVE_JOB_PREFIX.length), metadata: key.metadata || {} };
+    }
+    if (list.list_complete) break;
+    cursor = list.cursor;
+  }
+}
+
+/**
+ * Drop the index entry of a job whose record was deleted
+ */
+export async function removeActiveJob(env, job_id) {
+  await env.GROQ_JOBS_KV.delete(ACTIVE_JOB_PREFIX + job_id);
+}
+
+// ============================================================================
+// SUB-JOB INDEX - chunk sub-jobs by parent, for the retention sweep
+// ============================================================================
+
+// Each sub-job record has an empty key under this prefix naming its parent in
+// the metadata, so the retention sweep finds sub-jobs whose parent is gone
+// without listing the whole namespace. Both expire with ACTIVE_JOB_TTL.
+const SUB_JOB_PREFIX = 'sub_job_';
+
+/**
+ * Write a chunk sub-job record along with its index entry
+ */
+export async function putSubJobRecord(env, sub_job_id, subJob) {
+  await env.GROQ_JOBS_KV.put(sub_job_id, JSON.stringify(subJob), { expirationTtl: ACTIVE_JOB_TTL });
+  await env.GROQ_JOBS_KV.put(SUB_JOB_PREFIX + sub_job_id, '', {
+    expirationTtl: ACTIVE_JOB_TTL,
+    metadata: { parent_job_id: subJob.parent_job_id }
+  });
+}
+
+/**
+ * Every indexed sub-job as { sub_job_id, parent_job_id }, a KV list page at a time
+ */
+export async function* listSubJobs(env) {
+  let cursor = null;
+  while (true) {
+    const list = await env.GROQ_JOBS_KV.list({ prefix: SUB_JOB_PREFIX, ...(cursor ? { cursor } : {}) });
+    for (const key of list.keys) {
+      yield { sub_job_id: key.name.slice(SUB_JOB_PREFIX.length), parent_job_id: key.metadata?.parent_job_id || null };
+    }
+    if (list.list_complete) break;
+    cursor = list.cursor;
+  }
+}
+
+/**
+ * Delete a chunk sub-job record and its index entry
+ */
+export async function deleteSubJobRecord(env, sub_job_id) {
+  await env.GROQ_JOBS_KV.delete(sub_job_id);
+  await env.GROQ_JOBS_KV.delete(SUB_JOB_PREFIX + sub_job_id);
+}
@@ -0,0 +1,47 @@
+// ============================================================================
+// JOB LEASES - which queued jobs and chunks a consumer is working on
+// ============================================================================
+
+// A consumer holds a lease on the job (or chunk sub-job) it took off the queue
+// and renews it while it works. The stuck job reaper reads it to tell a job
+// whose consumer died from one that is still waiting its turn in the queue.
+const LEASE_KEY_PREFIX = 'lease_';
+const LEASE_HEARTBEAT_MS = 60 * 1000;
+const LEASE_TIMEOUT_MS = 5 * 60 * 1000; // Not renewed for this long: the consumer is gone
+const LEASE_TTL = 86400; // Seconds an abandoned lease is kept for the reaper to find
+
+/**
+ * Run work() holding the lease on id. The lease is dropped when work ends
+ * either way; a failed message goes back to the queue, so it is waiting again.
+ */
+export async function withJobLease(env, id, work) {
+  const key = LEASE_KEY_PREFIX + id;
+  const renew = () => env.GROQ_JOBS_KV.put(key, JSON.stringify({ renewed_at: Date.now() }), { expirationTtl: LEASE_TTL })
+    .catch(() => {}); // A missed heartbeat only risks a duplicate run
+
+  await renew();
+  const heartbeat = setInterval(renew, LEASE_HEARTBEAT_MS);
+  try {
+    return await work();
+  } finally {
+    clearInterval(heartbeat);
+    await env.GROQ_JOBS_KV.delete(key).catch(() => {});
+  }
+}
+
+/**
+ * 'live' while a consumer works on id, 'abandoned' when one took it and
+ * stopped renewing, null when no consumer has it - it is queued, or finished
+ */
+export async function getJobLeaseState(env, id) {
+  const lease = JSON.parse(await env.GROQ_JOBS_KV.get(LEASE_KEY_PREFIX + id) || 'null');
+  if (!lease) return null;
+  return Date.now() - lease.renewed_at < LEASE_TIMEOUT_MS ? 'live' : 'abandoned';
+}
+
+/**
+ * Forget an abandoned lease once its job is queued again
+ */
+export async function clearJobLease(env, id) {
+  await env.GROQ_JOBS_KV.delete(LEASE_KEY_PREFIX + id);
+}
@@ -0,0 +1,532 @@
+// ============================================================================
+// MP4/M4A CONTAINER SPLITTING (ISO-BMFF)
+// ============================================================================
+
+/**
+ * Splits MP4/M4A audio into self-contained files by reading the audio track's
+ * sample tables (stts/stsz/stsc/stco) and writing each chunk as a rebuilt
+ * minimal MP4 with its own moov and mdat. Every chunk is independently
+ * decodable and carries its start time within the original recording.
+ * Files in storage are split from their moov and per-chunk ranged reads.
+ */
+
+// Boxes whose payload is just a list of child boxes
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts', 'dinf', 'mvex']);
+
+// Bytes reserved per sample in the rebuilt moov (stsz entry + worst-case stts entry)
+const PER_SAMPLE_OVERHEAD = 12;
+// Bytes reserved for the fixed moov boxes around the copied stsd
+const FIXED_MOOV_OVERHEAD = 1024;
+
+// Samples this close together are fetched in one ranged GET, gap included
+const MAX_RANGE_GAP = 64 * 1024;
+
+/**
+ * Create self-contained MP4 chunks from an MP4/M4A buffer
+ * @param {Uint8Array} buffer - Complete MP4 file
+ * @param {number} chunkSize - Target chunk size in bytes
+ * @returns {Array|null} Chunk objects, or null if the file can't be split this way
+ */
+export function createMP4ContainerChunks(buffer, chunkSize) {
+  const topLevel = parseBoxes(buffer, 0, buffer.length);
+  const ftyp = topLevel.find(box => box.type === 'ftyp');
+  const moov = topLevel.find(box => box.type === 'moov');
+  if (!moov) return null;
+
+  const layout = readAudioLayout(buffer, moov, ftyp ? buffer.slice(ftyp.offset, ftyp.offset + ftyp.size) : null, buffer.length);
+  if (!layout) return null;
+
+  return [...planChunks(layout, chunkSize)].map(({ chunkSamples, hasOverlap }) =>
+    createChunk(layout, chunkSamples, buffer, chunkSamples, hasOverlap));
+}
+
+/**
+ * Same chunks as createMP4ContainerChunks for a file that is only reachable
+ * through readRange(start, end) (inclusive, like an HTTP Range). The moov is
+ * found by walking the top-level box headers, and each chunk fetches just
+ * the byte ranges its samples live in.
+ * @param {Function} readRange - async (start, end) => Uint8Array
+ * @param {number} fileSize - Size of the file in bytes
+ * @param {number} chunkSize - Target chunk size in bytes
+ * @returns {Promise<AsyncGenerator|null>} Chunk generator, or null if the file can't be split this way
+ */
+export async function readMP4ContainerChunks(readRange, fileSize, chunkSize) {
+  let ftypBytes = null;
+  let moovBytes = null;
+
+  for (let offset = 0; offset + 8 <= fileSize && !moovBytes;) {
+    const head = await readRange(offset, Math.min(offset + 16, fileSize) - 1);
+    const box = readBoxHeader(head, 0, fileSize - offset);
+    if (!box) break;
+
+    if (box.type === 'ftyp') ftypBytes = await readRange(offset, offset + box.size - 1);
+    if (box.type === 'moov') moovBytes = await readRange(offset, offset + box.size - 1);
+    offset += box.size;
+  }
+  if (!moovBytes) return null;
+
+  const layout = readAudioLayout(moovBytes, readBoxHeader(moovBytes, 0, moovBytes.length), ftypBytes, fileSize);
+  if (!layout) return null;
+
+  return (async function* () {
+    for (const { chunkSamples, hasOverlap } of planChunks(layout, chunkSize)) {
+      const { data, samples } = await readSampleData(readRange, chunkSamples);
+      yield createChunk(layout, chunkSamples, data, samples, hasOverlap);
+    }
+  })();
+}
+
+/**
+ * The audio track and its samples, or null when there is nothing to split
+ * (no audio track, or a fragmented file that keeps its samples in moof boxes).
+ * moov is the box inside buffer; sample offsets past dataEnd are dropped.
+ */
+function readAudioLayout(buffer, moov, ftypBytes, dataEnd) {
+  const track = findAudioTrack(buffer, moov);
+  if (!track) return null;
+
+  const samples = buildSampleTable(buffer, track, dataEnd);
+  if (samples.length === 0) return null;
+
+  return {
+    track,
+    samples,
+    ftypBytes: ftypBytes || createBox('ftyp', concatBytes([ascii('M4A '), uint32(0), ascii('M4A '), ascii('mp42'), ascii('isom')]))
+  };
+}
+
+/**
+ * Group the samples into runs that fit chunkSize once rebuilt, overlapping by 2%
+ */
+function* planChunks({ track, samples, ftypBytes }, chunkSize) {
+  const fixedOverhead = ftypBytes.length + track.stsd.length + FIXED_MOOV_OVERHEAD;
+
+  let sampleIndex = 0;
+  while (sampleIndex < samples.length) {
+    let endSampleIndex = sampleIndex;
+    let chunkBytes = fixedOverhead + samples[sampleIndex].size + PER_SAMPLE_OVERHEAD;
+
+    // Find the end sample that doesn't exceed chunk size
+    while (endSampleIndex < samples.length - 1) {
+      const nextBytes = samples[endSampleIndex + 1].size + PER_SAMPLE_OVERHEAD;
+      if (chunkBytes + nextBytes > chunkSize) break;
+
+      chunkBytes += nextBytes;
+      endSampleIndex++;
+    }
+
+    const chunkSamples = samples.slice(sampleIndex, endSampleIndex + 1);
+    yield { chunkSamples, hasOverlap: sampleIndex > 0 };
+
+    if (endSampleIndex >= samples.length - 1) break;
+
+    // Move to next chunk with overlap (2% of this chunk's samples)
+    const overlapSamples = Math.max(1, Math.floor(chunkSamples.length * 0.02));
+    sampleIndex = Math.max(sampleIndex + 1, endSampleIndex + 1 - overlapSamples);
+  }
+}
+
+/**
+ * Fetch the bytes of a run of samples, one ranged GET per stretch of nearby
+ * samples. Returns the bytes back to back with the samples placed in them.
+ */
+async function readSampleData(readRange, chunkSamples) {
+  const data = new Uint8Array(chunkSamples.reduce((sum, sample) => sum + sample.size, 0));
+  const samples = [];
+  let written = 0;
+
+  for (let first = 0; first < chunkSamples.length;) {
+    let last = first;
+    while (last < chunkSamples.length - 1) {
+      const gap = chunkSamples[last + 1].offset - (chunkSamples[last].offset + chunkSamples[last].size);
+      if (gap < 0 || gap > MAX_RANGE_GAP) break;
+      last++;
+    }
+
+    const rangeStart = chunkSamples[first].offset;
+    const bytes = await readRange(rangeStart, chunkSamples[last].offset + chunkSamples[last].size - 1);
+    for (let i = first; i <= last; i++) {
+      const sample = chunkSamples[i];
+      data.set(bytes.subarray(sample.offset - rangeStart, sample.offset - rangeStart + sample.size), written);
+      samples.push({ ...sample, offset: written });
+      written += sample.size;
+    }
+    first = last + 1;
+  }
+
+  return { data, samples };
+}
+
+/**
+ * The chunk object for a run of samples. chunkSamples carry their offsets in
+ * the original file; placedSamples are the same samples located in sampleData.
+ */
+function createChunk({ track, ftypBytes }, chunkSamples, sampleData, placedSamples, hasOverlap) {
+  const firstSample = chunkSamples[0];
+  const lastSample = chunkSamples[chunkSamples.length - 1];
+  const durationTicks = chunkSamples.reduce((sum, sample) => sum + sample.duration, 0);
+
+  return {
+    start: firstSample.offset,
+    end: lastSample.offset + lastSample.size,
+    data: buildMP4File(sampleData, ftypBytes, track, placedSamples, durationTicks),
+    hasOverlap,
+    audioDataSize: chunkSamples.reduce((sum, sample) => sum + sample.size, 0),
+    isPlayable: true,
+    sampleCount: chunkSamples.length,
+    startTime: firstSample.time / track.timescale,
+    duration: durationTicks / track.timescale
+  };
+}
+
+// ============================================================================
+// BOX PARSING
+// ============================================================================
+
+/**
+ * Parse the boxes between start and end (one level deep)
+ */
+function parseBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const box = readBoxHeader(buffer, offset, end);
+    if (!box) break;
+
+    boxes.push(box);
+    offset += box.size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Read the box header at offset, or null if it is cut off or overruns end
+ */
+function readBoxHeader(buffer, offset, end) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  let size = view.getUint32(offset);
+  const type = String.fromCharCode(buffer[offset + 4], buffer[offset + 5], buffer[offset + 6], buffer[offset + 7]);
+  let headerSize = 8;
+
+  if (size === 1) {
+    // 64-bit largesize follows the type
+    if (offset + 16 > end || offset + 16 > buffer.length) return null;
+    size = Number(view.getBigUint64(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    // Box extends to the end of its parent
+    size = end - offset;
+  }
+
+  if (size < headerSize || offset + size > end) return null;
+
+  return { type, offset, size, dataOffset: offset + headerSize };
+}
+
+/**
+ * Find a direct child box by type
+ */
+function findChild(buffer, parent, type) {
+  if (!CONTAINER_BOXES.has(parent.type)) return null;
+  return parseBoxes(buffer, parent.dataOffset, parent.offset + parent.size).find(box => box.type === type) || null;
+}
+
+/**
+ * Find a nested box by path, e.g. ['mdia', 'minf', 'stbl']
+ */
+function findPath(buffer, parent, path) {
+  let box = parent;
+  for (const type of path) {
+    box = findChild(buffer, box, type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+/**
+ * Locate the first track whose handler is 'soun' and collect what we need from it
+ */
+function findAudioTrack(buffer, moov) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const traks = parseBoxes(buffer, moov.dataOffset, moov.offset + moov.size).filter(box => box.type === 'trak');
+
+  for (const trak of traks) {
+    const hdlr = findPath(buffer, trak, ['mdia', 'hdlr']);
+    if (!hdlr) continue;
+
+    const handlerType = String.fromCharCode(...buffer.slice(hdlr.dataOffset + 8, hdlr.dataOffset + 12));
+    if (handlerType !== 'soun') continue;
+
+    const mdhd = findPath(buffer, trak, ['mdia', 'mdhd']);
+    const stbl = findPath(buffer, trak, ['mdia', 'minf', 'stbl']);
+    if (!mdhd || !stbl) continue;
+
+    // mdhd version 1 uses 64-bit creation/modification times
+    const mdhdVersion = buffer[mdhd.dataOffset];
+    const timescaleOffset = mdhd.dataOffset + (mdhdVersion === 1 ? 20 : 12);
+    const languageOffset = timescaleOffset + (mdhdVersion === 1 ? 12 : 8);
+
+    const stsd = findChild(buffer, stbl, 'stsd');
+    if (!stsd) continue;
+
+    return {
+      timescale: view.getUint32(timescaleOffset),
+      language: view.getUint16(languageOffset),
+      stsd: buffer.slice(stsd.offset, stsd.offset + stsd.size),
+      stts: findChild(buffer, stbl, 'stts'),
+      stsz: findChild(buffer, stbl, 'stsz') || findChild(buffer, stbl, 'stz2'),
+      stsc: findChild(buffer, stbl, 'stsc'),
+      stco: findChild(buffer, stbl, 'stco') || findChild(buffer, stbl, 'co64')
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Expand the sample tables into a flat list of { offset, size, duration, time, descriptionIndex },
+ * stopping at the first sample that runs past dataEnd
+ */
+function buildSampleTable(buffer, track, dataEnd) {
+  const { stts, stsz, stsc, stco } = track;
+  if (!stts || !stsz || !stsc || !stco) return [];
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+  // Sample sizes (stsz, or compact stz2)
+  const sizes = [];
+  if (stsz.type === 'stsz') {
+    const constantSize = view.getUint32(stsz.dataOffset + 4);
+    const count = view.getUint32(stsz.dataOffset + 8);
+    for (let i = 0; i < count; i++) {
+      sizes.push(constantSize || view.getUint32(stsz.dataOffset + 12 + i * 4));
+    }
+  } else {
+    const fieldSize = buffer[stsz.dataOffset + 7];
+    const count = view.getUint32(stsz.dataOffset + 8);
+    for (let i = 0; i < count; i++) {
+      const base = stsz.dataOffset + 12;
+      if (fieldSize === 4) {
+        const byte = buffer[base + (i >> 1)];
+        sizes.push(i % 2 === 0 ? byte >> 4 : byte & 0x0F);
+      } else if (fieldSize === 8) {
+        sizes.push(buffer[base + i]);
+      } else {
+        sizes.push(view.getUint16(base + i * 2));
+      }
+    }
+  }
+
+  // Chunk offsets (32-bit stco or 64-bit co64)
+  const chunkOffsets = [];
+  const chunkCount = view.getUint32(stco.dataOffset + 4);
+  for (let i = 0; i < chunkCount; i++) {
+    chunkOffsets.push(stco.type === 'co64'
+      ? Number(view.getBigUint64(stco.dataOffset + 8 + i * 8))
+      : view.getUint32(stco.dataOffset + 8 + i * 4));
+  }
+
+  // Sample-to-chunk runs
+  const stscEntries = [];
+  const stscCount = view.getUint32(stsc.dataOffset + 4);
+  for (let i = 0; i < stscCount; i++) {
+    const base = stsc.dataOffset + 8 + i * 12;
+    stscEntries.push({
+      firstChunk: view.getUint32(base),
+      samplesPerChunk: view.getUint32(base + 4),
+      descriptionIndex: view.getUint32(base + 8)
+    });
+  }
+
+  // Time-to-sample runs
+  const durations = [];
+  const sttsCount = view.getUint32(stts.dataOffset + 4);
+  for (let i = 0; i < sttsCount; i++) {
+    const count = view.getUint32(stts.dataOffset + 8 + i * 8);
+    const delta = view.getUint32(stts.dataOffset + 12 + i * 8);
+    for (let j = 0; j < count && durations.length < sizes.length; j++) {
+      durations.push(delta);
+    }
+  }
+
+  // Walk chunks and place each sample at its file offset
+  const samples = [];
+  let time = 0;
+  for (let e = 0; e < stscEntries.length; e++) {
+    const entry = stscEntries[e];
+    const lastChunk = e + 1 < stscEntries.length ? stscEntries[e + 1].firstChunk - 1 : chunkOffsets.length;
+
+    for (let chunk = entry.firstChunk; chunk <= lastChunk; chunk++) {
+      let offset = chunkOffsets[chunk - 1];
+
+      for (let s = 0; s < entry.samplesPerChunk && samples.length < sizes.length; s++) {
+        const size = sizes[samples.length];
+        const duration = durations[samples.length] || 0;
+
+        if (offset + size > dataEnd) return samples;
+
+        samples.push({ offset, size, duration, time, descriptionIndex: entry.descriptionIndex });
+        offset += size;
+        time += duration;
+      }
+    }
+  }
+
+  return samples;
+}
+
+// ============================================================================
+// MP4 WRITING
+// ============================================================================
+
+/**
+ * Build a complete MP4 file (ftyp + moov + mdat) for a run of samples
+ */
+function buildMP4File(buffer, ftypBytes, track, samples, durationTicks) {
+  const mdatPayloadSize = samples.reduce((sum, sample) => sum + sample.size, 0);
+
+  // moov size doesn't depend on the chunk offset value, so build once to measure it
+  const moovWithoutOffset = buildMoov(track, samples, durationTicks, 0);
+  const mdatDataOffset = ftypBytes.length + moovWithoutOffset.length + 8;
+  const moov = buildMoov(track, samples, durationTicks, mdatDataOffset);
+
+  const result = new Uint8Array(ftypBytes.length + moov.length + 8 + mdatPayloadSize);
+  const view = new DataView(result.buffer);
+
+  result.set(ftypBytes, 0);
+  result.set(moov, ftypBytes.length);
+
+  let offset = ftypBytes.length + moov.length;
+  view.setUint32(offset, 8 + mdatPayloadSize);
+  result.set(ascii('mdat'), offset + 4);
+  offset += 8;
+
+  for (const sample of samples) {
+    result.set(buffer.subarray(sample.offset, sample.offset + sample.size), offset);
+    offset += sample.size;
+  }
+
+  return result;
+}
+
+/**
+ * Build a minimal moov with a single audio track whose samples sit in one mdat chunk
+ */
+function buildMoov(track, samples, durationTicks, chunkOffset) {
+  const identityMatrix = concatBytes([0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(uint32));
+
+  const mvhd = createFullBox('mvhd', 0, 0, concatBytes([
+    uint32(0), uint32(0),               // creation/modification time
+    uint32(track.timescale),
+    uint32(durationTicks),
+    uint32(0x00010000),                 // rate 1.0
+    uint16(0x0100), new Uint8Array(10), // volume 1.0, reserved
+    identityMatrix,
+    new Uint8Array(24),                 // pre_defined
+    uint32(2)                           // next_track_ID
+  ]));
+
+  const tkhd = createFullBox('tkhd', 0, 0x000003, concatBytes([
+    uint32(0), uint32(0),               // creation/modification time
+    uint32(1), uint32(0),               // track_ID, reserved
+    uint32(durationTicks),
+    new Uint8Array(8),                  // reserved
+    uint16(0), uint16(0),               // layer, alternate_group
+    uint16(0x0100), uint16(0),          // volume 1.0, reserved
+    identityMatrix,
+    uint32(0), uint32(0)                // width, height
+  ]));
+
+  const mdhd = createFullBox('mdhd', 0, 0, concatBytes([
+    uint32(0), uint32(0),
+    uint32(track.timescale),
+    uint32(durationTicks),
+    uint16(track.language), uint16(0)
+  ]));
+
+  const hdlr = createFullBox('hdlr', 0, 0, concatBytes([
+    uint32(0), ascii('soun'), new Uint8Array(12), ascii('SoundHandler\0')
+  ]));
+
+  const smhd = createFullBox('smhd', 0, 0, new Uint8Array(4));
+  const dinf = createBox('dinf', createFullBox('dref', 0, 0, concatBytes([
+    uint32(1), createFullBox('url ', 0, 0x000001, new Uint8Array(0)) // self-contained
+  ])));
+
+  // Run-length encode sample durations
+  const sttsEntries = [];
+  for (const sample of samples) {
+    const last = sttsEntries[sttsEntries.length - 1];
+    if (last && last.delta === sample.duration) {
+      last.count++;
+    } else {
+      sttsEntries.push({ count: 1, delta: sample.duration });
+    }
+  }
+  const stts = createFullBox('stts', 0, 0, concatBytes([
+    uint32(sttsEntries.length),
+    ...sttsEntries.flatMap(entry => [uint32(entry.count), uint32(entry.delta)])
+  ]));
+
+  const stsc = createFullBox('stsc', 0, 0, concatBytes([
+    uint32(1), uint32(1), uint32(samples.length), uint32(samples[0].descriptionIndex)
+  ]));
+
+  const stsz = createFullBox('stsz', 0, 0, concatBytes([
+    uint32(0), uint32(samples.length), ...samples.map(sample => uint32(sample.size))
+  ]));
+
+  const stco = createFullBox('stco', 0, 0, concatBytes([uint32(1), uint32(chunkOffset)]));
+
+  const stbl = createBox('stbl', concatBytes([track.stsd, stts, stsc, stsz, stco]));
+  const minf = createBox('minf', concatBytes([smhd, dinf, stbl]));
+  const mdia = createBox('mdia', concatBytes([mdhd, hdlr, minf]));
+  const trak = createBox('trak', concatBytes([tkhd, mdia]));
+
+  return createBox('moov', concatBytes([mvhd, trak]));
+}
+
+function createBox(type, payload) {
+  const box = new Uint8Array(8 + payload.length);
+  new DataView(box.buffer).setUint32(0, box.length);
+  box.set(ascii(type), 4);
+  box.set(payload, 8);
+  return box;
+}
+
+function createFullBox(type, version, flags, payload) {
+  const header = new Uint8Array(4);
+  header[0] = version;
+  header[1] = (flags >> 16) & 0xFF;
+  header[2] = (flags >> 8) & 0xFF;
+  header[3] = flags & 0xFF;
+  return createBox(type, concatBytes([header, payload]));
+}
+
+function uint32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value >>> 0);
+  return bytes;
+}
+
+function uint16(value) {
+  const bytes = new Uint8Array(2);
+  new DataView(bytes.buffer).setUint16(0, value);
+  return bytes;
+}
+
+function ascii(text) {
+  return new TextEncoder().encode(text);
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
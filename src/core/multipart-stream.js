@@ -0,0 +1,192 @@
+// ============================================================================
+// STREAMING MULTIPART - form fields up front, the file part as a stream
+// ============================================================================
+
+// Longest part header block and form field we hold in memory
+const MAX_PART_HEADER_BYTES = 16 * 1024;
+const MAX_FIELD_BYTES = 1024 * 1024;
+
+/**
+ * Read a multipart/form-data body up to the start of its file part, without
+ * buffering the file the way request.formData() does. The fields that come
+ * before the file are collected into a FormData; the file comes back as a
+ * ReadableStream that ends at its boundary. Anything after the file part is
+ * left unread, so clients should send the file last (curl -F keeps the order
+ * it is given).
+ * @param {ReadableStream} body - Request body
+ * @param {string} contentType - Content-Type header, for the boundary
+ * @param {Object} options - { fileField, contentLength }
+ * @returns {Promise<Object>} { fields, file }, file being { name, type, stream, size } or null;
+ *   size is worked out from contentLength, or null without one
+ */
+export async function readMultipartStream(body, contentType, { fileField = 'file', contentLength = null } = {}) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  if (!boundary || !body) {
+    throw new Error('Multipart body has no boundary');
+  }
+  const delimiter = ascii(`--${boundary[1] || boundary[2]}`);
+  // A part ends at CRLF followed by the delimiter
+  const partEnd = concatBytes(ascii('\r\n'), delimiter);
+  const source = createBodyReader(body);
+
+  // Read until pattern turns up and return what came before it, dropping the pattern
+  const readUntil = async (pattern, limit, what) => {
+    let index;
+    while ((index = indexOfBytes(source.buffer, pattern)) === -1) {
+      if (source.buffer.length > limit + pattern.length) throw new Error(`Multipart ${what} is too large`);
+      if (!await source.fill()) throw new Error('Multipart body ended early');
+    }
+    return source.take(index, pattern.length);
+  };
+
+  // Preamble, then the first delimiter
+  await readUntil(delimiter, MAX_PART_HEADER_BYTES, 'preamble');
+
+  const fields = new FormData();
+  while (true) {
+    // "--" after a delimiter closes the body, CRLF opens another part
+    while (source.buffer.length < 2) {
+      if (!await source.fill()) throw new Error('Multipart body ended early');
+    }
+    if (source.buffer[0] === 0x2D && source.buffer[1] === 0x2D) break;
+    source.take(0, 2);
+
+    const headers = parsePartHeaders(await readUntil(ascii('\r\n\r\n'), MAX_PART_HEADER_BYTES, 'part header'));
+    if (headers.name === fileField && headers.filename !== null) {
+      return {
+        fields,
+        file: {
+          name: headers.filename,
+          type: headers.type,
+          stream: streamPart(source, partEnd),
+          // The rest of the body bar the closing CRLF--boundary--, give or take
+          // the CRLF some clients end the body with
+          size: contentLength ? Math.max(0, contentLength - source.consumed - partEnd.length - 2) : null
+        }
+      };
+    }
+
+    const value = await readUntil(partEnd, MAX_FIELD_BYTES, 'field');
+    if (headers.name !== null) {
+      fields.append(headers.name, new TextDecoder().decode(value));
+    }
+  }
+
+  await source.cancel();
+  return { fields, file: null };
+}
+
+/**
+ * Body bytes read so far but not yet used, and how many were used
+ */
+function createBodyReader(body) {
+  const reader = body.getReader();
+  return {
+    buffer: new Uint8Array(0),
+    consumed: 0,
+    // Read the next piece of the body onto the buffer; false once it has ended
+    async fill() {
+      const { value, done } = await reader.read();
+      if (done) return false;
+      this.buffer = concatBytes(this.buffer, value);
+      return true;
+    },
+    // Take length bytes off the front, dropping skip more after them
+    take(length, skip = 0) {
+      const bytes = this.buffer.slice(0, length);
+      this.buffer = this.buffer.slice(length + skip);
+      this.consumed += length + skip;
+      return bytes;
+    },
+    cancel(reason) {
+      return reader.cancel(reason).catch(() => {});
+    }
+  };
+}
+
+/**
+ * The rest of a part as a stream, holding back just enough bytes to spot the
+ * delimiter that ends it. Once it has, the rest of the body is cancelled.
+ */
+function streamPart(source, partEnd) {
+  return new ReadableStream({
+    async pull(controller) {
+      while (true) {
+        const end = indexOfBytes(source.buffer, partEnd);
+        if (end !== -1) {
+          if (end > 0) controller.enqueue(source.take(end));
+          controller.close();
+          await source.cancel();
+          return;
+        }
+
+        // The tail may be the start of the delimiter, so it waits for more bytes
+        const safe = source.buffer.length - (partEnd.length - 1);
+        if (safe > 0) {
+          controller.enqueue(source.take(safe));
+          return;
+        }
+        if (!await source.fill()) {
+          controller.error(new Error('Multipart body ended inside the file'));
+          return;
+        }
+      }
+    },
+    cancel(reason) {
+      return source.cancel(reason);
+    }
+  });
+}
+
+/**
+ * Name, filename (null for plain fields) and Content-Type from a part's headers
+ */
+function parsePartHeaders(bytes) {
+  const headers = { name: null, filename: null, type: null };
+  for (const line of new TextDecoder().decode(bytes).split('\r\n')) {
+    const colon = line.indexOf(':');
+    const header = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+    if (header === 'content-disposition') {
+      headers.name = readDispositionParam(value, 'name');
+      headers.filename = readDispositionParam(value, 'filename');
+    } else if (header === 'content-type') {
+      headers.type = value;
+    }
+  }
+  return headers;
+}
+
+function readDispositionParam(disposition, param) {
+  const match = new RegExp(`(?:^|;)\\s*${param}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`, 'i').exec(disposition);
+  if (!match) return null;
+  return match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+}
+
+function indexOfBytes(bytes, pattern) {
+  for (let i = bytes.indexOf(pattern[0]); i !== -1 && i <= bytes.length - pattern.length; i = bytes.indexOf(pattern[0], i + 1)) {
+    let matches = true;
+    for (let j = 1; j < pattern.length; j++) {
+      if (bytes[i + j] !== pattern[j]) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) return i;
+  }
+  return -1;
+}
+
+function ascii(text) {
+  return new TextEncoder().encode(text);
+}
+
+function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
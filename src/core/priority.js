@@ -0,0 +1,49 @@
+// ============================================================================
+// PRIORITY - which jobs get the next transcription slot
+// ============================================================================
+
+// Highest first. Live streams are interactive, uploads default to normal and
+// archives can be sent as bulk so they only use slots nobody else is waiting for
+export const JOB_PRIORITIES = ['interactive', 'normal', 'bulk'];
+export const DEFAULT_PRIORITY = 'normal';
+
+// Optional queues of their own for the top and bottom lanes. Each queue has its
+// own consumer, so a voice note isn't delivered behind the hundreds of chunk
+// messages a bulk archive fans out into
+const LANE_QUEUES = {
+  interactive: 'INTERACTIVE_PROCESSING_QUEUE',
+  bulk: 'BULK_PROCESSING_QUEUE'
+};
+
+/**
+ * Why this caller can't send a job at this priority, or null. Interactive
+ * jumps everyone else's work, so uploads only get it with an admin key or one
+ * created with "interactive": true. Live streams (live) always may.
+ */
+export function getPriorityError(priority, { auth = null, live = false } = {}) {
+  if (priority == null) return null;
+  if (!JOB_PRIORITIES.includes(priority)) {
+    return `Unknown priority "${priority}". Supported priorities: ${JOB_PRIORITIES.join(', ')}`;
+  }
+  if (priority === 'interactive' && !live && auth && !auth.is_admin && !auth.interactive) {
+    return 'This API key can\'t send interactive uploads. Use normal, or ask an admin for a key created with "interactive": true';
+  }
+  return null;
+}
+
+/**
+ * The lane a job runs in - records from before priorities count as normal
+ */
+export function getJobPriority(job) {
+  return JOB_PRIORITIES.includes(job?.priority) ? job.priority : DEFAULT_PRIORITY;
+}
+
+/**
+ * The queue a job's message goes to: its lane's queue when one is bound,
+ * otherwise the processing queue (chunks prefer CHUNK_PROCESSING_QUEUE)
+ */
+export function getProcessingQueue(env, priority, { chunk = false } = {}) {
+  const laneQueue = env[LANE_QUEUES[priority]];
+  if (laneQueue) return laneQueue;
+  return chunk ? (env.CHUNK_PROCESSING_QUEUE || env.GROQ_PROCESSING_QUEUE) : env.GROQ_PROCESSING_QUEUE;
+}
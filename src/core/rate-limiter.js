@@ -1,5 +1,6 @@
-import { Semaphore, createRateLimit } from './semaphore.js';
+import { Semaphore, FairSemaphore, createRateLimit } from './semaphore.js';
 import { apiLogger } from './logger.js';
+import { JOB_PRIORITIES, DEFAULT_PRIORITY } from './priority.js';
 
 // ============================================================================
 // RATE LIMITING AND CONCURRENCY CONTROL
@@ -13,6 +14,7 @@ import { apiLogger } from './logger.js';
 // Transcription API rate limiting
 const TRANSCRIPTION_CONCURRENCY = 4; // Max 4 concurrent transcription calls
 const TRANSCRIPTION_RPS = 10; // Max 10 requests per second
+const TRANSCRIPTION_MAX_WAIT_MS = 30000; // Waiters older than this go first whatever their priority
 
 // LLM API rate limiting  
 const LLM_CONCURRENCY = 3; // Max 3 concurrent LLM calls
@@ -23,7 +25,12 @@ const JOB_SPAWN_CONCURRENCY = 2; // Max 2 concurrent job spawning operations
 const CHUNK_PROCESSING_CONCURRENCY = 3; // Max 3 chunks can start processing simultaneously
 
 // Global semaphores for concurrency control
-export const transcriptionSemaphore = new Semaphore(TRANSCRIPTION_CONCURRENCY);
+// Transcription slots go by job priority, then to the owner using the fewest
+export const transcriptionSemaphore = new FairSemaphore(TRANSCRIPTION_CONCURRENCY, {
+  lanes: JOB_PRIORITIES,
+  defaultLane: DEFAULT_PRIORITY,
+  maxWaitMs: TRANSCRIPTION_MAX_WAIT_MS
+});
 
 export const llmSemaphore = new Semaphore(LLM_CONCURRENCY);
 
@@ -50,7 +57,7 @@ export const llmRateLimit = createRateLimit(LLM_RPS, {
 /**
  * Wrapper for transcription API calls with concurrency and rate limiting
  * @param {Function} operation - The transcription API call function
- * @param {Object} context - Context for logging
+ * @param {Object} context - Context for logging; priority and owner also pick the call's place in line
  * @returns {Promise} - Result of the operation
  */
 export async function withTranscriptionLimits(operation, context = {}) {
@@ -60,7 +67,7 @@ export async function withTranscriptionLimits(operation, context = {}) {
   await transcriptionRateLimit();
   
   // Then acquire semaphore for concurrency control
-  const release = await transcriptionSemaphore.acquire();
+  const release = await transcriptionSemaphore.acquire({ lane: context.priority, owner: context.owner ?? null });
   
   try {
     apiLogger.info('rate_limit', 'Starting transcription API call', {
@@ -197,6 +204,7 @@ export function getRateLimitStatus() {
   return {
     transcription: {
       waiting: transcriptionSemaphore.waiting,
+      waiting_by_priority: transcriptionSemaphore.waitingByLane,
       concurrency_limit: TRANSCRIPTION_CONCURRENCY,
       rate_limit_rps: TRANSCRIPTION_RPS,
       active_slots: transcriptionSemaphore.active
@@ -0,0 +1,109 @@
+// ============================================================================
+// RETENTION - how long job records and uploaded audio are kept
+// ============================================================================
+
+export const DEFAULT_RETENTION = {
+  transcript_days: 7,   // Finished job records (transcripts) in KV
+  audio_hours: 24       // Uploaded audio and debug chunks in R2, counted from when the job finished
+};
+
+// Unfinished jobs expire a day after their last update, as they always have.
+// R2 objects with no job behind them get the same grace before they count as orphans.
+export const ACTIVE_JOB_TTL = 86400;
+
+// KV refuses expirations shorter than a minute
+const MIN_KV_TTL = 60;
+
+const FINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+export function isJobFinished(job) {
+  return FINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * Deployment-wide retention from the environment (TRANSCRIPT_RETENTION_DAYS,
+ * AUDIO_RETENTION_HOURS), falling back to the defaults
+ */
+export function readRetentionSettings(env = {}) {
+  const transcriptDays = parseFloat(env.TRANSCRIPT_RETENTION_DAYS);
+  const audioHours = parseFloat(env.AUDIO_RETENTION_HOURS);
+  return {
+    transcript_days: Number.isFinite(transcriptDays) && transcriptDays > 0 ? transcriptDays : DEFAULT_RETENTION.transcript_days,
+    audio_hours: Number.isFinite(audioHours) && audioHours >= 0 ? audioHours : DEFAULT_RETENTION.audio_hours
+  };
+}
+
+/**
+ * Read per-job overrides (transcript_retention_days, audio_retention_hours)
+ * from a JSON body, FormData or query string.
+ * Returns { options } ready to store on the job as `retention`, or { error }.
+ */
+export function readRetentionOptions(source = {}) {
+  const get = typeof source.get === 'function' ? key => source.get(key) : key => source[key];
+  const readNumber = key => {
+    const raw = get(key);
+    return raw == null || raw === '' ? null : Number(raw);
+  };
+
+  const transcriptDays = readNumber('transcript_retention_days');
+  if (transcriptDays !== null && !(Number.isFinite(transcriptDays) && transcriptDays > 0)) {
+    return { error: 'transcript_retention_days must be a positive number' };
+  }
+
+  const audioHours = readNumber('audio_retention_hours');
+  if (audioHours !== null && !(Number.isFinite(audioHours) && audioHours >= 0)) {
+    return { error: 'audio_retention_hours must be zero or a positive number' };
+  }
+
+  return { options: { transcript_days: transcriptDays, audio_hours: audioHours } };
+}
+
+/**
+ * The retention that applies to a job: its own overrides, else the deployment's
+ */
+export function getJobRetention(job, env = {}) {
+  const defaults = readRetentionSettings(env);
+  return {
+    transcript_days: job.retention?.transcript_days ?? defaults.transcript_days,
+    audio_hours: job.retention?.audio_hours ?? defaults.audio_hours
+  };
+}
+
+/**
+ * KV put options for a job record. Pinned jobs never expire, finished ones
+ * live for their transcript retention and anything still running for a day.
+ * The metadata (status and write time) is copied onto the active job index
+ * (see job-index.js), so the stuck-job reaper spots stalled jobs from a listing
+ * without reading every record.
+ */
+export function getJobPutOptions(job, env = {}) {
+  const metadata = { status: job.status, updated_at: Date.now() };
+  if (job.pinned) return { metadata };
+  if (!isJobFinished(job)) return { expirationTtl: ACTIVE_JOB_TTL, metadata };
+
+  const seconds = Math.round(getJobRetention(job, env).transcript_days * 86400);
+  return { expirationTtl: Math.max(MIN_KV_TTL, seconds), metadata };
+}
+
+/**
+ * KV put options for the debug record of a saved chunk. It points at audio
+ * in R2, so it lasts as long as that audio can: the day an unfinished job
+ * gets plus the job's audio retention, or forever for a pinned job.
+ */
+export function getDebugChunkPutOptions(job, env = {}) {
+  if (job?.pinned) return {};
+  const hours = job ? getJobRetention(job, env).audio_hours : 0;
+  return { expirationTtl: ACTIVE_JOB_TTL + Math.round(hours * 3600) };
+}
+
+/**
+ * When audio stored at `storedAt` (ms) may be deleted, or null to keep it.
+ * `job` is null for objects no job record points at any more.
+ */
+export function getAudioExpiry(job, storedAt, env = {}) {
+  if (!job) return storedAt + ACTIVE_JOB_TTL * 1000;
+  if (job.pinned || !isJobFinished(job)) return null;
+
+  const finishedAt = Date.parse(job.completed_at || job.failed_at || job.cancelled_at || '') || storedAt;
+  return Math.max(storedAt, finishedAt) + getJobRetention(job, env).audio_hours * 3600 * 1000;
+}
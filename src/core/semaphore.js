@@ -78,6 +78,133 @@ export class Semaphore {
   }
 }
 
+/**
+ * Semaphore that hands freed permits out by lane and owner instead of in
+ * arrival order: the highest lane with anyone waiting goes first, and within
+ * it the owner holding the fewest permits (then the one served longest ago),
+ * so one caller queueing hundreds of requests can't shut everyone else out.
+ * Waiters left for maxWaitMs jump ahead of every lane so the lowest one
+ * still moves.
+ */
+export class FairSemaphore extends Semaphore {
+  constructor(maxConcurrency = 1, { lanes = ['default'], defaultLane = lanes[0], maxWaitMs = 30000 } = {}) {
+    super(maxConcurrency);
+    this.lanes = lanes; // Highest priority first
+    this.defaultLane = defaultLane;
+    this.maxWaitMs = maxWaitMs;
+    this.activeByOwner = new Map();
+    this.lastGrantByOwner = new Map();
+    this.grants = 0;
+  }
+
+  /**
+   * Acquire a permit for an owner in a lane
+   * @param {Object} options - { lane, owner }
+   * @returns {Promise<Function>} Release function
+   */
+  async acquire({ lane, owner = null } = {}) {
+    return new Promise((resolve) => {
+      const waiter = {
+        lane: this.lanes.includes(lane) ? lane : this.defaultLane,
+        owner,
+        queued_at: Date.now(),
+        resolve
+      };
+      if (this.currentCount < this.maxConcurrency) {
+        this.grant(waiter);
+      } else {
+        this.waitingQueue.push(waiter);
+      }
+    });
+  }
+
+  /**
+   * Try to acquire without waiting
+   * @returns {Function|null} Release function or null if not available
+   */
+  tryAcquire({ owner = null } = {}) {
+    if (this.currentCount < this.maxConcurrency) {
+      let release = null;
+      this.grant({ owner, resolve: fn => { release = fn; } });
+      return release;
+    }
+    return null;
+  }
+
+  grant(waiter) {
+    this.currentCount++;
+    this.activeByOwner.set(waiter.owner, (this.activeByOwner.get(waiter.owner) || 0) + 1);
+    this.lastGrantByOwner.set(waiter.owner, ++this.grants);
+
+    let released = false;
+    waiter.resolve(() => {
+      if (released) return;
+      released = true;
+      this.release(waiter.owner);
+    });
+  }
+
+  /**
+   * Release a permit held by owner and hand it to the next waiter
+   */
+  release(owner = null) {
+    this.currentCount--;
+    const held = (this.activeByOwner.get(owner) || 1) - 1;
+    if (held > 0) {
+      this.activeByOwner.set(owner, held);
+    } else {
+      this.activeByOwner.delete(owner);
+      if (!this.waitingQueue.some(waiter => waiter.owner === owner)) {
+        this.lastGrantByOwner.delete(owner);
+      }
+    }
+
+    if (this.waitingQueue.length > 0 && this.currentCount < this.maxConcurrency) {
+      const index = this.nextWaiterIndex();
+      const [next] = this.waitingQueue.splice(index, 1);
+      this.grant(next);
+    }
+  }
+
+  /**
+   * Index of the waiter that gets the next permit: overdue waiters first, then
+   * by lane, then the owner with the fewest permits in use, then the owner
+   * served longest ago, then arrival order
+   */
+  nextWaiterIndex() {
+    const now = Date.now();
+    const rank = waiter => [
+      now - waiter.queued_at >= this.maxWaitMs ? -1 : this.lanes.indexOf(waiter.lane),
+      this.activeByOwner.get(waiter.owner) || 0,
+      this.lastGrantByOwner.get(waiter.owner) || 0
+    ];
+    const compare = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+    let bestIndex = 0;
+    let best = rank(this.waitingQueue[0]);
+    for (let i = 1; i < this.waitingQueue.length; i++) {
+      const candidate = rank(this.waitingQueue[i]);
+      if (compare(candidate, best) < 0) {
+        bestIndex = i;
+        best = candidate;
+      }
+    }
+    return bestIndex;
+  }
+
+  /**
+   * Number of waiters in each lane
+   * @returns {Object}
+   */
+  get waitingByLane() {
+    const counts = Object.fromEntries(this.lanes.map(lane => [lane, 0]));
+    for (const waiter of this.waitingQueue) {
+      counts[waiter.lane]++;
+    }
+    return counts;
+  }
+}
+
 /**
  * Simple Rate Limiter implementation for Cloudflare Workers
  * Limits calls per time window with uniform distribution
@@ -1,5 +1,12 @@
 import { streamLogger, formatBytes, withExponentialRetry } from './logger.js';
 import { withTranscriptionLimits, withLLMLimits } from './rate-limiter.js';
+import { getTranscriptionProvider, resolveProviderName, readTranscriptionOptions, buildChunkPrompt } from './transcription-providers.js';
+import { checkUploadSettings } from './upload-settings.js';
+import { readRetentionOptions } from './retention.js';
+import { putJobRecord } from './job-index.js';
+import { createStreamingChunker, readChunkingOptions } from './audio-chunking.js';
+import { DEFAULT_PRIORITY } from './priority.js';
+import { readMultipartStream } from './multipart-stream.js';
 
 // ============================================================================
 // STREAMING API - Emulates Groq's streaming chat completion format
@@ -20,17 +27,24 @@ import { withTranscriptionLimits, withLLMLimits } from './rate-limiter.js';
  *   -F "use_llm=true" \
  *   -F "model=whisper-large-v3"
  * 
+ * Or stream the raw file so transcription starts before the upload finishes:
+ * curl -X POST "http://localhost:8787/stream?filename=audio.mp3&chunk_size_mb=1" \
+ *   -H "Content-Type: audio/mpeg" \
+ *   -T audio.mp3
+ * 
  * Note: LLM correction is disabled by default for streaming. Set use_llm=true to enable.
  */
-export async function handleStreamingTranscription(request, env) {
+export async function handleStreamingTranscription(request, env, auth = null) {
   const contentType = request.headers.get('content-type') || '';
-  let audioData, filename, chunkSizeMB = 0.25, use_llm = false, llm_mode = 'per_chunk', model = 'whisper-large-v3';
+  let audioStream, totalSize = null, filename, chunkSizeMB = 0.25, use_llm = false, llm_mode = 'per_chunk', model = 'whisper-large-v3', provider = null, task = 'transcribe', priority = 'interactive', optionsResult, retentionResult;
   
   try {
     // Parse request data
     if (contentType.includes('multipart/form-data')) {
-      const formData = await request.formData();
-      const file = formData.get('file');
+      // Streamed rather than request.formData(), which holds the whole upload in memory
+      const { fields: formData, file } = await readMultipartStream(request.body, contentType, {
+        contentLength: Number(request.headers.get('content-length')) || null
+      });
       
       if (!file || !file.name) {
         return new Response('data: {"error": "No file provided"}\n\n', { 
@@ -40,11 +54,17 @@ export async function handleStreamingTranscription(request, env) {
       }
       
       filename = file.name;
-      audioData = await file.arrayBuffer();
+      audioStream = file.stream;
+      totalSize = file.size;
       chunkSizeMB = parseFloat(formData.get('chunk_size_mb')) || 0.25;
       use_llm = formData.get('use_llm') === 'true'; // Explicitly false by default
       llm_mode = formData.get('llm_mode') || 'per_chunk'; // 'per_chunk' or 'post_process'
       model = formData.get('model') || 'whisper-large-v3';
+      provider = formData.get('provider') || null;
+      task = formData.get('task') || 'transcribe';
+      priority = formData.get('priority') || 'interactive';
+      optionsResult = readTranscriptionOptions(formData);
+      retentionResult = readRetentionOptions(formData);
       
     } else if (contentType.includes('application/json')) {
       const body = await request.json();
@@ -64,7 +84,8 @@ export async function handleStreamingTranscription(request, env) {
             return createStreamError(`Failed to fetch audio: ${response.status}`);
           }
           
-          audioData = await response.arrayBuffer();
+          audioStream = response.body;
+          totalSize = Number(response.headers.get('content-length')) || null;
           filename = body.url.split('/').pop() || 'audio.mp3';
           
         } catch (error) {
@@ -74,7 +95,9 @@ export async function handleStreamingTranscription(request, env) {
       } else if (body.file_data) {
         // Base64 encoded data
         try {
-          audioData = Uint8Array.from(atob(body.file_data), c => c.charCodeAt(0)).buffer;
+          const audioData = Uint8Array.from(atob(body.file_data), c => c.charCodeAt(0));
+          audioStream = new Blob([audioData]).stream();
+          totalSize = audioData.byteLength;
           filename = body.filename || 'audio.mp3';
         } catch (error) {
           return createStreamError('Invalid base64 file_data');
@@ -88,36 +111,74 @@ export async function handleStreamingTranscription(request, env) {
       use_llm = body.use_llm === true; // Explicitly require true, default false
       llm_mode = body.llm_mode || 'per_chunk'; // 'per_chunk' or 'post_process'
       model = body.model || 'whisper-large-v3';
+      provider = body.provider || null;
+      task = body.task || 'transcribe';
+      priority = body.priority || 'interactive';
+      optionsResult = readTranscriptionOptions(body);
+      retentionResult = readRetentionOptions(body);
+      
+    } else if (isRawAudioBody(contentType)) {
+      // Raw file body - options ride in the query string so the body can be
+      // chunked as it arrives instead of waiting for a complete form
+      if (!request.body) {
+        return createStreamError('No audio in request body');
+      }
+      
+      const params = new URL(request.url).searchParams;
+      filename = params.get('filename') || 'audio.mp3';
+      audioStream = request.body;
+      totalSize = Number(request.headers.get('content-length')) || null;
+      chunkSizeMB = parseFloat(params.get('chunk_size_mb')) || 0.25;
+      use_llm = params.get('use_llm') === 'true';
+      llm_mode = params.get('llm_mode') || 'per_chunk';
+      model = params.get('model') || 'whisper-large-v3';
+      provider = params.get('provider') || null;
+      task = params.get('task') || 'transcribe';
+      priority = params.get('priority') || 'interactive';
+      optionsResult = readTranscriptionOptions(params);
+      retentionResult = readRetentionOptions(params);
       
     } else {
-      return createStreamError('Content-Type must be multipart/form-data or application/json');
+      return createStreamError('Content-Type must be multipart/form-data, application/json or a raw audio type');
+    }
+    
+    const configError = checkUploadSettings(env, { provider, model, task, priority, auth, live: true, optionsResult, retentionResult })?.message;
+    if (configError) {
+      return createStreamError(configError);
     }
+    provider = resolveProviderName(env, provider);
     
     // Create job record for streaming transcription
     const job_id = crypto.randomUUID();
     const job = {
       status: 'streaming',
       filename,
-      size: audioData.byteLength,
-      actual_size: audioData.byteLength,
+      size: totalSize,
+      actual_size: totalSize,
       processing_method: 'streaming',
       use_llm,
       llm_mode,
       model,
+      provider,
+      task,
+      priority, // Someone is watching the results arrive, so interactive unless asked otherwise
+      transcription_options: optionsResult.options,
+      retention: retentionResult.options,
       chunk_size_mb: chunkSizeMB,
+      owner: auth?.key_id ?? null,
       created_at: new Date().toISOString(),
       processing_started_at: new Date().toISOString()
     };
     
     // Store initial job state
-    await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
+    await putJobRecord(env, job_id, job);
     
     // Create a ReadableStream for Server-Sent Events with aggressive flushing
     const stream = new ReadableStream({
       async start(controller) {
         try {
           await processAudioStreamChunks(
-            new Uint8Array(audioData), 
+            audioStream, 
             filename, 
             chunkSizeMB, 
             use_llm, 
@@ -125,7 +186,9 @@ export async function handleStreamingTranscription(request, env) {
             model,
             controller, 
             env,
-            job_id  // Pass job_id for progress tracking
+            job_id,  // Pass job_id for progress tracking
+            { provider, task, priority, owner: job.owner, ...optionsResult.options },
+            totalSize
           );
         } catch (error) {
           const errorData = createStreamChunk('error', { error: error.message });
@@ -133,7 +196,7 @@ export async function handleStreamingTranscription(request, env) {
           
           // Update job status to failed
           const failedJob = { ...job, status: 'failed', error: error.message, failed_at: new Date().toISOString() };
-          await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(failedJob), { expirationTtl: 86400 });
+          await putJobRecord(env, job_id, failedJob);
         } finally {
           controller.close();
         }
@@ -157,16 +220,18 @@ export async function handleStreamingTranscription(request, env) {
   }
 }
 
-export async function processAudioStreamChunks(audioBuffer, filename, chunkSizeMB, use_llm, llm_mode, model, controller, env, job_id = null) {
+export async function processAudioStreamChunks(audioStream, filename, chunkSizeMB, use_llm, llm_mode, model, controller, env, job_id = null, transcriptionOptions = {}, totalSize = null) {
   const chunkSize = chunkSizeMB * 1024 * 1024; // Convert MB to bytes
   const ext = filename.split('.').pop() || 'mp3';
+  // Unknown until the body ends when the client streams without a Content-Length
+  const estimatedChunks = totalSize ? Math.ceil(totalSize / chunkSize) : null;
   
   // Send initial status
   streamLogger.info('stream', 'Starting streaming transcription', {
     filename,
-    total_size: formatBytes(audioBuffer.length),
+    total_size: totalSize ? formatBytes(totalSize) : 'unknown',
     chunk_size: formatBytes(chunkSize),
-    estimated_chunks: Math.ceil(audioBuffer.length / chunkSize),
+    estimated_chunks: estimatedChunks,
     llm_mode: use_llm ? llm_mode : 'disabled',
     model
   });
@@ -176,61 +241,93 @@ export async function processAudioStreamChunks(audioBuffer, filename, chunkSizeM
       message: 'Starting transcription',
       job_id,
       filename,
-      total_size: audioBuffer.length,
+      total_size: totalSize,
       chunk_size: chunkSize,
-      estimated_chunks: Math.ceil(audioBuffer.length / chunkSize),
+      estimated_chunks: estimatedChunks,
       llm_mode: use_llm ? llm_mode : 'disabled',
       model
     })
   ));
   
-  // Create tiny chunks for streaming
-  const chunks = createTinyChunks(audioBuffer, chunkSize);
+  // Chunks are cut as the audio arrives and transcribed while the rest is still uploading
+  const chunkingOptions = readChunkingOptions(env);
+  const audio = readAudioChunks(audioStream, createStreamingChunker(filename, chunkSize, chunkingOptions));
+  const progressAt = (offset) => totalSize ? Math.min(100, Math.round((offset / totalSize) * 100)) : null;
   let fullTranscript = '';
   let correctedTranscript = '';
+  let translatedTranscript = ''; // English text when task is 'both'
   const segments = [];
+  const words = [];
+  let lastTimedChunk = null;
+  let chunkCount = 0;
   
   // Send chunk info
   controller.enqueue(new TextEncoder().encode(
     createStreamChunk('chunk_info', { 
-      total_chunks: chunks.length,
+      total_chunks: estimatedChunks,
       chunk_size_mb: chunkSizeMB,
       llm_correction: use_llm ? llm_mode : 'disabled',
       model
     })
   ));
   
-  // Process each chunk and stream results
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
+  const sendChunkError = (i, chunk, error) => {
+    streamLogger.error(`Chunk ${i} failed`, error);
     
+    // Send chunk error
+    const chunkErrorData = createStreamChunk('chunk_error', { 
+      chunk_index: i,
+      error: error.message,
+      progress: progressAt(chunk.end)
+    });
+    controller.enqueue(new TextEncoder().encode(chunkErrorData));
+  };
+  
+  // Neighbouring chunks share a little audio and both transcribe it. Each keeps
+  // what is centred on its side of the middle of that stretch, so only the last
+  // overlap_seconds of a chunk are held back until the next chunk arrives and
+  // says where it starts; the rest goes out as soon as it is transcribed
+  let held = null;
+  // Send a chunk's results centred in [from, until) (until null: to its end);
+  // `last` marks the final part, which completes the chunk
+  const release = async ({ i, chunk, transcript, startTime }, from, until, last = true) => {
     try {
-      // Send chunk start event  
-      const chunkStartData = createStreamChunk('chunk_start', { 
-        chunk_index: i,
-        chunk_size: chunk.data.length,
-        progress: Math.round((i / chunks.length) * 100)
-      });
-      controller.enqueue(new TextEncoder().encode(chunkStartData));
-      
-      // Transcribe chunk with the specified model
-      const transcript = await transcribeChunk(chunk.data, ext, env.GROQ_API_KEY, model);
+      const isKept = item => {
+        const middle = ((item.start || 0) + (item.end || 0)) / 2;
+        return middle >= from && (until === null || middle < until);
+      };
+      const keep = (items, text) => {
+        const placed = offsetSegments(items, startTime);
+        const kept = placed.filter(isKept);
+        return { kept, text: kept.length < placed.length ? kept.map(item => (item.text || '').trim()).join(' ') : text };
+      };
+      const { kept: chunkSegments, text: chunkText } = keep(transcript.segments, transcript.text);
+      // task 'both': the English translation of this chunk rides along
+      const translation = transcript.translation ? keep(transcript.translation.segments, transcript.translation.text) : null;
+      const translationFields = translation
+        ? { translated_text: translation.text, translated_segments: translation.kept }
+        : {};
+      // Only present when the job asked for timestamp_granularities[]=word
+      const chunkWords = transcript.words ? offsetSegments(transcript.words, startTime).filter(isKept) : null;
       
-      if (transcript.text) {
-        let correctedText = transcript.text;
+      if (chunkText) {
+        let correctedText = chunkText;
         
         // Apply per-chunk LLM correction if enabled
         if (use_llm && llm_mode === 'per_chunk') {
           try {
-            correctedText = await applyPerChunkLLMCorrection(transcript.text, env.GROQ_API_KEY);
+            correctedText = await applyPerChunkLLMCorrection(chunkText, env.GROQ_API_KEY);
             
             // Send delta with both raw and corrected text
             controller.enqueue(new TextEncoder().encode(
               createStreamChunk('delta', { 
                 chunk_index: i,
-                raw_text: transcript.text,
+                raw_text: chunkText,
                 corrected_text: correctedText,
-                segments: transcript.segments || [],
+                segments: chunkSegments,
+                start_time: startTime,
+                ...translationFields,
+                ...(chunkWords ? { words: chunkWords } : {}),
                 llm_applied: true,
                 groq_response: transcript // Preserve full Groq response
               })
@@ -241,24 +338,30 @@ export async function processAudioStreamChunks(audioBuffer, filename, chunkSizeM
             controller.enqueue(new TextEncoder().encode(
               createStreamChunk('delta', { 
                 chunk_index: i,
-                raw_text: transcript.text,
-                corrected_text: transcript.text, // fallback to raw
-                segments: transcript.segments || [],
+                raw_text: chunkText,
+                corrected_text: chunkText, // fallback to raw
+                segments: chunkSegments,
+                start_time: startTime,
+                ...translationFields,
+                ...(chunkWords ? { words: chunkWords } : {}),
                 llm_applied: false,
                 llm_error: llmError.message,
                 groq_response: transcript // Preserve full Groq response
               })
             ));
-            correctedText = transcript.text; // use raw text as fallback
+            correctedText = chunkText; // use raw text as fallback
           }
         } else {
           // No LLM, send raw text
           controller.enqueue(new TextEncoder().encode(
             createStreamChunk('delta', { 
               chunk_index: i,
-              raw_text: transcript.text,
-              text: transcript.text,
-              segments: transcript.segments || [],
+              raw_text: chunkText,
+              text: chunkText,
+              segments: chunkSegments,
+              start_time: startTime,
+              ...translationFields,
+              ...(chunkWords ? { words: chunkWords } : {}),
               llm_applied: false,
               groq_response: transcript // Preserve full Groq response
             })
@@ -266,34 +369,79 @@ export async function processAudioStreamChunks(audioBuffer, filename, chunkSizeM
         }
         
         // Accumulate transcripts
-        fullTranscript += (fullTranscript ? ' ' : '') + transcript.text;
+        fullTranscript += (fullTranscript ? ' ' : '') + chunkText;
         correctedTranscript += (correctedTranscript ? ' ' : '') + correctedText;
+        if (translation?.text) {
+          translatedTranscript += (translatedTranscript ? ' ' : '') + translation.text;
+        }
         
         // Collect all segments
-        if (transcript.segments) {
-          segments.push(...transcript.segments);
-        }
+        segments.push(...chunkSegments);
+        if (chunkWords) words.push(...chunkWords);
       }
       
       // Send chunk completion
-      const chunkDoneData = createStreamChunk('chunk_done', { 
-        chunk_index: i,
-        progress: Math.round(((i + 1) / chunks.length) * 100)
-      });
-      controller.enqueue(new TextEncoder().encode(chunkDoneData));
+      if (last) {
+        const chunkDoneData = createStreamChunk('chunk_done', { 
+          chunk_index: i,
+          progress: progressAt(chunk.end)
+        });
+        controller.enqueue(new TextEncoder().encode(chunkDoneData));
+      }
       
     } catch (error) {
-      streamLogger.error(`Chunk ${i} failed`, error);
-      
-      // Send chunk error
-      const chunkErrorData = createStreamChunk('chunk_error', { 
+      sendChunkError(i, chunk, error);
+    }
+  };
+  
+  // Process each chunk and stream results
+  for await (const chunk of audio) {
+    const i = chunkCount++;
+    
+    // Shift chunk-relative timestamps onto the full recording. Where this chunk
+    // starts is all the held chunk was waiting for
+    const startTime = resolveChunkStartTime(chunk, lastTimedChunk);
+    let from = 0;
+    if (held) {
+      // Chunks that share more than the held tail cut where the sent part ended
+      const seam = getSeam(held, startTime);
+      const until = seam === null ? null : Math.max(seam, held.from);
+      await release(held, held.from, until);
+      held = null;
+      from = until ?? 0;
+    }
+    
+    try {
+      // Send chunk start event  
+      const chunkStartData = createStreamChunk('chunk_start', { 
         chunk_index: i,
-        error: error.message,
-        progress: Math.round(((i + 1) / chunks.length) * 100)
+        chunk_size: chunk.data.length,
+        progress: progressAt(chunk.start)
       });
-      controller.enqueue(new TextEncoder().encode(chunkErrorData));
+      controller.enqueue(new TextEncoder().encode(chunkStartData));
+      
+      // Transcribe chunk with the specified model
+      const transcript = await transcribeChunk(chunk.data, ext, env, {
+        model,
+        ...transcriptionOptions,
+        prompt: buildChunkPrompt(transcriptionOptions.prompt, fullTranscript)
+      });
+      
+      lastTimedChunk = { start: chunk.start, end: chunk.end, startTime, duration: transcript.duration || 0 };
+      
+      const current = { i, chunk, transcript, startTime };
+      const tailStart = getChunkEnd(current) - chunkingOptions.overlap_seconds;
+      if (tailStart > from) {
+        await release(current, from, tailStart, false);
+        from = tailStart;
+      }
+      held = { ...current, from };
+      
+    } catch (error) {
+      sendChunkError(i, chunk, error);
     }
   }
+  if (held) await release(held, held.from, null);
   
   // Apply post-processing LLM if requested
   let finalTranscript = fullTranscript;
@@ -336,10 +484,13 @@ export async function processAudioStreamChunks(audioBuffer, filename, chunkSizeM
       raw_transcript: fullTranscript,
       corrected_transcript: use_llm && llm_mode === 'per_chunk' ? correctedTranscript : null,
       total_segments: segments.length,
+      total_chunks: chunkCount,
+      bytes_received: audio.bytes_read,
       processing_completed: true,
       llm_correction_applied: use_llm,
       llm_mode: use_llm ? llm_mode : 'disabled',
-      model
+      model,
+      ...(transcriptionOptions.task === 'both' ? { translated_transcript: translatedTranscript } : {})
     })
   ));
   
@@ -354,6 +505,11 @@ export async function processAudioStreamChunks(audioBuffer, filename, chunkSizeM
         job.raw_transcript = fullTranscript;
         job.corrected_transcript = use_llm && llm_mode === 'per_chunk' ? correctedTranscript : null;
         job.total_segments = segments.length;
+        job.size = job.size || audio.bytes_read;
+        job.actual_size = audio.bytes_read;
+        if (transcriptionOptions.task === 'both') {
+          job.translated_transcript = translatedTranscript;
+        }
         job.completed_at = new Date().toISOString();
         job.llm_correction_applied = use_llm;
         job.model = model;
@@ -361,13 +517,14 @@ export async function processAudioStreamChunks(audioBuffer, filename, chunkSizeM
           text: finalTranscript, 
           raw_text: fullTranscript,
           segments: segments,
+          ...(words.length > 0 ? { words } : {}),
           start: 0,
-          duration: audioBuffer.length,
+          duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
           chunk_index: 'streaming',
           model
         }];
         
-        await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
+        await putJobRecord(env, job_id, job);
         streamLogger.complete('Streaming job completed and saved', { 
           job_id, 
           filename,
@@ -381,25 +538,116 @@ export async function processAudioStreamChunks(audioBuffer, filename, chunkSizeM
   }
 }
 
-export function createTinyChunks(buffer, chunkSize) {
-  const chunks = [];
-  const minOverlap = Math.min(1024 * 50, Math.floor(chunkSize * 0.02)); // 50KB or 2% overlap
+// Cut chunks the reader may hold before it stops pulling the upload
+const MAX_READY_CHUNKS = 2;
+
+/**
+ * Feed an audio ReadableStream through a streaming chunker, yielding chunks in
+ * order. Reading runs ahead of the consumer so the upload keeps flowing while
+ * earlier chunks are being transcribed, but only by MAX_READY_CHUNKS, so a
+ * slow transcription pauses the upload instead of buffering the whole file.
+ */
+function readAudioChunks(stream, chunker) {
+  const reader = stream.getReader();
+  const ready = [];
+  let finished = false;
+  let stopped = false;
+  let failure = null;
+  let wake = null; // Consumer waiting for a chunk
+  let resume = null; // Reader waiting for room
+  const source = { bytes_read: 0 };
   
-  for (let start = 0; start < buffer.length; start += chunkSize - minOverlap) {
-    const end = Math.min(start + chunkSize, buffer.length);
-    const chunkData = buffer.slice(start, end);
-    
-    chunks.push({
-      start,
-      end,
-      data: chunkData,
-      size: chunkData.length
-    });
-    
-    if (end >= buffer.length) break;
-  }
+  const pump = async () => {
+    try {
+      while (true) {
+        while (ready.length >= MAX_READY_CHUNKS && !stopped) {
+          await new Promise(resolve => { resume = resolve; });
+          resume = null;
+        }
+        if (stopped) break;
+        
+        const { value, done } = await reader.read();
+        if (done) break;
+        source.bytes_read += value.byteLength;
+        ready.push(...chunker.push(value));
+        wake?.();
+      }
+      if (!stopped) ready.push(...chunker.flush());
+    } catch (error) {
+      failure = error;
+    }
+    finished = true;
+    wake?.();
+  };
+  
+  source[Symbol.asyncIterator] = async function* () {
+    pump();
+    try {
+      while (true) {
+        if (ready.length > 0) {
+          const chunk = ready.shift();
+          resume?.();
+          yield chunk;
+          continue;
+        }
+        if (failure) throw failure;
+        if (finished) return;
+        await new Promise(resolve => { wake = resolve; });
+        wake = null;
+      }
+    } finally {
+      // Consumer bailed out early - stop pulling the upload
+      if (!finished) {
+        stopped = true;
+        resume?.();
+        reader.cancel().catch(() => {});
+      }
+    }
+  };
   
-  return chunks;
+  return source;
+}
+
+/**
+ * Work out where a chunk starts on the original audio timeline, in seconds.
+ * Prefers the time measured by the chunker; otherwise extrapolates from the last
+ * transcribed chunk's byte span and the duration Whisper reported for it.
+ */
+export function resolveChunkStartTime(chunk, previous = null) {
+  if (typeof chunk.startTime === 'number') return chunk.startTime;
+  if (!previous) return 0;
+  
+  const previousBytes = previous.end - previous.start;
+  if (!previousBytes || !previous.duration) return previous.startTime + (previous.duration || 0);
+  
+  return previous.startTime + previous.duration * (chunk.start - previous.start) / previousBytes;
+}
+
+/**
+ * Where a transcribed chunk ends on the full recording, in seconds
+ */
+function getChunkEnd({ chunk, transcript, startTime }) {
+  return startTime + (chunk.duration ?? transcript.duration ?? 0);
+}
+
+/**
+ * Middle of the audio a held chunk shares with the chunk that starts at
+ * startTime, or null if they don't overlap
+ */
+function getSeam(held, startTime) {
+  const heldEnd = getChunkEnd(held);
+  return startTime < heldEnd ? (startTime + heldEnd) / 2 : null;
+}
+
+/**
+ * Shift chunk-relative Whisper segments onto the absolute timeline
+ */
+export function offsetSegments(segments = [], offset = 0) {
+  return segments.map(segment => ({
+    ...segment,
+    start: (segment.start || 0) + offset,
+    end: (segment.end || 0) + offset
+  }));
 }
 
 export function createStreamChunk(type, data) {
@@ -413,6 +661,13 @@ export function createStreamError(message) {
   });
 }
 
+/**
+ * True when the request body is the audio file itself rather than a form or JSON
+ */
+export function isRawAudioBody(contentType) {
+  return /^(audio|video)\//.test(contentType) || contentType.startsWith('application/octet-stream');
+}
+
 /**
  * Per-chunk LLM correction using Llama 3.1 8B Instant for real-time streaming
  * Optimized for speed and cost-effectiveness with shorter, focused prompts
@@ -436,7 +691,7 @@ export async function applyPerChunkLLMCorrection(text, apiKey) {
             model: 'llama-3.1-8b-instant',
             messages: [{
               role: 'user',
-              content: `Fix punctuation and obvious errors in this audio transcript chunk. Output ONLY the corrected text with no preamble or explanatory text:\n\n"${text}"`
+              content: `Fix punctuation and obvious errors in this audio transcript chunk. Keep every line break where it is. Output ONLY the corrected text with no preamble or explanatory text:\n\n"${text}"`
             }],
             temperature: 0.1,
             max_tokens: 150, // Smaller limit for chunks
@@ -477,6 +732,23 @@ export async function applyPerChunkLLMCorrection(text, apiKey) {
   }
 }
 
+/**
+ * Per-chunk correction that keeps Whisper's segments: one line per segment
+ * goes in, so the corrected text can still be cut at segment boundaries where
+ * chunks overlap. segments is null when the model didn't keep the lines.
+ */
+export async function correctChunkSegments(segments, apiKey) {
+  const text = await applyPerChunkLLMCorrection(segments.map(segment => (segment.text || '').trim()).join('\n'), apiKey);
+  const lines = text.split('\n').map(line => line.trim());
+  
+  return {
+    text: lines.filter(Boolean).join(' '),
+    segments: lines.length === segments.length
+      ? segments.map((segment, i) => ({ ...segment, text: lines[i] }))
+      : null
+  };
+}
+
 /**
  * Simple LLM correction using Groq (for post-processing)
  */
@@ -526,47 +798,41 @@ export async function applyLLMCorrection(text, apiKey) {
   }
 }
 
-export async function transcribeChunk(data, ext, apiKey, model = 'whisper-large-v3') {
+/**
+ * Transcribe one audio chunk with the job's provider (Groq unless the job or
+ * TRANSCRIPTION_PROVIDER says otherwise). Returns the provider's verbose_json.
+ * With task 'both' the result is the source-language transcript, and the
+ * English translation of the same chunk is attached as `translation`.
+ *
+ * options also forwards language, prompt, temperature and
+ * timestamp_granularities (see readTranscriptionOptions). priority and owner
+ * place the call in line for a transcription slot and are not sent on.
+ */
+export async function transcribeChunk(data, ext, env, { model = 'whisper-large-v3', provider = null, task = 'transcribe', priority = DEFAULT_PRIORITY, owner = null, ...options } = {}) {
+  if (task === 'both') {
+    const transcript = await transcribeChunk(data, ext, env, { model, provider, task: 'transcribe', priority, owner, ...options });
+    const translation = await transcribeChunk(data, ext, env, { model, provider, task: 'translate', priority, owner, ...options });
+    return { ...transcript, translation };
+  }
+
+  const transcriber = getTranscriptionProvider(env, provider);
+
   return await withTranscriptionLimits(async () => {
-    const result = await withExponentialRetry(async () => {
-      const formData = new FormData();
-      formData.append('file', new Blob([data]), `chunk.${ext}`);
-      formData.append('model', model);
-      formData.append('response_format', 'verbose_json');
-      
-      const response = await fetch('https://api.groq.com/openai/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${apiKey}` },
-        body: formData,
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const error = new Error(`Groq Transcription API error: ${response.status} ${response.statusText}`);
-        error.status = response.status;
-        error.response = { status: response.status };
-        error.details = errorData;
-        throw error;
-      }
-      
-      return await response.json();
-    }, {
+    // Preserve the full provider response for debugging and tracing
+    return await withExponentialRetry(() => transcriber.transcribe(data, ext, { model, task, ...options }), {
       maxRetries: 5, // More retries for core transcription
       baseDelay: 1000,
       maxDelay: 15000,
       // Be more aggressive with retrying transcription errors
       retryableErrors: ['rate_limit', 'temporary_failure', 'network_error', 'timeout', 'client_error']
     });
-    
-    // Preserve the full response from Groq for debugging and tracing
-    if (result.error) {
-      throw new Error(`Groq API error: ${result.error.message || result.error}`);
-    }
-    
-    return result;
   }, {
     model,
+    provider: transcriber.name,
+    task,
+    priority,
+    owner,
     data_size: data.length,
     extension: ext
   });
-} 
\ No newline at end of file
+}
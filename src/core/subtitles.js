@@ -0,0 +1,224 @@
+// ============================================================================
+// SUBTITLE EXPORT - SRT, WebVTT, TTML and timestamped text from job segments
+// ============================================================================
+
+export const SUBTITLE_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  ttml: { contentType: 'application/ttml+xml; charset=utf-8', extension: 'ttml' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+export const DEFAULT_SUBTITLE_OPTIONS = {
+  max_line_length: 42,   // Characters per caption line
+  max_lines: 2,          // Lines per cue before it gets split
+  max_cue_duration: 7,   // Seconds a single cue may stay on screen
+  min_cue_duration: 0    // Segments shorter than this (seconds) merge into the next one; 0 disables
+};
+
+/**
+ * Read subtitle options from query parameters, falling back to the defaults
+ */
+export function parseSubtitleOptions(searchParams) {
+  const options = { ...DEFAULT_SUBTITLE_OPTIONS };
+
+  for (const key of Object.keys(DEFAULT_SUBTITLE_OPTIONS)) {
+    const value = parseFloat(searchParams.get(key));
+    if (Number.isFinite(value) && value >= 0) {
+      options[key] = value;
+    }
+  }
+
+  options.max_line_length = Math.max(10, Math.floor(options.max_line_length));
+  options.max_lines = Math.max(1, Math.floor(options.max_lines));
+  if (options.max_cue_duration <= 0) options.max_cue_duration = Infinity;
+
+  return options;
+}
+
+/**
+ * Render merged job segments in the requested subtitle format
+ */
+export function renderSubtitles(segments, format, options = DEFAULT_SUBTITLE_OPTIONS) {
+  const cues = buildCues(segments, { ...DEFAULT_SUBTITLE_OPTIONS, ...options });
+
+  switch (format) {
+    case 'srt':
+      return cues.map((cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.lines.join('\n')}\n`
+      ).join('\n');
+    case 'vtt':
+      return 'WEBVTT\n\n' + cues.map(cue =>
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.lines.map(escapeVTT).join('\n')}\n`
+      ).join('\n');
+    case 'ttml':
+      return renderTTML(cues);
+    case 'txt':
+      return cues.map(cue =>
+        `[${formatTimestamp(cue.start, '.')} - ${formatTimestamp(cue.end, '.')}] ${cue.lines.join(' ')}`
+      ).join('\n') + '\n';
+    default:
+      throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+}
+
+/**
+ * Turn raw segments into display cues: drop overlap duplicates, merge short
+ * segments, split long ones and wrap text to the line length
+ */
+function buildCues(segments, options) {
+  const ordered = dedupeSegments(segments);
+  const merged = mergeShortSegments(ordered, options);
+  const cues = [];
+
+  for (const segment of merged) {
+    for (const piece of splitSegment(segment, options)) {
+      cues.push({
+        start: piece.start,
+        end: piece.end,
+        lines: wrapText(piece.text, options.max_line_length)
+      });
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Sort segments and drop ones that repeat audio already covered by the
+ * previous chunk (chunks overlap slightly at their boundaries)
+ */
+function dedupeSegments(segments) {
+  const sorted = segments
+    .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+    .map(segment => ({
+      start: Number(segment.start) || 0,
+      end: Math.max(Number(segment.end) || 0, Number(segment.start) || 0),
+      text: segment.text.trim()
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const result = [];
+  for (const segment of sorted) {
+    const previous = result[result.length - 1];
+    if (previous && (segment.start + segment.end) / 2 < previous.end) continue;
+
+    result.push(segment);
+  }
+
+  return result;
+}
+
+function mergeShortSegments(segments, options) {
+  if (!options.min_cue_duration) return segments;
+
+  const result = [];
+  for (const segment of segments) {
+    const previous = result[result.length - 1];
+    const previousIsShort = previous && previous.end - previous.start < options.min_cue_duration;
+
+    if (previousIsShort && segment.end - previous.start <= options.max_cue_duration) {
+      previous.end = segment.end;
+      previous.text = `${previous.text} ${segment.text}`;
+    } else {
+      result.push({ ...segment });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Split a segment that runs too long or holds too much text, dividing its
+ * time in proportion to the words in each piece
+ */
+function splitSegment(segment, options) {
+  const words = segment.text.split(/\s+/);
+  const duration = segment.end - segment.start;
+  const maxChars = options.max_line_length * options.max_lines;
+
+  const byDuration = Math.ceil(duration / options.max_cue_duration) || 1;
+  const byLength = Math.ceil(segment.text.length / maxChars) || 1;
+  const pieceCount = Math.min(Math.max(byDuration, byLength), words.length);
+
+  if (pieceCount <= 1) return [segment];
+
+  const pieces = [];
+  const wordsPerPiece = Math.ceil(words.length / pieceCount);
+
+  for (let i = 0; i < words.length; i += wordsPerPiece) {
+    const pieceWords = words.slice(i, i + wordsPerPiece);
+    pieces.push({
+      start: segment.start + duration * (i / words.length),
+      end: segment.start + duration * (Math.min(i + wordsPerPiece, words.length) / words.length),
+      text: pieceWords.join(' ')
+    });
+  }
+
+  return pieces;
+}
+
+function wrapText(text, maxLineLength) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + 1 + word.length > maxLineLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines;
+}
+
+function renderTTML(cues) {
+  const paragraphs = cues.map(cue =>
+    `      <p begin="${formatTimestamp(cue.start, '.')}" end="${formatTimestamp(cue.end, '.')}">${cue.lines.map(escapeXML).join('<br/>')}</p>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tt xmlns="http://www.w3.org/ns/ttml" xml:lang="">',
+    '  <body>',
+    '    <div>',
+    ...paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+}
+
+// WebVTT cue text treats & and < as markup
+function escapeVTT(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeXML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format seconds as HH:MM:SS{separator}mmm
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
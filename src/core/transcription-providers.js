@@ -0,0 +1,232 @@
+// ============================================================================
+// TRANSCRIPTION PROVIDERS - where transcribeChunk sends audio
+// ============================================================================
+
+/**
+ * A provider turns one audio chunk into an OpenAI-style verbose_json
+ * transcription ({ text, segments, duration, ... }), or an English
+ * translation of it when asked for task 'translate'.
+ *
+ *   groq              - Groq's hosted Whisper (GROQ_API_KEY)
+ *   openai_compatible - any server exposing POST {base}/audio/transcriptions,
+ *                       e.g. faster-whisper-server or whisper.cpp's server
+ *                       (OPENAI_COMPATIBLE_BASE_URL, optional
+ *                       OPENAI_COMPATIBLE_API_KEY and OPENAI_COMPATIBLE_MODEL)
+ *
+ * Jobs pick one with `provider`; TRANSCRIPTION_PROVIDER sets the default.
+ */
+const PROVIDERS = {
+  groq: env => createOpenAICompatibleProvider({
+    name: 'groq',
+    label: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKey: env.GROQ_API_KEY
+  }),
+  openai_compatible: env => createOpenAICompatibleProvider({
+    name: 'openai_compatible',
+    label: 'OpenAI-compatible',
+    baseUrl: env.OPENAI_COMPATIBLE_BASE_URL,
+    apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+    model: env.OPENAI_COMPATIBLE_MODEL
+  })
+};
+
+export const TRANSCRIPTION_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * transcribe - text in the spoken language
+ * translate  - English text from the translations endpoint
+ * both       - source text plus an English translation of every chunk
+ */
+export const TRANSCRIPTION_TASKS = ['transcribe', 'translate', 'both'];
+
+// Models each provider can translate with. Providers not listed leave it to the server
+const TRANSLATION_MODELS = {
+  groq: ['whisper-large-v3']
+};
+
+/**
+ * Why a task can't be run, or null. With the job's model (and provider) it
+ * also rejects translating with a model the provider only transcribes with,
+ * which would otherwise fail every chunk in the queue.
+ */
+export function getTaskConfigError(task, { env = {}, provider = null, model = null } = {}) {
+  if (task == null) return null;
+  if (!TRANSCRIPTION_TASKS.includes(task)) {
+    return `Unknown task "${task}". Supported tasks: ${TRANSCRIPTION_TASKS.join(', ')}`;
+  }
+  if (task === 'transcribe' || !model) return null;
+
+  const name = resolveProviderName(env, provider);
+  const translationModels = TRANSLATION_MODELS[name];
+  if (translationModels && !translationModels.includes(model)) {
+    return `Task "${task}" needs a model that can translate; ${name} only translates with ${translationModels.join(', ')}, not ${model}`;
+  }
+
+  return null;
+}
+
+const TIMESTAMP_GRANULARITIES = ['segment', 'word'];
+const MAX_PROMPT_CHARS = 800;        // Whisper only reads the last 224 tokens of a prompt
+const PREVIOUS_TEXT_TAIL_CHARS = 200; // How much of the previous chunk carries into the next prompt
+
+/**
+ * Read the optional Whisper request parameters (language, prompt, temperature,
+ * timestamp_granularities) from a JSON body or a FormData upload.
+ * Returns { options } ready to store on the job, or { error }.
+ */
+export function readTranscriptionOptions(source = {}) {
+  const isForm = typeof source.getAll === 'function';
+  const get = key => (isForm ? source.get(key) : source[key]);
+
+  let granularities = isForm
+    ? [...source.getAll('timestamp_granularities[]'), ...source.getAll('timestamp_granularities')]
+    : source.timestamp_granularities ?? source['timestamp_granularities[]'] ?? [];
+  if (typeof granularities === 'string') granularities = [granularities];
+  granularities = [...new Set(granularities.flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean))];
+
+  const invalidGranularity = granularities.find(value => !TIMESTAMP_GRANULARITIES.includes(value));
+  if (invalidGranularity) {
+    return { error: `Unknown timestamp granularity "${invalidGranularity}". Supported: ${TIMESTAMP_GRANULARITIES.join(', ')}` };
+  }
+  // Word timestamps alone would drop the segments everything else is built on
+  if (granularities.includes('word') && !granularities.includes('segment')) {
+    granularities.unshift('segment');
+  }
+
+  const rawTemperature = get('temperature');
+  let temperature = null;
+  if (rawTemperature != null && rawTemperature !== '') {
+    temperature = Number(rawTemperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 1) {
+      return { error: 'temperature must be a number between 0 and 1' };
+    }
+  }
+
+  const language = (get('language') || '').toString().trim().toLowerCase() || null;
+  if (language && !/^[a-z]{2,3}$/.test(language)) {
+    return { error: 'language must be an ISO-639-1 code such as "en" or "es"' };
+  }
+
+  return {
+    options: {
+      language,
+      prompt: (get('prompt') || '').toString().trim() || null,
+      temperature,
+      timestamp_granularities: granularities
+    }
+  };
+}
+
+/**
+ * A chunk's prompt: the job's prompt followed by the end of the previous
+ * chunk's text, so Whisper carries names, spelling and style across chunk
+ * boundaries.
+ */
+export function buildChunkPrompt(prompt = null, previousText = '') {
+  let tail = (previousText || '').trim();
+  if (tail.length > PREVIOUS_TEXT_TAIL_CHARS) {
+    // Start the tail on a word boundary
+    tail = tail.slice(-PREVIOUS_TEXT_TAIL_CHARS).replace(/^\S*\s+/, '');
+  }
+
+  const combined = [prompt, tail].filter(Boolean).join(' ');
+  return combined ? combined.slice(-MAX_PROMPT_CHARS) : null;
+}
+
+/**
+ * The provider name a job should record: the requested one, or the deployment default
+ */
+export function resolveProviderName(env, provider = null) {
+  return provider || env.TRANSCRIPTION_PROVIDER || 'groq';
+}
+
+/**
+ * Why a provider can't be used, or null when it's ready. Lets upload handlers
+ * reject a job up front instead of failing it in the queue.
+ */
+export function getProviderConfigError(env, provider = null) {
+  const name = resolveProviderName(env, provider);
+
+  if (!PROVIDERS[name]) {
+    return `Unknown provider "${name}". Supported providers: ${TRANSCRIPTION_PROVIDERS.join(', ')}`;
+  }
+  if (name === 'groq' && !env.GROQ_API_KEY) {
+    return 'GROQ_API_KEY is not configured';
+  }
+  if (name === 'openai_compatible' && !env.OPENAI_COMPATIBLE_BASE_URL) {
+    return 'OPENAI_COMPATIBLE_BASE_URL is not configured';
+  }
+
+  return null;
+}
+
+export function getTranscriptionProvider(env, provider = null) {
+  const configError = getProviderConfigError(env, provider);
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  return PROVIDERS[resolveProviderName(env, provider)](env);
+}
+
+/**
+ * Both providers speak the OpenAI transcription API; they only differ in
+ * where it lives, how it's authenticated and which model names it knows.
+ */
+function createOpenAICompatibleProvider({ name, label, baseUrl, apiKey, model: pinnedModel = null }) {
+  const apiBase = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name,
+
+    async transcribe(data, ext, { model, task = 'transcribe', language = null, prompt = null, temperature = null, timestamp_granularities = [] }) {
+      const translating = task === 'translate';
+      const endpoint = `${apiBase}/audio/${translating ? 'translations' : 'transcriptions'}`;
+
+      const formData = new FormData();
+      formData.append('file', new Blob([data]), `chunk.${ext}`);
+      // Self-hosted servers name their models differently, so a pinned model wins
+      formData.append('model', pinnedModel || model);
+      formData.append('response_format', 'verbose_json');
+      if (prompt) formData.append('prompt', prompt);
+      if (temperature != null) formData.append('temperature', String(temperature));
+
+      // The translations endpoint always outputs English and has no word timestamps
+      if (!translating) {
+        if (language) formData.append('language', language);
+        for (const granularity of timestamp_granularities || []) {
+          formData.append('timestamp_granularities[]', granularity);
+        }
+      }
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(`${label} Transcription API error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.response = { status: response.status };
+        error.details = errorData;
+        throw error;
+      }
+
+      const result = await response.json();
+      if (result.error) {
+        throw new Error(`${label} API error: ${result.error.message || result.error}`);
+      }
+
+      // Some servers leave out fields Groq always sends
+      return {
+        ...result,
+        text: result.text || '',
+        segments: Array.isArray(result.segments) ? result.segments : [],
+        provider: name
+      };
+    }
+  };
+}
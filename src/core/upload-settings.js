@@ -0,0 +1,60 @@
+import { getDiarizationConfigError } from './diarization.js';
+import { getProviderConfigError, getTaskConfigError } from './transcription-providers.js';
+import { getPriorityError } from './priority.js';
+
+// ============================================================================
+// UPLOAD SETTINGS - one check for the options every upload route accepts
+// ============================================================================
+
+/**
+ * The first upload setting this deployment can't honour, as { error, message },
+ * or null when they are all fine. optionsResult and retentionResult are what
+ * readTranscriptionOptions and readRetentionOptions returned; auth and live
+ * decide who may ask for interactive priority.
+ */
+export function checkUploadSettings(env, { diarize = false, provider = null, model = null, task = null, priority = null, auth = null, live = false, optionsResult = null, retentionResult = null }) {
+  if (diarize) {
+    const diarizationError = getDiarizationConfigError(env);
+    if (diarizationError) {
+      return { error: 'Diarization is not configured', message: diarizationError };
+    }
+  }
+
+  const providerError = getProviderConfigError(env, provider);
+  if (providerError) {
+    return { error: 'Invalid provider', message: providerError };
+  }
+
+  const taskError = getTaskConfigError(task, { env, provider, model });
+  if (taskError) {
+    return { error: 'Invalid task', message: taskError };
+  }
+
+  const priorityError = getPriorityError(priority, { auth, live });
+  if (priorityError) {
+    return { error: 'Invalid priority', message: priorityError };
+  }
+
+  if (optionsResult?.error) {
+    return { error: 'Invalid transcription options', message: optionsResult.error };
+  }
+
+  if (retentionResult?.error) {
+    return { error: 'Invalid retention', message: retentionResult.error };
+  }
+
+  return null;
+}
+
+/**
+ * The 400 response for upload settings this deployment can't honour, or null
+ */
+export function getUploadSettingsError(env, settings) {
+  const problem = checkUploadSettings(env, settings);
+  if (!problem) return null;
+
+  return new Response(JSON.stringify(problem), {
+    status: 400,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
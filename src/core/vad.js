@@ -0,0 +1,196 @@
+// ============================================================================
+// SILENCE DETECTION - energy-based VAD for chunk cut points
+// ============================================================================
+
+export const DEFAULT_VAD_OPTIONS = {
+  window_seconds: 2,          // How far a cut may move either way to land in silence; 0 disables
+  frame_seconds: 0.02,        // Energy is measured over frames this long
+  min_silence_seconds: 0.1,   // Shorter dips (stops between syllables) don't count as silence
+  silence_ratio: 0.1          // Quiet means below this fraction of the window's loud frames
+};
+
+// Quieter than -60 dBFS is silence however loud the rest of the window is
+const SILENCE_FLOOR = 0.001;
+
+/**
+ * VAD settings from the environment (VAD_WINDOW_SECONDS), falling back to the defaults
+ */
+export function readVadOptions(env = {}) {
+  const options = { ...DEFAULT_VAD_OPTIONS };
+  const windowSeconds = parseFloat(env.VAD_WINDOW_SECONDS);
+  if (Number.isFinite(windowSeconds) && windowSeconds >= 0) {
+    options.window_seconds = windowSeconds;
+  }
+  return options;
+}
+
+/**
+ * Pick the cut nearest to `target` that falls in silence.
+ * `energies` holds one loudness value per frame and `target` is a frame index;
+ * returns the frame index to cut before, or null when the window has no silence.
+ * A cut inside a silent run stays put, otherwise it moves to the middle of the
+ * closest run so both chunks keep a little of the pause.
+ */
+export function findSilentCut(energies, target, { minRun = 1, floor = 0, ratio = DEFAULT_VAD_OPTIONS.silence_ratio } = {}) {
+  if (energies.length === 0) return null;
+
+  const sorted = Array.from(energies).sort((a, b) => a - b);
+  const loud = sorted[Math.floor((sorted.length - 1) * 0.9)];
+  const threshold = Math.max(floor, loud * ratio);
+
+  let best = null;
+  let runStart = -1;
+  for (let i = 0; i <= energies.length; i++) {
+    const silent = i < energies.length && energies[i] <= threshold;
+    if (silent && runStart === -1) runStart = i;
+    if (silent || runStart === -1) continue;
+
+    // Run of silent frames is [runStart, i)
+    if (i - runStart >= minRun) {
+      const cut = target >= runStart && target <= i ? target : Math.floor((runStart + i) / 2);
+      if (best === null || Math.abs(cut - target) < Math.abs(best - target)) best = cut;
+    }
+    runStart = -1;
+  }
+
+  return best;
+}
+
+/**
+ * Move a cut in PCM WAV data to the nearest silence.
+ * `cut` is a byte offset into `buffer` aligned to a sample frame; the result is
+ * too, and stays within (minCut, maxCut].
+ */
+export function snapWAVCut(buffer, wavHeader, cut, minCut, maxCut, options = DEFAULT_VAD_OPTIONS) {
+  const { audioFormat, channels, bitsPerSample, byteRate } = wavHeader;
+  const blockAlign = channels * (bitsPerSample / 8);
+  const readSample = getPCMSampleReader(audioFormat, bitsPerSample);
+  if (!readSample || !options.window_seconds) return cut;
+
+  const frameBytes = Math.max(blockAlign, Math.round(byteRate * options.frame_seconds / blockAlign) * blockAlign);
+  const windowFrames = Math.floor(byteRate * options.window_seconds / frameBytes);
+  // Frames are numbered from the original cut, negative ones lie before it
+  const firstFrame = -Math.min(windowFrames, Math.floor((cut - minCut - 1) / frameBytes));
+  const lastFrame = Math.min(windowFrames, Math.floor((Math.min(maxCut, buffer.length) - cut) / frameBytes));
+  if (lastFrame - firstFrame < 1) return cut;
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const bytesPerSample = bitsPerSample / 8;
+  const energies = new Float64Array(lastFrame - firstFrame);
+  for (let k = 0; k < energies.length; k++) {
+    const from = cut + (firstFrame + k) * frameBytes;
+    let sum = 0;
+    let count = 0;
+    for (let offset = from; offset + bytesPerSample <= from + frameBytes; offset += bytesPerSample) {
+      const sample = readSample(view, offset);
+      sum += sample * sample;
+      count++;
+    }
+    energies[k] = Math.sqrt(sum / Math.max(1, count));
+  }
+
+  const silentCut = findSilentCut(energies, -firstFrame, {
+    minRun: Math.max(1, Math.round(options.min_silence_seconds / options.frame_seconds)),
+    floor: SILENCE_FLOOR,
+    ratio: options.silence_ratio
+  });
+  if (silentCut === null) return cut;
+
+  return cut + (firstFrame + silentCut) * frameBytes;
+}
+
+/**
+ * Move a cut between MP3 frames to the nearest silence.
+ * `cutFrame` is the index of the frame the next chunk starts with; the result
+ * stays within (minFrame, maxFrame]. There is no decoder here, so loudness comes
+ * from the Layer III side info: a granule's part2_3_length is the number of bits
+ * spent on its spectrum, which collapses to almost nothing when the audio is silent.
+ */
+export function snapMP3Cut(buffer, framePositions, cutFrame, minFrame, maxFrame, frameDuration, options = DEFAULT_VAD_OPTIONS) {
+  if (!options.window_seconds || !frameDuration) return cutFrame;
+
+  const windowFrames = Math.floor(options.window_seconds / frameDuration);
+  const firstFrame = Math.max(minFrame + 1, cutFrame - windowFrames);
+  const lastFrame = Math.min(maxFrame, cutFrame + windowFrames, framePositions.length - 1);
+  if (lastFrame - firstFrame < 1) return cutFrame;
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const energies = new Float64Array(lastFrame - firstFrame + 1);
+  for (let k = 0; k < energies.length; k++) {
+    const spectrumBits = getMP3SpectrumBits(view, framePositions[firstFrame + k]);
+    if (spectrumBits === null) return cutFrame; // Not Layer III - nothing to go on
+    energies[k] = spectrumBits;
+  }
+
+  const silentCut = findSilentCut(energies, cutFrame - firstFrame, {
+    minRun: Math.max(1, Math.round(options.min_silence_seconds / frameDuration)),
+    ratio: options.silence_ratio
+  });
+  if (silentCut === null) return cutFrame;
+
+  return Math.min(lastFrame, firstFrame + silentCut);
+}
+
+/**
+ * Bits of Huffman-coded spectrum in an MPEG Layer III frame, summed over its
+ * granules and channels. Null when the frame isn't Layer III.
+ */
+function getMP3SpectrumBits(view, offset) {
+  if (offset + 4 > view.byteLength) return null;
+
+  const header = view.getUint32(offset, false);
+  const version = (header >>> 19) & 0x3;   // 3 = MPEG1
+  const layer = (header >>> 17) & 0x3;     // 1 = Layer III
+  const hasCRC = ((header >>> 16) & 0x1) === 0;
+  const channels = ((header >>> 6) & 0x3) === 3 ? 1 : 2;
+  if (layer !== 1) return null;
+
+  const mpeg1 = version === 3;
+  const granules = mpeg1 ? 2 : 1;
+  // main_data_begin, private bits and (MPEG1 only) scfsi come before the granules
+  let bit = mpeg1 ? 9 + (channels === 1 ? 5 : 3) + 4 * channels : 8 + (channels === 1 ? 1 : 2);
+  const granuleBits = mpeg1 ? 59 : 63;
+  const sideInfoStart = offset + 4 + (hasCRC ? 2 : 0);
+  const sideInfoBytes = Math.ceil((bit + granules * channels * granuleBits) / 8);
+  if (sideInfoStart + sideInfoBytes > view.byteLength) return null;
+
+  let total = 0;
+  for (let i = 0; i < granules * channels; i++) {
+    total += readBits(view, sideInfoStart, bit, 12); // part2_3_length
+    bit += granuleBits;
+  }
+  return total;
+}
+
+function readBits(view, byteOffset, bitOffset, count) {
+  let value = 0;
+  for (let i = 0; i < count; i++) {
+    const position = bitOffset + i;
+    const byte = view.getUint8(byteOffset + (position >> 3));
+    value = (value << 1) | ((byte >> (7 - (position & 7))) & 1);
+  }
+  return value;
+}
+
+/**
+ * Sample reader normalised to [-1, 1] for integer PCM (8-32 bit) and 32-bit float
+ */
+function getPCMSampleReader(audioFormat, bitsPerSample) {
+  if (audioFormat === 3 && bitsPerSample === 32) {
+    return (view, offset) => view.getFloat32(offset, true);
+  }
+  if (audioFormat !== 1) return null;
+
+  switch (bitsPerSample) {
+    case 8:
+      return (view, offset) => (view.getUint8(offset) - 128) / 128;
+    case 16:
+      return (view, offset) => view.getInt16(offset, true) / 32768;
+    case 24:
+      return (view, offset) => ((view.getUint8(offset + 2) << 24 | view.getUint8(offset + 1) << 16 | view.getUint8(offset) << 8) >> 8) / 8388608;
+    case 32:
+      return (view, offset) => view.getInt32(offset, true) / 2147483648;
+    default:
+      return null;
+  }
+}
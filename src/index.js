@@ -1,9 +1,20 @@
-import { S3Client, GetObjectCommand, PutObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { S3Client, GetObjectCommand, PutObjectCommand, HeadObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { STATIC_FILES } from './static-web.js';
 import { apiLogger, processingLogger, formatBytes, withExponentialRetry } from './core/logger.js';
-import { handleStreamingTranscription, transcribeChunk } from './core/streaming.js';
+import { handleStreamingTranscription, transcribeChunk, isRawAudioBody, offsetSegments } from './core/streaming.js';
 import { withLLMLimits, getRateLimitStatus } from './core/rate-limiter.js';
+import { DEFAULT_CHUNKING_OPTIONS, readChunkingOptions, createStreamingChunker } from './core/audio-chunking.js';
+import { readMP4ContainerChunks } from './core/mp4-container.js';
+import { SUBTITLE_FORMATS, parseSubtitleOptions, renderSubtitles } from './core/subtitles.js';
+import { authenticateRequest, canAccessJob, createApiKey, listApiKeys, revokeApiKey, authErrorResponse } from './core/auth.js';
+import { diarizeChunk } from './core/diarization.js';
+import { getUploadSettingsError } from './core/upload-settings.js';
+import { getProviderConfigError, resolveProviderName, readTranscriptionOptions } from './core/transcription-providers.js';
+import { readRetentionOptions, readRetentionSettings, getAudioExpiry, getDebugChunkPutOptions, isJobFinished, ACTIVE_JOB_TTL } from './core/retention.js';
+import { getJobPriority, getProcessingQueue, DEFAULT_PRIORITY } from './core/priority.js';
+import { withJobLease, getJobLeaseState, clearJobLease } from './core/job-lease.js';
+import { putJobRecord, listActiveJobs, removeActiveJob, listSubJobs, deleteSubJobRecord } from './core/job-index.js';
 
 // Chunked Upload Streaming imports
 import {
@@ -16,9 +27,16 @@ import {
   handleChunkUploadComplete,
   handleBatchChunkUploadComplete,
   handleChunkedUploadQueue,
-  enhanceJobListing
+  enhanceJobListing,
+  ChunkAssembler,
+  ParentJobManager,
+  SubJobProcessor,
+  CHUNKED_UPLOAD_CONFIG
 } from './chunked-streaming/index.js';
 
+// Durable Object classes must be exported from the Worker's main module
+export { ParentJobObject } from './chunked-streaming/index.js';
+
 // ============================================================================
 // MAIN CLOUDFLARE WORKER EXPORT
 // ============================================================================
@@ -32,7 +50,7 @@ import {
  * - chunk_index: number
  * - expected_size: number
  */
-async function handleChunkUpload(request, env) {
+async function handleChunkUpload(request, env, auth = null) {
   try {
     const contentType = request.headers.get('content-type') || '';
     
@@ -76,6 +94,14 @@ async function handleChunkUpload(request, env) {
       apiLogger.warn('Could not get parent job for debug check', { parent_job_id });
     }
 
+    // Chunks can only be added to uploads owned by the same API key
+    if (auth && parentJobData && !canAccessJob(auth, parentJobData)) {
+      return new Response(JSON.stringify({ error: 'Job not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // Enhanced validation and debugging for chunk integrity
     const isChunk0 = chunk_index === 0;
     
@@ -166,7 +192,7 @@ async function handleChunkUpload(request, env) {
           bucket: bucketName,
           r2_url: r2Url,
           download_url: debugEndpointUrl
-        }), { expirationTtl: 86400 }); // Expire after 24 hours
+        }), getDebugChunkPutOptions(parentJobData, env));
         
       } catch (debugError) {
         apiLogger.error('Failed to save debug chunk', debugError, {
@@ -301,23 +327,42 @@ export default {
       }
     }
     
+    // API routes need an API key (health checks and CORS preflights stay open)
+    let auth = null;
+    if (isProtectedRoute(request, url)) {
+      const authResult = await authenticateRequest(request, env);
+      if (authResult.response) return authResult.response;
+      auth = authResult.auth;
+      
+      // Routes that act on an existing job are limited to the key that owns it
+      if (isJobScopedRoute(url)) {
+        const denied = await authorizeJobRequest(request, url, env, auth);
+        if (denied) return denied;
+      }
+    }
+    
     // Direct Upload API - Simple one-step uploads
     if (url.pathname === '/upload' && request.method === 'POST') {
-      return handleDirectUpload(request, env);
+      return handleDirectUpload(request, env, auth);
     } else if (url.pathname === '/upload-url' && request.method === 'POST') {
-      return handleUrlUpload(request, env);
+      return handleUrlUpload(request, env, auth);
+    }
+    
+    // Resumable uploads (tus 1.0)
+    else if (url.pathname === '/tus' || url.pathname.startsWith('/tus/')) {
+      return handleTus(request, env, auth, url.pathname.split('/tus/')[1] || null);
     }
     
     // Presigned Upload API - Two-step process for more control
     else if (url.pathname === '/get-presigned-url' && request.method === 'POST') {
-      return handleGetPresignedUrl(request, env);
+      return handleGetPresignedUrl(request, env, auth);
     } else if (url.pathname === '/start' && request.method === 'POST') {
       return handleStartProcessing(request, env);
     } 
     
     // Streaming API
     else if (url.pathname === '/stream' && request.method === 'POST') {
-      return handleStreamingTranscription(request, env);
+      return handleStreamingTranscription(request, env, auth);
     }
     
     // Status and Management
@@ -326,11 +371,13 @@ export default {
     } else if (url.pathname === '/result' && request.method === 'GET') {
       return handleResult(request, env);
     } else if (url.pathname === '/jobs' && request.method === 'GET') {
-      return handleListJobs(request, env);
+      return handleListJobs(request, env, auth);
     } else if (url.pathname === '/delete-job' && request.method === 'POST') {
       return handleDeleteJob(request, env);
+    } else if (JOB_PIN_PATH.test(url.pathname) && (request.method === 'POST' || request.method === 'DELETE')) {
+      return handlePinJob(request, env, getPathJobId(url));
     } else if (url.pathname === '/save-streaming-job' && request.method === 'POST') {
-      return handleSaveStreamingJob(request, env);
+      return handleSaveStreamingJob(request, env, auth);
     } else if (url.pathname === '/process' && request.method === 'POST') {
       return handleManualProcess(request, env);
     } else if (url.pathname === '/health' && request.method === 'GET') {
@@ -341,7 +388,7 @@ export default {
     
     // Chunked Upload Streaming API
     else if (url.pathname === '/chunked-upload-stream' && request.method === 'POST') {
-      return handleChunkedUploadStream(request, env);
+      return handleChunkedUploadStream(request, env, auth);
     } else if (url.pathname === '/chunked-upload-status' && request.method === 'GET') {
       return handleChunkedUploadStatus(request, env);
     } else if (url.pathname === '/chunked-upload-cancel' && request.method === 'POST') {
@@ -349,7 +396,7 @@ export default {
     } else if (url.pathname === '/chunked-upload-retry' && request.method === 'POST') {
       return handleChunkedUploadRetry(request, env);
     } else if (url.pathname === '/chunk-upload' && request.method === 'POST') {
-      return handleChunkUpload(request, env);
+      return handleChunkUpload(request, env, auth);
     } else if (url.pathname === '/chunk-upload-complete' && request.method === 'POST') {
       return handleChunkUploadComplete(request, env);
     } else if (url.pathname === '/chunks-upload-complete' && request.method === 'POST') {
@@ -361,6 +408,11 @@ export default {
       return handleChunkedStreamOptions(request);
     }
     
+    // Audio playback
+    else if (url.pathname === '/audio' && request.method === 'GET') {
+      return handleAudio(request, env);
+    }
+    
     // Debug endpoints for chunk inspection
     else if (url.pathname === '/debug/chunks' && request.method === 'GET') {
       return handleDebugChunksList(request, env);
@@ -368,6 +420,20 @@ export default {
       return handleDebugChunkDownload(request, env);
     }
     
+    // API key management (admin only)
+    else if (url.pathname === '/admin/api-keys' && (request.method === 'GET' || request.method === 'POST')) {
+      return handleApiKeys(request, env, auth);
+    } else if (url.pathname === '/admin/api-keys/revoke' && request.method === 'POST') {
+      return handleRevokeApiKey(request, env, auth);
+    }
+    
+    // Dead-lettered queue messages (admin only)
+    else if (url.pathname === '/admin/dead-letters' && request.method === 'GET') {
+      return handleListDeadLetters(request, env, auth);
+    } else if (url.pathname === '/admin/dead-letters/replay' && request.method === 'POST') {
+      return handleReplayDeadLetters(request, env, auth);
+    }
+    
     // For any other GET request, serve the main page (SPA fallback)
     if (request.method === 'GET') {
       return new Response(STATIC_FILES['/'], {
@@ -379,23 +445,160 @@ export default {
   },
 
   async queue(batch, env) {
+    // Messages that used up their retries on the processing queue
+    if (isDeadLetterQueue(batch.queue, env)) {
+      await handleDeadLetters(batch, env);
+      return;
+    }
+    
     for (const msg of batch.messages) {
       const messageBody = msg.body;
       
-      // Handle different queue message types
-      if (messageBody.job_id && !messageBody.parent_job_id) {
-        // Regular job processing
-        await processJob(messageBody.job_id, env);
-      } else if (messageBody.parent_job_id && messageBody.sub_job_id) {
-        // Chunked upload streaming job processing
-        await handleChunkedUploadQueue({ messages: [{ body: messageBody }] }, env);
-      } else {
-        apiLogger.warn('Unknown queue message format', { messageBody });
+      try {
+        // Handle different queue message types
+        // The lease tells the reaper this job is being worked on, not stuck
+        if (messageBody.job_id && !messageBody.parent_job_id) {
+          // Regular job processing
+          await withJobLease(env, messageBody.job_id, () => processJob(messageBody.job_id, env));
+        } else if (messageBody.parent_job_id && messageBody.sub_job_id) {
+          // Chunked upload streaming job processing
+          await withJobLease(env, messageBody.sub_job_id, () => handleChunkedUploadQueue({ messages: [{ body: messageBody }] }, env));
+        } else {
+          apiLogger.warn('Unknown queue message format', { messageBody });
+        }
+      } catch (error) {
+        // Kept for the dead letter record, should this have been the last attempt
+        await recordQueueFailure(env, messageBody, msg.attempts, error);
+        throw error;
       }
     }
   },
+
+  // Cron trigger (see wrangler.toml.example) - recovers stuck jobs, then
+  // deletes audio past its retention
+  async scheduled(event, env) {
+    await reapStuckJobs(env);
+    await runRetentionSweep(env);
+  },
 };
 
+// ============================================================================
+// AUTHENTICATION AND JOB OWNERSHIP
+// ============================================================================
+
+// GET routes that are API calls rather than pages of the web interface
+const API_GET_PATHS = new Set([
+  '/status', '/result', '/jobs', '/rate-limit-status', '/chunked-upload-status',
+  '/audio', '/debug/chunks', '/debug/chunk', '/admin/api-keys', '/admin/dead-letters'
+]);
+
+// Routes that read or modify one existing job, identified by job_id/parent_job_id
+const JOB_SCOPED_PATHS = new Set([
+  '/start', '/status', '/result', '/delete-job', '/save-streaming-job', '/process',
+  '/chunked-upload-status', '/chunked-upload-cancel', '/chunked-upload-retry',
+  '/chunk-upload-complete', '/chunks-upload-complete', '/audio', '/debug/chunks', '/debug/chunk'
+]);
+
+// Routes that carry the job ID in the path
+const JOB_PIN_PATH = /^\/jobs\/([^/]+)\/pin$/;
+
+function getPathJobId(url) {
+  if (url.pathname.startsWith('/chunked-stream/')) {
+    return url.pathname.split('/chunked-stream/')[1];
+  }
+  return url.pathname.match(JOB_PIN_PATH)?.[1] ?? null;
+}
+
+function isProtectedRoute(request, url) {
+  if (request.method === 'OPTIONS' || url.pathname === '/health') return false;
+  if (request.method !== 'GET') return true;
+  return API_GET_PATHS.has(url.pathname) || url.pathname.startsWith('/chunked-stream/');
+}
+
+function isJobScopedRoute(url) {
+  return JOB_SCOPED_PATHS.has(url.pathname) || getPathJobId(url) !== null;
+}
+
+/**
+ * Reject requests for jobs the key doesn't own. Jobs owned by someone else
+ * get the same 404 as missing ones so IDs can't be probed.
+ * Missing IDs and unknown jobs fall through to the handler's own errors.
+ */
+async function authorizeJobRequest(request, url, env, auth) {
+  let job_id = getPathJobId(url) || url.searchParams.get('job_id') || url.searchParams.get('parent_job_id');
+  
+  if (!job_id && request.method === 'POST' && (request.headers.get('content-type') || '').includes('application/json')) {
+    const body = await request.clone().json().catch(() => ({}));
+    job_id = body.job_id || body.parent_job_id;
+  }
+  
+  if (!job_id) return null;
+  
+  const jobData = await env.GROQ_JOBS_KV.get(job_id);
+  if (!jobData) return null;
+  
+  if (!canAccessJob(auth, JSON.parse(jobData))) {
+    return new Response(JSON.stringify({ error: 'Job not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  return null;
+}
+
+/**
+ * List API keys (GET) or create one (POST {"name": "...", "is_admin": false, "interactive": false})
+ */
+async function handleApiKeys(request, env, auth) {
+  if (!auth?.is_admin) {
+    return authErrorResponse('Forbidden', 'Admin API key required', 403);
+  }
+  
+  if (request.method === 'GET') {
+    const keys = await listApiKeys(env);
+    return new Response(JSON.stringify({ keys, total: keys.length }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const { name, is_admin = false, interactive = false } = await request.json().catch(() => ({}));
+  const created = await createApiKey(env, { name, is_admin, interactive });
+  
+  return new Response(JSON.stringify({
+    ...created,
+    message: 'Store this api_key now - it cannot be shown again'
+  }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Revoke an API key: POST {"key_id": "..."}
+ */
+async function handleRevokeApiKey(request, env, auth) {
+  if (!auth?.is_admin) {
+    return authErrorResponse('Forbidden', 'Admin API key required', 403);
+  }
+  
+  const { key_id } = await request.json().catch(() => ({}));
+  const revoked = await revokeApiKey(env, key_id);
+  
+  if (!revoked) {
+    return new Response(JSON.stringify({ error: 'API key not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  return new Response(JSON.stringify({ message: 'API key revoked', ...revoked }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
 // Helper function to create S3 client with env
 function createS3Client(env) {
   return new S3Client({
@@ -421,10 +624,15 @@ function createS3Client(env) {
  * curl -X POST http://localhost:8787/upload \
  *   -H "Content-Type: application/json" \
  *   -d '{"filename": "audio.mp3", "file_data": "base64encodeddata", "use_llm": true, "model": "whisper-large-v3", "chunk_size_mb": 10}'
+ *
+ * OR as a raw body, streamed into R2 without buffering:
+ * curl -X POST "http://localhost:8787/upload?filename=audio.mp3&use_llm=true" \
+ *   -H "Content-Type: audio/mpeg" \
+ *   -T audio.mp3
  */
-async function handleDirectUpload(request, env) {
+async function handleDirectUpload(request, env, auth = null) {
   const contentType = request.headers.get('content-type') || '';
-  let filename, fileData, use_llm = false, webhook_url = null, model = 'whisper-large-v3', chunk_size_mb = 10, debug_save_chunks = false;
+  let filename, fileData, fileSize, use_llm = false, webhook_url = null, model = 'whisper-large-v3', chunk_size_mb = 10, debug_save_chunks = false, diarize = false, provider = null, task = 'transcribe', priority = DEFAULT_PRIORITY, optionsResult, retentionResult;
   
   try {
     if (contentType.includes('multipart/form-data')) {
@@ -440,11 +648,18 @@ async function handleDirectUpload(request, env) {
       
       filename = file.name;
       fileData = await file.arrayBuffer();
+      fileSize = fileData.byteLength;
       use_llm = formData.get('use_llm') === 'true';
       webhook_url = formData.get('webhook_url') || null;
       model = formData.get('model') || 'whisper-large-v3';
       chunk_size_mb = parseFloat(formData.get('chunk_size_mb')) || 10;
       debug_save_chunks = formData.get('debug_save_chunks') === 'true';
+      diarize = formData.get('diarize') === 'true';
+      provider = formData.get('provider') || null;
+      task = formData.get('task') || 'transcribe';
+      priority = formData.get('priority') || DEFAULT_PRIORITY;
+      optionsResult = readTranscriptionOptions(formData);
+      retentionResult = readRetentionOptions(formData);
       
     } else if (contentType.includes('application/json')) {
       // Handle JSON upload with base64 data
@@ -455,6 +670,12 @@ async function handleDirectUpload(request, env) {
       model = body.model || 'whisper-large-v3';
       chunk_size_mb = body.chunk_size_mb || 10;
       debug_save_chunks = body.debug_save_chunks || false;
+      diarize = body.diarize === true;
+      provider = body.provider || null;
+      task = body.task || 'transcribe';
+      priority = body.priority || DEFAULT_PRIORITY;
+      optionsResult = readTranscriptionOptions(body);
+      retentionResult = readRetentionOptions(body);
       
       if (!body.file_data) {
         return new Response(JSON.stringify({ 
@@ -465,15 +686,41 @@ async function handleDirectUpload(request, env) {
       // Decode base64 data
       try {
         fileData = Uint8Array.from(atob(body.file_data), c => c.charCodeAt(0)).buffer;
+        fileSize = fileData.byteLength;
       } catch (error) {
         return new Response(JSON.stringify({ 
           error: 'Invalid base64 file_data' 
         }), { status: 400 });
       }
       
+    } else if (isRawAudioBody(contentType)) {
+      // Raw file body - piped straight into R2 without holding it in memory,
+      // options ride in the query string
+      const params = new URL(request.url).searchParams;
+      filename = params.get('filename');
+      fileSize = Number(request.headers.get('content-length'));
+      if (!request.body || !fileSize) {
+        return new Response(JSON.stringify({ 
+          error: 'Content-Length is required for raw uploads' 
+        }), { status: 411 });
+      }
+      
+      fileData = request.body;
+      use_llm = params.get('use_llm') === 'true';
+      webhook_url = params.get('webhook_url') || null;
+      model = params.get('model') || 'whisper-large-v3';
+      chunk_size_mb = parseFloat(params.get('chunk_size_mb')) || 10;
+      debug_save_chunks = params.get('debug_save_chunks') === 'true';
+      diarize = params.get('diarize') === 'true';
+      provider = params.get('provider') || null;
+      task = params.get('task') || 'transcribe';
+      priority = params.get('priority') || DEFAULT_PRIORITY;
+      optionsResult = readTranscriptionOptions(params);
+      retentionResult = readRetentionOptions(params);
+      
     } else {
       return new Response(JSON.stringify({ 
-        error: 'Content-Type must be multipart/form-data or application/json' 
+        error: 'Content-Type must be multipart/form-data, application/json or a raw audio type' 
       }), { status: 400 });
     }
     
@@ -482,6 +729,11 @@ async function handleDirectUpload(request, env) {
         error: 'Filename is required' 
       }), { status: 400 });
     }
+
+    const settingsError = getUploadSettingsError(env, { diarize, provider, model, task, priority, auth, optionsResult, retentionResult });
+    if (settingsError) {
+      return settingsError;
+    }
     
     // Create job and store file
     const job_id = crypto.randomUUID();
@@ -494,39 +746,28 @@ async function handleDirectUpload(request, env) {
       Bucket: bucketName,
       Key: key,
       Body: fileData,
+      ContentLength: fileSize,
       ContentType: 'audio/*'
     });
     await s3Client.send(putCmd);
     
-    // Store job metadata
-    const job = {
-      status: 'uploaded',
+    await queueUploadedJob(env, job_id, {
       filename,
-      size: fileData.byteLength,
-      actual_size: fileData.byteLength,
+      size: fileSize,
       key,
-      use_llm,
-      model,
-      chunk_size_mb,
-      webhook_url,
-      created_at: new Date().toISOString(),
-      uploaded_at: new Date().toISOString(),
-      debug_save_chunks
-    };
-    
-    await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
-
-    // Queue processing in background instead of awaiting
-    await env.GROQ_PROCESSING_QUEUE.send({ job_id });
+      owner: auth?.key_id ?? null,
+      settings: { use_llm, model, provider, task, priority, transcription_options: optionsResult.options, retention: retentionResult.options, chunk_size_mb, webhook_url, debug_save_chunks, diarize }
+    });
     
     return new Response(JSON.stringify({
       message: 'File uploaded and queued for processing',
       job_id,
       filename,
-      file_size: fileData.byteLength,
+      file_size: fileSize,
       model,
+      priority,
       chunk_size_mb,
-      processing_method: fileData.byteLength > 15 * 1024 * 1024 ? 'chunked' : 'direct',
+      processing_method: fileSize > 15 * 1024 * 1024 ? 'chunked' : 'direct',
       status_url: `/status?job_id=${job_id}`,
       result_url: `/result?job_id=${job_id}`
     }), { 
@@ -546,21 +787,65 @@ async function handleDirectUpload(request, env) {
   }
 }
 
+/**
+ * Store the job record for a file that is now in R2 and queue it for processing
+ */
+async function queueUploadedJob(env, job_id, { filename, size, key, owner, settings }) {
+  const { use_llm, model, provider, task, priority = DEFAULT_PRIORITY, transcription_options, retention = null, chunk_size_mb, webhook_url, debug_save_chunks, diarize } = settings;
+
+  const job = {
+    status: 'uploaded',
+    filename,
+    size,
+    actual_size: size,
+    key,
+    use_llm,
+    model,
+    provider: resolveProviderName(env, provider),
+    task,
+    priority, // interactive, normal or bulk - see core/priority.js
+    transcription_options, // language, prompt, temperature, timestamp_granularities
+    retention, // transcript_days, audio_hours - null falls back to the deployment's
+    chunk_size_mb,
+    webhook_url,
+    owner,
+    created_at: new Date().toISOString(),
+    uploaded_at: new Date().toISOString(),
+    debug_save_chunks,
+    diarize
+  };
+  
+  await putJobRecord(env, job_id, job);
+
+  // Queue processing in background instead of awaiting
+  await getProcessingQueue(env, priority).send({ job_id });
+
+  return job;
+}
+
 /**
  * Upload from URL - fetch audio from a URL and process it
  * curl -X POST http://localhost:8787/upload-url \
  *   -H "Content-Type: application/json" \
  *   -d '{"url": "https://example.com/audio.mp3", "use_llm": true, "model": "whisper-large-v3", "chunk_size_mb": 10}'
  */
-async function handleUrlUpload(request, env) {
+async function handleUrlUpload(request, env, auth = null) {
   try {
-    const { url: audioUrl, filename = null, use_llm = false, webhook_url = null, model = 'whisper-large-v3', chunk_size_mb = 10, debug_save_chunks = false } = await request.json();
+    const body = await request.json();
+    const { url: audioUrl, filename = null, use_llm = false, webhook_url = null, model = 'whisper-large-v3', chunk_size_mb = 10, debug_save_chunks = false, diarize = false, provider = null, task = 'transcribe', priority = DEFAULT_PRIORITY } = body;
+    const optionsResult = readTranscriptionOptions(body);
+    const retentionResult = readRetentionOptions(body);
     
     if (!audioUrl) {
       return new Response(JSON.stringify({ 
         error: 'URL is required' 
       }), { status: 400 });
     }
+
+    const settingsError = getUploadSettingsError(env, { diarize, provider, model, task, priority, auth, optionsResult, retentionResult });
+    if (settingsError) {
+      return settingsError;
+    }
     
     // Validate and normalize URL
     let parsedUrl;
@@ -701,17 +986,24 @@ async function handleUrlUpload(request, env) {
       key,
       use_llm,
       model,
+      provider: resolveProviderName(env, provider),
+      task,
+      priority,
+      transcription_options: optionsResult.options, // language, prompt, temperature, timestamp_granularities
+      retention: retentionResult.options,
       chunk_size_mb,
       webhook_url,
+      owner: auth?.key_id ?? null,
       created_at: new Date().toISOString(),
       uploaded_at: new Date().toISOString(),
-      debug_save_chunks
+      debug_save_chunks,
+      diarize
     };
     
-    await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
+    await putJobRecord(env, job_id, job);
 
     // Queue processing in background
-    await env.GROQ_PROCESSING_QUEUE.send({ job_id });
+    await getProcessingQueue(env, priority).send({ job_id });
     
     return new Response(JSON.stringify({
       message: 'File downloaded from URL and queued for processing',
@@ -720,6 +1012,7 @@ async function handleUrlUpload(request, env) {
       source_url: audioUrl,
       file_size: fileSize,
       model,
+      priority,
       chunk_size_mb,
       processing_method: fileSize > 15 * 1024 * 1024 ? 'chunked' : 'direct',
       status_url: `/status?job_id=${job_id}`,
@@ -742,119 +1035,566 @@ async function handleUrlUpload(request, env) {
 }
 
 // ============================================================================
-// PRESIGNED UPLOAD API - Two-step process for more control
+// RESUMABLE UPLOADS - tus 1.0 (https://tus.io/protocols/resumable-upload)
 // ============================================================================
 
 /**
- * Step 1: Get a presigned URL for direct upload
- * curl -X POST http://localhost:8787/get-presigned-url \
- *   -H "Content-Type: application/json" \
- *   -d '{"filename": "audio.mp3", "use_llm": true, "model": "whisper-large-v3", "chunk_size_mb": 10}'
+ * POST /tus creates an upload, PATCH /tus/{id} appends bytes at Upload-Offset,
+ * HEAD /tus/{id} reports how far it got and DELETE /tus/{id} abandons it.
+ * Extensions: creation, creation-with-upload, termination, expiration.
+ *
+ * The file goes straight into an R2 multipart upload. R2 wants every part but
+ * the last to be the same size, so bytes are cut into TUS_PART_SIZE parts and
+ * whatever is left over when a PATCH ends is kept in R2 as a tail object until
+ * the next one. The upload id is the job_id the finished file is queued under,
+ * with the same settings /upload takes, sent as Upload-Metadata.
+ */
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,creation-with-upload,termination,expiration';
+const TUS_MAX_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
+const TUS_PART_SIZE = 8 * 1024 * 1024; // R2 parts must be at least 5MB
+const TUS_UPLOAD_TTL = 86400; // Seconds an upload may sit idle before it expires
+const TUS_KEY_PREFIX = 'tus_';
+
+/**
+ * Route a /tus or /tus/{id} request
+ */
+async function handleTus(request, env, auth, upload_id = null) {
+  if (request.method === 'OPTIONS') {
+    return tusResponse(204, {
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS,
+      'Tus-Max-Size': String(TUS_MAX_SIZE)
+    });
+  }
+
+  if (request.headers.get('Tus-Resumable') !== TUS_VERSION) {
+    return tusResponse(412, { 'Tus-Version': TUS_VERSION });
+  }
+
+  try {
+    if (!upload_id) {
+      return request.method === 'POST'
+        ? await handleTusCreate(request, env, auth)
+        : tusResponse(405, { Allow: 'POST, OPTIONS' });
+    }
+
+    const upload = await getTusUpload(env, upload_id);
+    // Someone else's upload looks the same as a missing one
+    if (!upload || !canAccessJob(auth, upload)) {
+      return tusResponse(404);
+    }
+    if (!upload.completed_at && Date.parse(upload.expires_at) < Date.now()) {
+      await abortTusUpload(env, upload);
+      return tusResponse(410);
+    }
+
+    switch (request.method) {
+      case 'HEAD':
+        return tusResponse(200, {
+          'Upload-Offset': String(upload.offset),
+          'Upload-Length': String(upload.length),
+          ...(upload.metadata ? { 'Upload-Metadata': upload.metadata } : {}),
+          ...(upload.completed_at ? {} : { 'Upload-Expires': new Date(upload.expires_at).toUTCString() })
+        });
+      case 'PATCH':
+        return await handleTusPatch(request, env, upload);
+      case 'DELETE':
+        await abortTusUpload(env, upload);
+        return tusResponse(204);
+      default:
+        return tusResponse(405, { Allow: 'HEAD, PATCH, DELETE, OPTIONS' });
+    }
+  } catch (error) {
+    apiLogger.error('Resumable upload request failed', error, { upload_id, method: request.method });
+    return tusResponse(500, {}, 'Upload failed: ' + error.message);
+  }
+}
+
+/**
+ * POST /tus - Upload-Length plus Upload-Metadata (filename required, then any
+ * /upload setting: use_llm, model, task, language, ...)
  */
-async function handleGetPresignedUrl(request, env) {
-  const { filename, size = null, use_llm = false, webhook_url = null, model = 'whisper-large-v3', chunk_size_mb = 10 } = await request.json();
+async function handleTusCreate(request, env, auth) {
+  const length = Number(request.headers.get('Upload-Length'));
+  if (!Number.isSafeInteger(length) || length <= 0) {
+    return tusResponse(400, {}, 'Upload-Length must be a positive integer');
+  }
+  if (length > TUS_MAX_SIZE) {
+    return tusResponse(413, {}, `Upload-Length exceeds Tus-Max-Size (${TUS_MAX_SIZE})`);
+  }
+
+  const metadataHeader = request.headers.get('Upload-Metadata') || '';
+  const metadata = parseTusMetadata(metadataHeader);
+  const filename = metadata.filename || metadata.name;
+  if (!filename) {
+    return tusResponse(400, {}, 'Upload-Metadata must include filename');
+  }
+
+  const settings = {
+    use_llm: metadata.use_llm === 'true',
+    model: metadata.model || 'whisper-large-v3',
+    provider: metadata.provider || null,
+    task: metadata.task || 'transcribe',
+    priority: metadata.priority || DEFAULT_PRIORITY,
+    chunk_size_mb: parseFloat(metadata.chunk_size_mb) || 10,
+    webhook_url: metadata.webhook_url || null,
+    debug_save_chunks: metadata.debug_save_chunks === 'true',
+    diarize: metadata.diarize === 'true'
+  };
+  const optionsResult = readTranscriptionOptions(metadata);
+  const retentionResult = readRetentionOptions(metadata);
+  const settingsError = getUploadSettingsError(env, { ...settings, auth, optionsResult, retentionResult });
+  if (settingsError) {
+    return settingsError;
+  }
+
   const job_id = crypto.randomUUID();
-  const key = `uploads/${job_id}/${filename}`;
+  const key = `uploads/${job_id}/${getTusObjectName(filename)}`;
   const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
 
-  // Create presigned URL for direct upload
-  const s3Client = createS3Client(env);
-  const putCmd = new PutObjectCommand({ 
-    Bucket: bucketName, 
+  const { UploadId } = await createS3Client(env).send(new CreateMultipartUploadCommand({
+    Bucket: bucketName,
     Key: key,
-    ContentType: 'audio/*'
-  });
-  
-  const signedUrl = await getSignedUrl(s3Client, putCmd, { expiresIn: 3600 });
+    ContentType: metadata.filetype || 'audio/*'
+  }));
 
-  // Store job metadata
-  await env.GROQ_JOBS_KV.put(job_id, JSON.stringify({
-    status: 'awaiting_upload',
+  const upload = {
+    job_id,
     filename,
-    size,
     key,
-    use_llm,
-    model,
-    chunk_size_mb,
-    webhook_url,
+    r2_upload_id: UploadId,
+    length,
+    offset: 0,
+    parts: [], // { PartNumber, ETag, size } of every part in R2
+    tail_size: 0, // Bytes past the last part, held in the tail object
+    metadata: metadataHeader,
+    settings: { ...settings, transcription_options: optionsResult.options, retention: retentionResult.options },
+    owner: auth?.key_id ?? null,
     created_at: new Date().toISOString(),
-    upload_url: signedUrl
-  }), { expirationTtl: 86400 });
+    expires_at: null,
+    assembled_at: null, // Parts joined into the final object
+    completed_at: null // Job queued
+  };
+
+  // creation-with-upload: the first bytes can come with the POST
+  let interrupted = null;
+  if ((request.headers.get('Content-Type') || '') === 'application/offset+octet-stream') {
+    ({ interrupted } = await writeTusBody(env, upload, request.body));
+  }
+  await saveTusUpload(env, upload);
 
-  return new Response(JSON.stringify({ 
-    job_id, 
-    upload_url: signedUrl,
-    model,
-    chunk_size_mb,
-    instructions: {
-      step1: "Upload your file using: curl -X PUT '<upload_url>' --data-binary @your-file.mp3",
-      step2: "Then call: curl -X POST /start -d '{\"job_id\": \"" + job_id + "\"}'",
-      step3: "Check status: curl '/status?job_id=" + job_id + "'",
-      step4: "Get result: curl '/result?job_id=" + job_id + "'"
-    }
-  }), { 
-    status: 200,
-    headers: { 'Content-Type': 'application/json' }
+  apiLogger.info('upload', 'Resumable upload created', {
+    job_id,
+    filename,
+    size: formatBytes(length),
+    received: upload.offset
   });
+
+  return tusResponse(201, {
+    Location: `${new URL(request.url).origin}/tus/${job_id}`,
+    'Upload-Offset': String(upload.offset),
+    ...(upload.completed_at ? {} : { 'Upload-Expires': new Date(upload.expires_at).toUTCString() })
+  }, interrupted ? 'Upload interrupted' : null);
 }
 
 /**
- * Step 2: Trigger processing after upload
- * curl -X POST http://localhost:8787/start \
- *   -H "Content-Type: application/json" \
- *   -d '{"job_id": "your-job-id"}'
+ * PATCH /tus/{id} - append the body at Upload-Offset
  */
-async function handleStartProcessing(request, env) {
-  const { job_id } = await request.json();
-  
-  // Get job metadata
-  const jobData = await env.GROQ_JOBS_KV.get(job_id);
-  if (!jobData) {
-    return new Response(JSON.stringify({ error: 'Job not found' }), { status: 404 });
+async function handleTusPatch(request, env, upload) {
+  if ((request.headers.get('Content-Type') || '') !== 'application/offset+octet-stream') {
+    return tusResponse(415, {}, 'Content-Type must be application/offset+octet-stream');
   }
 
-  const job = JSON.parse(jobData);
-  if (job.status !== 'awaiting_upload') {
-    return new Response(JSON.stringify({ 
-      error: 'Invalid job status', 
-      current_status: job.status 
-    }), { status: 400 });
+  const offset = Number(request.headers.get('Upload-Offset'));
+  if (!Number.isSafeInteger(offset) || offset < 0) {
+    return tusResponse(400, {}, 'Upload-Offset must be a non-negative integer');
+  }
+  // A client that lost track resumes from HEAD's offset
+  if (offset !== upload.offset) {
+    return tusResponse(409, { 'Upload-Offset': String(upload.offset) });
   }
 
-  // Verify file was uploaded
-  const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+  const contentLength = request.headers.get('Content-Length');
+  if (contentLength !== null && offset + Number(contentLength) > upload.length) {
+    return tusResponse(413, {}, 'Body goes past Upload-Length');
+  }
+
+  const { interrupted } = await writeTusBody(env, upload, request.body);
+  await saveTusUpload(env, upload);
+
+  if (interrupted) {
+    apiLogger.warn('Resumable upload interrupted', {
+      job_id: upload.job_id,
+      offset: upload.offset,
+      length: upload.length,
+      error: interrupted.message
+    });
+    return tusResponse(interrupted.status || 500, { 'Upload-Offset': String(upload.offset) }, interrupted.message);
+  }
+
+  return tusResponse(204, {
+    'Upload-Offset': String(upload.offset),
+    ...(upload.completed_at ? {} : { 'Upload-Expires': new Date(upload.expires_at).toUTCString() })
+  });
+}
+
+/**
+ * Stream a request body into the upload's R2 parts. Whatever arrived before a
+ * dropped connection is kept, so upload.offset is always what R2 holds.
+ * Finishes the upload once every byte is in.
+ * @returns {Promise<{interrupted: Error|null}>}
+ */
+async function writeTusBody(env, upload, body) {
   const s3Client = createS3Client(env);
-  
+  const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+  const tailKey = `${upload.key}.tus-tail`;
+
+  // Bytes not in a part yet: the tail left by the last PATCH, then this body
+  const part = new Uint8Array(TUS_PART_SIZE);
+  let filled = 0;
+  if (upload.tail_size > 0) {
+    const tail = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: tailKey }));
+    const tailBytes = new Uint8Array(await new Response(tail.Body).arrayBuffer());
+    part.set(tailBytes);
+    filled = tailBytes.byteLength;
+  }
+  // Records from before parts had a size only ever held full ones
+  const committed = () => upload.parts.reduce((total, { size = TUS_PART_SIZE }) => total + size, 0);
+
+  const uploadPart = async bytes => {
+    const PartNumber = upload.parts.length + 1;
+    if (upload.assembled_at) {
+      // Only queueing failed last time; the object already holds these bytes
+      upload.parts.push({ PartNumber, ETag: null, size: bytes.byteLength });
+      return;
+    }
+    const { ETag } = await s3Client.send(new UploadPartCommand({
+      Bucket: bucketName,
+      Key: upload.key,
+      UploadId: upload.r2_upload_id,
+      PartNumber,
+      Body: bytes,
+      ContentLength: bytes.byteLength
+    }));
+    upload.parts.push({ PartNumber, ETag, size: bytes.byteLength });
+  };
+  const uploadFullPart = async () => {
+    if (filled === TUS_PART_SIZE) {
+      await uploadPart(part);
+      filled = 0;
+    }
+  };
+
+  let interrupted = null;
   try {
-    const headCmd = new HeadObjectCommand({ Bucket: bucketName, Key: job.key });
-    const response = await s3Client.send(headCmd);
-    
-    // Update job status and start processing
-    job.status = 'uploaded';
-    job.actual_size = response.ContentLength;
-    job.uploaded_at = new Date().toISOString();
-    
-    await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
+    await uploadFullPart();
+    const reader = body ? body.getReader() : null;
+    while (reader) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      if (committed() + filled + value.byteLength > upload.length) {
+        reader.cancel().catch(() => {});
+        interrupted = Object.assign(new Error('Body goes past Upload-Length'), { status: 413 });
+        break;
+      }
+      for (let read = 0; read < value.byteLength;) {
+        const take = Math.min(TUS_PART_SIZE - filled, value.byteLength - read);
+        part.set(value.subarray(read, read + take), filled);
+        filled += take;
+        read += take;
+        await uploadFullPart();
+      }
+    }
 
-    // Queue processing
-    await env.GROQ_PROCESSING_QUEUE.send({ job_id });
-    
-    return new Response(JSON.stringify({ 
-      message: 'File uploaded successfully, queued for processing',
-      job_id,
-      file_size: response.ContentLength,
-      processing_method: response.ContentLength > 15 * 1024 * 1024 ? 'chunked' : 'direct'
-    }), { status: 200 });
-    
+    if (!interrupted && committed() + filled === upload.length) {
+      if (filled > 0) {
+        await uploadPart(part.subarray(0, filled));
+        filled = 0;
+      }
+      await completeTusUpload(env, upload, s3Client, bucketName);
+    }
   } catch (error) {
-    return new Response(JSON.stringify({ 
-      error: 'File not found or upload incomplete',
-      details: error.message 
-    }), { status: 400 });
+    interrupted = error;
   }
-}
 
-async function handleStatus(request, env) {
+  if (!upload.completed_at) {
+    // Clients stop once the offset reaches Upload-Length, so a failed finish
+    // must leave them the last bytes to resend: the tail, or else the final part
+    if (committed() + filled === upload.length) {
+      if (filled > 0) {
+        filled = 0;
+      } else {
+        upload.parts.pop();
+      }
+    }
+    // Keep the leftover bytes for the next PATCH
+    try {
+      if (filled > 0) {
+        await s3Client.send(new PutObjectCommand({ Bucket: bucketName, Key: tailKey, Body: part.subarray(0, filled) }));
+      } else if (upload.tail_size > 0) {
+        await s3Client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: tailKey }));
+      }
+      upload.tail_size = filled;
+    } catch (error) {
+      upload.tail_size = 0; // Those bytes are lost; the client resends from the offset
+      interrupted = interrupted || error;
+    }
+  }
+
+  upload.offset = upload.completed_at ? upload.length : committed() + upload.tail_size;
+  return { interrupted };
+}
+
+/**
+ * Assemble the parts into the final object and queue the job like /upload does.
+ * The upload only counts as complete once the job is queued; if queueing
+ * fails the client resends the last part and that retries it.
+ */
+async function completeTusUpload(env, upload, s3Client, bucketName) {
+  if (!upload.assembled_at) {
+    await s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: bucketName,
+      Key: upload.key,
+      UploadId: upload.r2_upload_id,
+      MultipartUpload: { Parts: upload.parts.map(({ PartNumber, ETag }) => ({ PartNumber, ETag })) }
+    }));
+    upload.assembled_at = new Date().toISOString();
+  }
+
+  if (upload.tail_size > 0) {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: `${upload.key}.tus-tail` })).catch(() => {});
+    upload.tail_size = 0;
+  }
+
+  await queueUploadedJob(env, upload.job_id, {
+    filename: upload.filename,
+    size: upload.length,
+    key: upload.key,
+    owner: upload.owner,
+    settings: upload.settings
+  });
+  upload.completed_at = new Date().toISOString();
+
+  apiLogger.complete('Resumable upload finished and queued for processing', {
+    job_id: upload.job_id,
+    filename: upload.filename,
+    size: formatBytes(upload.length),
+    parts: upload.parts.length
+  });
+}
+
+/**
+ * Termination and expiry: drop the R2 parts, the tail and the upload record
+ */
+async function abortTusUpload(env, upload) {
+  if (!upload.completed_at) {
+    const s3Client = createS3Client(env);
+    const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+
+    if (upload.assembled_at) {
+      // Assembled but never queued: no job owns the object
+      await s3Client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: upload.key })).catch(error => {
+        apiLogger.warn('Failed to delete assembled upload', { job_id: upload.job_id, error: error.message });
+      });
+    } else {
+      await s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: upload.key,
+        UploadId: upload.r2_upload_id
+      })).catch(error => {
+        apiLogger.warn('Failed to abort R2 multipart upload', { job_id: upload.job_id, error: error.message });
+      });
+    }
+    if (upload.tail_size > 0) {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: `${upload.key}.tus-tail` })).catch(() => {});
+    }
+  }
+
+  await env.GROQ_JOBS_KV.delete(TUS_KEY_PREFIX + upload.job_id);
+}
+
+async function getTusUpload(env, upload_id) {
+  const data = await env.GROQ_JOBS_KV.get(TUS_KEY_PREFIX + upload_id);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Every write moves the expiry forward, so only idle uploads expire. Finished
+ * ones stay around so HEAD keeps answering for clients that missed the end.
+ */
+async function saveTusUpload(env, upload) {
+  if (!upload.completed_at) {
+    upload.expires_at = new Date(Date.now() + TUS_UPLOAD_TTL * 1000).toISOString();
+  }
+  await env.GROQ_JOBS_KV.put(TUS_KEY_PREFIX + upload.job_id, JSON.stringify(upload), { expirationTtl: TUS_UPLOAD_TTL });
+}
+
+/**
+ * The client's filename as the last segment of the R2 key: no directories,
+ * no "." or ".." segments
+ */
+function getTusObjectName(filename) {
+  const name = filename.split(/[\\/]/).pop();
+  return name && name !== '.' && name !== '..' ? name : 'upload';
+}
+
+/**
+ * Upload-Metadata: comma separated "key base64(value)" pairs
+ */
+function parseTusMetadata(header) {
+  const metadata = {};
+  for (const pair of header.split(',')) {
+    const [key, value = ''] = pair.trim().split(' ');
+    if (!key) continue;
+    try {
+      metadata[key] = new TextDecoder().decode(Uint8Array.from(atob(value), c => c.charCodeAt(0)));
+    } catch (error) {
+      metadata[key] = '';
+    }
+  }
+  return metadata;
+}
+
+function tusResponse(status, headers = {}, body = null) {
+  return new Response(body, {
+    status,
+    headers: { 'Tus-Resumable': TUS_VERSION, 'Cache-Control': 'no-store', ...headers }
+  });
+}
+
+// ============================================================================
+// PRESIGNED UPLOAD API - Two-step process for more control
+// ============================================================================
+
+/**
+ * Step 1: Get a presigned URL for direct upload
+ * curl -X POST http://localhost:8787/get-presigned-url \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"filename": "audio.mp3", "use_llm": true, "model": "whisper-large-v3", "chunk_size_mb": 10}'
+ */
+async function handleGetPresignedUrl(request, env, auth = null) {
+  const body = await request.json();
+  const { filename, size = null, use_llm = false, webhook_url = null, model = 'whisper-large-v3', chunk_size_mb = 10, provider = null, task = 'transcribe', priority = DEFAULT_PRIORITY } = body;
+  const optionsResult = readTranscriptionOptions(body);
+  const retentionResult = readRetentionOptions(body);
+
+  const settingsError = getUploadSettingsError(env, { provider, model, task, priority, auth, optionsResult, retentionResult });
+  if (settingsError) {
+    return settingsError;
+  }
+
+  const job_id = crypto.randomUUID();
+  const key = `uploads/${job_id}/${filename}`;
+  const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+
+  // Create presigned URL for direct upload
+  const s3Client = createS3Client(env);
+  const putCmd = new PutObjectCommand({ 
+    Bucket: bucketName, 
+    Key: key,
+    ContentType: 'audio/*'
+  });
+  
+  const signedUrl = await getSignedUrl(s3Client, putCmd, { expiresIn: 3600 });
+
+  // Store job metadata
+  const job = {
+    status: 'awaiting_upload',
+    filename,
+    size,
+    key,
+    use_llm,
+    model,
+    provider: resolveProviderName(env, provider),
+    task,
+    priority,
+    transcription_options: optionsResult.options,
+    retention: retentionResult.options,
+    chunk_size_mb,
+    webhook_url,
+    owner: auth?.key_id ?? null,
+    created_at: new Date().toISOString(),
+    upload_url: signedUrl
+  };
+  await putJobRecord(env, job_id, job);
+
+  return new Response(JSON.stringify({ 
+    job_id, 
+    upload_url: signedUrl,
+    model,
+    priority,
+    chunk_size_mb,
+    instructions: {
+      step1: "Upload your file using: curl -X PUT '<upload_url>' --data-binary @your-file.mp3",
+      step2: "Then call: curl -X POST /start -d '{\"job_id\": \"" + job_id + "\"}'",
+      step3: "Check status: curl '/status?job_id=" + job_id + "'",
+      step4: "Get result: curl '/result?job_id=" + job_id + "'"
+    }
+  }), { 
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Step 2: Trigger processing after upload
+ * curl -X POST http://localhost:8787/start \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"job_id": "your-job-id"}'
+ */
+async function handleStartProcessing(request, env) {
+  const { job_id } = await request.json();
+  
+  // Get job metadata
+  const jobData = await env.GROQ_JOBS_KV.get(job_id);
+  if (!jobData) {
+    return new Response(JSON.stringify({ error: 'Job not found' }), { status: 404 });
+  }
+
+  const job = JSON.parse(jobData);
+  if (job.status !== 'awaiting_upload') {
+    return new Response(JSON.stringify({ 
+      error: 'Invalid job status', 
+      current_status: job.status 
+    }), { status: 400 });
+  }
+
+  // Verify file was uploaded
+  const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+  const s3Client = createS3Client(env);
+  
+  try {
+    const headCmd = new HeadObjectCommand({ Bucket: bucketName, Key: job.key });
+    const response = await s3Client.send(headCmd);
+    
+    // Update job status and start processing
+    job.status = 'uploaded';
+    job.actual_size = response.ContentLength;
+    job.uploaded_at = new Date().toISOString();
+    
+    await putJobRecord(env, job_id, job);
+
+    // Queue processing
+    await getProcessingQueue(env, getJobPriority(job)).send({ job_id });
+    
+    return new Response(JSON.stringify({ 
+      message: 'File uploaded successfully, queued for processing',
+      job_id,
+      file_size: response.ContentLength,
+      processing_method: response.ContentLength > 15 * 1024 * 1024 ? 'chunked' : 'direct'
+    }), { status: 200 });
+    
+  } catch (error) {
+    return new Response(JSON.stringify({ 
+      error: 'File not found or upload incomplete',
+      details: error.message 
+    }), { status: 400 });
+  }
+}
+
+async function handleStatus(request, env) {
   const url = new URL(request.url);
   const job_id = url.searchParams.get('job_id');
   const state = JSON.parse(await env.GROQ_JOBS_KV.get(job_id));
@@ -862,7 +1602,8 @@ async function handleStatus(request, env) {
   return new Response(JSON.stringify({ 
     status: state.status, 
     progress: state.progress, 
-    error: state.error || null 
+    error: state.error || null,
+    ...(state.resumed_chunks?.length ? { resumed_chunks: state.resumed_chunks } : {})
   }), { status: 200 });
 }
 
@@ -886,15 +1627,83 @@ async function handleResult(request, env) {
     });
   }
   
+  // Optional subtitle export: /result?job_id=...&format=srt|vtt|ttml|txt
+  const format = url.searchParams.get('format')?.toLowerCase();
+  if (format && format !== 'json') {
+    return handleSubtitleExport(state, format, url.searchParams, env);
+  }
+  
   return new Response(JSON.stringify({ 
     partials: state.transcripts || [], 
-    final: state.final_transcript || 'No transcript available' 
+    final: state.final_transcript || 'No transcript available',
+    ...(state.translated_transcript != null ? { translated_transcript: state.translated_transcript } : {}),
+    ...(state.speaker_transcript ? { speaker_transcript: state.speaker_transcript } : {})
   }), { 
     status: 200,
     headers: { 'Content-Type': 'application/json' }
   });
 }
 
+/**
+ * Render a finished job's segments as subtitles or timestamped text
+ */
+async function handleSubtitleExport(job, format, searchParams, env) {
+  const subtitleFormat = SUBTITLE_FORMATS[format];
+  if (!subtitleFormat) {
+    return new Response(JSON.stringify({ 
+      error: 'Unsupported format', 
+      message: `Format must be one of: json, ${Object.keys(SUBTITLE_FORMATS).join(', ')}` 
+    }), { 
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const segments = await collectJobSegments(job, env);
+  if (segments.length === 0) {
+    return new Response(JSON.stringify({ 
+      error: 'No timed segments', 
+      message: 'This job has no segment timestamps to build subtitles from' 
+    }), { 
+      status: 422,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const body = renderSubtitles(segments, format, parseSubtitleOptions(searchParams));
+  const baseName = (job.filename || job.job_id || 'transcript').replace(/\.[^.]+$/, '');
+  
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': subtitleFormat.contentType,
+      'Content-Disposition': `attachment; filename="${baseName.replace(/"/g, '')}.${subtitleFormat.extension}"`
+    }
+  });
+}
+
+/**
+ * Gather a job's segments on the absolute timeline, whatever path produced it
+ */
+async function collectJobSegments(job, env) {
+  // Assembled chunked upload jobs store their merged segments directly
+  if (Array.isArray(job.segments)) {
+    return job.segments;
+  }
+  
+  // Chunked upload results that never went through completeParentJob still hold
+  // chunk-relative timestamps, so place them on the timeline here
+  if (job.type === 'chunked_upload_streaming') {
+    const { ChunkAssembler } = await import('./chunked-streaming/core/chunk-assembly.js');
+    const assembler = new ChunkAssembler(env);
+    const timeline = assembler.trimOverlaps(assembler.assembleTimeline(assembler.getValidChunks(job.transcripts || [])));
+    return timeline.flatMap(entry => entry.segments);
+  }
+  
+  // Direct, chunked and streaming jobs already store absolute segment times
+  return (job.transcripts || []).flatMap(transcript => transcript?.segments || []);
+}
+
 async function handleManualProcess(request, env) {
   const { job_id } = await request.json();
   try {
@@ -962,6 +1771,10 @@ async function handleHealth(request, env) {
       health.groq_api = 'missing';
     }
 
+    // Default transcription provider and whether it can be used
+    health.transcription_provider = resolveProviderName(env);
+    health.transcription_provider_status = getProviderConfigError(env) || 'configured';
+
     return new Response(JSON.stringify(health, null, 2), {
       status: 200,
       headers: { 
@@ -1002,19 +1815,29 @@ async function processFileIntelligently(job_id, env) {
   const jobData = await env.GROQ_JOBS_KV.get(job_id);
   const job = JSON.parse(jobData);
   
-  // Update status
-  job.status = 'processing';
-  job.processing_started_at = new Date().toISOString();
-  await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
+  // Already handed to the chunk queue by fanOutChunks, the chunks carry it from here.
+  // One still 'uploading', failed while splitting or with chunks left to
+  // queue picks up where it stopped.
+  const fannedOut = job.status !== 'uploading' && job.status !== 'failed' && !job.queued_chunk_flags?.includes(false);
+  if (job.type === 'chunked_upload_streaming' && fannedOut) {
+    processingLogger.info('chunk', 'Job was already fanned out to chunk sub-jobs, ignoring redelivery', { job_id, status: job.status });
+    return;
+  }
+  
+  // Update status (a fan-out being resumed keeps its parent job's)
+  if (job.type !== 'chunked_upload_streaming') {
+    job.status = 'processing';
+    job.processing_started_at = new Date().toISOString();
+    await putJobRecord(env, job_id, job);
+  }
   
   try {
     const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
     const s3Client = createS3Client(env);
     
-    // Get file
-    const getObjectCmd = new GetObjectCommand({ Bucket: bucketName, Key: job.key });
-    const response = await s3Client.send(getObjectCmd);
-    const fileSize = response.ContentLength;
+    // Only the size for now; large files are read a range at a time
+    const head = await s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: job.key }));
+    const fileSize = head.ContentLength;
     
     processingLogger.processing(`Starting processing`, {
       filename: job.filename,
@@ -1031,23 +1854,28 @@ async function processFileIntelligently(job_id, env) {
     
     if (fileSize <= CHUNK_THRESHOLD) {
       processingLogger.info('transcribe', 'Using direct processing (small file)');
+      const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: job.key }));
       await processDirectly(job_id, response, env);
     } else {
-      processingLogger.info('chunk', `Using chunked processing (large file) with ${chunkSizeMB}MB chunks`);
-      await processInChunks(job_id, response, fileSize, MAX_CHUNK_SIZE, env);
+      processingLogger.info('chunk', `Fanning out ${chunkSizeMB}MB chunks to the queue (large file)`);
+      await fanOutChunks(job_id, job, { s3Client, bucketName, key: job.key }, fileSize, MAX_CHUNK_SIZE, env);
     }
     
   } catch (error) {
     processingLogger.error('Processing failed', error, { job_id, filename: job.filename });
-    job.status = 'failed';
-    job.error = error.message;
-    job.failed_at = new Date().toISOString();
-    await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
+    await updateJobRecord(env, job_id, job, {
+      status: 'failed',
+      error: error.message,
+      failed_at: new Date().toISOString()
+    });
+    // The queue retries the message, and sends it to the dead letter queue
+    // once it runs out of retries
+    throw error;
   }
 }
 
 /**
- * Process small files directly
+ * Process small files directly (at most CHUNK_THRESHOLD, so buffering is fine)
  */
 async function processDirectly(job_id, fileResponse, env) {
   const jobData = await env.GROQ_JOBS_KV.get(job_id);
@@ -1079,7 +1907,18 @@ async function processDirectly(job_id, fileResponse, env) {
     extension: ext,
     model
   });
-  const transcript = await transcribeChunk(combined, ext, env.GROQ_API_KEY, model);
+  const transcript = await transcribeChunk(combined, ext, env, {
+    model,
+    provider: job.provider,
+    task: job.task,
+    priority: getJobPriority(job),
+    owner: job.owner,
+    ...job.transcription_options
+  });
+  
+  const speakerTurns = job.diarize
+    ? await diarizeChunk(env, combined, { filename: job.filename, segments: transcript.segments || [] })
+    : null;
   
   // Apply LLM correction if requested
   let finalTranscript = transcript.text;
@@ -1093,18 +1932,27 @@ async function processDirectly(job_id, fileResponse, env) {
   job.transcripts = [{ 
     text: transcript.text, 
     segments: transcript.segments,
+    ...(transcript.words ? { words: transcript.words } : {}),
     start: 0,
-    duration: totalLength,
+    duration: transcript.duration || 0,
+    ...translationFields(transcript, 0),
+    ...(speakerTurns ? { speaker_turns: speakerTurns } : {}),
     chunk_index: 0,
     model,
     groq_response: transcript // Preserve full Groq API response
   }];
+  if (job.diarize) {
+    applySpeakerLabels(job, env);
+  }
   job.final_transcript = finalTranscript;
+  if (transcript.translation) {
+    job.translated_transcript = transcript.translation.text;
+  }
   job.completed_at = new Date().toISOString();
   job.processing_method = 'direct';
   job.groq_traces = [transcript]; // Store all API traces for debugging
   
-  await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
+  await putJobRecord(env, job_id, job);
   
   // Send webhook if configured
   if (job.webhook_url) {
@@ -1120,420 +1968,245 @@ async function processDirectly(job_id, fileResponse, env) {
 }
 
 /**
- * Process large files in intelligent chunks
+ * Process a large file as a chunked parent job, like /chunked-upload-stream
+ * does: cut it into chunk objects in R2 with a sub-job each, then queue one
+ * message per chunk for handleChunkedUploadQueue. Chunks are transcribed by as
+ * many Workers as the queue runs and the last one to finish assembles the job.
+ * The parent job takes over job_id, so its record replaces the uploaded one.
+ *
+ * Each stored chunk is listed on the parent as it is written, so a redelivered
+ * message keeps the parent and every chunk that was cut the same way, and only
+ * writes the ones that are missing.
  */
-async function processInChunks(job_id, fileResponse, fileSize, chunkSize, env) {
-  const jobData = await env.GROQ_JOBS_KV.get(job_id);
-  const job = JSON.parse(jobData);
-  
-  // Read entire file into memory (for chunking)
-  const chunks = [];
-  const reader = fileResponse.Body.getReader();
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    chunks.push(value);
-  }
+async function fanOutChunks(job_id, job, source, fileSize, chunkSize, env) {
+  const parentJobManager = new ParentJobManager(env);
+  const subJobProcessor = new SubJobProcessor(env);
   
-  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
-  const fileBuffer = new Uint8Array(totalLength);
-  let offset = 0;
-  for (const chunk of chunks) {
-    fileBuffer.set(chunk, offset);
-    offset += chunk.length;
+  const resuming = job.type === 'chunked_upload_streaming';
+  if (!resuming) {
+    await parentJobManager.createParentJob({
+      job_id,
+      filename: job.filename,
+      total_size: fileSize,
+      chunk_size_mb: job.chunk_size_mb || 10,
+      use_llm: job.use_llm,
+      llm_mode: job.llm_mode || 'post_process', // Like a direct upload, correct the merged transcript
+      model: job.model,
+      provider: job.provider,
+      task: job.task,
+      priority: getJobPriority(job),
+      transcription_options: job.transcription_options,
+      webhook_url: job.webhook_url,
+      debug_save_chunks: job.debug_save_chunks,
+      diarize: job.diarize,
+      owner: job.owner,
+      key: job.key,
+      retention: job.retention
+    });
+    // Failures from here on go to the parent job (see updateJobRecord)
+    job.type = 'chunked_upload_streaming';
+    
+    // Keep what the upload recorded that the parent job doesn't set itself
+    await parentJobManager.updateParentJob(job_id, {
+      created_at: job.created_at,
+      uploaded_at: job.uploaded_at,
+      actual_size: fileSize,
+      ...(job.source_url ? { source_url: job.source_url } : {})
+    });
   }
   
-  // Create intelligent chunks with overlap - use audio-aware chunking for better debug chunks
-  const audioChunks = createAudioAwareChunks(fileBuffer, chunkSize, job.filename);
-  processingLogger.stats(`Created chunks for processing`, { 
-    total_chunks: audioChunks.length,
-    chunk_size: formatBytes(chunkSize),
-    job_id,
-    chunking_method: job.filename.toLowerCase().endsWith('.wav') ? 'wav_aware' : 'simple'
-  });
+  const parentJob = resuming ? await parentJobManager.getParentJob(job_id) : null;
   
-  job.total_chunks = audioChunks.length;
-  job.processed_chunks = 0;
-  await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
+  // Every chunk was cut, it was sending them that stopped
+  if (parentJob?.queued_chunk_flags) {
+    const unqueued = parentJob.queued_chunk_flags.filter(queued => !queued).length;
+    if (unqueued === 0) return;
+    
+    const subJobs = await Promise.all(parentJob.sub_jobs.map(sub_job_id => subJobProcessor.getSubJob(sub_job_id)));
+    await queueFanOutChunks(env, job_id, getJobPriority(parentJob), subJobs, parentJob.queued_chunk_flags);
+    if (parentJob.status === 'failed') {
+      await parentJobManager.updateParentJob(job_id, { status: 'processing', error: null, failed_at: null });
+    }
+    processingLogger.complete('Queued the chunks an earlier delivery had not', { job_id, queued_chunks: unqueued });
+    return;
+  }
   
-  const transcripts = [];
-  const groqTraces = []; // Store all Groq API responses
-  const ext = job.filename.split('.').pop() || 'mp3';
-  const model = job.model || 'whisper-large-v3';
+  // Chunks an earlier delivery stored, by index
+  const storedSubJobs = parentJob?.sub_jobs || [];
+  const resumed_chunks = [];
   
-  // Process chunks sequentially to avoid rate limits
-  for (let i = 0; i < audioChunks.length; i++) {
-    const chunk = audioChunks[i];
-    processingLogger.chunk(`Processing chunk ${i + 1}/${audioChunks.length}`, {
-      chunk_index: i + 1,
-      chunk_size: formatBytes(chunk.data.length),
-      model,
-      job_id
+  // Sub-jobs are only queued once they are all cut, so total_chunks is exact
+  // before the first chunk can finish and check for assembly
+  const subJobs = [];
+  for await (const chunk of readRangedChunks(source, fileSize, chunkSize, job.filename, readChunkingOptions(env))) {
+    const chunk_index = subJobs.length;
+    const stored = storedSubJobs[chunk_index]
+      ? await subJobProcessor.getSubJob(storedSubJobs[chunk_index]).catch(() => null)
+      : null;
+    if (stored?.chunk_range?.[0] === chunk.start && stored.chunk_range[1] === chunk.end) {
+      subJobs.push(stored);
+      resumed_chunks.push(chunk_index);
+      continue;
+    }
+    
+    const subJob = await subJobProcessor.createSubJob({
+      parent_job_id: job_id,
+      chunk_index,
+      chunk_range: [chunk.start, chunk.end],
+      start_time: chunk.startTime ?? null,
+      diarize: job.diarize,
+      provider: job.provider,
+      task: job.task,
+      priority: getJobPriority(job),
+      owner: job.owner,
+      transcription_options: job.transcription_options,
+      filename: job.filename,
+      size: chunk.data.length
     });
     
-    // Save debug chunk if enabled
-    if (job.debug_save_chunks) {
-      try {
-        const debugFileName = `debug_chunk_${job_id}_${i}.${ext}`;
-        const debugInfo = {
-          parent_job_id: job_id,
-          chunk_index: i,
-          actual_size: chunk.data.length,
-          expected_size: chunk.data.length,
-          filename: debugFileName,
-          saved_at: new Date().toISOString(),
-          original_filename: job.filename,
-          processing_method: 'direct_upload_chunked',
-          is_playable: chunk.isPlayable || false,
-          chunking_method: job.filename.toLowerCase().endsWith('.wav') ? 'wav_aware' : 'simple',
-          audio_data_size: chunk.audioDataSize || chunk.data.length
-        };
-
-        // Save to R2 (Workers can't access local file system)
-        const debugKey = `debug/${job_id}/${debugFileName}`;
-        const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
-        const s3Client = createS3Client(env);
-        
-        const debugPutCmd = new PutObjectCommand({
-          Bucket: bucketName,
-          Key: debugKey,
-          Body: chunk.data,
-          ContentType: 'application/octet-stream',
-          Metadata: {
-            'debug-info': JSON.stringify(debugInfo),
-            'job-id': job_id,
-            'chunk-index': i.toString(),
-            'original-filename': job.filename
-          }
-        });
-        
-        await s3Client.send(debugPutCmd);
-        
-        // Create full R2 URL for easy access
-        const r2Url = `https://${env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com/${bucketName}/${debugKey}`;
-        const debugEndpointUrl = `/debug/chunk?job_id=${job_id}&chunk_index=${i}`;
-        
-        processingLogger.info('file', `Saved debug chunk ${i} to R2 - Download: ${debugEndpointUrl}`, {
-          job_id,
-          chunk_index: i,
-          debug_key: debugKey,
-          bucket: bucketName,
-          size: formatBytes(chunk.data.length),
-          download_url: debugEndpointUrl,
-          environment: env.ENVIRONMENT || 'production',
-          is_playable: chunk.isPlayable || false,
-          chunking_method: job.filename.toLowerCase().endsWith('.wav') ? 'wav_aware' : 
-                          job.filename.toLowerCase().endsWith('.mp3') ? 'mp3_aware' : 'simple',
-          localhost_url: `http://localhost:8787${debugEndpointUrl}` // Full localhost URL for easy clicking
-        });
-
-        // Save debug info to KV for easy retrieval via UI
-        const debugInfoKey = `debug_${job_id}_chunk_${i}`;
-        await env.GROQ_JOBS_KV.put(debugInfoKey, JSON.stringify({
-          ...debugInfo,
-          debug_key: debugKey,
-          bucket: bucketName,
-          r2_url: r2Url,
-          download_url: debugEndpointUrl
-        }), { expirationTtl: 86400 });
-        
-      } catch (debugError) {
-        processingLogger.error('Debug chunk save failed', debugError, {
-          job_id,
-          chunk_index: i
-        });
-        // Continue processing even if debug save fails
+    await source.s3Client.send(new PutObjectCommand({
+      Bucket: source.bucketName,
+      Key: subJob.key,
+      Body: chunk.data,
+      ContentType: 'application/octet-stream',
+      Metadata: {
+        'chunk-index': subJob.chunk_index.toString(),
+        'parent-job-id': job_id,
+        'is-playable': (chunk.isPlayable || false).toString(),
+        'original-filename': job.filename
       }
-    }
+    }));
+    subJobs.push(subJob);
     
-    try {
-      const transcript = await transcribeChunk(chunk.data, ext, env.GROQ_API_KEY, model);
-      groqTraces.push(transcript); // Store full API response
-      
-      transcripts.push({
-        text: transcript.text,
-        segments: transcript.segments,
-        start: chunk.start,
-        duration: chunk.data.length,
-        chunk_index: i,
-        model,
-        groq_response: transcript // Preserve full Groq response per chunk
-      });
-      
-      // Update progress
-      job.processed_chunks = i + 1;
-      job.progress = Math.round((i + 1) / audioChunks.length * 100);
-      await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
-      
-      processingLogger.complete(`Chunk ${i + 1} completed`, { 
-        progress: job.progress,
-        model,
-        job_id
-      });
-      
-      // Small delay to avoid rate limiting
-      if (i < audioChunks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-      
-    } catch (error) {
-      processingLogger.error(`Chunk ${i + 1} failed`, error, { 
-        chunk_index: i + 1,
-        model,
-        job_id
-      });
-      // Continue with other chunks
+    // Cut differently last time (the chunking settings changed), so that chunk's sub-job goes
+    if (stored) {
+      await deleteSubJobRecord(env, stored.job_id);
     }
+    await parentJobManager.updateParentJob(job_id, {
+      sub_jobs: [...subJobs.map(({ job_id }) => job_id), ...storedSubJobs.slice(subJobs.length)]
+    });
   }
   
-  if (transcripts.length === 0) {
-    throw new Error('All chunks failed to process');
+  // An earlier delivery that cut more chunks than there are now
+  await Promise.all(storedSubJobs.slice(subJobs.length).filter(Boolean).map(sub_job_id => deleteSubJobRecord(env, sub_job_id)));
+  if (resumed_chunks.length > 0) {
+    processingLogger.info('chunk', `Kept ${resumed_chunks.length} chunks an earlier delivery stored`, {
+      job_id,
+      resumed_chunks
+    });
   }
   
-  // Merge transcripts intelligently
-  processingLogger.processing('Merging transcripts from chunks', { 
-    chunk_count: transcripts.length,
-    model,
-    job_id
+  const total_chunks = subJobs.length;
+  await parentJobManager.updateParentJob(job_id, {
+    sub_jobs: subJobs.map(subJob => subJob.job_id),
+    ...(resumed_chunks.length > 0 ? { resumed_chunks } : {}),
+    total_chunks,
+    uploaded_chunks: total_chunks,
+    uploaded_chunk_flags: new Array(total_chunks).fill(true),
+    completed_chunk_flags: new Array(total_chunks).fill(false),
+    queued_chunk_flags: new Array(total_chunks).fill(false),
+    upload_progress: 100,
+    progress: 50,
+    status: 'processing',
+    processing_started_at: new Date().toISOString()
   });
-  let mergedText = transcripts.map(t => t.text).join(' ');
-  
-  // Apply LLM correction if requested
-  if (job.use_llm && mergedText) {
-    processingLogger.llm('Applying LLM corrections to merged transcript');
-    mergedText = await applyLLMCorrection(mergedText, env.GROQ_API_KEY);
-  }
-  
-  // Update job with final results
-  job.status = 'done';
-  job.transcripts = transcripts;
-  job.final_transcript = mergedText;
-  job.completed_at = new Date().toISOString();
-  job.processing_method = 'chunked';
-  job.success_rate = Math.round((transcripts.length / audioChunks.length) * 100);
-  job.groq_traces = groqTraces; // Store all API traces for debugging
-  
-  await env.GROQ_JOBS_KV.put(job_id, JSON.stringify(job), { expirationTtl: 86400 });
   
-  // Send webhook if configured
-  if (job.webhook_url) {
-    await sendWebhook(job.webhook_url, job_id, job);
-  }
+  await queueFanOutChunks(env, job_id, getJobPriority(job), subJobs, new Array(total_chunks).fill(false));
   
-  processingLogger.complete('Chunked processing completed', { 
+  processingLogger.complete('Queued chunks for processing', {
     job_id,
-    successful_chunks: transcripts.length,
-    total_chunks: audioChunks.length,
-    success_rate: job.success_rate,
-    model,
-    transcript_length: mergedText?.length || 0
+    filename: job.filename,
+    total_chunks,
+    chunk_size: formatBytes(chunkSize)
   });
 }
 
-// transcribeChunk function moved to core/streaming.js
+// Queues' sendBatch takes at most 100 messages
+const QUEUE_BATCH_SIZE = 100;
 
 /**
- * Create intelligent chunks with minimal overlap
+ * Send the chunk messages a batch at a time, ticking each batch off in the
+ * parent's queued_chunk_flags once it is sent, so a redelivered fan-out only
+ * sends the ones that are missing
  */
-function createChunks(buffer, chunkSize) {
-  const chunks = [];
-  const overlapSize = Math.floor(chunkSize * 0.05); // 5% overlap
+async function queueFanOutChunks(env, job_id, priority, subJobs, queued_chunk_flags) {
+  const subJobProcessor = new SubJobProcessor(env);
+  const queue = getProcessingQueue(env, priority, { chunk: true });
+  const unqueued = subJobs.filter(subJob => !queued_chunk_flags[subJob.chunk_index]);
   
-  for (let start = 0; start < buffer.length; start += chunkSize - overlapSize) {
-    const end = Math.min(start + chunkSize, buffer.length);
-    const chunkData = buffer.slice(start, end);
-    
-    chunks.push({
-      start,
-      end,
-      data: chunkData,
-      hasOverlap: start > 0
-    });
+  for (let i = 0; i < unqueued.length; i += QUEUE_BATCH_SIZE) {
+    const batch = unqueued.slice(i, i + QUEUE_BATCH_SIZE);
+    for (const subJob of batch) {
+      await subJobProcessor.markChunkUploaded(subJob.job_id, subJob.size);
+    }
+    await queue.sendBatch(batch.map(subJob => ({
+      body: {
+        parent_job_id: job_id,
+        sub_job_id: subJob.job_id,
+        chunk_index: subJob.chunk_index,
+        trigger: 'fan_out'
+      }
+    })));
     
-    if (end >= buffer.length) break;
+    for (const subJob of batch) {
+      queued_chunk_flags[subJob.chunk_index] = true;
+    }
+    await new ParentJobManager(env).updateParentJob(job_id, { queued_chunk_flags });
   }
-  
-  return chunks;
 }
 
 /**
- * Audio-aware chunking that creates playable chunks with proper headers
- * CRITICAL: Each chunk must be a valid, independently playable audio file
- * for the Groq API to accept it.
+ * The English side of a task 'both' chunk, shifted onto the recording's timeline
  */
-export function createAudioAwareChunks(buffer, chunkSize, filename = '') {
-  const ext = filename.split('.').pop()?.toLowerCase() || '';
-  
-  try {
-    switch (ext) {
-      case 'wav':
-        return createWAVChunks(buffer, chunkSize);
-      case 'mp3':
-        return createMP3Chunks(buffer, chunkSize);
-      case 'mp4':
-      case 'm4a':
-        return createMP4Chunks(buffer, chunkSize);
-      case 'flac':
-        return createFLACChunks(buffer, chunkSize);
-      case 'ogg':
-        return createOGGChunks(buffer, chunkSize);
-      default:
-        // For unknown formats, try to detect and fall back gracefully
-        processingLogger.warn(`Unknown audio format: ${ext}, using simple chunking (may cause API errors)`);
-        return createChunks(buffer, chunkSize);
-    }
-  } catch (error) {
-    processingLogger.error(`Audio-aware chunking failed for ${ext}:`, error);
-    processingLogger.warn('Falling back to simple chunking (may cause API errors)');
-    return createChunks(buffer, chunkSize);
-  }
+function translationFields(transcript, startTime) {
+  if (!transcript.translation) return {};
+  return {
+    translated_text: transcript.translation.text,
+    translated_segments: offsetSegments(transcript.translation.segments, startTime)
+  };
 }
 
 /**
- * Create WAV chunks with proper headers for playable debug files
+ * Map per-chunk speaker turns onto job-wide speakers, labelling each segment
+ * in job.transcripts and storing the "Speaker N: ..." transcript
  */
-function createWAVChunks(buffer, chunkSize) {
-  const chunks = [];
-  
-  // Parse WAV header
-  const wavHeader = parseWAVHeader(buffer);
-  if (!wavHeader) {
-    // Not a valid WAV, fall back to simple chunking
-    return createChunks(buffer, chunkSize);
-  }
-  
-  const { headerSize, dataStart, audioFormat, channels, sampleRate, bitsPerSample } = wavHeader;
-  const overlapSize = Math.floor(chunkSize * 0.05); // 5% overlap
-  
-  // Calculate bytes per sample to align chunks on sample boundaries
-  const bytesPerSample = (bitsPerSample / 8) * channels;
-  const alignedOverlapSize = Math.floor(overlapSize / bytesPerSample) * bytesPerSample;
-  const alignedChunkSize = Math.floor(chunkSize / bytesPerSample) * bytesPerSample;
-  
-  for (let start = dataStart; start < buffer.length; start += alignedChunkSize - alignedOverlapSize) {
-    const end = Math.min(start + alignedChunkSize, buffer.length);
-    const audioData = buffer.slice(start, end);
-    const audioDataSize = audioData.length;
-    
-    // Create new WAV chunk with proper header
-    const chunkWithHeader = createWAVChunkWithHeader(
-      audioData, 
-      audioFormat, 
-      channels, 
-      sampleRate, 
-      bitsPerSample
-    );
-    
-    chunks.push({
-      start: start - dataStart, // Relative to audio data start
-      end: end - dataStart,
-      data: chunkWithHeader,
-      hasOverlap: start > dataStart,
-      audioDataSize,
-      isPlayable: true
-    });
-    
-    if (end >= buffer.length) break;
-  }
-  
-  return chunks;
+function applySpeakerLabels(job, env) {
+  const { chunk_timeline, speaker_transcript } = new ChunkAssembler(env).assembleSpeakerTranscript(job.transcripts);
+  job.transcripts = chunk_timeline;
+  job.speaker_transcript = speaker_transcript;
 }
 
+// transcribeChunk function moved to core/streaming.js
+
 /**
- * Parse WAV file header to extract format information
+ * Cut a stored file into audio-aware chunks without holding all of it.
+ * R2 is read with ranged GETs of one chunk's size and fed through
+ * createStreamingChunker, which carries the WAV, FLAC and Ogg headers and the
+ * MP3 frame sync from window to window, so memory stays at a few chunks
+ * however big the file is. MP4/M4A is cut from its moov, read on its own,
+ * with each chunk fetching just the samples it holds.
  */
-function parseWAVHeader(buffer) {
-  try {
-    const view = new DataView(buffer.buffer || buffer);
-    
-    // Check RIFF header
-    const riff = new TextDecoder().decode(buffer.slice(0, 4));
-    if (riff !== 'RIFF') return null;
-    
-    // Check WAVE format
-    const wave = new TextDecoder().decode(buffer.slice(8, 12));
-    if (wave !== 'WAVE') return null;
-    
-    // Find fmt chunk
-    let offset = 12;
-    while (offset < buffer.length - 8) {
-      const chunkId = new TextDecoder().decode(buffer.slice(offset, offset + 4));
-      const chunkSize = view.getUint32(offset + 4, true);
-      
-      if (chunkId === 'fmt ') {
-        const audioFormat = view.getUint16(offset + 8, true);
-        const channels = view.getUint16(offset + 10, true);
-        const sampleRate = view.getUint32(offset + 12, true);
-        const bitsPerSample = view.getUint16(offset + 22, true);
-        
-        // Find data chunk
-        let dataOffset = offset + 8 + chunkSize;
-        while (dataOffset < buffer.length - 8) {
-          const dataChunkId = new TextDecoder().decode(buffer.slice(dataOffset, dataOffset + 4));
-          if (dataChunkId === 'data') {
-            return {
-              headerSize: dataOffset + 8,
-              dataStart: dataOffset + 8,
-              audioFormat,
-              channels,
-              sampleRate,
-              bitsPerSample
-            };
-          }
-          const dataChunkSize = view.getUint32(dataOffset + 4, true);
-          dataOffset += 8 + dataChunkSize;
-        }
-        break;
-      }
-      
-      offset += 8 + chunkSize;
+async function* readRangedChunks({ s3Client, bucketName, key }, fileSize, chunkSize, filename, options = DEFAULT_CHUNKING_OPTIONS) {
+  const readRange = async (start, end) => {
+    const object = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key, Range: `bytes=${start}-${end}` }));
+    return new Uint8Array(await new Response(object.Body).arrayBuffer());
+  };
+  
+  const ext = filename.split('.').pop()?.toLowerCase() || '';
+  if (ext === 'mp4' || ext === 'm4a') {
+    const mp4Chunks = await readMP4ContainerChunks(readRange, fileSize, chunkSize);
+    if (mp4Chunks) {
+      yield* mp4Chunks;
+      return;
     }
-    
-    return null;
-  } catch (error) {
-    return null;
+    processingLogger.warn('No usable audio sample table found in MP4/M4A (fragmented or video-only file?), falling back to simple chunking');
   }
-}
-
-/**
- * Create a complete WAV file with header for a chunk of audio data
- */
-function createWAVChunkWithHeader(audioData, audioFormat, channels, sampleRate, bitsPerSample) {
-  const dataSize = audioData.length;
-  const fileSize = 36 + dataSize;
-  const byteRate = sampleRate * channels * (bitsPerSample / 8);
-  const blockAlign = channels * (bitsPerSample / 8);
-  
-  // Create header buffer
-  const header = new ArrayBuffer(44);
-  const view = new DataView(header);
-  const headerBytes = new Uint8Array(header);
-  
-  // RIFF header
-  headerBytes.set(new TextEncoder().encode('RIFF'), 0);
-  view.setUint32(4, fileSize, true);
-  headerBytes.set(new TextEncoder().encode('WAVE'), 8);
-  
-  // fmt chunk
-  headerBytes.set(new TextEncoder().encode('fmt '), 12);
-  view.setUint32(16, 16, true); // fmt chunk size
-  view.setUint16(20, audioFormat, true);
-  view.setUint16(22, channels, true);
-  view.setUint32(24, sampleRate, true);
-  view.setUint32(28, byteRate, true);
-  view.setUint16(32, blockAlign, true);
-  view.setUint16(34, bitsPerSample, true);
-  
-  // data chunk
-  headerBytes.set(new TextEncoder().encode('data'), 36);
-  view.setUint32(40, dataSize, true);
-  
-  // Combine header and audio data
-  const result = new Uint8Array(44 + dataSize);
-  result.set(headerBytes, 0);
-  result.set(audioData, 44);
-  
-  return result;
+  
+  const chunker = createStreamingChunker(filename, chunkSize, options);
+  for (let offset = 0; offset < fileSize; offset += chunkSize) {
+    yield* chunker.push(await readRange(offset, Math.min(offset + chunkSize, fileSize) - 1));
+  }
+  yield* chunker.flush();
 }
 
 /**
@@ -1649,8 +2322,11 @@ async function sendWebhook(webhookUrl, jobId, job) {
         status: job.status,
         filename: job.filename,
         final_transcript: job.final_transcript,
+        ...(job.translated_transcript != null ? { translated_transcript: job.translated_transcript } : {}),
+        ...(job.speaker_transcript ? { speaker_transcript: job.speaker_transcript } : {}),
         processing_method: job.processing_method,
-        completed_at: job.completed_at
+        ...(job.error ? { error: job.error } : {}),
+        completed_at: job.completed_at || job.failed_at
       })
     });
   } catch (error) {
@@ -1669,7 +2345,7 @@ async function sendWebhook(webhookUrl, jobId, job) {
  * List all jobs with their status (without full results to keep response small)
  * curl http://localhost:8787/jobs
  */
-async function handleListJobs(request, env) {
+async function handleListJobs(request, env, auth = null) {
   try {
     const url = new URL(request.url);
     const limit = parseInt(url.searchParams.get('limit')) || 50;
@@ -1687,6 +2363,11 @@ async function handleListJobs(request, env) {
           if (jobData) {
             const job = JSON.parse(jobData);
             
+            // Only list jobs owned by the caller's API key (admins see everything)
+            if (auth && !canAccessJob(auth, job)) {
+              continue;
+            }
+            
             // Filter by status if provided
             if (status && job.status !== status) {
               continue;
@@ -1710,9 +2391,15 @@ async function handleListJobs(request, env) {
               llm_mode: job.llm_mode || null,
               chunk_size_mb: job.chunk_size_mb || null,
               model: job.model || null,
+              task: job.task || 'transcribe',
+              priority: getJobPriority(job),
               source_url: job.source_url || null,
               total_segments: job.total_segments || 0,
               success_rate: job.success_rate || null,
+              resumed_chunks: job.resumed_chunks?.length ? job.resumed_chunks : undefined,
+              owner: auth?.is_admin ? (job.owner || null) : undefined,
+              pinned: job.pinned || false,
+              audio_deleted_at: job.audio_deleted_at || null,
               expires_at: key.expiration ? new Date(key.expiration * 1000).toISOString() : null
             };
             
@@ -1778,73 +2465,872 @@ async function handleListJobs(request, env) {
 }
 
 /**
- * Delete a job and its associated files
- * curl -X POST http://localhost:8787/delete-job -H "Content-Type: application/json" -d '{"job_id": "your-job-id"}'
+ * Delete a job and its associated files
+ * curl -X POST http://localhost:8787/delete-job -H "Content-Type: application/json" -d '{"job_id": "your-job-id"}'
+ */
+async function handleDeleteJob(request, env) {
+  try {
+    const { job_id } = await request.json();
+    
+    if (!job_id) {
+      return new Response(JSON.stringify({ 
+        error: 'Missing job_id' 
+      }), { 
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    // Get job data first
+    const jobData = await env.GROQ_JOBS_KV.get(job_id);
+    if (!jobData) {
+      return new Response(JSON.stringify({ 
+        error: 'Job not found' 
+      }), { 
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const job = JSON.parse(jobData);
+    const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+    
+    // Delete from R2 if file exists
+    if (job.key) {
+      try {
+        const s3Client = createS3Client(env);
+        const deleteCmd = new DeleteObjectCommand({ 
+          Bucket: bucketName, 
+          Key: job.key 
+        });
+        await s3Client.send(deleteCmd);
+        apiLogger.info('delete', `Deleted R2 file`, { key: job.key });
+              } catch (error) {
+          apiLogger.warn(`Failed to delete R2 file`, { 
+            key: job.key, 
+            error: error.message 
+          });
+          // Continue with KV deletion even if R2 deletion fails
+        }
+    }
+    
+    // Delete from KV - chunked jobs also drop their sub-jobs and parent job state
+    if (job.type === 'chunked_upload_streaming') {
+      await new ParentJobManager(env).cleanupParentJob(job_id);
+    } else {
+      await env.GROQ_JOBS_KV.delete(job_id);
+      await removeActiveJob(env, job_id);
+    }
+    
+    return new Response(JSON.stringify({
+      message: 'Job deleted successfully',
+      job_id,
+      deleted_file: job.key || null,
+      filename: job.filename || 'Unknown'
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    
+  } catch (error) {
+    return new Response(JSON.stringify({ 
+      error: 'Failed to delete job', 
+      message: error.message 
+    }), { 
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Save a completed streaming job to KV storage
+ * This allows streaming jobs to be accessible from other systems (CLI, etc.)
+ */
+async function handleSaveStreamingJob(request, env, auth = null) {
+  try {
+    const data = await request.json();
+    
+    if (!data.job_id || !data.filename) {
+      return new Response(JSON.stringify({ 
+        error: 'Missing required fields: job_id, filename' 
+      }), { 
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // /stream already saved timed segments for this job server-side; keep them
+    // when the client only sends back the text
+    const existingJob = JSON.parse(await env.GROQ_JOBS_KV.get(data.job_id) || 'null');
+    const clientHasSegments = data.transcripts?.some(transcript => transcript?.segments?.length > 0);
+    const serverTranscripts = existingJob?.transcripts?.some(transcript => transcript?.segments?.length > 0) 
+      ? existingJob.transcripts 
+      : null;
+    
+    // Create a job object compatible with regular jobs
+    const jobData = {
+      job_id: data.job_id,
+      filename: data.filename,
+      status: 'done',
+      owner: existingJob?.owner ?? auth?.key_id ?? null,
+      priority: existingJob?.priority ?? 'interactive',
+      retention: existingJob?.retention ?? null,
+      pinned: existingJob?.pinned || false,
+      file_size: data.file_size || 0,
+      processing_method: 'streaming',
+      upload_method: 'streaming',
+      created_at: data.created_at || new Date().toISOString(),
+      completed_at: data.completed_at || new Date().toISOString(),
+      
+      // Transcription results
+      final_transcript: data.final_transcript || '',
+      raw_transcript: data.raw_transcript || '',
+      corrected_transcript: data.corrected_transcript || '',
+      total_segments: data.total_segments || 0,
+      
+      // Add transcripts array to match direct/chunked upload format
+      // Use provided transcripts if available, otherwise create fallback
+      transcripts: !clientHasSegments && serverTranscripts ? serverTranscripts :
+        data.transcripts && data.transcripts.length > 0 ? data.transcripts : [{
+        text: data.final_transcript || '',
+        raw_text: data.raw_transcript || '',
+        segments: [], // Streaming doesn't provide detailed segments unless passed from client
+        start: 0,
+        duration: data.file_size || 0,
+        chunk_index: 'streaming'
+      }],
+      
+      // Processing settings
+      use_llm: data.use_llm || false,
+      llm_mode: data.llm_mode || 'disabled',
+      chunk_size_mb: data.chunk_size_mb || 1,
+      
+      // Additional metadata
+      progress: 100,
+      source_url: data.source_url || null,
+      
+      // No file key since streaming jobs don't upload files to R2
+      key: null
+    };
+
+    // Save to KV storage
+    await putJobRecord(env, data.job_id, jobData);
+    
+    apiLogger.info('complete', 'Saved streaming job to KV', { 
+      job_id: data.job_id, 
+      filename: data.filename,
+      transcript_length: data.final_transcript?.length || 0
+    });
+    
+    return new Response(JSON.stringify({
+      message: 'Streaming job saved successfully',
+      job_id: data.job_id
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    
+  } catch (error) {
+    apiLogger.error('Failed to save streaming job', error);
+    return new Response(JSON.stringify({ 
+      error: 'Failed to save streaming job', 
+      message: error.message 
+    }), { 
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Pin a finished job (POST) so its record, transcript and audio are kept until
+ * it is unpinned (DELETE). Unpinning starts its retention over from now.
+ * curl -X POST http://localhost:8787/jobs/{job_id}/pin
+ */
+async function handlePinJob(request, env, job_id) {
+  try {
+    const jobData = await env.GROQ_JOBS_KV.get(job_id);
+    if (!jobData) {
+      return new Response(JSON.stringify({ 
+        error: 'Job not found' 
+      }), { 
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    // Running jobs still rewrite their whole record, which would drop the pin
+    const job = JSON.parse(jobData);
+    if (!isJobFinished(job)) {
+      return new Response(JSON.stringify({ 
+        error: 'Job is still running',
+        message: 'Pin it once it has finished'
+      }), { 
+        status: 409,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const pinned = request.method === 'POST';
+    const updated = await updateJobRecord(env, job_id, job, {
+      pinned,
+      pinned_at: pinned ? new Date().toISOString() : null
+    });
+    
+    return new Response(JSON.stringify({
+      message: pinned ? 'Job pinned' : 'Job unpinned',
+      job_id,
+      pinned,
+      audio_deleted_at: updated.audio_deleted_at || null
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    
+  } catch (error) {
+    return new Response(JSON.stringify({ 
+      error: 'Failed to update job', 
+      message: error.message 
+    }), { 
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Apply updates to a stored job and rewrite it with its retention. Chunked
+ * parent jobs go through their object, which owns the record.
+ */
+async function updateJobRecord(env, job_id, job, updates) {
+  if (job.type === 'chunked_upload_streaming') {
+    return await new ParentJobManager(env).updateParentJob(job_id, updates);
+  }
+  
+  const updated = { ...job, ...updates };
+  await putJobRecord(env, job_id, updated);
+  return updated;
+}
+
+// ============================================================================
+// RETENTION SWEEP - scheduled cleanup of expired audio and orphaned sub-jobs
+// ============================================================================
+
+// R2 prefixes whose next path segment is the owning job's ID
+const SWEPT_PREFIXES = ['uploads/', 'debug/'];
+
+// KV lookups one sweep may spend; a sweep that runs out saves where it got to
+// and the next one carries on from there
+const SWEEP_LOOKUP_LIMIT = 500;
+const SWEEP_CURSOR_KEY = 'retention_sweep_cursor';
+
+// DeleteObjects takes at most 1000 keys
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Delete uploads and debug chunks of finished jobs once their audio retention
+ * has run out, objects no job points at any more, and sub-jobs whose parent
+ * job is gone. Job records themselves expire through their KV TTL.
+ */
+async function runRetentionSweep(env) {
+  const now = Date.now();
+  const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+  const s3Client = createS3Client(env);
+  const cursor = JSON.parse(await env.GROQ_JOBS_KV.get(SWEEP_CURSOR_KEY) || 'null') || { prefix: SWEPT_PREFIXES[0], start_after: null };
+  const stats = { objects_deleted: 0, jobs_audio_deleted: 0, sub_jobs_deleted: 0, lookups: 0 };
+  
+  // job_id -> job record, or null when there is none; each job is read once
+  const jobs = new Map();
+  const lookupJob = async job_id => {
+    if (!jobs.has(job_id)) {
+      stats.lookups++;
+      // An unfinished tus upload has no job record yet
+      const jobData = await env.GROQ_JOBS_KV.get(job_id) || await env.GROQ_JOBS_KV.get(TUS_KEY_PREFIX + job_id);
+      jobs.set(job_id, jobData ? JSON.parse(jobData) : null);
+    }
+    return jobs.get(job_id);
+  };
+  const outOfLookups = job_id => !jobs.has(job_id) && stats.lookups >= SWEEP_LOOKUP_LIMIT;
+  
+  let stoppedAt = null;
+  const expiredJobIds = new Set();
+  
+  for (const prefix of SWEPT_PREFIXES.slice(Math.max(0, SWEPT_PREFIXES.indexOf(cursor.prefix)))) {
+    let startAfter = prefix === cursor.prefix ? cursor.start_after : null;
+    let truncated = true;
+    
+    while (truncated && !stoppedAt) {
+      const page = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucketName,
+        Prefix: prefix,
+        ...(startAfter ? { StartAfter: startAfter } : {})
+      }));
+      truncated = page.IsTruncated === true;
+      
+      const expiredKeys = [];
+      for (const object of page.Contents || []) {
+        const job_id = object.Key.slice(prefix.length).split('/')[0];
+        if (outOfLookups(job_id)) {
+          stoppedAt = { prefix, start_after: startAfter };
+          break;
+        }
+        
+        const job = await lookupJob(job_id);
+        const expiresAt = getAudioExpiry(job, new Date(object.LastModified).getTime(), env);
+        if (expiresAt !== null && expiresAt <= now) {
+          expiredKeys.push(object.Key);
+          if (job && prefix === 'uploads/') expiredJobIds.add(job_id);
+        }
+        startAfter = object.Key;
+      }
+      
+      for (let i = 0; i < expiredKeys.length; i += DELETE_BATCH_SIZE) {
+        await s3Client.send(new DeleteObjectsCommand({
+          Bucket: bucketName,
+          Delete: { Objects: expiredKeys.slice(i, i + DELETE_BATCH_SIZE).map(Key => ({ Key })), Quiet: true }
+        }));
+      }
+      stats.objects_deleted += expiredKeys.length;
+    }
+    if (stoppedAt) break;
+  }
+  
+  // Keep the records, note that there is nothing left to play or reprocess
+  for (const job_id of expiredJobIds) {
+    const job = jobs.get(job_id);
+    if (job.audio_deleted_at) continue;
+    try {
+      await updateJobRecord(env, job_id, job, { audio_deleted_at: new Date(now).toISOString() });
+      stats.jobs_audio_deleted++;
+    } catch (error) {
+      apiLogger.warn('Failed to mark job audio as deleted', { job_id, error: error.message });
+    }
+  }
+  
+  // Sub-jobs are indexed with their parent (see core/job-index.js)
+  if (!stoppedAt) {
+    for await (const { sub_job_id, parent_job_id } of listSubJobs(env)) {
+      if (!parent_job_id || outOfLookups(parent_job_id)) continue;
+      if (!await lookupJob(parent_job_id)) {
+        await deleteSubJobRecord(env, sub_job_id);
+        stats.sub_jobs_deleted++;
+      }
+    }
+  }
+  
+  if (stoppedAt) {
+    await env.GROQ_JOBS_KV.put(SWEEP_CURSOR_KEY, JSON.stringify(stoppedAt), { expirationTtl: ACTIVE_JOB_TTL });
+  } else {
+    await env.GROQ_JOBS_KV.delete(SWEEP_CURSOR_KEY);
+  }
+  
+  apiLogger.info('cleanup', stoppedAt ? 'Retention sweep paused' : 'Retention sweep finished', {
+    ...stats,
+    resume_from: stoppedAt
+  });
+  
+  return stats;
+}
+
+// ============================================================================
+// STUCK JOB REAPER - recovers jobs whose worker or uploader went away
+// ============================================================================
+
+// How long a job may go without an update, by status, before it counts as stuck
+const STUCK_JOB_TIMEOUTS = {
+  uploaded: CHUNKED_UPLOAD_CONFIG.PROCESSING_TIMEOUT,       // Queued but never picked up
+  processing: CHUNKED_UPLOAD_CONFIG.PROCESSING_TIMEOUT,     // Consumer died mid-job
+  assembling: CHUNKED_UPLOAD_CONFIG.PROCESSING_TIMEOUT,
+  streaming: CHUNKED_UPLOAD_CONFIG.PROCESSING_TIMEOUT,      // /stream connection dropped
+  uploading: CHUNKED_UPLOAD_CONFIG.UPLOAD_URL_EXPIRY * 1000, // Chunk upload URLs have expired
+  awaiting_upload: CHUNKED_UPLOAD_CONFIG.UPLOAD_URL_EXPIRY * 1000
+};
+
+// Times a stuck job is put back on the queue before it is given up on
+const MAX_REAPER_REQUEUES = 2;
+
+// A job no consumer has taken is still queued, maybe behind a bulk fan-out.
+// Requeueing it would transcribe (and bill) it twice, so it is only given up
+// on once it has waited this long
+const QUEUED_JOB_TIMEOUT = 24 * 60 * 60 * 1000;
+
+/**
+ * Find jobs that have sat in an unfinished status past their timeout and
+ * settle each one: re-enqueue it when its consumer died (see core/job-lease.js)
+ * while its audio is there and it has retries left, leave it while it is
+ * still being worked on or waiting in the queue, otherwise assemble what
+ * chunks did finish, otherwise mark it failed with the reason. Jobs that end
+ * up finished get their webhook.
+ */
+async function reapStuckJobs(env) {
+  const now = Date.now();
+  const stats = { requeued: 0, assembled: 0, failed: 0, skipped: 0 };
+  
+  // Unfinished jobs are indexed with their status and last write (see
+  // core/job-index.js), so only stalled ones need reading
+  for await (const { job_id, metadata } of listActiveJobs(env)) {
+    const timeout = STUCK_JOB_TIMEOUTS[metadata.status];
+    if (!timeout || now - metadata.updated_at < timeout) continue;
+    
+    try {
+      const job = JSON.parse(await env.GROQ_JOBS_KV.get(job_id) || 'null');
+      if (!job) {
+        await removeActiveJob(env, job_id); // Deleted without going through the index
+        continue;
+      }
+      if (job.status !== metadata.status) continue;
+      
+      const idle = now - metadata.updated_at;
+      const outcome = job.type === 'chunked_upload_streaming'
+        ? await reapChunkedJob(env, job_id, job, idle)
+        : await reapJob(env, job_id, job, idle);
+      stats[outcome]++;
+    } catch (error) {
+      apiLogger.error('Failed to reap stuck job', error, { job_id, status: metadata.status });
+    }
+  }
+  
+  apiLogger.info('reaper', 'Stuck job check finished', stats);
+  return stats;
+}
+
+/**
+ * Settle a stuck upload, URL or /stream job that has been idle for `idle` ms.
+ * Returns 'requeued', 'failed' or 'skipped' while it is still running or queued.
+ */
+async function reapJob(env, job_id, job, idle) {
+  const requeues = job.reaper_requeues || 0;
+  const queued = job.status === 'uploaded' || job.status === 'processing';
+  const lease = queued ? await getJobLeaseState(env, job_id) : null;
+  if (lease === 'live') return 'skipped';
+  if (queued && !lease && idle < QUEUED_JOB_TIMEOUT) return 'skipped';
+  
+  const canRequeue = lease === 'abandoned' && job.key && !job.audio_deleted_at;
+  
+  if (canRequeue && requeues < MAX_REAPER_REQUEUES) {
+    await clearJobLease(env, job_id);
+    await updateJobRecord(env, job_id, job, {
+      status: 'uploaded',
+      reaper_requeues: requeues + 1,
+      last_reaped_at: new Date().toISOString()
+    });
+    await getProcessingQueue(env, getJobPriority(job)).send({ job_id });
+    
+    apiLogger.warn('Re-queued stuck job', { job_id, status: job.status, attempt: requeues + 1 });
+    return 'requeued';
+  }
+  
+  const reasons = {
+    uploaded: 'Never picked up for processing',
+    processing: 'Processing stopped responding',
+    streaming: 'The stream ended before the transcript was saved',
+    awaiting_upload: 'The file was never uploaded before the upload URL expired'
+  };
+  let reason = reasons[job.status] || `Stuck in ${job.status}`;
+  if (canRequeue) reason += ` after ${requeues} retries`;
+  
+  await failStuckJob(env, job_id, job, reason);
+  return 'failed';
+}
+
+/**
+ * Settle a stuck chunked upload: re-enqueue chunks whose consumer died, leave
+ * it while chunks are still being worked on or queued, else assemble the
+ * chunks that did finish, else fail it. Returns 'requeued', 'assembled',
+ * 'failed' or 'skipped' when it moved on meanwhile or isn't stuck after all.
+ */
+async function reapChunkedJob(env, parent_job_id, listedJob, idle) {
+  const parentJobManager = new ParentJobManager(env);
+  // The KV mirror may trail the Durable Object, which has the final say
+  const parentJob = await parentJobManager.getParentJob(parent_job_id);
+  if (!parentJob || parentJob.status !== listedJob.status) return 'skipped';
+  const requeues = parentJob.reaper_requeues || 0;
+  
+  const unfinished = (parentJob.sub_jobs || [])
+    .map((sub_job_id, chunk_index) => ({ sub_job_id, chunk_index }))
+    .filter(({ sub_job_id, chunk_index }) => sub_job_id &&
+      parentJob.uploaded_chunk_flags?.[chunk_index] &&
+      !parentJob.completed_chunk_flags?.[chunk_index] &&
+      !parentJob.transcripts?.[chunk_index]?.failed);
+  for (const chunk of unfinished) {
+    chunk.lease = await getJobLeaseState(env, chunk.sub_job_id);
+  }
+  const abandoned = unfinished.filter(({ lease }) => lease === 'abandoned');
+  
+  if (abandoned.length > 0 && requeues < MAX_REAPER_REQUEUES && !parentJob.audio_deleted_at) {
+    const subJobProcessor = new SubJobProcessor(env);
+    const queue = getProcessingQueue(env, getJobPriority(parentJob), { chunk: true });
+    for (const { sub_job_id, chunk_index } of abandoned) {
+      await clearJobLease(env, sub_job_id);
+      await subJobProcessor.updateSubJob(sub_job_id, { status: 'uploaded', processing_started_at: null });
+      await queue.send({ parent_job_id, sub_job_id, chunk_index, trigger: 'reaper' });
+    }
+    // Also restarts the timeout for the re-queued chunks
+    await parentJobManager.updateParentJob(parent_job_id, {
+      reaper_requeues: requeues + 1,
+      last_reaped_at: new Date().toISOString()
+    });
+    
+    apiLogger.warn('Re-queued chunks of stuck chunked upload', {
+      parent_job_id,
+      chunks: abandoned.map(({ chunk_index }) => chunk_index),
+      attempt: requeues + 1
+    });
+    return 'requeued';
+  }
+  
+  // Chunks a consumer is on, or that are still queued behind other work
+  if (unfinished.some(({ lease }) => lease === 'live') ||
+      (unfinished.some(({ lease }) => !lease) && idle < QUEUED_JOB_TIMEOUT)) {
+    return 'skipped';
+  }
+  
+  const reason = parentJob.status === 'uploading' || parentJob.uploaded_chunks < parentJob.total_chunks
+    ? `Only ${parentJob.uploaded_chunks || 0} of ${parentJob.total_chunks} chunks were uploaded`
+    : `${unfinished.length} chunks never finished processing`;
+  
+  if (parentJob.completed_chunks > 0) {
+    try {
+      const assembledResults = await new ChunkAssembler(env).assembleChunks(parentJob);
+      await parentJobManager.completeParentJob(parent_job_id, assembledResults);
+      const completedJob = await parentJobManager.updateParentJob(parent_job_id, {
+        partial: true,
+        partial_reason: `${reason}; assembled from ${parentJob.completed_chunks} of ${parentJob.total_chunks} chunks`
+      });
+      
+      if (completedJob.webhook_url) {
+        await sendWebhook(completedJob.webhook_url, parent_job_id, completedJob);
+      }
+      apiLogger.warn('Assembled partial result of stuck chunked upload', {
+        parent_job_id,
+        completed_chunks: parentJob.completed_chunks,
+        total_chunks: parentJob.total_chunks
+      });
+      return 'assembled';
+    } catch (error) {
+      apiLogger.warn('Partial assembly failed', { parent_job_id, error: error.message });
+    }
+  }
+  
+  await failStuckJob(env, parent_job_id, parentJob, reason);
+  return 'failed';
+}
+
+async function failStuckJob(env, job_id, job, reason) {
+  const failedJob = await updateJobRecord(env, job_id, job, {
+    status: 'failed',
+    error: `Stopped by the stuck job reaper: ${reason}`,
+    failed_at: new Date().toISOString()
+  });
+  
+  if (failedJob.webhook_url) {
+    await sendWebhook(failedJob.webhook_url, job_id, failedJob);
+  }
+  apiLogger.warn('Marked stuck job as failed', { job_id, reason });
+}
+
+// ============================================================================
+// DEAD LETTER QUEUE - messages the processing queue gave up on
+// ============================================================================
+
+const DEAD_LETTER_PREFIX = 'dead_letter_';
+
+// One record per dead message, keyed like the debug chunk records
+const deadLetterKey = (job_id, chunk_index = null) =>
+  `${DEAD_LETTER_PREFIX}${job_id}${chunk_index === null ? '' : `_chunk_${chunk_index}`}`;
+
+/**
+ * DEAD_LETTER_QUEUE names the queue, otherwise any queue ending in -dlq
+ * (see wrangler.toml.example) is taken to be it
+ */
+function isDeadLetterQueue(queueName = '', env) {
+  return env.DEAD_LETTER_QUEUE ? queueName === env.DEAD_LETTER_QUEUE : queueName.endsWith('-dlq');
+}
+
+/**
+ * Note a failed delivery on the job (or the chunk's sub-job) so the dead
+ * letter consumer can say why it ended up there. Never throws.
+ */
+async function recordQueueFailure(env, body, attempts, error) {
+  const last_queue_error = { error: error.message, attempts, failed_at: new Date().toISOString() };
+  
+  try {
+    if (body.sub_job_id) {
+      await new SubJobProcessor(env).updateSubJob(body.sub_job_id, { last_queue_error });
+    } else if (body.job_id) {
+      const job = JSON.parse(await env.GROQ_JOBS_KV.get(body.job_id) || 'null');
+      if (job) await updateJobRecord(env, body.job_id, job, { last_queue_error });
+    }
+  } catch (recordError) {
+    apiLogger.warn('Could not record queue failure', { body, error: recordError.message });
+  }
+}
+
+/**
+ * Consumer for the dead letter queue: store each message with its last error
+ * and attempt count, and mark its job. A job whose own message died is
+ * failed (and its webhook fired); a chunk's death is noted on the parent job,
+ * which carries on with its other chunks.
+ */
+async function handleDeadLetters(batch, env) {
+  for (const msg of batch.messages) {
+    const body = msg.body;
+    const isChunk = Boolean(body.parent_job_id && body.sub_job_id);
+    const job_id = isChunk ? body.parent_job_id : body.job_id;
+    const chunk_index = isChunk ? body.chunk_index ?? null : null;
+    
+    try {
+      const job = job_id ? JSON.parse(await env.GROQ_JOBS_KV.get(job_id) || 'null') : null;
+      const failedRecord = isChunk ? JSON.parse(await env.GROQ_JOBS_KV.get(body.sub_job_id) || 'null') : job;
+      const lastError = failedRecord?.last_queue_error;
+      
+      const deadLetter = {
+        id: deadLetterKey(job_id, chunk_index),
+        job_id,
+        ...(isChunk ? { sub_job_id: body.sub_job_id, chunk_index } : {}),
+        filename: job?.filename || null,
+        owner: job?.owner ?? null,
+        body,
+        error: lastError?.error || 'No error recorded - the consumer crashed or ran out of time',
+        attempts: lastError?.attempts ?? null,
+        dead_lettered_at: new Date().toISOString()
+      };
+      // Kept as long as a finished job would be, or until replayed
+      await env.GROQ_JOBS_KV.put(deadLetter.id, JSON.stringify(deadLetter), {
+        expirationTtl: Math.round(readRetentionSettings(env).transcript_days * 86400),
+        metadata: { job_id, dead_lettered_at: deadLetter.dead_lettered_at }
+      });
+      
+      if (job) {
+        const summary = { error: deadLetter.error, attempts: deadLetter.attempts, dead_lettered_at: deadLetter.dead_lettered_at };
+        if (isChunk) {
+          const chunks = [...new Set([...(job.dead_letter?.chunks || []), chunk_index])];
+          await updateJobRecord(env, job_id, job, { dead_letter: { ...summary, chunks } });
+        } else if (isJobFinished(job) && job.status !== 'failed') {
+          // Failed is what each attempt left behind; the job only gives up now
+          await updateJobRecord(env, job_id, job, { dead_letter: summary });
+        } else {
+          const failedJob = await updateJobRecord(env, job_id, job, {
+            status: 'failed',
+            error: `Gave up after ${deadLetter.attempts ?? 'repeated'} attempts: ${deadLetter.error}`,
+            failed_at: deadLetter.dead_lettered_at,
+            dead_letter: summary
+          });
+          if (failedJob.webhook_url) {
+            await sendWebhook(failedJob.webhook_url, job_id, failedJob);
+          }
+        }
+      }
+      
+      apiLogger.warn('Recorded dead-lettered message', { job_id, chunk_index, error: deadLetter.error, attempts: deadLetter.attempts });
+      msg.ack();
+    } catch (error) {
+      apiLogger.error('Failed to record dead-lettered message', error, { body });
+      msg.retry();
+    }
+  }
+}
+
+/**
+ * List dead-lettered messages, newest first (admin only)
+ * 
+ * curl -H "Authorization: Bearer $ADMIN_API_KEY" http://localhost:8787/admin/dead-letters
+ */
+async function handleListDeadLetters(request, env, auth) {
+  if (!auth?.is_admin) {
+    return authErrorResponse('Forbidden', 'Admin API key required', 403);
+  }
+  
+  const deadLetters = await listDeadLetters(env);
+  return new Response(JSON.stringify({ dead_letters: deadLetters, total: deadLetters.length }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Put dead-lettered messages back on the processing queue (admin only)
+ * POST {"ids": ["dead_letter_..."]} replays those, {"all": true} replays every one
+ */
+async function handleReplayDeadLetters(request, env, auth) {
+  if (!auth?.is_admin) {
+    return authErrorResponse('Forbidden', 'Admin API key required', 403);
+  }
+  
+  const { ids, all = false } = await request.json().catch(() => ({}));
+  if (!all && (!Array.isArray(ids) || ids.length === 0)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid replay request',
+      message: 'Send {"ids": [...]} with dead letter ids from /admin/dead-letters, or {"all": true}'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const deadLetters = all
+    ? await listDeadLetters(env)
+    : await Promise.all(ids.map(async id => JSON.parse(await env.GROQ_JOBS_KV.get(String(id)) || 'null') || { id, missing: true }));
+  
+  const replayed = [];
+  const failed = [];
+  for (const deadLetter of deadLetters) {
+    if (deadLetter.missing || !String(deadLetter.id).startsWith(DEAD_LETTER_PREFIX)) {
+      failed.push({ id: deadLetter.id, error: 'Dead letter not found' });
+      continue;
+    }
+    try {
+      await replayDeadLetter(env, deadLetter);
+      replayed.push(deadLetter.id);
+    } catch (error) {
+      failed.push({ id: deadLetter.id, error: error.message });
+    }
+  }
+  
+  apiLogger.info('dead_letters', `Replayed ${replayed.length} dead-lettered messages`, { replayed: replayed.length, failed: failed.length });
+  
+  return new Response(JSON.stringify({ replayed, failed }), {
+    status: failed.length > 0 && replayed.length === 0 ? 404 : 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+async function listDeadLetters(env) {
+  const deadLetters = [];
+  let cursor = null;
+  while (true) {
+    const list = await env.GROQ_JOBS_KV.list({ prefix: DEAD_LETTER_PREFIX, ...(cursor ? { cursor } : {}) });
+    for (const key of list.keys) {
+      const deadLetter = JSON.parse(await env.GROQ_JOBS_KV.get(key.name) || 'null');
+      if (deadLetter) deadLetters.push(deadLetter);
+    }
+    if (list.list_complete) break;
+    cursor = list.cursor;
+  }
+  
+  return deadLetters.sort((a, b) => b.dead_lettered_at.localeCompare(a.dead_lettered_at));
+}
+
+/**
+ * Reset the job (or chunk sub-job) to 'uploaded' and send its message again
+ */
+async function replayDeadLetter(env, deadLetter) {
+  const { job_id, sub_job_id, chunk_index, body } = deadLetter;
+  const job = JSON.parse(await env.GROQ_JOBS_KV.get(job_id) || 'null');
+  if (!job) {
+    await env.GROQ_JOBS_KV.delete(deadLetter.id);
+    throw new Error('Job no longer exists, dropped its dead letter');
+  }
+  
+  if (sub_job_id) {
+    await new SubJobProcessor(env).updateSubJob(sub_job_id, { status: 'uploaded', processing_started_at: null, last_queue_error: null });
+    // The parent counted the chunk as failed, and may have been assembled without it
+    await new ParentJobManager(env).reopenChunk(job_id, chunk_index);
+    const chunks = (job.dead_letter?.chunks || []).filter(index => index !== chunk_index);
+    await updateJobRecord(env, job_id, job, { dead_letter: chunks.length > 0 ? { ...job.dead_letter, chunks } : null });
+    await getProcessingQueue(env, getJobPriority(job), { chunk: true }).send({ ...body, trigger: 'dead_letter_replay' });
+  } else {
+    // A fanned-out job whose own message died never finished splitting; it
+    // carries on from the chunks it stored
+    await updateJobRecord(env, job_id, job, {
+      status: job.type === 'chunked_upload_streaming' ? 'uploading' : 'uploaded',
+      error: null,
+      failed_at: null,
+      last_queue_error: null,
+      dead_letter: null
+    });
+    await getProcessingQueue(env, getJobPriority(job)).send(body);
+  }
+  
+  await env.GROQ_JOBS_KV.delete(deadLetter.id);
+  apiLogger.info('dead_letters', 'Replayed dead-lettered message', { job_id, chunk_index });
+}
+
+// ============================================================================
+// AUDIO PLAYBACK
+// ============================================================================
+
+const AUDIO_CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  webm: 'audio/webm'
+};
+
+/**
+ * Stream a job's original upload back from R2, honouring Range and
+ * If-None-Match so audio players can seek and cache
+ * GET /audio?job_id=uuid
+ *
+ * Client-sliced chunked uploads never exist as one object, so their chunk
+ * objects are served back to back as a single virtual file.
  */
-async function handleDeleteJob(request, env) {
+async function handleAudio(request, env) {
+  const url = new URL(request.url);
+  const job_id = url.searchParams.get('job_id');
+  const job = job_id ? JSON.parse(await env.GROQ_JOBS_KV.get(job_id) || 'null') : null;
+  
+  if (!job) {
+    return new Response(JSON.stringify({ error: 'Job not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
   try {
-    const { job_id } = await request.json();
+    const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+    const s3Client = createS3Client(env);
     
-    if (!job_id) {
-      return new Response(JSON.stringify({ 
-        error: 'Missing job_id' 
-      }), { 
-        status: 400,
+    const source = await resolveAudioSource(job, s3Client, bucketName);
+    if (source.error) {
+      return new Response(JSON.stringify({ error: 'No audio', message: source.error }), {
+        status: source.status,
         headers: { 'Content-Type': 'application/json' }
       });
     }
     
-    // Get job data first
-    const jobData = await env.GROQ_JOBS_KV.get(job_id);
-    if (!jobData) {
-      return new Response(JSON.stringify({ 
-        error: 'Job not found' 
-      }), { 
-        status: 404,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
+    const ext = (job.filename || '').split('.').pop()?.toLowerCase();
+    const headers = {
+      'Content-Type': AUDIO_CONTENT_TYPES[ext] || source.contentType || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      'ETag': source.etag,
+      'Cache-Control': 'private, max-age=3600'
+    };
     
-    const job = JSON.parse(jobData);
-    const bucketName = env.R2_BUCKET_NAME || (env.ENVIRONMENT === 'development' ? 'groq-whisper-audio-preview' : 'groq-whisper-audio');
+    if (etagMatches(request.headers.get('If-None-Match'), source.etag)) {
+      return new Response(null, { status: 304, headers });
+    }
     
-    // Delete from R2 if file exists
-    if (job.key) {
-      try {
-        const s3Client = createS3Client(env);
-        const deleteCmd = new DeleteObjectCommand({ 
-          Bucket: bucketName, 
-          Key: job.key 
-        });
-        await s3Client.send(deleteCmd);
-        apiLogger.info('delete', `Deleted R2 file`, { key: job.key });
-              } catch (error) {
-          apiLogger.warn(`Failed to delete R2 file`, { 
-            key: job.key, 
-            error: error.message 
-          });
-          // Continue with KV deletion even if R2 deletion fails
-        }
+    const range = parseRangeHeader(request.headers.get('Range'), source.size);
+    if (range === 'unsatisfiable') {
+      return new Response(null, {
+        status: 416,
+        headers: { ...headers, 'Content-Range': `bytes */${source.size}` }
+      });
     }
     
-    // Delete from KV
-    await env.GROQ_JOBS_KV.delete(job_id);
+    const start = range ? range.start : 0;
+    const end = range ? range.end : source.size - 1;
+    headers['Content-Length'] = String(source.size === 0 ? 0 : end - start + 1);
+    if (range) {
+      headers['Content-Range'] = `bytes ${start}-${end}/${source.size}`;
+    }
     
+    const body = source.size === 0 ? null : streamAudioParts(s3Client, bucketName, source.parts, start, end);
+    return new Response(body, { status: range ? 206 : 200, headers });
+  } catch (error) {
+    apiLogger.error('Failed to stream audio', error, { job_id });
     return new Response(JSON.stringify({
-      message: 'Job deleted successfully',
-      job_id,
-      deleted_file: job.key || null,
-      filename: job.filename || 'Unknown'
+      error: 'Failed to stream audio',
+      message: error.message
     }), {
-      status: 200,
-      headers: { 'Content-Type': 'application/json' }
-    });
-    
-  } catch (error) {
-    return new Response(JSON.stringify({ 
-      error: 'Failed to delete job', 
-      message: error.message 
-    }), { 
       status: 500,
       headers: { 'Content-Type': 'application/json' }
     });
@@ -1852,90 +3338,125 @@ async function handleDeleteJob(request, env) {
 }
 
 /**
- * Save a completed streaming job to KV storage
- * This allows streaming jobs to be accessible from other systems (CLI, etc.)
+ * Where a job's audio lives: { parts: [{ key, size }], size, etag, contentType },
+ * or { error, status } when there is nothing to play
  */
-async function handleSaveStreamingJob(request, env) {
-  try {
-    const data = await request.json();
+async function resolveAudioSource(job, s3Client, bucketName) {
+  if (job.audio_deleted_at) {
+    return { error: `The audio was deleted by the retention policy at ${job.audio_deleted_at}`, status: 410 };
+  }
+  
+  if (job.key) {
+    const head = await s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: job.key }));
+    return {
+      parts: [{ key: job.key, size: head.ContentLength }],
+      size: head.ContentLength,
+      etag: head.ETag,
+      contentType: head.ContentType
+    };
+  }
+  
+  if (job.type === 'chunked_upload_streaming') {
+    if (job.uploaded_chunk_flags?.some(uploaded => !uploaded)) {
+      return { error: 'Not every chunk has been uploaded yet', status: 409 };
+    }
     
-    if (!data.job_id || !data.filename) {
-      return new Response(JSON.stringify({ 
-        error: 'Missing required fields: job_id, filename' 
-      }), { 
-        status: 400,
-        headers: { 'Content-Type': 'application/json' }
+    // Chunk objects are contiguous slices of the original file, cut by the same
+    // plan the upload used, so their sizes are known without asking R2
+    const ext = job.filename.split('.').pop() || 'mp3';
+    const parts = [];
+    for (let start = 0, index = 0; start < job.total_size; start += job.chunk_size_bytes, index++) {
+      parts.push({
+        key: `uploads/${job.job_id}/chunk.${index}.${ext}`,
+        size: Math.min(job.chunk_size_bytes, job.total_size - start)
       });
     }
-
-    // Create a job object compatible with regular jobs
-    const jobData = {
-      job_id: data.job_id,
-      filename: data.filename,
-      status: 'done',
-      file_size: data.file_size || 0,
-      processing_method: 'streaming',
-      upload_method: 'streaming',
-      created_at: data.created_at || new Date().toISOString(),
-      completed_at: data.completed_at || new Date().toISOString(),
-      
-      // Transcription results
-      final_transcript: data.final_transcript || '',
-      raw_transcript: data.raw_transcript || '',
-      corrected_transcript: data.corrected_transcript || '',
-      total_segments: data.total_segments || 0,
-      
-      // Add transcripts array to match direct/chunked upload format
-      // Use provided transcripts if available, otherwise create fallback
-      transcripts: data.transcripts && data.transcripts.length > 0 ? data.transcripts : [{
-        text: data.final_transcript || '',
-        raw_text: data.raw_transcript || '',
-        segments: [], // Streaming doesn't provide detailed segments unless passed from client
-        start: 0,
-        duration: data.file_size || 0,
-        chunk_index: 'streaming'
-      }],
-      
-      // Processing settings
-      use_llm: data.use_llm || false,
-      llm_mode: data.llm_mode || 'disabled',
-      chunk_size_mb: data.chunk_size_mb || 1,
-      
-      // Additional metadata
-      progress: 100,
-      source_url: data.source_url || null,
-      
-      // No file key since streaming jobs don't upload files to R2
-      key: null
+    
+    return {
+      parts,
+      size: job.total_size,
+      etag: `"${job.job_id}-${job.total_size}"`,
+      contentType: null
     };
+  }
+  
+  return { error: 'This job has no stored upload to play back', status: 404 };
+}
 
-    // Save to KV storage
-    await env.GROQ_JOBS_KV.put(data.job_id, JSON.stringify(jobData));
-    
-    apiLogger.info('complete', 'Saved streaming job to KV', { 
-      job_id: data.job_id, 
-      filename: data.filename,
-      transcript_length: data.final_transcript?.length || 0
-    });
-    
-    return new Response(JSON.stringify({
-      message: 'Streaming job saved successfully',
-      job_id: data.job_id
-    }), {
-      status: 200,
-      headers: { 'Content-Type': 'application/json' }
-    });
-    
-  } catch (error) {
-    apiLogger.error('Failed to save streaming job', error);
-    return new Response(JSON.stringify({ 
-      error: 'Failed to save streaming job', 
-      message: error.message 
-    }), { 
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+/**
+ * Body for bytes start..end (inclusive) of the parts laid end to end, fetching
+ * each part with a ranged GET only when the reader gets to it
+ */
+function streamAudioParts(s3Client, bucketName, parts, start, end) {
+  const pieces = [];
+  let offset = 0;
+  for (const part of parts) {
+    const partStart = Math.max(start - offset, 0);
+    const partEnd = Math.min(end - offset, part.size - 1);
+    if (partStart <= partEnd) {
+      pieces.push({ key: part.key, range: `bytes=${partStart}-${partEnd}` });
+    }
+    offset += part.size;
+  }
+  
+  let reader = null;
+  return new ReadableStream({
+    async pull(controller) {
+      while (true) {
+        if (!reader) {
+          const piece = pieces.shift();
+          if (!piece) {
+            controller.close();
+            return;
+          }
+          const object = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: piece.key, Range: piece.range }));
+          reader = object.Body.getReader();
+        }
+        
+        const { done, value } = await reader.read();
+        if (!done) {
+          controller.enqueue(value);
+          return;
+        }
+        reader = null;
+      }
+    },
+    cancel() {
+      return reader?.cancel();
+    }
+  });
+}
+
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+  // Weak comparison, as If-None-Match calls for
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+/**
+ * Parse a single-range "bytes=start-end" header (open-ended and suffix forms
+ * included). Returns null for no/ignored range, 'unsatisfiable' when it can't
+ * be served, else { start, end } inclusive.
+ */
+function parseRangeHeader(header, totalSize) {
+  const match = header?.match(/^bytes=(\d*)-(\d*)$/);
+  // Multi-range and malformed headers get the whole file, as RFC 9110 allows
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  
+  let start, end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(totalSize - Number(match[2]), 0);
+    end = totalSize - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? totalSize - 1 : Math.min(Number(match[2]), totalSize - 1);
   }
+  
+  if (start >= totalSize || start > end) return 'unsatisfiable';
+  return { start, end };
 }
 
 /**
@@ -2238,176 +3759,3 @@ async function handleDebugChunkDownload(request, env) {
     });
   }
 }
-
-/**
- * Create MP3 chunks aligned to frame boundaries for API compatibility
- */
-function createMP3Chunks(buffer, chunkSize) {
-  const chunks = [];
-  const framePositions = findMP3FramePositions(buffer);
-  
-  if (framePositions.length === 0) {
-    processingLogger.warn('No MP3 frames found, falling back to simple chunking');
-    return createChunks(buffer, chunkSize);
-  }
-  
-  const overlapFrames = Math.max(1, Math.floor(framePositions.length * 0.02)); // 2% overlap in frames
-  
-  let frameIndex = 0;
-  while (frameIndex < framePositions.length) {
-    const startPos = framePositions[frameIndex];
-    let endFrameIndex = frameIndex;
-    let currentSize = 0;
-    
-    // Find the end frame that doesn't exceed chunk size
-    while (endFrameIndex < framePositions.length - 1) {
-      const nextFrameStart = framePositions[endFrameIndex + 1];
-      const sizeWithNextFrame = nextFrameStart - startPos;
-      
-      if (sizeWithNextFrame > chunkSize) break;
-      
-      endFrameIndex++;
-      currentSize = sizeWithNextFrame;
-    }
-    
-    // Ensure we have at least one frame
-    if (endFrameIndex === frameIndex && frameIndex < framePositions.length - 1) {
-      endFrameIndex = frameIndex + 1;
-      currentSize = framePositions[endFrameIndex] - startPos;
-    } else if (endFrameIndex === frameIndex) {
-      // Last frame
-      currentSize = buffer.length - startPos;
-    }
-    
-    const endPos = endFrameIndex < framePositions.length - 1 ? 
-      framePositions[endFrameIndex + 1] : buffer.length;
-    
-    const chunkData = buffer.slice(startPos, endPos);
-    
-    chunks.push({
-      start: startPos,
-      end: endPos,
-      data: chunkData,
-      hasOverlap: frameIndex > 0,
-      isPlayable: true,
-      frameCount: endFrameIndex - frameIndex + 1
-    });
-    
-    // Move to next chunk with overlap
-    frameIndex = Math.max(frameIndex + 1, endFrameIndex + 1 - overlapFrames);
-    
-    if (endPos >= buffer.length) break;
-  }
-  
-  return chunks;
-}
-
-/**
- * Find MP3 frame positions by looking for sync words
- */
-function findMP3FramePositions(buffer) {
-  const positions = [];
-  const view = new DataView(buffer.buffer || buffer);
-  
-  for (let i = 0; i < buffer.length - 4; i++) {
-    // Look for MP3 sync word: 0xFF followed by 0xE0-0xFF (first 11 bits set)
-    if (buffer[i] === 0xFF && (buffer[i + 1] & 0xE0) === 0xE0) {
-      // Validate it's a real frame header
-      const frameInfo = parseMP3FrameHeader(view, i);
-      if (frameInfo && frameInfo.frameSize > 0) {
-        positions.push(i);
-        // Skip to next potential frame
-        i += frameInfo.frameSize - 1;
-      }
-    }
-  }
-  
-  return positions;
-}
-
-/**
- * Parse MP3 frame header to get frame size
- */
-function parseMP3FrameHeader(view, offset) {
-  try {
-    if (offset + 4 > view.byteLength) return null;
-    
-    const header = view.getUint32(offset, false); // Big endian
-    
-    // Check sync word (first 11 bits)
-    if ((header >>> 21) !== 0x7FF) return null;
-    
-    // Extract fields
-    const version = (header >>> 19) & 0x3;
-    const layer = (header >>> 17) & 0x3;
-    const bitrateIndex = (header >>> 12) & 0xF;
-    const samplingRateIndex = (header >>> 10) & 0x3;
-    const padding = (header >>> 9) & 0x1;
-    
-    // Skip invalid combinations
-    if (version === 1 || layer === 0 || bitrateIndex === 0 || bitrateIndex === 15 || samplingRateIndex === 3) {
-      return null;
-    }
-    
-    // Bitrate table (simplified for common cases)
-    const bitrates = {
-      // MPEG1 Layer III
-      '3-1': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 0],
-      // MPEG2 Layer III  
-      '2-1': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160, 0]
-    };
-    
-    // Sample rates
-    const sampleRates = {
-      3: [44100, 48000, 32000], // MPEG1
-      2: [22050, 24000, 16000], // MPEG2
-      0: [11025, 12000, 8000]   // MPEG2.5
-    };
-    
-    const versionKey = version === 3 ? 3 : 2;
-    const layerKey = 4 - layer;
-    const bitrateKey = `${versionKey}-${layerKey}`;
-    
-    const bitrate = bitrates[bitrateKey]?.[bitrateIndex];
-    const sampleRate = sampleRates[versionKey]?.[samplingRateIndex];
-    
-    if (!bitrate || !sampleRate) return null;
-    
-    // Calculate frame size
-    const samplesPerFrame = version === 3 ? 1152 : 576; // MPEG1 vs MPEG2
-    const frameSize = Math.floor((samplesPerFrame * bitrate * 1000 / 8) / sampleRate) + padding;
-    
-    return { frameSize, bitrate, sampleRate };
-  } catch (error) {
-    return null;
-  }
-}
-
-/**
- * Create MP4/M4A chunks (placeholder - complex container format)
- */
-function createMP4Chunks(buffer, chunkSize) {
-  // MP4 chunking is very complex as it requires parsing the container structure
-  // For now, fall back to simple chunking with a warning
-  processingLogger.warn('MP4/M4A chunking not yet implemented, using simple chunking (may cause API errors)');
-  processingLogger.info('Consider converting MP4/M4A files to WAV or MP3 for better chunking support');
-  return createChunks(buffer, chunkSize);
-}
-
-/**
- * Create FLAC chunks (placeholder)
- */
-function createFLACChunks(buffer, chunkSize) {
-  // FLAC chunking requires frame boundary detection
-  processingLogger.warn('FLAC chunking not yet implemented, using simple chunking (may cause API errors)');
-  return createChunks(buffer, chunkSize);
-}
-
-/**
- * Create OGG chunks (placeholder)
- */
-function createOGGChunks(buffer, chunkSize) {
-  // OGG chunking requires page boundary detection
-  processingLogger.warn('OGG chunking not yet implemented, using simple chunking (may cause API errors)');
-  return createChunks(buffer, chunkSize);
-}
\ No newline at end of file
@@ -38,7 +38,7 @@ export class JobManager {
       const loader = new LoadingIndicator();
       loader.start('📋 Fetching job list...', 'dots', '\x1b[36m');
 
-      const response = await fetch(url);
+      const response = await fetch(url, { headers: this.cli.authHeaders() });
       const result = await response.json();
       
       loader.stop();
@@ -105,7 +105,7 @@ export class JobManager {
 
     while (true) {
       try {
-        const response = await fetch(`${this.baseUrl}/status?job_id=${jobId}`);
+        const response = await fetch(`${this.baseUrl}/status?job_id=${jobId}`, { headers: this.cli.authHeaders() });
         const status = await response.json();
 
         if (!response.ok) {
@@ -193,7 +193,7 @@ export class JobManager {
       const loader = new LoadingIndicator();
       loader.start('📄 Fetching transcription results...', 'wave', '\x1b[32m');
       
-      const response = await fetch(`${this.baseUrl}/result?job_id=${jobId}`);
+      const response = await fetch(`${this.baseUrl}/result?job_id=${jobId}`, { headers: this.cli.authHeaders() });
       const result = await response.json();
       
       loader.stop();
@@ -219,6 +219,13 @@ export class JobManager {
       console.log(result.final || 'No transcript available');
       console.log('─'.repeat(80));
 
+      if (result.translated_transcript) {
+        console.log('\n🌐 English Translation:');
+        console.log('─'.repeat(80));
+        console.log(result.translated_transcript);
+        console.log('─'.repeat(80));
+      }
+
       // Show partial results if available
       if (result.partials && result.partials.length > 1) {
         console.log(`\n📊 Processing Details (${result.partials.length} chunks):`);
@@ -244,12 +251,24 @@ export class JobManager {
       // Ask to save results
       const save = await this.cli.question('\nSave transcript to file? (Y/n): ');
       if (save.trim() === '' || save.toLowerCase().startsWith('y')) {
-        const filename = await this.cli.question('Enter filename (default: transcript.txt): ');
+        const filename = await this.cli.question('Enter filename (default: transcript.txt, use .srt/.vtt/.ttml for subtitles): ');
         const outputFile = filename.trim() || 'transcript.txt';
+        const subtitleFormat = outputFile.toLowerCase().match(/\.(srt|vtt|ttml)$/)?.[1];
         
         try {
           const fs = await import('fs');
-          fs.writeFileSync(outputFile, result.final || 'No transcript available');
+          
+          if (subtitleFormat) {
+            const subtitleResponse = await fetch(`${this.baseUrl}/result?job_id=${jobId}&format=${subtitleFormat}`, { headers: this.cli.authHeaders() });
+            if (!subtitleResponse.ok) {
+              const error = await subtitleResponse.json().catch(() => ({}));
+              console.log(`❌ Subtitle export failed: ${error.message || error.error || subtitleResponse.statusText}`);
+              return;
+            }
+            fs.writeFileSync(outputFile, await subtitleResponse.text());
+          } else {
+            fs.writeFileSync(outputFile, result.final || 'No transcript available');
+          }
           console.log(`✅ Transcript saved to: ${outputFile}`);
         } catch (error) {
           console.log(`❌ Error saving file: ${error.message}`);
@@ -283,7 +302,7 @@ export class JobManager {
       
       const response = await fetch(`${this.baseUrl}/delete-job`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.cli.authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ job_id: jobId.trim() })
       });
 
@@ -0,0 +1,167 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { S3Client } from '@aws-sdk/client-s3';
+import worker from '../src/index.js';
+import { createLocalParentJobNamespace } from '../src/chunked-streaming/core/parent-job-object.js';
+import { ParentJobManager } from '../src/chunked-streaming/core/parent-job-manager.js';
+
+// KV with the prefix listing and metadata the dead letter routes read
+class MemoryKV {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key)?.value ?? null;
+  }
+
+  async put(key, value, { metadata = null } = {}) {
+    this.entries.set(key, { value, metadata });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list({ prefix = '' } = {}) {
+    const keys = [...this.entries.keys()].filter(key => key.startsWith(prefix)).sort()
+      .map(name => ({ name, metadata: this.entries.get(name).metadata }));
+    return { keys, list_complete: true };
+  }
+
+  read(key) {
+    return JSON.parse(this.entries.get(key)?.value ?? 'null');
+  }
+}
+
+const message = (body, attempts = 1) => ({
+  body,
+  attempts,
+  acked: false,
+  retried: false,
+  ack() { this.acked = true; },
+  retry() { this.retried = true; }
+});
+
+describe('dead letter queue', () => {
+  let env;
+  let sent;
+  const send = S3Client.prototype.send;
+
+  beforeEach(async () => {
+    sent = [];
+    env = {
+      AUTH_DISABLED: 'true',
+      GROQ_API_KEY: 'test-key',
+      GROQ_JOBS_KV: new MemoryKV(),
+      GROQ_PROCESSING_QUEUE: { send: async body => { sent.push({ queue: 'processing', body }); } },
+      CHUNK_PROCESSING_QUEUE: { send: async body => { sent.push({ queue: 'chunk', body }); } }
+    };
+    env.PARENT_JOBS = createLocalParentJobNamespace(env);
+
+    // The uploaded audio is gone, so every attempt at the job fails
+    S3Client.prototype.send = async () => {
+      throw Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' });
+    };
+
+    await env.GROQ_JOBS_KV.put('job-1', JSON.stringify({
+      status: 'uploaded',
+      filename: 'talk.mp3',
+      key: 'uploads/job-1/talk.mp3',
+      created_at: new Date().toISOString()
+    }));
+  });
+
+  afterEach(() => {
+    S3Client.prototype.send = send;
+  });
+
+  const replay = body => worker.fetch(new Request('http://localhost/admin/dead-letters/replay', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }), env, {});
+
+  test('a failed job goes back to the queue with its error recorded', async () => {
+    await assert.rejects(
+      worker.queue({ queue: 'groq-processing-queue', messages: [message({ job_id: 'job-1' }, 3)] }, env),
+      /NoSuchKey/
+    );
+
+    const job = env.GROQ_JOBS_KV.read('job-1');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.last_queue_error.error, 'NoSuchKey');
+    assert.equal(job.last_queue_error.attempts, 3);
+  });
+
+  test('the consumer stores the dead message and fails its job', async () => {
+    await worker.queue({ queue: 'groq-processing-queue', messages: [message({ job_id: 'job-1' }, 3)] }, env).catch(() => {});
+
+    const dead = message({ job_id: 'job-1' });
+    await worker.queue({ queue: 'groq-processing-dlq', messages: [dead] }, env);
+
+    assert.ok(dead.acked);
+    const deadLetter = env.GROQ_JOBS_KV.read('dead_letter_job-1');
+    assert.equal(deadLetter.error, 'NoSuchKey');
+    assert.equal(deadLetter.attempts, 3);
+    assert.deepEqual(deadLetter.body, { job_id: 'job-1' });
+
+    const job = env.GROQ_JOBS_KV.read('job-1');
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /^Gave up after 3 attempts: NoSuchKey/);
+    assert.equal(job.dead_letter.attempts, 3);
+  });
+
+  test('a dead chunk is noted on its parent, which stays in processing', async () => {
+    await new ParentJobManager(env).createParentJob({ job_id: 'parent-1', filename: 'long.wav', total_size: 1, chunk_size_mb: 10 });
+    await new ParentJobManager(env).updateParentJob('parent-1', { status: 'processing', total_chunks: 2 });
+    await env.GROQ_JOBS_KV.put('sub-1', JSON.stringify({ status: 'failed', parent_job_id: 'parent-1', chunk_index: 1 }));
+
+    const dead = message({ parent_job_id: 'parent-1', sub_job_id: 'sub-1', chunk_index: 1 });
+    await worker.queue({ queue: 'groq-processing-dlq', messages: [dead] }, env);
+
+    assert.ok(dead.acked);
+    assert.ok(env.GROQ_JOBS_KV.read('dead_letter_parent-1_chunk_1'));
+    const parentJob = env.GROQ_JOBS_KV.read('parent-1');
+    assert.equal(parentJob.status, 'processing');
+    assert.deepEqual(parentJob.dead_letter.chunks, [1]);
+  });
+
+  test('replaying by id requeues that job and drops its dead letter', async () => {
+    await worker.queue({ queue: 'groq-processing-dlq', messages: [message({ job_id: 'job-1' })] }, env);
+
+    const response = await replay({ ids: ['dead_letter_job-1', 'dead_letter_missing'] });
+    assert.equal(response.status, 200);
+    const { replayed, failed } = await response.json();
+    assert.deepEqual(replayed, ['dead_letter_job-1']);
+    assert.deepEqual(failed, [{ id: 'dead_letter_missing', error: 'Dead letter not found' }]);
+
+    assert.deepEqual(sent, [{ queue: 'processing', body: { job_id: 'job-1' } }]);
+    assert.equal(env.GROQ_JOBS_KV.read('dead_letter_job-1'), null);
+    const job = env.GROQ_JOBS_KV.read('job-1');
+    assert.equal(job.status, 'uploaded');
+    assert.equal(job.error, null);
+    assert.equal(job.dead_letter, null);
+  });
+
+  test('replaying all requeues every dead letter', async () => {
+    await env.GROQ_JOBS_KV.put('job-2', JSON.stringify({ status: 'processing', filename: 'other.mp3' }));
+    await worker.queue({
+      queue: 'groq-processing-dlq',
+      messages: [message({ job_id: 'job-1' }), message({ job_id: 'job-2' })]
+    }, env);
+
+    const response = await replay({ all: true });
+    const { replayed, failed } = await response.json();
+    assert.deepEqual(replayed.sort(), ['dead_letter_job-1', 'dead_letter_job-2']);
+    assert.deepEqual(failed, []);
+    assert.deepEqual(sent.map(({ body }) => body.job_id).sort(), ['job-1', 'job-2']);
+    assert.deepEqual((await env.GROQ_JOBS_KV.list({ prefix: 'dead_letter_' })).keys, []);
+  });
+
+  test('replay needs ids or all', async () => {
+    const response = await replay({});
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid replay request');
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDiarizer, getDiarizationConfigError, diarizeChunk, labelSpeakers, formatSpeakerTranscript } from '../src/core/diarization.js';
+
+const MOCK_ENV = { DIARIZATION_PROVIDER: 'mock' };
+
+/**
+ * Whisper-style segments, one per [start, end, text]
+ */
+const segmentsOf = (...spans) => spans.map(([start, end, text]) => ({ start, end, text }));
+
+describe('mock diarizer', () => {
+  test('switches speaker at every pause of a second or more', async () => {
+    const turns = await getDiarizer(MOCK_ENV).diarize(new Uint8Array(0), {
+      segments: segmentsOf([0, 2, 'a'], [2.2, 4, 'b'], [5.5, 7, 'c'], [7.1, 8, 'd'], [9.5, 10, 'e'])
+    });
+
+    assert.deepEqual(turns.map(({ start, end, speaker }) => ({ start, end, speaker })), [
+      { start: 0, end: 4, speaker: 'A' },
+      { start: 5.5, end: 8, speaker: 'B' },
+      { start: 9.5, end: 10, speaker: 'A' }
+    ]);
+  });
+
+  test('tags each voice with a fixed embedding', async () => {
+    const turns = await diarizeChunk(MOCK_ENV, new Uint8Array(0), { segments: segmentsOf([0, 1, 'a'], [3, 4, 'b']) });
+    assert.deepEqual(turns.map(turn => turn.embedding), [[1, 0], [0, 1]]);
+  });
+});
+
+describe('diarizeChunk', () => {
+  test('yields no turns for a misconfigured provider instead of throwing', async () => {
+    assert.deepEqual(await diarizeChunk({ DIARIZATION_PROVIDER: 'nope' }, new Uint8Array(0)), []);
+    assert.match(getDiarizationConfigError({ DIARIZATION_PROVIDER: 'nope' }), /Unknown diarization provider/);
+  });
+
+  test('yields no turns when diarization is not configured', async () => {
+    assert.deepEqual(await diarizeChunk({}, new Uint8Array(0)), []);
+    assert.ok(getDiarizationConfigError({}));
+    assert.equal(getDiarizationConfigError(MOCK_ENV), null);
+  });
+});
+
+describe('labelSpeakers', () => {
+  test('maps chunk-local speakers onto job-wide labels through the audio chunks share', () => {
+    // Chunk 1 starts at 28s and overlaps chunk 0 by 2s. Its local speaker 'x'
+    // is heard in the shared audio where chunk 0 heard 'B'.
+    const chunks = labelSpeakers([
+      {
+        start: 0,
+        segments: segmentsOf([0, 10, 'hello'], [12, 29.5, 'there']),
+        speaker_turns: [{ start: 0, end: 10, speaker: 'A' }, { start: 12, end: 29.5, speaker: 'B' }]
+      },
+      {
+        start: 28,
+        segments: segmentsOf([28, 40, 'still me'], [42, 50, 'someone new']),
+        speaker_turns: [{ start: 0, end: 12, speaker: 'x' }, { start: 14, end: 22, speaker: 'y' }]
+      }
+    ]);
+
+    assert.deepEqual(chunks[0].segments.map(segment => segment.speaker), ['Speaker 1', 'Speaker 2']);
+    assert.deepEqual(chunks[1].segments.map(segment => segment.speaker), ['Speaker 2', 'Speaker 3']);
+    // Turns come back absolute and labelled
+    assert.deepEqual(chunks[1].speaker_turns, [
+      { start: 28, end: 40, speaker: 'Speaker 2' },
+      { start: 42, end: 50, speaker: 'Speaker 3' }
+    ]);
+  });
+
+  test('matches speakers by embedding when chunks share no audio', () => {
+    const chunks = labelSpeakers([
+      {
+        start: 0,
+        segments: segmentsOf([0, 5, 'one'], [6, 10, 'two']),
+        speaker_turns: [{ start: 0, end: 5, speaker: 'A', embedding: [1, 0] }, { start: 6, end: 10, speaker: 'B', embedding: [0, 1] }]
+      },
+      {
+        start: 10,
+        segments: segmentsOf([10, 15, 'three'], [16, 20, 'four']),
+        speaker_turns: [{ start: 0, end: 5, speaker: 'p', embedding: [0.1, 0.9] }, { start: 6, end: 10, speaker: 'q', embedding: [0.95, 0.05] }]
+      }
+    ]);
+
+    assert.deepEqual(chunks[1].segments.map(segment => segment.speaker), ['Speaker 2', 'Speaker 1']);
+  });
+
+  test('labels mock diarizer turns consistently across chunks', async () => {
+    // Two chunks of the same conversation, the second starting 30s in
+    const chunkSegments = [
+      segmentsOf([0, 8, 'a1'], [10, 18, 'b1'], [20, 29, 'a2']),
+      segmentsOf([0, 6, 'a3'], [8, 15, 'b2'])
+    ];
+    const timeline = [];
+    for (const [i, segments] of chunkSegments.entries()) {
+      const start = i * 30;
+      timeline.push({
+        start,
+        segments: segments.map(segment => ({ ...segment, start: segment.start + start, end: segment.end + start })),
+        speaker_turns: await diarizeChunk(MOCK_ENV, new Uint8Array(0), { segments })
+      });
+    }
+
+    const speakers = labelSpeakers(timeline).flatMap(chunk => chunk.segments.map(segment => `${segment.text}:${segment.speaker}`));
+    assert.deepEqual(speakers, ['a1:Speaker 1', 'b1:Speaker 2', 'a2:Speaker 1', 'a3:Speaker 1', 'b2:Speaker 2']);
+  });
+});
+
+describe('formatSpeakerTranscript', () => {
+  test('joins consecutive segments of one speaker and drops overlap repeats', () => {
+    const transcript = formatSpeakerTranscript([
+      { start: 0, end: 2, text: ' Hi.', speaker: 'Speaker 1' },
+      { start: 2, end: 4, text: ' How are you?', speaker: 'Speaker 1' },
+      { start: 4, end: 6, text: ' Fine.', speaker: 'Speaker 2' },
+      { start: 4.5, end: 5.5, text: ' Fine.', speaker: 'Speaker 2' }, // Same audio from the next chunk
+      { start: 7, end: 8, text: ' Good.' }
+    ]);
+
+    assert.equal(transcript, 'Speaker 1: Hi. How are you?\n\nSpeaker 2: Fine.\n\nUnknown speaker: Good.');
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { S3Client } from '@aws-sdk/client-s3';
+import worker from '../src/index.js';
+import { createLocalParentJobNamespace } from '../src/chunked-streaming/core/parent-job-object.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * 16-bit mono 16kHz WAV of silence, big enough to be fanned out
+ */
+function createWAV(dataSize) {
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, text) => [...text].forEach((char, i) => { bytes[offset + i] = char.charCodeAt(0); });
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true);
+  view.setUint32(24, 16000, true);
+  view.setUint32(28, 32000, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  ascii(36, 'data');
+  view.setUint32(40, dataSize, true);
+  return bytes;
+}
+
+describe('fanning out a large upload', () => {
+  const send = S3Client.prototype.send;
+  let env;
+  let kv;
+  let objects;
+  let queued;
+  let failPut;
+  let failSend;
+
+  beforeEach(async () => {
+    kv = new Map();
+    objects = new Map([['uploads/job-1/long.wav', createWAV(16 * MB)]]);
+    queued = [];
+    failPut = null;
+    failSend = null;
+    const queue = {
+      sendBatch: async messages => {
+        if (failSend?.(messages)) throw new Error('Queue unavailable');
+        queued.push(...messages.map(({ body }) => body));
+      }
+    };
+    env = {
+      GROQ_API_KEY: 'test-key',
+      GROQ_JOBS_KV: {
+        get: async key => kv.get(key) ?? null,
+        put: async (key, value) => { kv.set(key, value); },
+        delete: async key => { kv.delete(key); }
+      },
+      GROQ_PROCESSING_QUEUE: queue,
+      CHUNK_PROCESSING_QUEUE: queue
+    };
+    env.PARENT_JOBS = createLocalParentJobNamespace(env);
+
+    // R2: ranged reads of the upload, chunk writes that can be made to fail
+    S3Client.prototype.send = async function (command) {
+      const { Key, Range, Body } = command.input;
+      switch (command.constructor.name) {
+        case 'HeadObjectCommand':
+          return { ContentLength: objects.get(Key).byteLength };
+        case 'GetObjectCommand': {
+          const [start, end] = Range.slice('bytes='.length).split('-').map(Number);
+          return { Body: objects.get(Key).slice(start, end + 1) };
+        }
+        case 'PutObjectCommand':
+          if (failPut?.(Key)) throw new Error('R2 unavailable');
+          objects.set(Key, Body);
+          return {};
+        default:
+          throw new Error(`Unexpected ${command.constructor.name}`);
+      }
+    };
+
+    kv.set('job-1', JSON.stringify({
+      status: 'uploaded',
+      filename: 'long.wav',
+      key: 'uploads/job-1/long.wav',
+      chunk_size_mb: 4,
+      created_at: new Date().toISOString()
+    }));
+  });
+
+  afterEach(() => {
+    S3Client.prototype.send = send;
+  });
+
+  const setChunkSize = chunk_size_mb => kv.set('job-1', JSON.stringify({ ...readJob(), chunk_size_mb }));
+  const deliver = () => worker.queue({ queue: 'groq-processing-queue', messages: [{ body: { job_id: 'job-1' }, attempts: 1 }] }, env);
+  const readJob = () => JSON.parse(kv.get('job-1'));
+
+  test('queues one message per chunk', async () => {
+    await deliver();
+
+    const job = readJob();
+    assert.equal(job.type, 'chunked_upload_streaming');
+    assert.equal(job.status, 'processing');
+    assert.ok(job.total_chunks >= 4);
+    assert.equal(job.sub_jobs.length, job.total_chunks);
+    assert.deepEqual(queued.map(body => body.chunk_index), [...job.sub_jobs.keys()]);
+    assert.deepEqual(queued.map(body => body.sub_job_id), job.sub_jobs);
+  });
+
+  test('a redelivery keeps the chunks stored before it was cut off', async () => {
+    const written = [];
+    failPut = key => {
+      if (key.includes('chunk.2.')) return true;
+      written.push(key);
+      return false;
+    };
+    await assert.rejects(deliver(), /R2 unavailable/);
+
+    const interrupted = readJob();
+    assert.equal(interrupted.status, 'failed');
+    assert.equal(interrupted.sub_jobs.length, 2);
+    assert.deepEqual(written, ['uploads/job-1/chunk.0.wav', 'uploads/job-1/chunk.1.wav']);
+    assert.deepEqual(queued, []);
+
+    written.length = 0;
+    failPut = key => {
+      written.push(key);
+      return false;
+    };
+    await deliver();
+
+    const job = readJob();
+    assert.equal(job.status, 'processing');
+    assert.deepEqual(job.sub_jobs.slice(0, 2), interrupted.sub_jobs);
+    assert.deepEqual(job.resumed_chunks, [0, 1]);
+    assert.ok(!written.includes('uploads/job-1/chunk.0.wav'));
+    assert.ok(!written.includes('uploads/job-1/chunk.1.wav'));
+    assert.equal(written.length, job.total_chunks - 2);
+    assert.deepEqual(queued.map(body => body.sub_job_id), job.sub_jobs);
+  });
+
+  test('a redelivery only sends the chunks that were not queued', async () => {
+    // Enough chunks for more than one batch
+    setChunkSize(0.1);
+    let batches = 0;
+    failSend = () => ++batches === 2;
+    await assert.rejects(deliver(), /Queue unavailable/);
+
+    const interrupted = readJob();
+    assert.ok(interrupted.total_chunks > 100);
+    assert.equal(queued.length, 100);
+    assert.equal(interrupted.queued_chunk_flags.filter(Boolean).length, 100);
+
+    const written = [];
+    failPut = key => {
+      written.push(key);
+      return false;
+    };
+    await deliver();
+
+    const job = readJob();
+    assert.equal(job.status, 'processing');
+    assert.deepEqual(written, []);
+    assert.ok(job.queued_chunk_flags.every(Boolean));
+    assert.deepEqual(queued.map(body => body.chunk_index), [...job.sub_jobs.keys()]);
+  });
+
+  test('a redelivery after every chunk was queued sends nothing', async () => {
+    await deliver();
+    const sent = queued.length;
+
+    await deliver();
+    assert.equal(queued.length, sent);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFLACChunks, createStreamingChunker, parseFLACHeader } from '../src/core/audio-chunking.js';
+
+const SAMPLE_RATE = 44100;
+const BLOCK_SIZE = 4096;
+const FRAME_SIZE = 3000;
+
+/**
+ * Create a FLAC file of frameCount fixed-size frames, each 4096 stereo 16-bit
+ * samples at 44.1kHz, behind a STREAMINFO and a padding block. Headers are
+ * real, frame bodies are filler.
+ */
+function createFLACFile(frameCount, paddingSize = 64) {
+  const audioStart = 4 + 4 + 34 + 4 + paddingSize;
+  const result = new Uint8Array(audioStart + frameCount * FRAME_SIZE);
+
+  // fLaC marker
+  result.set(new TextEncoder().encode('fLaC'), 0);
+
+  // Metadata block header: type 0 (STREAMINFO), length 34
+  result.set([0, 0, 0, 34], 4);
+
+  // STREAMINFO: block sizes, minimum frame size, then sample rate (20 bits), channels - 1 (3 bits),
+  // bits per sample - 1 (5 bits) and total samples (36 bits), then the MD5
+  const info = result.subarray(8, 42);
+  const sampleCount = frameCount * BLOCK_SIZE;
+  info.set([BLOCK_SIZE >> 8, 0, BLOCK_SIZE >> 8, 0], 0);
+  info.set([0, FRAME_SIZE >> 8, FRAME_SIZE & 0xFF], 4);
+  info[10] = SAMPLE_RATE >> 12;
+  info[11] = (SAMPLE_RATE >> 4) & 0xFF;
+  info[12] = ((SAMPLE_RATE & 0x0F) << 4) | (1 << 1);
+  info[13] = 0xF0;
+  info[14] = (sampleCount >>> 24) & 0xFF;
+  info[15] = (sampleCount >>> 16) & 0xFF;
+  info[16] = (sampleCount >>> 8) & 0xFF;
+  info[17] = sampleCount & 0xFF;
+  info.fill(0xAB, 18, 34);
+
+  // Metadata block header: last-block flag set, type 1 (PADDING)
+  result.set([0x81, (paddingSize >> 16) & 0xFF, (paddingSize >> 8) & 0xFF, paddingSize & 0xFF], 42);
+
+  for (let frameNumber = 0; frameNumber < frameCount; frameNumber++) {
+    result.set(createFLACFrame(frameNumber), audioStart + frameNumber * FRAME_SIZE);
+  }
+
+  return result;
+}
+
+/**
+ * Create one frame: block size code 12 (4096), sample rate code 9 (44.1kHz),
+ * stereo, 16-bit, then the frame number and CRC-8, then filler that never
+ * holds a sync byte
+ */
+function createFLACFrame(frameNumber) {
+  const frame = new Uint8Array(FRAME_SIZE);
+  frame.set([0xFF, 0xF8, 0xC9, 0x18], 0);
+
+  // UTF-8 style coded frame number
+  let pos = 4;
+  if (frameNumber < 0x80) {
+    frame[pos++] = frameNumber;
+  } else {
+    frame[pos++] = 0xC0 | (frameNumber >> 6);
+    frame[pos++] = 0x80 | (frameNumber & 0x3F);
+  }
+
+  // CRC-8 (polynomial 0x07) covers every header byte up to the CRC itself
+  let crc = 0;
+  for (let i = 0; i < pos; i++) {
+    crc ^= frame[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+  }
+  frame[pos++] = crc;
+
+  for (let i = pos; i < FRAME_SIZE; i++) {
+    frame[i] = (frameNumber * 31 + i * 7) & 0x7F;
+  }
+
+  return frame;
+}
+
+/**
+ * Total samples (36 bits) from the STREAMINFO of a chunk
+ */
+function readTotalSamples(chunkData) {
+  const info = chunkData.subarray(8, 42);
+  return (info[13] & 0x0F) * 0x100000000 + ((info[14] << 24) >>> 0) + (info[15] << 16) + (info[16] << 8) + info[17];
+}
+
+/**
+ * Frame number of the frame at offset, one or two coded bytes
+ */
+function readFrameNumber(buffer, offset) {
+  const first = buffer[offset + 4];
+  return first < 0x80 ? first : ((first & 0x1F) << 6) | (buffer[offset + 5] & 0x3F);
+}
+
+describe('createFLACChunks', () => {
+  const flac = createFLACFile(200);
+  const audioStart = parseFLACHeader(flac).audioStart;
+  const chunks = createFLACChunks(flac, 100 * 1024);
+
+  test('splits on frame boundaries and covers the whole stream', () => {
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks[0].start, 0);
+    assert.equal(chunks.at(-1).end, flac.length);
+
+    for (const chunk of chunks) {
+      assert.equal((chunk.end - audioStart) % FRAME_SIZE, 0);
+      assert.ok(chunk.data.length <= 100 * 1024);
+    }
+    for (const chunk of chunks.slice(1)) {
+      assert.equal((chunk.start - audioStart) % FRAME_SIZE, 0);
+    }
+  });
+
+  test('overlaps neighbouring chunks by whole frames', () => {
+    for (let i = 1; i < chunks.length; i++) {
+      assert.ok(chunks[i].start < chunks[i - 1].end);
+      assert.ok(chunks[i].start > chunks[i - 1].start);
+    }
+  });
+
+  test('gives every chunk its own fLaC marker and STREAMINFO', () => {
+    for (const chunk of chunks) {
+      assert.equal(new TextDecoder().decode(chunk.data.subarray(0, 4)), 'fLaC');
+      assert.deepEqual([...chunk.data.subarray(4, 8)], [0x80, 0, 0, 34]); // last block, STREAMINFO, 34 bytes
+      assert.equal(chunk.data[42], 0xFF); // audio starts right after the header
+      assert.equal(chunk.data.length, 42 + chunk.audioDataSize);
+    }
+  });
+
+  test('rewrites total samples and clears the MD5 in each STREAMINFO', () => {
+    for (const chunk of chunks) {
+      assert.equal(readTotalSamples(chunk.data), chunk.sampleCount);
+      assert.equal(chunk.sampleCount, chunk.frameCount * BLOCK_SIZE);
+      assert.ok(chunk.data.subarray(26, 42).every(byte => byte === 0));
+      // Everything else is copied from the original
+      assert.deepEqual([...chunk.data.subarray(8, 21)], [...flac.subarray(8, 21)]);
+    }
+  });
+
+  test('drops the other metadata blocks from the first chunk', () => {
+    assert.equal(chunks[0].start, 0);
+    assert.equal(chunks[0].audioDataSize, chunks[0].end - audioStart);
+    assert.deepEqual(chunks[0].data.subarray(42), flac.subarray(audioStart, chunks[0].end));
+  });
+
+  test('places each chunk on the timeline by its first frame', () => {
+    for (const chunk of chunks.slice(1)) {
+      const frameIndex = readFrameNumber(flac, chunk.start);
+      assert.equal(chunk.startTime, frameIndex * BLOCK_SIZE / SAMPLE_RATE);
+      assert.equal(chunk.duration, chunk.sampleCount / SAMPLE_RATE);
+    }
+  });
+});
+
+describe('parseFLACHeader', () => {
+  test('finds STREAMINFO and the first frame past other metadata blocks', () => {
+    const header = parseFLACHeader(createFLACFile(2, 500));
+    assert.equal(header.audioStart, 4 + 38 + 4 + 500);
+    assert.equal(header.sampleRate, SAMPLE_RATE);
+    assert.equal(header.channels, 2);
+    assert.equal(header.bitsPerSample, 16);
+  });
+
+  test('returns null while the metadata blocks are still incomplete', () => {
+    const flac = createFLACFile(2, 500);
+    assert.equal(parseFLACHeader(flac.subarray(0, 300)), null);
+  });
+});
+
+describe('createStreamingChunker for FLAC', () => {
+  test('cuts the same frames from small pushes, each chunk decodable on its own', () => {
+    const flac = createFLACFile(300, 20000);
+    const audioStart = parseFLACHeader(flac).audioStart;
+    const chunker = createStreamingChunker('a.flac', 100 * 1024, { overlap_seconds: 0, vad: { window_seconds: 0 } });
+
+    const chunks = [];
+    for (let offset = 0; offset < flac.length; offset += 37000) {
+      chunks.push(...chunker.push(flac.slice(offset, offset + 37000)));
+    }
+    chunks.push(...chunker.flush());
+
+    assert.ok(chunks.length > 2);
+    assert.equal(chunks[0].start, 0);
+    assert.equal(chunks.at(-1).end, flac.length - audioStart);
+
+    for (const [i, chunk] of chunks.entries()) {
+      assert.equal(new TextDecoder().decode(chunk.data.subarray(0, 4)), 'fLaC');
+      assert.equal(readTotalSamples(chunk.data), chunk.sampleCount);
+      // Chunk offsets count from the first frame; the data past the header is those frames
+      const frames = chunk.data.subarray(chunk.data.length - (chunk.end - chunk.start));
+      assert.deepEqual(frames, flac.subarray(audioStart + chunk.start, audioStart + chunk.end));
+      // Window start times add up, so allow for rounding
+      assert.ok(Math.abs(chunk.startTime - readFrameNumber(flac, audioStart + chunk.start) * BLOCK_SIZE / SAMPLE_RATE) < 1e-9);
+      if (i > 0) assert.ok(chunk.start < chunks[i - 1].end);
+    }
+  });
+});
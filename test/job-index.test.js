@@ -0,0 +1,143 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { S3Client } from '@aws-sdk/client-s3';
+import worker from '../src/index.js';
+import { putJobRecord, listActiveJobs, putSubJobRecord, deleteSubJobRecord } from '../src/core/job-index.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * KV that keeps metadata and notes the prefix of every listing
+ */
+function createKV() {
+  const entries = new Map();
+  const listed = [];
+  return {
+    entries,
+    listed,
+    get: async key => entries.get(key)?.value ?? null,
+    put: async (key, value, { metadata = null } = {}) => { entries.set(key, { value, metadata }); },
+    delete: async key => { entries.delete(key); },
+    list: async ({ prefix = '' } = {}) => {
+      listed.push(prefix);
+      const keys = [...entries.keys()].filter(key => key.startsWith(prefix)).sort()
+        .map(name => ({ name, metadata: entries.get(name).metadata }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+describe('active job index', () => {
+  let env;
+
+  beforeEach(() => {
+    env = { GROQ_JOBS_KV: createKV() };
+  });
+
+  const listJobIds = async () => {
+    const job_ids = [];
+    for await (const { job_id } of listActiveJobs(env)) job_ids.push(job_id);
+    return job_ids;
+  };
+
+  test('lists a job while it is unfinished', async () => {
+    await putJobRecord(env, 'job-1', { status: 'processing' });
+    await putJobRecord(env, 'job-2', { status: 'uploaded' });
+    assert.deepEqual(await listJobIds(), ['job-1', 'job-2']);
+
+    for await (const { metadata } of listActiveJobs(env)) {
+      assert.ok(['processing', 'uploaded'].includes(metadata.status));
+      assert.ok(metadata.updated_at <= Date.now());
+    }
+
+    await putJobRecord(env, 'job-1', { status: 'done' });
+    assert.deepEqual(await listJobIds(), ['job-2']);
+    assert.equal(JSON.parse(await env.GROQ_JOBS_KV.get('job-1')).status, 'done');
+  });
+
+  test('indexes a sub-job under its parent until it is deleted', async () => {
+    await putSubJobRecord(env, 'sub-1', { parent_job_id: 'job-1', chunk_index: 0 });
+    assert.deepEqual(env.GROQ_JOBS_KV.entries.get('sub_job_sub-1').metadata, { parent_job_id: 'job-1' });
+    assert.deepEqual(await listJobIds(), []);
+
+    await deleteSubJobRecord(env, 'sub-1');
+    assert.deepEqual([...env.GROQ_JOBS_KV.entries.keys()], []);
+  });
+});
+
+describe('scheduled sweeps', () => {
+  const send = S3Client.prototype.send;
+  let env;
+  let queued;
+
+  beforeEach(() => {
+    queued = [];
+    env = {
+      GROQ_JOBS_KV: createKV(),
+      GROQ_PROCESSING_QUEUE: { send: async body => { queued.push(body); } }
+    };
+    // Nothing in R2 for the retention sweep that runs alongside
+    S3Client.prototype.send = async () => ({ Contents: [], IsTruncated: false });
+  });
+
+  afterEach(() => {
+    S3Client.prototype.send = send;
+  });
+
+  // A job last written `age` ms ago, as the index would have recorded it
+  const putStalledJob = async (job_id, job, age) => {
+    await putJobRecord(env, job_id, job);
+    env.GROQ_JOBS_KV.entries.get(`active_${job_id}`).metadata.updated_at = Date.now() - age;
+  };
+
+  test('requeues a job whose consumer stopped renewing its lease', async () => {
+    await putStalledJob('job-1', { status: 'processing', key: 'uploads/job-1/talk.mp3' }, 2 * HOUR);
+    await env.GROQ_JOBS_KV.put('lease_job-1', JSON.stringify({ renewed_at: Date.now() - 2 * HOUR }));
+
+    await worker.scheduled({}, env);
+    assert.deepEqual(queued, [{ job_id: 'job-1' }]);
+    const job = JSON.parse(await env.GROQ_JOBS_KV.get('job-1'));
+    assert.equal(job.status, 'uploaded');
+    assert.equal(job.reaper_requeues, 1);
+  });
+
+  test('fails a stalled job and drops it from the index', async () => {
+    await putStalledJob('job-1', { status: 'awaiting_upload' }, 2 * HOUR);
+
+    await worker.scheduled({}, env);
+    const job = JSON.parse(await env.GROQ_JOBS_KV.get('job-1'));
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /never uploaded/);
+    assert.equal(env.GROQ_JOBS_KV.entries.has('active_job-1'), false);
+  });
+
+  test('forgets index entries whose job was deleted', async () => {
+    await putStalledJob('gone', { status: 'processing' }, 2 * HOUR);
+    await env.GROQ_JOBS_KV.delete('gone');
+
+    await worker.scheduled({}, env);
+    assert.equal(env.GROQ_JOBS_KV.entries.has('active_gone'), false);
+  });
+
+  test('the cron reads the indexes rather than the whole namespace', async () => {
+    await putJobRecord(env, 'finished', { status: 'done' });
+    await putSubJobRecord(env, 'sub-1', { parent_job_id: 'finished', chunk_index: 0 });
+    await env.GROQ_JOBS_KV.put('apikey_123', '{}');
+
+    await worker.scheduled({}, env);
+    assert.ok(env.GROQ_JOBS_KV.listed.length > 0);
+    assert.equal(env.GROQ_JOBS_KV.listed.includes(''), false);
+  });
+
+  test('the retention sweep drops sub-jobs whose parent is gone', async () => {
+    await putJobRecord(env, 'parent-1', { status: 'processing' });
+    await putSubJobRecord(env, 'sub-1', { parent_job_id: 'parent-1', chunk_index: 0 });
+    await putSubJobRecord(env, 'sub-2', { parent_job_id: 'gone', chunk_index: 0 });
+
+    await worker.scheduled({}, env);
+    assert.ok(env.GROQ_JOBS_KV.entries.has('sub-1'));
+    assert.ok(env.GROQ_JOBS_KV.entries.has('sub_job_sub-1'));
+    assert.equal(env.GROQ_JOBS_KV.entries.has('sub-2'), false);
+    assert.equal(env.GROQ_JOBS_KV.entries.has('sub_job_sub-2'), false);
+  });
+});
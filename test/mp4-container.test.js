@@ -0,0 +1,218 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMP4ContainerChunks, readMP4ContainerChunks } from '../src/core/mp4-container.js';
+
+const TIMESCALE = 44100;
+const SAMPLE_COUNT = 300;
+// The last 50 samples are half length, so the time-to-sample table has two runs
+const sampleDuration = index => index < 250 ? 1024 : 512;
+
+function createBox(type, ...payload) {
+  const body = concatBytes(payload);
+  const box = new Uint8Array(8 + body.length);
+  new DataView(box.buffer).setUint32(0, box.length);
+  box.set(ascii(type), 4);
+  box.set(body, 8);
+  return box;
+}
+
+function createFullBox(type, ...payload) {
+  return createBox(type, new Uint8Array(4), ...payload);
+}
+
+function uint32(...values) {
+  const bytes = new Uint8Array(4 * values.length);
+  values.forEach((value, i) => new DataView(bytes.buffer).setUint32(i * 4, value));
+  return bytes;
+}
+
+function ascii(text) {
+  return new TextEncoder().encode(text);
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function createTrak(handler, stbl) {
+  const mdhd = createFullBox('mdhd', uint32(0, 0, TIMESCALE, 0), new Uint8Array([0x55, 0xC4, 0, 0]));
+  const hdlr = createFullBox('hdlr', uint32(0), ascii(handler), new Uint8Array(12), ascii('\0'));
+  return createBox('trak', createBox('mdia', mdhd, hdlr, createBox('minf', stbl)));
+}
+
+/**
+ * An M4A laid out the way muxers write one: ftyp, then mdat with the audio
+ * in runs of 8 samples (4 for the last 17 runs), each run behind a 600 byte
+ * video sample, then the moov with a video track ahead of the audio track.
+ * Returns the file, where its moov starts, the audio track's stsd and where
+ * each audio sample is.
+ */
+function createM4A() {
+  const ftyp = createBox('ftyp', ascii('M4A '), uint32(0), ascii('M4A isom'));
+  const stsd = createFullBox('stsd', uint32(1), createBox('mp4a', new Uint8Array(28)));
+
+  const payload = [];
+  const samples = [];
+  const runOffsets = [];
+  const videoOffsets = [];
+  let offset = ftyp.length + 8;
+  for (let index = 0; index < SAMPLE_COUNT;) {
+    videoOffsets.push(offset);
+    payload.push(new Uint8Array(600).fill(0xEE));
+    offset += 600;
+
+    runOffsets.push(offset);
+    for (const end = index + (index < 232 ? 8 : 4); index < end; index++) {
+      const size = 200 + (index * 37) % 150;
+      const bytes = new Uint8Array(size).map((_, i) => (index * 13 + i) & 0xFF);
+      samples.push({ offset, size, bytes });
+      payload.push(bytes);
+      offset += size;
+    }
+  }
+
+  const audio = createTrak('soun', createBox('stbl',
+    stsd,
+    createFullBox('stts', uint32(2, 250, 1024, 50, 512)),
+    createFullBox('stsc', uint32(2, 1, 8, 1, 30, 4, 1)),
+    createFullBox('stsz', uint32(0, SAMPLE_COUNT), ...samples.map(sample => uint32(sample.size))),
+    createFullBox('stco', uint32(runOffsets.length, ...runOffsets))
+  ));
+  const video = createTrak('vide', createBox('stbl',
+    createFullBox('stsd', uint32(0)),
+    createFullBox('stts', uint32(1, videoOffsets.length, 3000)),
+    createFullBox('stsc', uint32(1, 1, 1, 1)),
+    createFullBox('stsz', uint32(600, videoOffsets.length)),
+    createFullBox('stco', uint32(videoOffsets.length, ...videoOffsets))
+  ));
+
+  const mdat = createBox('mdat', ...payload);
+  const file = concatBytes([ftyp, mdat, createBox('moov', video, audio)]);
+  return { file, moovOffset: ftyp.length + mdat.length, stsd, samples };
+}
+
+/**
+ * The sample table of a rebuilt chunk, read the way a player would
+ */
+function readRebuiltChunk(file) {
+  const view = new DataView(file.buffer, file.byteOffset, file.byteLength);
+  const children = (start, end) => {
+    const boxes = {};
+    for (let offset = start; offset < end; offset += view.getUint32(offset)) {
+      const type = String.fromCharCode(...file.subarray(offset + 4, offset + 8));
+      boxes[type] = { offset, size: view.getUint32(offset), data: offset + 8 };
+    }
+    return boxes;
+  };
+  const child = (box, type) => children(box.data, box.offset + box.size)[type];
+
+  const topLevel = children(0, file.length);
+  const mdia = child(child(topLevel.moov, 'trak'), 'mdia');
+  const stbl = child(child(mdia, 'minf'), 'stbl');
+  const stsz = child(stbl, 'stsz');
+  const stts = child(stbl, 'stts');
+  const stsd = child(stbl, 'stsd');
+
+  const sizes = [];
+  for (let i = 0; i < view.getUint32(stsz.data + 8); i++) sizes.push(view.getUint32(stsz.data + 12 + i * 4));
+  const durations = [];
+  for (let i = 0; i < view.getUint32(stts.data + 4); i++) {
+    durations.push(...new Array(view.getUint32(stts.data + 8 + i * 8)).fill(view.getUint32(stts.data + 12 + i * 8)));
+  }
+
+  return {
+    boxTypes: Object.keys(topLevel),
+    stsd: file.slice(stsd.offset, stsd.offset + stsd.size),
+    timescale: view.getUint32(child(mdia, 'mdhd').data + 12),
+    sizes,
+    durations,
+    dataOffset: view.getUint32(child(stbl, 'stco').data + 8),
+    mdat: topLevel.mdat
+  };
+}
+
+describe('MP4 container chunking', () => {
+  const { file, moovOffset, stsd, samples } = createM4A();
+  const sampleIndex = offset => samples.findIndex(sample => sample.offset === offset);
+  const sampleTime = index => Array.from({ length: index }, (_, i) => sampleDuration(i)).reduce((sum, d) => sum + d, 0) / TIMESCALE;
+
+  test('rebuilds each chunk with a sample table for just its own samples', () => {
+    const chunks = createMP4ContainerChunks(file, 20000);
+    assert.ok(chunks.length > 3);
+
+    for (const chunk of chunks) {
+      const first = sampleIndex(chunk.start);
+      const own = samples.slice(first, first + chunk.sampleCount);
+      const rebuilt = readRebuiltChunk(chunk.data);
+
+      assert.ok(chunk.data.length <= 20000);
+      assert.deepEqual(rebuilt.boxTypes, ['ftyp', 'moov', 'mdat']);
+      assert.deepEqual(rebuilt.stsd, stsd);
+      assert.equal(rebuilt.timescale, TIMESCALE);
+      assert.deepEqual(rebuilt.sizes, own.map(sample => sample.size));
+      assert.deepEqual(rebuilt.durations, own.map((_, i) => sampleDuration(first + i)));
+      assert.equal(rebuilt.dataOffset, rebuilt.mdat.data);
+      assert.deepEqual(chunk.data.subarray(rebuilt.dataOffset), concatBytes(own.map(sample => sample.bytes)));
+      assert.equal(chunk.end, own.at(-1).offset + own.at(-1).size);
+    }
+  });
+
+  test('times chunks from the time-to-sample table and overlaps them', () => {
+    const chunks = createMP4ContainerChunks(file, 20000);
+    assert.equal(chunks[0].start, samples[0].offset);
+
+    let covered = 0;
+    for (const chunk of chunks) {
+      const first = sampleIndex(chunk.start);
+      assert.equal(chunk.hasOverlap, first > 0);
+      assert.ok(first < covered || first === 0, 'starts inside the chunk before it');
+      assert.ok(Math.abs(chunk.startTime - sampleTime(first)) < 1e-9);
+      assert.ok(Math.abs(chunk.duration - (sampleTime(first + chunk.sampleCount) - sampleTime(first))) < 1e-9);
+      covered = first + chunk.sampleCount;
+    }
+    assert.equal(covered, SAMPLE_COUNT);
+  });
+
+  test('ranged reads fetch the moov and each chunk\'s samples, not the file', async () => {
+    const reads = [];
+    const readRange = async (start, end) => {
+      reads.push([start, end]);
+      return file.slice(start, end + 1);
+    };
+
+    const chunks = await readMP4ContainerChunks(readRange, file.length, 20000);
+    const setupReads = reads.length;
+    const expected = createMP4ContainerChunks(file, 20000);
+    let index = 0;
+    for await (const chunk of chunks) {
+      assert.deepEqual(chunk, expected[index++]);
+
+      // The chunk's own span only (the video samples between its runs are close enough to read through)
+      const chunkReads = reads.splice(setupReads);
+      assert.ok(chunkReads.length > 0);
+      for (const [start, end] of chunkReads) {
+        assert.ok(start >= chunk.start && end < chunk.end, `read ${start}-${end} is outside ${chunk.start}-${chunk.end}`);
+      }
+    }
+    assert.equal(index, expected.length);
+
+    // Box headers, the ftyp and the moov before the first chunk
+    assert.ok(reads.slice(0, setupReads).some(([start, end]) => start === moovOffset && end === file.length - 1));
+    assert.ok(reads.slice(0, setupReads).every(([start, end]) => end - start < 40 || start === moovOffset));
+  });
+
+  test('gives up on files with no moov or no audio track', async () => {
+    const mdatOnly = file.slice(0, moovOffset);
+    assert.equal(createMP4ContainerChunks(mdatOnly, 20000), null);
+
+    const videoOnly = createBox('moov', createTrak('vide', createBox('stbl', createFullBox('stsd', uint32(0)))));
+    assert.equal(createMP4ContainerChunks(videoOnly, 20000), null);
+    assert.equal(await readMP4ContainerChunks(async (start, end) => videoOnly.slice(start, end + 1), videoOnly.length, 20000), null);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readMultipartStream } from '../src/core/multipart-stream.js';
+
+/**
+ * A form encoded the way fetch sends one, with its Content-Type
+ */
+async function encodeForm(entries) {
+  const form = new FormData();
+  for (const [name, value, filename] of entries) {
+    if (filename) {
+      form.append(name, value, filename);
+    } else {
+      form.append(name, value);
+    }
+  }
+  const response = new Response(form);
+  return { bytes: new Uint8Array(await response.arrayBuffer()), contentType: response.headers.get('content-type') };
+}
+
+/**
+ * The body in reads of `pieceSize` bytes (or pieceSize(offset) bytes), noting
+ * in `read` how far it got
+ */
+function createBody(bytes, pieceSize, read = { offset: 0 }) {
+  return new ReadableStream({
+    pull(controller) {
+      const end = read.offset + (typeof pieceSize === 'function' ? pieceSize(read.offset) : pieceSize);
+      controller.enqueue(bytes.slice(read.offset, end));
+      read.offset = Math.min(bytes.length, end);
+      if (read.offset === bytes.length) controller.close();
+    }
+  });
+}
+
+/**
+ * Audio-ish bytes that keep turning up CRLFs, dashes and the start of the
+ * boundary fetch uses
+ */
+function createAudio(size, contentType) {
+  const boundary = new TextEncoder().encode(`\r\n--${contentType.split('boundary=')[1].slice(0, -3)}`);
+  return new Uint8Array(size).map((_, i) => i % 997 < boundary.length ? boundary[i % 997] : (i * 31) & 0xFF);
+}
+
+describe('streaming multipart', () => {
+  test('collects the fields ahead of the file and streams the file back byte for byte', async () => {
+    const { contentType } = await encodeForm([]);
+    const audio = createAudio(50000, contentType);
+    const { bytes, contentType: formType } = await encodeForm([
+      ['model', 'whisper-large-v3-turbo'],
+      ['prompt', 'Line one\r\nline "two"'],
+      ['file', new Blob([audio], { type: 'audio/mpeg' }), 'talk final.mp3']
+    ]);
+
+    // Byte at a time through the fields and part headers, then bigger reads
+    const byteAtATime = offset => offset < bytes.length - audio.length ? 1 : 4096;
+    for (const pieceSize of [byteAtATime, 7, 4096, bytes.length]) {
+      await checkForm(createBody(bytes, pieceSize));
+    }
+
+    async function checkForm(body) {
+      const { fields, file } = await readMultipartStream(body, formType, { contentLength: bytes.length });
+      assert.equal(fields.get('model'), 'whisper-large-v3-turbo');
+      assert.equal(fields.get('prompt'), 'Line one\r\nline "two"');
+      assert.equal(file.name, 'talk final.mp3');
+      assert.equal(file.type, 'audio/mpeg');
+      assert.equal(file.size, audio.length);
+      assert.deepEqual(new Uint8Array(await new Response(file.stream).arrayBuffer()), audio);
+    }
+  });
+
+  test('hands over the file before the rest of the body has arrived', async () => {
+    const { contentType } = await encodeForm([]);
+    const audio = createAudio(200000, contentType);
+    const { bytes, contentType: formType } = await encodeForm([['file', new Blob([audio]), 'talk.wav']]);
+    const read = { offset: 0 };
+
+    const { file } = await readMultipartStream(createBody(bytes, 16 * 1024, read), formType);
+    assert.equal(file.size, null);
+    const reader = file.stream.getReader();
+    const { value } = await reader.read();
+    assert.deepEqual(value, audio.subarray(0, value.length));
+    assert.ok(read.offset < bytes.length / 4, `read ${read.offset} of ${bytes.length} bytes for the first piece`);
+    await reader.cancel();
+  });
+
+  test('returns no file when the form has none', async () => {
+    const { bytes, contentType } = await encodeForm([['model', 'whisper-large-v3'], ['file', 'not a file']]);
+    const { fields, file } = await readMultipartStream(createBody(bytes, 100), contentType);
+    assert.equal(file, null);
+    assert.equal(fields.get('model'), 'whisper-large-v3');
+    assert.equal(fields.get('file'), 'not a file');
+  });
+
+  test('rejects a body with no boundary or one that ends inside the file', async () => {
+    await assert.rejects(readMultipartStream(createBody(new Uint8Array(10), 10), 'multipart/form-data'), /no boundary/);
+
+    const { bytes, contentType } = await encodeForm([['file', new Blob([new Uint8Array(5000)]), 'talk.wav']]);
+    const { file } = await readMultipartStream(createBody(bytes.slice(0, 3000), 1000), contentType);
+    await assert.rejects(new Response(file.stream).arrayBuffer(), /ended inside the file/);
+  });
+});
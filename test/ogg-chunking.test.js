@@ -0,0 +1,168 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOGGChunks, createStreamingChunker, parseOggPages } from '../src/core/audio-chunking.js';
+
+const PRE_SKIP = 312;
+const PACKET_SAMPLES = 960; // 20ms Opus packets, granules count at 48kHz
+
+/**
+ * Ogg page checksum, worked out a bit at a time
+ */
+function crc32(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+/**
+ * One page of stream 1234, its body `body` or else filled with `fill`.
+ * A granule of null is written as -1 (no packet ends here).
+ */
+function oggPage({ flags = 0, granule, sequence, body, fill = 0, lacing = [body.length] }) {
+  const bodySize = lacing.reduce((sum, value) => sum + value, 0);
+  const page = new Uint8Array(27 + lacing.length + bodySize);
+  const view = new DataView(page.buffer);
+  page.set([0x4F, 0x67, 0x67, 0x53, 0, flags]);
+  if (granule === null) {
+    page.fill(0xFF, 6, 14);
+  } else {
+    view.setUint32(6, granule % 2 ** 32, true);
+    view.setUint32(10, Math.floor(granule / 2 ** 32), true);
+  }
+  view.setUint32(14, 1234, true);
+  view.setUint32(18, sequence, true);
+  page[26] = lacing.length;
+  page.set(lacing, 27);
+  if (body) {
+    page.set(body, 27 + lacing.length);
+  } else {
+    page.fill(fill, 27 + lacing.length);
+  }
+  view.setUint32(22, crc32(page), true);
+  return page;
+}
+
+/**
+ * Opus stream of `pageCount` audio pages. Every fourth page leaves its last
+ * packet for the next one, and every tenth of those spills over a page on
+ * which no packet ends. Returns the stream and, for each audio page, the
+ * playback time its first fresh packet starts at.
+ */
+function createOpus(pageCount) {
+  const opusHead = new Uint8Array(19);
+  opusHead.set(new TextEncoder().encode('OpusHead'));
+  opusHead[8] = 1; // version
+  opusHead[9] = 2; // channels
+  opusHead[10] = PRE_SKIP & 0xFF;
+  opusHead[11] = PRE_SKIP >> 8;
+  const opusTags = new TextEncoder().encode('OpusTags' + '\0'.repeat(8));
+
+  const pages = [
+    oggPage({ flags: 0x02, granule: 0, sequence: 0, body: opusHead }),
+    oggPage({ granule: 0, sequence: 1, body: opusTags })
+  ];
+
+  const startTimes = new Map();
+  let finished = 0;
+  let spilling = false;
+  for (let i = 0; i < pageCount; i++) {
+    const sequence = pages.length;
+    const flags = spilling ? 0x01 : 0;
+    let lacing;
+    if (spilling && i % 40 === 1) {
+      // The spilled packet runs over this whole page
+      lacing = [255, 255];
+    } else {
+      lacing = [...(spilling ? [60] : []), 120, 120, i % 4 === 0 ? 255 : 90];
+      if (spilling) finished++;
+      startTimes.set(i, finished * PACKET_SAMPLES / 48000);
+      finished += i % 4 === 0 ? 2 : 3;
+    }
+    const ends = lacing.some(value => value < 255);
+    spilling = lacing.at(-1) === 255;
+    pages.push(oggPage({ flags, granule: ends ? PRE_SKIP + finished * PACKET_SAMPLES : null, sequence, lacing, fill: i & 0x7F }));
+  }
+
+  const buffer = new Uint8Array(pages.reduce((sum, page) => sum + page.length, 0));
+  let offset = 0;
+  for (const page of pages) {
+    buffer.set(page, offset);
+    offset += page.length;
+  }
+  return { buffer, startTimes, duration: finished * PACKET_SAMPLES / 48000 };
+}
+
+describe('Ogg chunking', () => {
+  const { buffer, startTimes, duration } = createOpus(400);
+  const audioPages = parseOggPages(buffer).slice(2);
+  const pageIndex = offset => audioPages.findIndex(page => page.offset === offset);
+
+  test('each chunk is a stream of its own with renumbered, checksummed pages', () => {
+    const chunks = createOGGChunks(buffer, 20000);
+    assert.ok(chunks.length > 3);
+
+    for (const chunk of chunks) {
+      const pages = parseOggPages(chunk.data);
+      assert.equal(new TextDecoder().decode(chunk.data.subarray(28, 36)), 'OpusHead');
+      assert.equal(pages.length, 2 + chunk.pageCount);
+
+      pages.forEach((page, sequence) => {
+        const bytes = chunk.data.slice(page.offset, page.offset + page.size);
+        const view = new DataView(bytes.buffer);
+        assert.equal(view.getUint32(18, true), sequence);
+        const checksum = view.getUint32(22, true);
+        view.setUint32(22, 0, true);
+        assert.equal(checksum, crc32(bytes));
+        assert.equal(page.isEOS, sequence === pages.length - 1);
+      });
+    }
+  });
+
+  test('every chunk starts on a page that begins a fresh packet', () => {
+    for (const chunkSize of [3000, 20000, 50000]) {
+      const chunks = createOGGChunks(buffer, chunkSize);
+      for (const chunk of chunks) {
+        const first = audioPages[pageIndex(chunk.start)];
+        assert.equal(first.isContinuation, false);
+        assert.equal(parseOggPages(chunk.data)[2].isContinuation, false);
+      }
+      for (let i = 1; i < chunks.length; i++) {
+        assert.ok(chunks[i].start <= chunks[i - 1].end, 'no audio between chunks');
+      }
+      assert.equal(chunks.at(-1).end, buffer.length);
+    }
+  });
+
+  test('times chunks from granule positions, less the Opus pre-skip', () => {
+    const chunks = createOGGChunks(buffer, 20000);
+    assert.equal(chunks[0].startTime, 0);
+
+    for (const chunk of chunks) {
+      assert.ok(Math.abs(chunk.startTime - startTimes.get(pageIndex(chunk.start))) < 1e-9);
+    }
+    const last = chunks.at(-1);
+    assert.ok(Math.abs(last.startTime + last.duration - duration) < 1e-9);
+  });
+
+  test('streamed chunks keep the times of the whole file', () => {
+    const chunker = createStreamingChunker('talk.opus', 20000);
+    const streamed = [];
+    for (let offset = 0; offset < buffer.length; offset += 7000) {
+      streamed.push(...chunker.push(buffer.slice(offset, offset + 7000)));
+    }
+    streamed.push(...chunker.flush());
+
+    // Streamed offsets count from the end of the header pages
+    const audioStart = audioPages[0].offset;
+    assert.ok(streamed.length > 3);
+    for (const chunk of streamed) {
+      const expected = startTimes.get(pageIndex(audioStart + chunk.start));
+      assert.ok(Math.abs(chunk.startTime - expected) < 1e-9, `chunk at ${chunk.start} starts at ${expected}s, not ${chunk.startTime}s`);
+    }
+  });
+});
@@ -0,0 +1,264 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParentJobObject, MemoryStorage, createLocalParentJobNamespace, getParentJobNamespace } from '../src/chunked-streaming/core/parent-job-object.js';
+import { ParentJobManager } from '../src/chunked-streaming/core/parent-job-manager.js';
+
+// Just enough of KV for the DO's mirror of the job record
+class MemoryKV {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.get(key) ?? null;
+  }
+
+  async put(key, value) {
+    this.data.set(key, value);
+  }
+
+  async delete(key) {
+    this.data.delete(key);
+  }
+}
+
+// MemoryStorage that notes the keys it writes and deletes
+class CountingStorage extends MemoryStorage {
+  constructor() {
+    super();
+    this.writes = [];
+    this.deletes = [];
+  }
+
+  async put(keyOrEntries, value) {
+    this.writes.push(...(typeof keyOrEntries === 'string' ? [keyOrEntries] : Object.keys(keyOrEntries)));
+    return super.put(keyOrEntries, value);
+  }
+
+  async delete(keys) {
+    this.deletes.push(...(Array.isArray(keys) ? keys : [keys]));
+    return super.delete(keys);
+  }
+}
+
+// A three-chunk job laid out the way ParentJobManager.createParentJob writes one, every chunk uploaded
+const parentJob = {
+  job_id: 'job-1',
+  type: 'chunked_upload_streaming',
+  status: 'processing',
+  filename: 'talk.mp3',
+  total_chunks: 3,
+  completed_chunks: 0,
+  uploaded_chunks: 3,
+  failed_chunks: 0,
+  upload_progress: 100,
+  uploaded_chunk_flags: [true, true, true],
+  completed_chunk_flags: [false, false, false],
+  final_transcript: '',
+  raw_transcript: '',
+  corrected_transcript: '',
+  transcripts: [],
+  total_segments: 0,
+  groq_traces: []
+};
+
+describe('ParentJobObject storage', () => {
+  let env;
+  let storage;
+
+  beforeEach(() => {
+    env = { GROQ_JOBS_KV: new MemoryKV() };
+    storage = new CountingStorage();
+  });
+
+  test('keeps large fields out of the job record and reads them back', async () => {
+    // Multi-byte characters across the 32K piece boundaries, and holes in the chunk list
+    const transcript = 'Grüße aus Köln 👋 '.repeat(8000);
+    const object = new ParentJobObject({ storage }, env);
+    await object.createParentJob('job-1', {
+      ...parentJob,
+      final_transcript: transcript,
+      raw_transcript: transcript,
+      corrected_transcript: null,
+      transcripts: [{ chunk_index: 0, text: 'first' }, null, { chunk_index: 2, text: 'third' }],
+      segments: [{ start: 0, end: 1, text: 'first' }],
+      groq_traces: [{ id: 'trace' }]
+    });
+
+    const meta = storage.data.get('job');
+    for (const field of ['final_transcript', 'raw_transcript', 'transcripts', 'segments', 'groq_traces']) {
+      assert.equal(field in meta, false, `${field} is stored apart`);
+    }
+    assert.ok(JSON.stringify(meta).length < 4096);
+    assert.ok(storage.data.has('final_transcript:4'));
+    assert.equal(storage.data.has('transcripts:1'), false);
+    for (const [key, value] of storage.data) {
+      assert.ok(JSON.stringify(value).length <= 128 * 1024, `${key} fits a storage value`);
+    }
+
+    const reloaded = await new ParentJobObject({ storage }, env).getParentJob('job-1');
+    assert.equal(reloaded.final_transcript, transcript);
+    assert.equal(reloaded.raw_transcript, transcript);
+    assert.equal(reloaded.corrected_transcript, null);
+    assert.deepEqual(reloaded.transcripts, [{ chunk_index: 0, text: 'first' }, null, { chunk_index: 2, text: 'third' }]);
+    assert.deepEqual(reloaded.segments, [{ start: 0, end: 1, text: 'first' }]);
+    assert.deepEqual(reloaded.groq_traces, [{ id: 'trace' }]);
+    assert.equal('split_fields' in reloaded, false);
+  });
+
+  test('loads an empty transcript as an empty string', async () => {
+    await new ParentJobObject({ storage }, env).createParentJob('job-1', { ...parentJob });
+    const reloaded = await new ParentJobObject({ storage }, env).getParentJob('job-1');
+    assert.equal(reloaded.final_transcript, '');
+    assert.deepEqual(reloaded.transcripts, []);
+  });
+
+  test('writes only the keys that changed', async () => {
+    const object = new ParentJobObject({ storage }, env);
+    await object.createParentJob('job-1', { ...parentJob, transcripts: [{ text: 'a' }, { text: 'b' }] });
+
+    storage.writes = [];
+    await object.updateParentJob('job-1', {});
+    assert.deepEqual(storage.writes, []);
+
+    await object.updateChunkCompleted('job-1', 2, { chunk_index: 2, text: 'c' });
+    assert.ok(storage.writes.includes('transcripts:2'));
+    assert.equal(storage.writes.includes('transcripts:0'), false);
+    assert.equal(storage.writes.includes('transcripts:1'), false);
+  });
+
+  test('deletes pieces a shorter value no longer needs', async () => {
+    const object = new ParentJobObject({ storage }, env);
+    await object.createParentJob('job-1', { ...parentJob, final_transcript: 'x'.repeat(100000) });
+    assert.ok(storage.data.has('final_transcript:3'));
+
+    await object.updateParentJob('job-1', { final_transcript: 'short' });
+    assert.deepEqual(storage.deletes.sort(), ['final_transcript:1', 'final_transcript:2', 'final_transcript:3']);
+
+    const reloaded = await new ParentJobObject({ storage }, env).getParentJob('job-1');
+    assert.equal(reloaded.final_transcript, 'short');
+  });
+
+  test('stores a chunk result too big for one value in pieces', async () => {
+    // A long chunk, with word timestamps and corrected segments
+    const words = Array.from({ length: 3000 }, (_, i) => ({ word: `Wort${i}`, start: i * 0.4, end: i * 0.4 + 0.3 }));
+    const segments = Array.from({ length: 300 }, (_, i) => ({
+      start: i * 4,
+      end: i * 4 + 4,
+      text: words.slice(i * 10, i * 10 + 10).map(({ word }) => word).join(' ')
+    }));
+    const entry = { chunk_index: 1, text: segments.map(({ text }) => text).join(' '), segments, corrected_segments: segments, words };
+    assert.ok(JSON.stringify(entry).length > 128 * 1024);
+
+    const object = new ParentJobObject({ storage }, env);
+    await object.createParentJob('job-1', { ...parentJob, transcripts: [{ chunk_index: 0, text: 'first' }, entry] });
+    assert.equal(storage.data.has('transcripts:1'), false);
+    assert.ok(storage.data.has('transcripts:1:0'));
+    for (const [key, value] of storage.data) {
+      assert.ok(JSON.stringify(value).length <= 128 * 1024, `${key} fits a storage value`);
+    }
+
+    const reloaded = await new ParentJobObject({ storage }, env).getParentJob('job-1');
+    assert.deepEqual(reloaded.transcripts, [{ chunk_index: 0, text: 'first' }, entry]);
+
+    // Back under the limit, it is one value again
+    await object.updateChunkCompleted('job-1', 1, { chunk_index: 1, text: 'short' });
+    assert.deepEqual([...storage.data.keys()].filter(key => key.startsWith('transcripts:1')), ['transcripts:1']);
+  });
+
+  test('reads records saved before transcripts moved out of the job record', async () => {
+    await storage.put({
+      job: { ...parentJob, transcripts: undefined, groq_traces: undefined, final_transcript: 'inline text' },
+      'transcripts:0': { text: 'a' },
+      'groq_traces:0': { id: 'trace' }
+    });
+
+    const job = await new ParentJobObject({ storage }, env).getParentJob('job-1');
+    assert.equal(job.final_transcript, 'inline text');
+    assert.deepEqual(job.transcripts, [{ text: 'a' }]);
+    assert.deepEqual(job.groq_traces, [{ id: 'trace' }]);
+  });
+
+  test('mirrors the whole record to KV', async () => {
+    const object = new ParentJobObject({ storage }, env);
+    await object.createParentJob('job-1', { ...parentJob, final_transcript: 'hello', transcripts: [{ text: 'hello' }] });
+
+    const mirrored = JSON.parse(env.GROQ_JOBS_KV.data.get('job-1'));
+    assert.equal(mirrored.final_transcript, 'hello');
+    assert.deepEqual(mirrored.transcripts, [{ text: 'hello' }]);
+  });
+});
+
+describe('ParentJobObject operations', () => {
+  let manager;
+  let job_id;
+
+  beforeEach(async () => {
+    const env = { GROQ_JOBS_KV: new MemoryKV() };
+    env.PARENT_JOBS = createLocalParentJobNamespace(env);
+    manager = new ParentJobManager(env);
+    ({ job_id } = await manager.createParentJob({ filename: 'talk.mp3', total_size: 25 * 1024 * 1024, chunk_size_mb: 10 }));
+    for (const chunk_index of [0, 1, 2]) {
+      await manager.updateChunkUploaded(job_id, chunk_index);
+    }
+  });
+
+  test('counts every chunk once when results arrive together', async () => {
+    await Promise.all([0, 1, 2, 1].map(chunk_index =>
+      manager.updateChunkCompleted(job_id, chunk_index, { chunk_index, text: `chunk ${chunk_index}` })));
+
+    const job = await manager.getParentJob(job_id);
+    assert.equal(job.completed_chunks, 3);
+    assert.equal(job.processing_progress, 100);
+    assert.deepEqual(job.transcripts.map(chunk => chunk.text), ['chunk 0', 'chunk 1', 'chunk 2']);
+    assert.equal(await manager.checkAndStartAssembly(job_id), true);
+    assert.equal(await manager.checkAndStartAssembly(job_id), false);
+  });
+
+  test('counts a chunk that fails repeatedly once, and reopens it for a replay', async () => {
+    await manager.updateChunkCompleted(job_id, 0, { chunk_index: 0, text: 'zero' });
+    await manager.updateChunkCompleted(job_id, 1, { chunk_index: 1, text: 'one' });
+    await manager.updateChunkFailed(job_id, 2, new Error('timeout'));
+    await manager.updateChunkFailed(job_id, 2, new Error('timeout again'));
+
+    let job = await manager.getParentJob(job_id);
+    assert.equal(job.failed_chunks, 1);
+    await manager.completeParentJob(job_id, { final_transcript: 'zero one', raw_transcript: 'zero one', segments: [] });
+
+    job = await manager.reopenChunk(job_id, 2);
+    assert.equal(job.status, 'processing');
+    assert.equal(job.failed_chunks, 0);
+    assert.equal(job.transcripts[2], null);
+
+    await manager.updateChunkCompleted(job_id, 2, { chunk_index: 2, text: 'two' });
+    assert.equal(await manager.checkAndStartAssembly(job_id), true);
+  });
+
+  test('records a completed chunk on a job saved before completed_chunk_flags', async () => {
+    await manager.call(job_id, 'createParentJob', { ...await manager.getParentJob(job_id), completed_chunk_flags: undefined });
+
+    const first = await manager.call(job_id, 'recordCompletedChunk', { chunk_index: 1, text: 'one', groq_response: { text: 'one' } });
+    assert.equal(first.already_completed, false);
+    const again = await manager.call(job_id, 'recordCompletedChunk', { chunk_index: 1, text: 'one' });
+    assert.equal(again.already_completed, true);
+
+    const job = await manager.getParentJob(job_id);
+    assert.equal(job.completed_chunks, 1);
+    assert.deepEqual(job.completed_chunk_flags, [false, true, false]);
+    // The provider's response is kept once, as a trace
+    assert.equal('groq_response' in job.transcripts[1], false);
+    assert.deepEqual(job.groq_traces.map(({ chunk_index, response }) => [chunk_index, response]), [[1, { text: 'one' }]]);
+  });
+
+  test('reports a missing job', async () => {
+    await assert.rejects(manager.getParentJob('missing'), /Parent job missing not found/);
+  });
+});
+
+describe('getParentJobNamespace', () => {
+  test('requires the PARENT_JOBS binding', () => {
+    assert.throws(() => getParentJobNamespace({}), error => error.status === 500);
+    const namespace = createLocalParentJobNamespace({});
+    assert.equal(getParentJobNamespace({ PARENT_JOBS: namespace }), namespace);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FairSemaphore } from '../src/core/semaphore.js';
+
+// Lets granted waiters' callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Waiters on a semaphore that note their label in `granted` once they hold a
+ * permit, and can be released by label
+ */
+function watch(semaphore) {
+  const granted = [];
+  const releases = new Map();
+  return {
+    granted,
+    queue(label, options) {
+      semaphore.acquire(options).then(release => {
+        granted.push(label);
+        releases.set(label, release);
+      });
+    },
+    async release(label) {
+      releases.get(label)();
+      await settle();
+    }
+  };
+}
+
+describe('FairSemaphore', () => {
+  test('hands a freed permit to the highest lane with anyone waiting', async () => {
+    const semaphore = new FairSemaphore(1, { lanes: ['high', 'normal', 'low'], defaultLane: 'normal' });
+    const waiters = watch(semaphore);
+    waiters.queue('first', { lane: 'low' });
+    await settle();
+
+    waiters.queue('low', { lane: 'low' });
+    waiters.queue('unknown lane', { lane: 'urgent' });
+    waiters.queue('high', { lane: 'high' });
+    assert.deepEqual(semaphore.waitingByLane, { high: 1, normal: 1, low: 1 });
+
+    for (const label of ['first', 'high', 'unknown lane', 'low']) {
+      await waiters.release(label);
+    }
+    assert.deepEqual(waiters.granted, ['first', 'high', 'unknown lane', 'low']);
+    assert.equal(semaphore.active, 0);
+  });
+
+  test('gives an owner holding fewer permits the next one', async () => {
+    const semaphore = new FairSemaphore(2);
+    const waiters = watch(semaphore);
+    waiters.queue('bulk 1', { owner: 'bulk' });
+    waiters.queue('bulk 2', { owner: 'bulk' });
+    waiters.queue('bulk 3', { owner: 'bulk' });
+    waiters.queue('bulk 4', { owner: 'bulk' });
+    waiters.queue('solo', { owner: 'solo' });
+    await settle();
+
+    // bulk still holds a permit, solo holds none
+    await waiters.release('bulk 1');
+    assert.deepEqual(waiters.granted, ['bulk 1', 'bulk 2', 'solo']);
+
+    await waiters.release('bulk 2');
+    await waiters.release('solo');
+    assert.deepEqual(waiters.granted, ['bulk 1', 'bulk 2', 'solo', 'bulk 3', 'bulk 4']);
+  });
+
+  test('between owners holding as many, serves the one served longest ago', async () => {
+    const semaphore = new FairSemaphore(1);
+    const waiters = watch(semaphore);
+    waiters.queue('first', { owner: 'other' });
+    await settle();
+
+    waiters.queue('a 1', { owner: 'a' });
+    waiters.queue('a 2', { owner: 'a' });
+    waiters.queue('b 1', { owner: 'b' });
+    for (const label of ['first', 'a 1', 'b 1', 'a 2']) {
+      await waiters.release(label);
+    }
+
+    // Arrival order would have been a 1, a 2, b 1
+    assert.deepEqual(waiters.granted, ['first', 'a 1', 'b 1', 'a 2']);
+  });
+
+  test('moves a waiter left for maxWaitMs ahead of every lane', async (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const semaphore = new FairSemaphore(1, { lanes: ['high', 'low'], maxWaitMs: 1000 });
+    const waiters = watch(semaphore);
+    waiters.queue('first', { lane: 'high' });
+    await settle();
+
+    waiters.queue('low', { lane: 'low' });
+    now = 500;
+    waiters.queue('high 1', { lane: 'high' });
+    await waiters.release('first');
+    assert.deepEqual(waiters.granted, ['first', 'high 1']);
+
+    now = 600;
+    waiters.queue('high 2', { lane: 'high' });
+    now = 1000;
+    await waiters.release('high 1');
+    assert.deepEqual(waiters.granted, ['first', 'high 1', 'low']);
+
+    await waiters.release('low');
+    assert.deepEqual(waiters.granted, ['first', 'high 1', 'low', 'high 2']);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleStreamingTranscription, processAudioStreamChunks } from '../src/core/streaming.js';
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * 16-bit mono WAV whose every sample holds the hundredths of a second it
+ * plays at, so a fake transcriber can tell where a chunk starts
+ */
+function createWAV(seconds) {
+  const sampleCount = SAMPLE_RATE * seconds;
+  const bytes = new Uint8Array(44 + sampleCount * 2);
+  const view = new DataView(bytes.buffer);
+  bytes.set(new TextEncoder().encode('RIFF'), 0);
+  view.setUint32(4, 36 + sampleCount * 2, true);
+  bytes.set(new TextEncoder().encode('WAVEfmt '), 8);
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, SAMPLE_RATE, true);
+  view.setUint32(28, SAMPLE_RATE * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  bytes.set(new TextEncoder().encode('data'), 36);
+  view.setUint32(40, sampleCount * 2, true);
+  for (let i = 0; i < sampleCount; i++) {
+    view.setInt16(44 + i * 2, Math.floor(100 * i / SAMPLE_RATE), true);
+  }
+  return bytes;
+}
+
+/**
+ * Whisper stand-in: a word every half second, "w<n>" for the n-th half second
+ * of the whole recording, timed relative to the chunk
+ */
+async function transcribe(file) {
+  const data = new Uint8Array(await file.arrayBuffer());
+  const view = new DataView(data.buffer);
+  const start = view.getInt16(44, true) / 100;
+  const duration = (data.length - 44) / 2 / SAMPLE_RATE;
+
+  const segments = [];
+  for (let t = Math.ceil(start * 2) / 2; t + 0.4 <= start + duration; t += 0.5) {
+    segments.push({ start: t - start, end: t + 0.4 - start, text: ` w${Math.round(t * 2)}` });
+  }
+  return { text: segments.map(segment => segment.text).join(''), segments, duration };
+}
+
+/**
+ * The file as an upload that stalls after `pausedAt` bytes until `resume`
+ * settles, noting in the log when it carries on
+ */
+function createUpload(bytes, pausedAt, resume, log) {
+  let offset = 0;
+  return new ReadableStream({
+    async pull(controller) {
+      if (offset === pausedAt) {
+        await resume;
+        log.push('upload resumed');
+      }
+      const end = offset < pausedAt ? pausedAt : bytes.length;
+      controller.enqueue(bytes.slice(offset, Math.min(end, offset + 64 * 1024)));
+      offset = Math.min(end, offset + 64 * 1024);
+      if (offset === bytes.length) controller.close();
+    }
+  });
+}
+
+describe('streaming transcription', () => {
+  test('sends a chunk\'s text once it is transcribed, holding back only the overlap', async (t) => {
+    const log = [];
+    let sent;
+    const firstDelta = new Promise(resolve => { sent = resolve; });
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      log.push('transcribe');
+      return Response.json(await transcribe(init.body.get('file')));
+    });
+    const controller = {
+      enqueue: bytes => {
+        const event = JSON.parse(new TextDecoder().decode(bytes).slice('data: '.length));
+        log.push(event);
+        if (event.type === 'delta') sent();
+      }
+    };
+    const env = { GROQ_API_KEY: 'test-key', CHUNK_OVERLAP_SECONDS: '2', VAD_WINDOW_SECONDS: '0' };
+
+    // The upload stalls once the first chunk is cut, and gives up waiting after a second
+    let timer;
+    const resume = Promise.race([firstDelta, new Promise(resolve => { timer = setTimeout(resolve, 1000); })]);
+    const audio = createUpload(createWAV(60), 6 * 64 * 1024, resume, log);
+    await processAudioStreamChunks(audio, 'talk.wav', 0.25, false, null, 'whisper-large-v3', controller, env);
+    clearTimeout(timer);
+
+    const events = log.filter(entry => typeof entry === 'object');
+    const deltas = events.filter(event => event.type === 'delta');
+    const transcriptions = log.flatMap((entry, index) => entry === 'transcribe' ? [index] : []);
+    assert.ok(transcriptions.length >= 4);
+
+    // Most of chunk 0 goes out without waiting for the rest of the upload
+    assert.equal(deltas[0].chunk_index, 0);
+    assert.ok(log.indexOf(deltas[0]) > transcriptions[0]);
+    assert.ok(log.indexOf(deltas[0]) < log.indexOf('upload resumed'));
+    assert.ok(deltas[0].segments.at(-1).end > 10);
+
+    // The held tail completes each chunk once the next one says where it starts
+    const chunkDone = events.filter(event => event.type === 'chunk_done').map(event => event.chunk_index);
+    assert.deepEqual(chunkDone, [...transcriptions.keys()]);
+
+    // Every word once, in order
+    const words = deltas.flatMap(delta => delta.text.split(' ').filter(Boolean));
+    assert.deepEqual(words, Array.from({ length: 120 }, (_, n) => `w${n}`));
+    assert.equal(events.at(-1).final_transcript, words.join(' '));
+  });
+
+  test('transcribes a multipart upload as it arrives instead of reading the whole form first', async (t) => {
+    const log = [];
+    let sent;
+    const firstDelta = new Promise(resolve => { sent = resolve; });
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      log.push('transcribe');
+      return Response.json(await transcribe(init.body.get('file')));
+    });
+    const records = new Map();
+    const env = {
+      GROQ_API_KEY: 'test-key',
+      CHUNK_OVERLAP_SECONDS: '2',
+      VAD_WINDOW_SECONDS: '0',
+      GROQ_JOBS_KV: {
+        get: async (key, type) => type === 'json' ? JSON.parse(records.get(key) ?? 'null') : records.get(key) ?? null,
+        put: async (key, value) => { records.set(key, value); },
+        delete: async (key) => { records.delete(key); }
+      }
+    };
+
+    const form = new FormData();
+    form.append('chunk_size_mb', '0.25');
+    form.append('file', new Blob([createWAV(60)]), 'talk.wav');
+    const encoded = new Response(form);
+    const body = new Uint8Array(await encoded.arrayBuffer());
+
+    let timer;
+    const resume = Promise.race([firstDelta, new Promise(resolve => { timer = setTimeout(resolve, 1000); })]);
+    const request = new Request('https://worker.test/stream', {
+      method: 'POST',
+      headers: { 'content-type': encoded.headers.get('content-type'), 'content-length': String(body.length) },
+      body: createUpload(body, 6 * 64 * 1024, resume, log),
+      duplex: 'half'
+    });
+    const response = await handleStreamingTranscription(request, env);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+    // Read the events as they come, so the first delta lets the upload carry on
+    const events = [];
+    const decoder = new TextDecoder();
+    let text = '';
+    for await (const bytes of response.body) {
+      text += decoder.decode(bytes, { stream: true });
+      const lines = text.split('\n');
+      text = lines.pop();
+      for (const line of lines.filter(line => line.startsWith('data: '))) {
+        const event = JSON.parse(line.slice('data: '.length));
+        events.push(event);
+        if (event.type === 'delta') sent();
+      }
+    }
+    clearTimeout(timer);
+
+    const job = JSON.parse(records.get(events[0].job_id));
+    assert.equal(job.filename, 'talk.wav');
+    assert.equal(job.size, createWAV(60).length);
+    assert.equal(job.status, 'done');
+    assert.ok(log.indexOf('transcribe') < log.indexOf('upload resumed'), 'the first chunk is transcribed mid-upload');
+    const words = events.filter(event => event.type === 'delta').flatMap(delta => delta.text.split(' ').filter(Boolean));
+    assert.deepEqual(words, Array.from({ length: 120 }, (_, n) => `w${n}`));
+  });
+});
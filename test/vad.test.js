@@ -0,0 +1,136 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_VAD_OPTIONS, findSilentCut, snapWAVCut } from '../src/core/vad.js';
+import { createWAVChunks, parseWAVHeader } from '../src/core/audio-chunking.js';
+
+const SAMPLE_RATE = 16000;
+const BYTE_RATE = SAMPLE_RATE * 2;
+
+/**
+ * Create a 16-bit mono WAV file of `seconds` of 440Hz tone, silent wherever
+ * silences ([from, to] in seconds) say
+ */
+function createWAVFile(seconds, silences = []) {
+  const sampleCount = Math.round(seconds * SAMPLE_RATE);
+  const dataSize = sampleCount * 2;
+  const result = new Uint8Array(44 + dataSize);
+  const view = new DataView(result.buffer);
+
+  // RIFF header
+  result.set(new TextEncoder().encode('RIFF'), 0);
+  view.setUint32(4, 36 + dataSize, true);
+  result.set(new TextEncoder().encode('WAVE'), 8);
+
+  // fmt chunk
+  result.set(new TextEncoder().encode('fmt '), 12);
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, SAMPLE_RATE, true);
+  view.setUint32(28, BYTE_RATE, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+
+  // data chunk
+  result.set(new TextEncoder().encode('data'), 36);
+  view.setUint32(40, dataSize, true);
+
+  for (let i = 0; i < sampleCount; i++) {
+    const time = i / SAMPLE_RATE;
+    const silent = silences.some(([from, to]) => time >= from && time < to);
+    view.setInt16(44 + i * 2, silent ? 0 : Math.round(12000 * Math.sin(2 * Math.PI * 440 * time)), true);
+  }
+
+  return result;
+}
+
+// Byte offset of a time in the file, on a sample boundary, and back
+const offsetAt = seconds => 44 + Math.round(seconds * SAMPLE_RATE) * 2;
+const timeAt = offset => (offset - 44) / BYTE_RATE;
+
+describe('findSilentCut', () => {
+  const loud = 1000;
+
+  test('leaves a cut that already falls in silence', () => {
+    const energies = [loud, loud, 0, 0, 0, 0, loud, loud];
+    assert.equal(findSilentCut(energies, 3), 3);
+  });
+
+  test('moves a cut to the middle of the nearest silent run', () => {
+    const energies = [0, 0, 0, loud, loud, loud, loud, 0, 0, loud, loud, loud];
+    assert.equal(findSilentCut(energies, 5), 8);
+    assert.equal(findSilentCut(energies, 4), 1);
+  });
+
+  test('ignores runs shorter than minRun', () => {
+    const energies = [loud, 0, loud, loud, loud, 0, 0, 0, loud];
+    assert.equal(findSilentCut(energies, 1, { minRun: 2 }), 6);
+  });
+
+  test('returns null when nothing is quiet', () => {
+    assert.equal(findSilentCut([loud, loud, loud], 1), null);
+    assert.equal(findSilentCut([], 0), null);
+  });
+
+  test('counts frames under the floor as silent whatever the ratio', () => {
+    const energies = [0.0005, 0.0005, 1, 1, 1];
+    assert.equal(findSilentCut(energies, 3, { floor: 0.001, ratio: 0 }), 1);
+  });
+});
+
+describe('snapWAVCut', () => {
+  const options = { ...DEFAULT_VAD_OPTIONS, window_seconds: 2 };
+
+  test('moves a cut in the tone into the nearest silence', () => {
+    const wav = createWAVFile(20, [[9.0, 9.5]]);
+    const header = parseWAVHeader(wav);
+    const cut = snapWAVCut(wav, header, offsetAt(10), 44, wav.length, options);
+
+    assert.ok(timeAt(cut) >= 9.0 && timeAt(cut) <= 9.5, `cut at ${timeAt(cut)}s`);
+    assert.equal((cut - 44) % 2, 0); // On a sample boundary
+  });
+
+  test('prefers the closer of two silences', () => {
+    const wav = createWAVFile(20, [[8.2, 8.5], [10.6, 10.9]]);
+    const cut = snapWAVCut(wav, parseWAVHeader(wav), offsetAt(10), 44, wav.length, options);
+    assert.ok(timeAt(cut) >= 10.6 && timeAt(cut) <= 10.9, `cut at ${timeAt(cut)}s`);
+  });
+
+  test('keeps the cut when the window holds no silence', () => {
+    const wav = createWAVFile(20, [[3, 4]]);
+    assert.equal(snapWAVCut(wav, parseWAVHeader(wav), offsetAt(10), 44, wav.length, options), offsetAt(10));
+  });
+
+  test('ignores pauses shorter than min_silence_seconds', () => {
+    const wav = createWAVFile(20, [[9.5, 9.55]]);
+    assert.equal(snapWAVCut(wav, parseWAVHeader(wav), offsetAt(10), 44, wav.length, options), offsetAt(10));
+  });
+
+  test('stays within (minCut, maxCut]', () => {
+    const wav = createWAVFile(20, [[8.5, 9.0]]);
+    const minCut = offsetAt(9.2);
+    assert.equal(snapWAVCut(wav, parseWAVHeader(wav), offsetAt(10), minCut, wav.length, options), offsetAt(10));
+  });
+
+  test('does nothing with the window set to 0', () => {
+    const wav = createWAVFile(20, [[9.0, 9.5]]);
+    const cut = snapWAVCut(wav, parseWAVHeader(wav), offsetAt(10), 44, wav.length, { ...options, window_seconds: 0 });
+    assert.equal(cut, offsetAt(10));
+  });
+});
+
+describe('createWAVChunks', () => {
+  test('ends chunks in the pauses near each cut', () => {
+    // A pause a little before each 10s cut
+    const pauses = [[9.2, 9.6], [19.1, 19.5], [29.3, 29.7]];
+    const wav = createWAVFile(40, pauses);
+    const chunks = createWAVChunks(wav, 10 * BYTE_RATE, { overlap_seconds: 0, vad: { ...DEFAULT_VAD_OPTIONS, window_seconds: 2 } });
+
+    pauses.forEach(([from, to], i) => {
+      const end = chunks[i].startTime + chunks[i].duration;
+      assert.ok(end >= from && end <= to, `chunk ${i} ends at ${end}s`);
+      assert.equal(chunks[i + 1].startTime, end);
+    });
+    assert.equal(chunks.at(-1).end, wav.length - 44);
+  });
+});